@@ -0,0 +1,10 @@
+/* ==========================================================================
+   File:               babel.config.js
+   Description:	       Transpile the ES modules of the source for the unit tests.
+                       The distribution is bundled by rollup, which does not use Babel.
+   ========================================================================== */
+'use strict';
+
+module.exports = {
+  presets: [['@babel/preset-env', {targets: {node: 'current'}}]]
+};
@@ -9,14 +9,17 @@
 
 // External dependencies and imports.
 const _debug  = require('debug')('doorCntrl');
-const _gpio   = require('rpi-gpio');
 import { EventEmitter } from 'events';
-const _gpiop  = _gpio.promise;
 
 // Internal dependencies
-import * as modSensorCommon from './sensorBase.js';
-import _proxSensor          from './proxSensor.js';
-import _sonarSensor         from './sonarSensor.js';
+import * as modGpioBase     from './gpioBase.js';
+import _sensorBase, * as modSensorCommon from './sensorBase.js';
+import * as modTimeOfDay    from './timeOfDay.js';
+import _sensorGroup         from './sensorGroup.js';
+// Built-in detection sensors. Each registers its class with the sensor registry when loaded.
+import './proxSensor.js';
+import './sonarSensor.js';
+import './tiltSensor.js';
 
 /* Enumeration for Door States */
 const DOOR_STATE = {
@@ -27,16 +30,80 @@ const DOOR_STATE = {
   CLOSED  : 'CLOSED',
 };
 
+/* Enumeration for the Sources of Door Activations */
+const ACTIVATION_SOURCE = {
+  REQUEST     : 'REQUEST',      /* Client request, source not specified */
+  HOMEKIT     : 'HOMEKIT',      /* HomeKit request */
+  MANUAL      : 'MANUAL',       /* Manual door control switch */
+  API         : 'API',          /* HTTP API request */
+  MQTT        : 'MQTT',         /* MQTT command */
+  AUTO_CLOSE  : 'AUTO_CLOSE'    /* Auto-Close timer */
+};
+
+/* Enumeration for the Causes of Door State Changes */
+const STATE_CHANGE_CAUSE = {
+  SENSOR      : 'SENSOR',       /* Detection sensor results */
+  ACTIVATION  : 'ACTIVATION',   /* Door activation, assumed to start or stop the door travel */
+  WATCHDOG    : 'WATCHDOG'      /* Expiry of the door activation watchdog */
+};
+
+/* Enumeration for Auto-Close Status */
+const AUTO_CLOSE_STATUS = {
+  IDLE        : 'IDLE',         /* Door is not open, or auto-close is not configured */
+  SCHEDULED   : 'SCHEDULED',    /* Door will be closed at the scheduled time */
+  WARNING     : 'WARNING',      /* Door will be closed shortly */
+  ACTIVATING  : 'ACTIVATING',   /* Door has been activated to close */
+  BLOCKED     : 'BLOCKED',      /* Door was not closed because it is locked */
+  FAILED      : 'FAILED'        /* Door did not close after all attempts */
+};
+
+/* Enumeration for Door Faults */
+const DOOR_FAULT = {
+  NONE                : 'NONE',
+  ACTIVATION_TIMEOUT  : 'ACTIVATION_TIMEOUT', /* Door did not complete travel after activation */
+  REVERSAL            : 'REVERSAL',           /* Door reversed before completing travel */
+  SENSOR_CONFLICT     : 'SENSOR_CONFLICT'     /* Door detected as both open and closed */
+};
+
 /* Time to debounce door control switch state changes */
 const _DOOR_CNTRL_SWITCH_DEBOUNCE   =   500/*ms*/;
 /* Time for toggling the control relay to open/close a door. */
 const _DOOR_CTRL_REQ_TIME           =   100/*ms*/;
-/* Expected time for door activation to complete */
+/* Expected time for door activation to complete, until the door travel time is learned */
 const _DOOR_ACTIVATION_TIMEOUT      = 30000/*ms*/;
+/* Minimum time allowed for door activation to complete */
+const _MINIMUM_ACTIVATION_TIMEOUT   =  5000/*ms*/;
+/* Allowance applied to the learned door travel time when deriving the activation timeout */
+const _ACTIVATION_TIMEOUT_FACTOR    =   1.5;
+/* Number of door travel measurements retained for the travel profile */
+const _TRAVEL_PROFILE_SIZE          =     5;
+/* Default number of additional attempts to auto-close a door */
+const _DEFAULT_AUTO_CLOSE_RETRIES   =     2;
+/* Time to wait before re-attempting to auto-close a door */
+const _AUTO_CLOSE_RETRY_DELAY       = 10000/*ms*/;
 /* Total time for the door identification process */
 const _DOOR_TOTAL_IDENTIFICATION_TIMEOUT    = 5000/*ms*/;
 /* Time for toggling the door state LED when identifying the door */
 const _DOOR_IDENTIFICATION_TOGGLE_TIMEOUT   =  100/*ms*/;
+/* Door position when fully closed/open */
+const _POSITION_CLOSED              =     0/*percent*/;
+const _POSITION_OPEN                =   100/*percent*/;
+/* Largest fraction of travel estimated from the travel time. The door is not open/closed until detected. */
+const _MAXIMUM_TRAVEL_FRACTION      =  0.99;
+/* Interval for re-evaluating the estimated door position */
+const _POSITION_UPDATE_INTERVAL     =  1000/*ms*/;
+/* Interval for tracking the door position while moving to a requested position */
+const _MOVE_POLL_INTERVAL           =   100/*ms*/;
+/* Time allowed for the door to come to rest once stopped, or once detected at the end of its travel */
+const _MOVE_SETTLE_TIME             =  1000/*ms*/;
+/* Allowed difference between the requested and final positions of the door */
+const _MOVE_POSITION_TOLERANCE      =    10/*percent*/;
+/* Maximum number of activations made for the door to reach a target state */
+const _MAXIMUM_TARGET_ATTEMPTS      =     4;
+/* Minimum time between activations made for the door to reach a target state */
+const _TARGET_ACTIVATION_SPACING    =  1000/*ms*/;
+/* Interval for tracking the door while it travels to a target state */
+const _TARGET_POLL_INTERVAL         =   100/*ms*/;
 
 /* ========================================================================
    Description: Helper function to perform a delay
@@ -52,9 +119,74 @@ const _delay = timeout => new Promise( resolveDelay => { setTimeout(resolveDelay
 /* DoorController represents a garage door control system configured, monitored,
    and controlled by a RaspberryPi.
 
-   @event 'state_change' => function(oldState, newState, context) {}
+   @event 'state_change' => function(oldState, newState, cause, context) {}
           Emitted when the door changes its open/closed states.
+          cause:   the STATE_CHANGE_CAUSE responsible.
           Context will be a reference to the instance of the object raising the event.
+
+   @event 'obstruction_changed' => function(obstructed, fault, context) {}
+          Emitted when the door becomes obstructed or the obstruction clears.
+          obstructed: flag indicating if the door is obstructed.
+          fault:      the DOOR_FAULT responsible.
+          context:    reference to the instance of the object raising the event.
+
+   @event 'auto_close_changed' => function(status, closeTime, context) {}
+          Emitted when the auto-close status of the door changes.
+          status:     the new AUTO_CLOSE_STATUS.
+          closeTime:  time (ms since epoch) the door is scheduled to be closed. undefined if not scheduled.
+          context:    reference to the instance of the object raising the event.
+
+   @event 'activation_requested' => function(source, accepted, context) {}
+          Emitted when activation of the door is requested.
+          source:     the ACTIVATION_SOURCE of the request.
+          accepted:   flag indicating if the door was activated. false if not initialized or locked.
+          context:    reference to the instance of the object raising the event.
+
+   @event 'sensor_result_changed' => function(sensorId, oldResult, newResult, context) {}
+          Emitted when a detection sensor of the door changes its result.
+          sensorId:   identifier of the sensor.
+          oldResult:  the prior SENSOR_RESULT.
+          newResult:  the new SENSOR_RESULT.
+          context:    reference to the instance of the object raising the event.
+
+   @event 'sensor_distance_changed' => function(sensorId, oldDistance, newDistance, context) {}
+          Emitted when a sonar sensor of the door measures a change in distance.
+          sensorId:     identifier of the sensor.
+          oldDistance:  the prior distance in meters. undefined if not previously measured.
+          newDistance:  the new distance in meters.
+          context:      reference to the instance of the object raising the event.
+
+   @event 'sensor_health_changed' => function(sensorId, oldHealth, newHealth, context) {}
+          Emitted when the health of a detection sensor of the door changes.
+          sensorId:   identifier of the sensor.
+          oldHealth:  the prior SENSOR_HEALTH.
+          newHealth:  the new SENSOR_HEALTH.
+          context:    reference to the instance of the object raising the event.
+
+   @event 'vehicle_presence_changed' => function(presence, context) {}
+          Emitted when the vehicle sensor of the door changes its result.
+          presence:   the SENSOR_RESULT of the vehicle sensor. DETECTED when the vehicle is present.
+          context:    reference to the instance of the object raising the event.
+
+   @event 'position_changed' => function(oldPosition, newPosition, context) {}
+          Emitted when the estimated position of the door changes.
+          oldPosition: the prior position, 0 (closed) to 100 (open) percent. undefined if not known.
+          newPosition: the new position, 0 (closed) to 100 (open) percent. undefined if not known.
+          context:     reference to the instance of the object raising the event.
+
+   @event 'move_completed' => function(targetPosition, position, reached, context) {}
+          Emitted when a request to move the door to a position completes.
+          targetPosition: the requested position, 0 (closed) to 100 (open) percent.
+          position:       the final position of the door. undefined if not known.
+          reached:        flag indicating if the door reached the requested position.
+          context:        reference to the instance of the object raising the event.
+
+   @event 'target_state_completed' => function(targetState, reached, attempts, context) {}
+          Emitted when a request for the door to reach a target state completes.
+          targetState:    the requested DOOR_STATE. OPEN or CLOSED.
+          reached:        flag indicating if the door reached the target state.
+          attempts:       number of times the door was activated.
+          context:        reference to the instance of the object raising the event.
 */
 class DoorController extends EventEmitter {
   /* ========================================================================
@@ -71,10 +203,27 @@ class DoorController extends EventEmitter {
                     control_reqest_switch:  GPIO Input Channel for a door open/close request switch.
                                             ** Assumed to be in the GPIO Mode of the Door System Controller.
                     detect_sensors:         Configuration node for the detection sensor(s).
+                    activation_timeout:     (Optional) Time in seconds for the door activation to complete.
+                                            Default: Derived from the learned door travel time.
+                    auto_close:             (Optional) Object with the following fields.
+                    { delay:                Time in seconds after the door opens to close it.
+                      warning:              (Optional) Time in seconds before closing the door to raise a warning.
+                      windows:              (Optional) Array of {start, end} times of day ('HH:MM') during which the door
+                                            may be closed automatically. Default: Always.
+                      respect_lock:         (Optional) Flag indicating if the soft-lock prevents closing the door. Default: true
+                      retries:              (Optional) Number of additional attempts to close the door. Default: 2
+                    }
+                    position:               (Optional) Object with the following fields.
+                    { sensor:               Identifier of the detection sensor measuring the door position.
+                      closed_distance:      (Optional) Distance in meters measured by a sonar sensor when the door is closed.
+                      open_distance:        (Optional) Distance in meters measured by a sonar sensor when the door is open.
+                    }                       Default: Any detection sensor measuring the percentage open, such as a tilt sensor.
                   }
+                  gpio:                     GPIO provider (GpioBase) used to monitor & control the door.
+                                            Shared with the detection sensors.
      Return:      N/A
      ======================================================================== */
-  constructor(configuration) {
+  constructor(configuration, gpio) {
 
     // Initialize the base class.
     super();
@@ -89,8 +238,16 @@ class DoorController extends EventEmitter {
                           // soft_locked is an optional setting.
                           ((configuration.hasOwnProperty('soft_locked')           && (typeof(configuration.soft_locked)           === 'boolean')) ||
                            (!configuration.hasOwnProperty('soft_locked')))                                                                                                                    &&
+                          // activation_timeout is an optional setting.
+                          (!configuration.hasOwnProperty('activation_timeout')   || ((typeof(configuration.activation_timeout) === 'number') && (configuration.activation_timeout > 0.0))) &&
+                          // auto_close is an optional setting.
+                          (!configuration.hasOwnProperty('auto_close')           || this._validateAutoCloseConfig(configuration.auto_close))                                                  &&
+                          // sensor_policy is an optional setting.
+                          (!configuration.hasOwnProperty('sensor_policy')        || this._validateSensorPolicyConfig(configuration.sensor_policy))                                            &&
                           (configuration.hasOwnProperty('detect_sensors')        && (typeof(configuration.detect_sensors)        === 'object') && (configuration.detect_sensors.length >= 2)) &&
-                          (this._validateDetectionSensorConfig(configuration.detect_sensors))                                                                                                   );
+                          (this._validateDetectionSensorConfig(configuration.detect_sensors))                                                                                                   &&
+                          // position is an optional setting.
+                          (!configuration.hasOwnProperty('position')             || this._validatePositionConfig(configuration.position, configuration.detect_sensors))                      );
     if (!configValid) {
       _debug(`DoorController invalid configuration. configuration:${JSON.stringify(configuration)}`);
       throw new Error(`DoorController invalid configuration`);
@@ -99,14 +256,21 @@ class DoorController extends EventEmitter {
     /* Instance Name */
     this._name = configuration.name;
 
+    /* GPIO Provider */
+    this._gpio = gpio;
+
     /* GPIO Channel Assignments */
     this._gpioChanStateIndicator  = configuration.state_indicator;
     this._gpioChanCtrlRequest     = configuration.control_request;
     this._gpioManualCtrlRequest   = configuration.manual_control_reqest;
 
-    // Create the open/closed sensors.
-    this._openSensor              = this._createDetectionSensor(configuration.detect_sensors, 'OPEN');
-    this._closedSensor            = this._createDetectionSensor(configuration.detect_sensors, 'CLOSE');
+    // Create the open/closed sensors. Each combines all of the sensors configured for the function.
+    const sensorPolicy            = (configuration.hasOwnProperty('sensor_policy') ? configuration.sensor_policy : {});
+    this._openSensor              = this._createSensorGroup(configuration.detect_sensors, 'OPEN',  sensorPolicy);
+    this._closedSensor            = this._createSensorGroup(configuration.detect_sensors, 'CLOSE', sensorPolicy);
+    // Create the vehicle sensor. {Optional} Does not contribute to the door state.
+    this._vehicleSensor           = (configuration.detect_sensors.some((configItem) => { return (configItem.function.toUpperCase() === 'VEHICLE'); }) ?
+                                     this._createSensorGroup(configuration.detect_sensors, 'VEHICLE', sensorPolicy) : undefined);
 
     /* Current Door Open/Close Staus */
     this._currentDoorState          = DOOR_STATE.UNKNOWN;
@@ -118,12 +282,55 @@ class DoorController extends EventEmitter {
     this._debounceTimerIdDoorCntrl  = undefined;
     /* Door Activation Watchdog Timer Id */
     this._doorActivationWatchdogId  = undefined;
+    /* Door Fault responsible for an obstruction */
+    this._doorFault                 = DOOR_FAULT.NONE;
+    /* Configured Door Activation Timeout - Derived from the travel profile if not specified */
+    this._activationTimeout         = (configuration.hasOwnProperty('activation_timeout') ? (configuration.activation_timeout * 1000.0/* milliseconds / second */) : undefined);
+    /* Recent door travel times (ms), keyed on the direction of travel */
+    this._travelProfile             = new Map([[DOOR_STATE.OPENING, []], [DOOR_STATE.CLOSING, []]]);
+    /* Time that the current door travel started */
+    this._travelStartTime           = undefined;
+    /* Direction of the most recent door travel. undefined if the door has not travelled */
+    this._lastTravel                = undefined;
+    /* Position Settings - undefined if not configured */
+    this._positionConfig            = (configuration.hasOwnProperty('position') ? this._consumePositionConfig(configuration.position) : undefined);
+    /* Position of a door stopped part-way. undefined if not stopped */
+    this._heldPosition              = undefined;
+    /* Position most recently notified */
+    this._reportedPosition          = undefined;
+    /* Position Update Interval Timer Id */
+    this._positionTimerId           = undefined;
+    /* Identifier of the most recent move or target state request. Supersedes earlier requests. */
+    this._requestId                 = 0;
+    /* Auto-Close Settings - undefined if not configured */
+    this._autoCloseConfig           = (configuration.hasOwnProperty('auto_close') ? this._consumeAutoCloseConfig(configuration.auto_close) : undefined);
+    /* Auto-Close Status */
+    this._autoCloseStatus           = AUTO_CLOSE_STATUS.IDLE;
+    /* Time that the door will be auto-closed */
+    this._autoCloseTime             = undefined;
+    /* Number of attempts made to auto-close the door */
+    this._autoCloseAttempts         = 0;
+    /* Auto-Close Timer Ids */
+    this._autoCloseTimerId          = undefined;
+    this._autoCloseWarningTimerId   = undefined;
     /* Flag indicating if this door has been started/initialized */
     this._initialized               = false;
+    /* Door State restored from a prior run - Used when the sensors are not conclusive at startup */
+    this._restoredDoorState         = undefined;
+    /* Time that the door entered its current state */
+    this._lastStateChangeTime       = undefined;
     /* Create a function pointer for state change notifications. */
     this._myStateChangeCB           = this._stateChange.bind(this);
     /* Create a function pointer for the sensor result changed notification. */
     this._mySensorResultChangedCB   = this._sensorResultChanged.bind(this);
+    /* Create a function pointer for relaying the result changes of the individual sensors. */
+    this._mySensorResultRelayCB     = this._sensorResultRelay.bind(this);
+    /* Create a function pointer for the sensor distance changed notification. */
+    this._mySensorDistanceChangedCB = this._sensorDistanceChanged.bind(this);
+    /* Create a function pointer for relaying the health changes of the individual sensors. */
+    this._mySensorHealthRelayCB     = this._sensorHealthRelay.bind(this);
+    /* Create a function pointer for the vehicle sensor result changed notification. */
+    this._myVehicleResultChangedCB  = this._vehicleSensorResultChanged.bind(this);
 
     _debug(`New Door: name=${this.Name}`);
   }
@@ -144,24 +351,42 @@ class DoorController extends EventEmitter {
     _debug(`Terminating Door: ${this.Name}`);
 
     // Unregister for change notifications
-    _gpio.off( 'change', this._myStateChangeCB );
+    this._gpio.off( 'change', this._myStateChangeCB );
 
     // Unregister for the sensor events.
     this._openSensor.removeListener(   'result_changed',   this._mySensorResultChangedCB);
     this._closedSensor.removeListener( 'result_changed',   this._mySensorResultChangedCB);
+    if (this._vehicleSensor != undefined) {
+      this._vehicleSensor.removeListener( 'result_changed',   this._myVehicleResultChangedCB);
+    }
+    this._sensorGroups().forEach(([group]) => {
+      group.Sensors.forEach((sensor) => {
+        sensor.removeListener( 'result_changed',   this._mySensorResultRelayCB);
+        sensor.removeListener( 'distance_changed', this._mySensorDistanceChangedCB);
+        sensor.removeListener( 'health_changed',   this._mySensorHealthRelayCB);
+      });
+    });
 
     // Kill the detection sensors.
     this._openSensor.Terminate();
     this._closedSensor.Terminate();
+    if (this._vehicleSensor != undefined) {
+      this._vehicleSensor.Terminate();
+    }
 
     // Kill off any timers that may be pending
     if (this._debounceTimerIdDoorCntrl) {
       clearTimeout(this._debounceTimerIdDoorCntrl );
     }
+    if (this._positionTimerId != undefined) {
+      clearInterval(this._positionTimerId);
+      this._positionTimerId = undefined;
+    }
+    this._autoCloseCancelTimers();
     await Promise.all([/* The Door State Indicator is Active Low. */
-                 _gpiop.write(this._gpioChanStateIndicator, false),
+                 this._gpio.Write(this._gpioChanStateIndicator, false),
                  // The Door Control request is Active High.
-                 _gpiop.write(this._gpioChanCtrlRequest, true)])
+                 this._gpio.Write(this._gpioChanCtrlRequest, true)])
     .then (() => {
       /* Do Nothing */
     })
@@ -190,32 +415,71 @@ class DoorController extends EventEmitter {
     // Create an array of promises to configure the GPIO and wait for all of them
     // to complete.
     await Promise.all([/* Configure the door state indicator channel */
-                       _gpiop.setup(this._gpioChanStateIndicator, _gpio.DIR_LOW),
+                       this._gpio.Setup(this._gpioChanStateIndicator, modGpioBase.GPIO_DIR.LOW),
                        /* Configure the door control channel and initialize to HIGH */
-                       _gpiop.setup(this._gpioChanCtrlRequest,    _gpio.DIR_HIGH),
+                       this._gpio.Setup(this._gpioChanCtrlRequest,    modGpioBase.GPIO_DIR.HIGH),
                        /* Configure the door request button input channel to detect release events */
-                       _gpiop.setup(this._gpioManualCtrlRequest,  _gpio.DIR_IN,  _gpio.EDGE_RISING),
+                       this._gpio.Setup(this._gpioManualCtrlRequest,  modGpioBase.GPIO_DIR.IN,  modGpioBase.GPIO_EDGE.RISING),
                       ])
     .then(async (setupResults) => {
       // Register for the detection sensor events.
       this._openSensor.on(   'result_changed',   this._mySensorResultChangedCB);
       this._closedSensor.on( 'result_changed',   this._mySensorResultChangedCB);
+      if (this._vehicleSensor != undefined) {
+        this._vehicleSensor.on( 'result_changed',   this._myVehicleResultChangedCB);
+      }
+      // Relay the events of the individual sensors. Only sonar sensors measure distance.
+      this._sensorGroups().forEach(([group]) => {
+        group.Sensors.forEach((sensor) => {
+          sensor.on( 'result_changed',   this._mySensorResultRelayCB);
+          sensor.on( 'distance_changed', this._mySensorDistanceChangedCB);
+          sensor.on( 'health_changed',   this._mySensorHealthRelayCB);
+        });
+      });
 
       // Now start the detection sensors.
       await this._openSensor.Start();
       await this._closedSensor.Start();
+      if (this._vehicleSensor != undefined) {
+        await this._vehicleSensor.Start();
+      }
     })
     .then(async () => {
       // Get the current door state and update the indicator.
       this._currentDoorState = this._determineDoorState();
+      if ((this._openSensor.Result   === modSensorCommon.SENSOR_RESULT.UNKNOWN) &&
+          (this._closedSensor.Result === modSensorCommon.SENSOR_RESULT.UNKNOWN) &&
+          (this._restoredDoorState != undefined)) {
+        // None of the sensors are reporting. Assume the door has not moved since it was last known.
+        _debug(`Door ${this.Name}: Sensors inconclusive. Using restored state: ${this._restoredDoorState}`);
+        this._currentDoorState = this._restoredDoorState;
+      }
+      if (this._currentDoorState !== this._restoredDoorState) {
+        this._lastStateChangeTime = Date.now();
+      }
+      // Flag contradictory sensors.
+      if (this._sensorsConflict()) {
+        this._setFault(DOOR_FAULT.SENSOR_CONFLICT);
+      }
+      // The door is initially targeting the state it is in.
+      this._targetDoorState  = this._determineTargetState(this._currentDoorState);
       _debug(`Door ${this.Name} is: ${this.DoorState}`);
       // Illuminate the Indicator LED if the Door is open.
-      await _gpiop.write(this._gpioChanStateIndicator, this.DoorOpen);
+      await this._gpio.Write(this._gpioChanStateIndicator, this.DoorOpen);
       // Register for state change events for all input channels.
-      _gpio.on( 'change', this._myStateChangeCB );
+      this._gpio.on( 'change', this._myStateChangeCB );
 
       // Indicate that the door is now initialized and ready to operate.
       this._initialized = true;
+
+      // A door that is already open may need to be closed.
+      this._autoCloseDoorStateChanged(DOOR_STATE.UNKNOWN, this.DoorState);
+
+      // Track the position of the door, which changes as the door travels and as it is measured.
+      this._updatePosition();
+      if (this._positionTimerId == undefined) {
+        this._positionTimerId = setInterval((() => { this._updatePosition(); }), _POSITION_UPDATE_INTERVAL);
+      }
     })
     .catch((err) => {
       _debug(`Init Error(Door:${this.Name}): ${err.toString()}`);
@@ -257,6 +521,33 @@ class DoorController extends EventEmitter {
     return this._currentDoorState;
   }
 
+  /* ========================================================================
+     Description: Property for Target Door State
+
+     Parameters:  None
+
+     Return:      Target Door State: DOOR_STATE.OPEN, DOOR_STATE.CLOSED, or DOOR_STATE.UNKNOWN
+     ======================================================================= */
+  get TargetDoorState() {
+    return this._targetDoorState;
+  }
+
+  /* ========================================================================
+     Description: Property for Target Door State
+
+     Parameters:  targetState: DOOR_STATE.OPEN or DOOR_STATE.CLOSED
+
+     Return:      None
+
+     Remarks:     Only records the target. Does not activate the door.
+     ======================================================================= */
+  set TargetDoorState(targetState) {
+    if ((targetState === DOOR_STATE.OPEN) ||
+        (targetState === DOOR_STATE.CLOSED)) {
+      this._targetDoorState = targetState;
+    }
+  }
+
   /* ========================================================================
      Description: Property for Door State
 
@@ -278,7 +569,266 @@ class DoorController extends EventEmitter {
   set DoorLocked(locked) {
     if (typeof(locked) === 'boolean') {
       this._doorLocked = locked;
+
+      // An auto-close blocked by the lock starts over once unlocked.
+      if ((!locked) &&
+          (this._autoCloseStatus === AUTO_CLOSE_STATUS.BLOCKED) &&
+          this.DoorOpen) {
+        this._autoCloseSchedule(this._autoCloseConfig.delay);
+      }
+    }
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the time the door entered its current state.
+
+     Parameters:  None
+
+     Return:      Time (ms since epoch). undefined if not known.
+     ======================================================================= */
+  get LastStateChangeTime() {
+    return this._lastStateChangeTime;
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the readings of the detection sensors.
+
+     Parameters:  None
+
+     Return:      Array of objects with the following fields, one per sensor.
+                  { id:                   Identifier of the sensor.
+                    function:             Detection function of the sensor (OPEN, CLOSE, VEHICLE).
+                    result:               SENSOR_RESULT of the sensor.
+                    health:               SENSOR_HEALTH of the sensor.
+                    reading_age:          Age in seconds of the most recent reading. undefined if none.
+                    error_count:          Number of failed readings.
+                    consecutive_failures: Number of failed readings since the most recent reading.
+                    ...                   Measurements specific to the sensor class. ie: distance (Sonar sensors), angle & percent_open (Tilt sensors)
+                  }
+     ======================================================================= */
+  get SensorReadings() {
+    const readings = [];
+
+    this._sensorGroups().forEach(([group, sensorFunction]) => {
+      group.Sensors.forEach((sensor) => {
+        const reading = {id:                    sensor.Identifier,
+                         function:              sensorFunction,
+                         result:                sensor.Result,
+                         health:                sensor.Health,
+                         reading_age:           sensor.ReadingAge,
+                         error_count:           sensor.ErrorCount,
+                         consecutive_failures:  sensor.ConsecutiveFailures};
+        readings.push(Object.assign(reading, sensor.Measurements));
+      });
+    });
+
+    return readings;
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the health of the door sensors.
+
+     Parameters:  None
+
+     Return:      true if any of the sensors detecting the door state are stale or faulted.
+     ======================================================================= */
+  get SensorFault() {
+    return this._sensorGroups().some(([group, sensorFunction]) => {
+      return ((sensorFunction !== 'VEHICLE') &&
+              group.Sensors.some((sensor) => { return this._sensorFaulted(sensor); }));
+    });
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the presence of a vehicle.
+
+     Parameters:  None
+
+     Return:      SENSOR_RESULT of the vehicle sensor. DETECTED when the vehicle is present.
+                  undefined if the door does not have a vehicle sensor.
+     ======================================================================= */
+  get VehiclePresence() {
+    return ((this._vehicleSensor != undefined) ? this._vehicleSensor.Result : undefined);
+  }
+
+  /* ========================================================================
+     Description: Restore the lock & door state persisted from a prior run.
+
+     Parameters:  locked:    Soft-Lock state of the door.
+                  doorState: Last known DOOR_STATE of the door.
+                  timestamp: Time (ms since epoch) that the door entered the last known state.
+
+     Return:      None
+
+     Remarks:     Intended to be called prior to Start(). The restored lock takes
+                  precedence over the 'soft_locked' configuration. The restored door
+                  state is only used if none of the open/closed sensors have a result
+                  when started.
+     ======================================================================= */
+  RestoreState(locked, doorState, timestamp) {
+    if (typeof(locked) === 'boolean') {
+      this._doorLocked = locked;
+    }
+    if (((doorState === DOOR_STATE.OPEN) || (doorState === DOOR_STATE.CLOSED)) &&
+        (typeof(timestamp) === 'number')) {
+      this._restoredDoorState   = doorState;
+      this._lastStateChangeTime = timestamp;
+    }
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for Door Obstructed
+
+     Parameters:  None
+
+     Return:      true if the door is obstructed. false otherwise.
+     ======================================================================= */
+  get Obstructed() {
+    return (this._doorFault !== DOOR_FAULT.NONE);
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the Door Fault
+
+     Parameters:  None
+
+     Return:      DOOR_FAULT responsible for the obstruction. DOOR_FAULT.NONE if not obstructed.
+     ======================================================================= */
+  get Fault() {
+    return this._doorFault;
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the Door Travel Profile
+
+     Parameters:  None
+
+     Return:      Object with 'opening' and 'closing' fields specifying the average
+                  time in milliseconds for the door to travel. undefined if not yet measured.
+     ======================================================================= */
+  get TravelProfile() {
+    return { opening: this._averageTravelTime(DOOR_STATE.OPENING),
+             closing: this._averageTravelTime(DOOR_STATE.CLOSING) };
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the estimated Door Position
+
+     Parameters:  None
+
+     Return:      Position of the door, 0 (closed) to 100 (open) percent. undefined if not known.
+
+     Remarks:     The position measured by the position sensor is used when available.
+                  Otherwise the position is interpolated from the learned travel time
+                  while the door travels, and held when the door is stopped part-way.
+     ======================================================================= */
+  get Position() {
+    let position = this._measuredPosition();
+
+    if (position == undefined) {
+      switch (this.DoorState) {
+        case DOOR_STATE.OPEN:
+        {
+          position = _POSITION_OPEN;
+        }
+        break;
+
+        case DOOR_STATE.CLOSED:
+        {
+          position = _POSITION_CLOSED;
+        }
+        break;
+
+        case DOOR_STATE.OPENING:
+        // Break intentionally missing.
+        case DOOR_STATE.CLOSING:
+        {
+          position = this._interpolatedPosition();
+        }
+        break;
+
+        case DOOR_STATE.UNKNOWN:
+        // Break intentionally missing.
+        default:
+        {
+          position = this._heldPosition;
+        }
+        break;
+      }
+    }
+
+    return ((position != undefined) ? Math.round(position) : undefined);
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the Door Activation Timeout
+
+     Parameters:  None
+
+     Return:      Time in milliseconds allowed for an activation of the door, from its current state, to complete.
+     ======================================================================= */
+  get ActivationTimeout() {
+    let timeout = _DOOR_ACTIVATION_TIMEOUT;
+
+    if (this._activationTimeout != undefined) {
+      // Use the configured timeout.
+      timeout = this._activationTimeout;
+    }
+    else {
+      // Expect the door to travel away from its current state.
+      const profile = this.TravelProfile;
+      let travelTime = undefined;
+      switch (this.DoorState) {
+        case DOOR_STATE.CLOSED:
+        {
+          travelTime = profile.opening;
+        }
+        break;
+
+        case DOOR_STATE.OPEN:
+        {
+          travelTime = profile.closing;
+        }
+        break;
+
+        default:
+        {
+          // Direction is not known. Allow for the slower direction.
+          if ((profile.opening != undefined) && (profile.closing != undefined)) {
+            travelTime = Math.max(profile.opening, profile.closing);
+          }
+        }
+        break;
+      }
+
+      if (travelTime != undefined) {
+        timeout = Math.max(_MINIMUM_ACTIVATION_TIMEOUT, travelTime * _ACTIVATION_TIMEOUT_FACTOR);
+      }
     }
+
+    return timeout;
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the Auto-Close Status
+
+     Parameters:  None
+
+     Return:      AUTO_CLOSE_STATUS
+     ======================================================================= */
+  get AutoCloseStatus() {
+    return this._autoCloseStatus;
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the Auto-Close Time
+
+     Parameters:  None
+
+     Return:      Time (ms since epoch) the door is scheduled to be closed. undefined if not scheduled.
+     ======================================================================= */
+  get AutoCloseTime() {
+    return this._autoCloseTime;
   }
 
   /* ========================================================================
@@ -298,9 +848,9 @@ class DoorController extends EventEmitter {
 
         for (let count=0; count < IDENTIFICATION_TOGGLE_CYCLES; count++) {
           // Get the current LED State.
-          const ledState = await _gpiop.read(this._gpioChanStateIndicator);
+          const ledState = await this._gpio.Read(this._gpioChanStateIndicator);
           // Update the Door Status LED for idenfification
-          await _gpiop.write(this._gpioChanStateIndicator, !ledState);
+          await this._gpio.Write(this._gpioChanStateIndicator, !ledState);
           await _delay(_DOOR_IDENTIFICATION_TOGGLE_TIMEOUT);
         }
 
@@ -315,15 +865,127 @@ class DoorController extends EventEmitter {
   /* ========================================================================
      Description: Activate the door (public accessor)
 
-     Parameters:  None
+     Parameters:  source: (Optional) ACTIVATION_SOURCE of the request. Default: REQUEST
 
-     Return:      None
+     Return:      true if the door was activated. false if not initialized or locked.
      ======================================================================== */
-  ActivateDoor() {
+  ActivateDoor(source) {
 
     // Invoke door activation, indicating that the door needs to be unlocked.
-    this._doActivateDoor(false);
+    return this._doActivateDoor(false, (Object.values(ACTIVATION_SOURCE).includes(source) ? source : ACTIVATION_SOURCE.REQUEST));
+
+  }
+
+  /* ========================================================================
+     Description: Move the door to a position (public accessor)
+
+     Parameters:  position: Requested position, 0 (closed) to 100 (open) percent.
+                  source:   (Optional) ACTIVATION_SOURCE of the request. Default: REQUEST
+
+     Return:      Promise. Resolves true if the door reached the requested position. false otherwise.
+
+     Remarks:     The door must be open, closed, or stopped part-way, and not locked. Once
+                  activated, the door is stopped by activating it again when its position,
+                  measured or interpolated from the learned travel time, reaches the requested
+                  position. The position is verified once the door has come to rest.
+                  A door stopped part-way reverses the direction of its last travel when
+                  activated. Should that be away from the requested position, the door is
+                  stopped once it starts, and activated again to reverse it.
+                  A later move or target state request supersedes a request in progress.
+     ======================================================================== */
+  async MoveToPosition(position, source) {
+    const moveSource = (Object.values(ACTIVATION_SOURCE).includes(source) ? source : ACTIVATION_SOURCE.REQUEST);
+    const startPosition = this.Position;
+    // The door travels towards the requested position.
+    const travel = (((typeof(position) === 'number') && (startPosition != undefined)) ?
+                    ((position > startPosition) ? DOOR_STATE.OPENING : DOOR_STATE.CLOSING) : undefined);
+    // The direction the door travels when next activated.
+    const nextTravel = this._nextTravel();
+    let reached = false;
+
+    if ((typeof(position) !== 'number') ||
+        (position < _POSITION_CLOSED) || (position > _POSITION_OPEN)) {
+      _debug(`Door (${this.Name}): Invalid position requested. Position:${position}`);
+    }
+    else if ((startPosition != undefined) &&
+             (Math.abs(startPosition - position) <= _MOVE_POSITION_TOLERANCE)) {
+      // Already at the requested position.
+      reached = true;
+    }
+    else if ((travel == undefined) || (nextTravel == undefined) ||
+             ((nextTravel !== travel) && (this.DoorState !== DOOR_STATE.UNKNOWN)) ||
+             (((this._averageTravelTime(travel) == undefined) || (this._averageTravelTime(nextTravel) == undefined)) &&
+              (this._measuredPosition() == undefined))) {
+      _debug(`Door (${this.Name}): Cannot move to ${position}%. State:${this.DoorState} Position:${startPosition} Travel:${nextTravel}`);
+    }
+    else if (this._doActivateDoor(false, moveSource)) {
+      // Supersede any request in progress, now that the door has been activated.
+      const requestId = ++this._requestId;
+      let moving = true;
+
+      if (this.DoorState === DOOR_STATE.UNKNOWN) {
+        // The sensors do not detect a door leaving a part-way position. Assume that it travels as expected.
+        this._updateDoorState(nextTravel, STATE_CHANGE_CAUSE.ACTIVATION);
+      }
+      if (nextTravel !== travel) {
+        // The door travels away from the requested position. Stop it, and reverse it.
+        moving = await this._reverseTravel(requestId, nextTravel, moveSource);
+      }
+
+      if (moving) {
+        _debug(`Door (${this.Name}): Moving to ${position}%.`);
+        reached = await this._trackMove(requestId, travel, position, moveSource);
+      }
+    }
+
+    // Alert interested clients, asynchronously
+    setTimeout((caller, targetPosition, finalPosition, success) => {
+      caller.emit('move_completed', targetPosition, finalPosition, success, caller);
+    }, 0, this, position, this.Position, reached);
+
+    return reached;
+  }
+
+  /* ========================================================================
+     Description: Drive the door to a target state (public accessor)
+
+     Parameters:  targetState: DOOR_STATE.OPEN or DOOR_STATE.CLOSED
+                  source:      (Optional) ACTIVATION_SOURCE of the request. Default: REQUEST
+
+     Return:      Promise. Resolves true if the door reached the target state. false otherwise.
+
+     Remarks:     Activating the door only toggles the opener. The door is activated, and its
+                  direction watched, until it reaches the target state. The door is activated
+                  again if it moves the wrong way or stops, up to _MAXIMUM_TARGET_ATTEMPTS times.
+                  A door that reverses, such as when obstructed, is not activated again.
+                  A later request supersedes a request in progress.
+     ======================================================================== */
+  async SetTargetState(targetState, source) {
+    const requestSource = (Object.values(ACTIVATION_SOURCE).includes(source) ? source : ACTIVATION_SOURCE.REQUEST);
+    let result = {reached:false, attempts:0};
+
+    if ((targetState !== DOOR_STATE.OPEN) &&
+        (targetState !== DOOR_STATE.CLOSED)) {
+      _debug(`Door (${this.Name}): Invalid target state requested. Target:${targetState}`);
+    }
+    else if ((!this.Initialized) || this.DoorLocked) {
+      // The target is left as-is, as the door cannot be activated.
+      _debug(`Door (${this.Name}): Cannot target ${targetState}. Initialized:${this.Initialized} Locked:${this.DoorLocked}`);
+    }
+    else {
+      _debug(`Door (${this.Name}): Target state ${targetState} requested. Door is ${this.DoorState}`);
+
+      // Supersede any request in progress, now that the request is accepted.
+      const requestId = ++this._requestId;
+      result = await this._trackTargetState(requestId, targetState, requestSource);
+    }
+
+    // Alert interested clients, asynchronously
+    setTimeout((caller, target, success, attempts) => {
+      caller.emit('target_state_completed', target, success, attempts, caller);
+    }, 0, this, targetState, result.reached, result.attempts);
 
+    return result.reached;
   }
 
   /* ========================================================================
@@ -353,71 +1015,283 @@ class DoorController extends EventEmitter {
 
      Parameters:  overrideLock: Flag indicating if the door activation should
                                 override the lock.
+                  source:       ACTIVATION_SOURCE of the request.
 
-     Return:      None
+     Return:      true if the door was activated. false if not initialized or locked.
      ======================================================================== */
-   _doActivateDoor(overrideLock) {
+   _doActivateDoor(overrideLock, source) {
     // The door activates with an active low signal.
     const ACTIVATE_RELAY = false;
 
+    const accepted = (this.Initialized &&
+                      ((!this.DoorLocked) || overrideLock));
+
+    // Alert interested clients, asynchronously
+    setTimeout((caller, requestSource, activated) => {
+      caller.emit('activation_requested', requestSource, activated, caller);
+    }, 0, this, source, accepted);
+
     // Is the object initialized ?
-    if (this.Initialized &&
-        ((!this.DoorLocked) || overrideLock))
+    if (accepted)
     {
       _debug(`Activating Door: ${this.Name}`);
 
+      // Activating a travelling door stops it part-way. Hold its position until it travels again.
+      if ((this.DoorState === DOOR_STATE.OPENING) ||
+          (this.DoorState === DOOR_STATE.CLOSING)) {
+        this._heldPosition = this.Position;
+        _debug(`Door (${this.Name}): Stopped while ${this.DoorState}. Position:${this._heldPosition}`);
+        this._updateDoorState(DOOR_STATE.UNKNOWN, STATE_CHANGE_CAUSE.ACTIVATION);
+      }
+
       /* Clear the activation watchdog */
       if (this._doorActivationWatchdogId != undefined) {
         clearTimeout(this._doorActivationWatchdogId );
       }
 
       // Activate the relay.
-      _gpiop.write(this._gpioChanCtrlRequest, ACTIVATE_RELAY)
+      this._gpio.Write(this._gpioChanCtrlRequest, ACTIVATE_RELAY)
       .then(() => {
         // Once active, deactivate the relay after the appropriate delay.
-        return setTimeout(_gpiop.write, _DOOR_CTRL_REQ_TIME, this._gpioChanCtrlRequest, !ACTIVATE_RELAY);
+        return setTimeout(((channel, value) => {
+          this._gpio.Write(channel, value)
+          .catch((error) => {
+            _debug(`(${this.Name}) Door Release Error: ${error.toString()}`);
+          });
+        }), _DOOR_CTRL_REQ_TIME, this._gpioChanCtrlRequest, !ACTIVATE_RELAY);
       })
       .catch((error) => {
         _debug(`(${this.Name}) Door Request Error: ${error.toString()}`);
       });
 
       // Once activated, set a watchdog in case the door does not respond.
-      this._doorActivationWatchdogId = setTimeout( ((oldDoorState) => { this._updateDoorState(oldDoorState); }), _DOOR_ACTIVATION_TIMEOUT, this.DoorState );
+      this._doorActivationWatchdogId = setTimeout( ((oldDoorState) => { this._activationExpired(oldDoorState); }), this.ActivationTimeout, this.DoorState );
     }
     else {
       _debug(`Door ${this.Name}: Cannot activate door. Not initialized or is locked. Initialized:${this.Initialized} Locked:${this.DoorLocked}`);
     }
+
+    return accepted;
   }
 
   /* ========================================================================
-     Description: Event handler for State Change events on GPIO Inputs
-
-     Parameters:  channel: GPIO Channel for the event.
-                  value:   Value of the GPIO Input
-
-     Return:      None
+     Description: Helper to activate the door, and watch its direction, until it
+                  reaches a target state.
+
+     Parameters:  requestId:   Identifier of the target state request.
+                  targetState: DOOR_STATE.OPEN or DOOR_STATE.CLOSED
+                  source:      ACTIVATION_SOURCE of the request.
+
+     Return:      Promise. Resolves {reached, attempts}. reached is true if the door
+                  reached the target state. attempts is the number of activations made.
+
+     Remarks:     The door is activated when it is at rest in the other state, stopped,
+                  travelling the wrong way, or has not responded to the last activation
+                  within the activation timeout. The direction of a stopped door is only
+                  known from the sensors once it reaches the end of its travel, unless its
+                  position is measured. Should the door refuse the first activation, the
+                  prior target is restored.
      ======================================================================== */
-  _stateChange(channel, value) {
-    switch (channel) {
-      case (this._gpioManualCtrlRequest) :
-      {
-        /* The Control Request switch was configured for rising edge detection.
-           Therefore, we can assume we can activate the door on any state change notification */
-        if (this._debounceTimerIdDoorCntrl != undefined) {
-          clearTimeout(this._debounceTimerIdDoorCntrl );
-        }
-
-        // Schedule a new debounce timout and cache the timer id
-        this._debounceTimerIdDoorCntrl = setTimeout( (() => { this._doActivateDoor(true); }), _DOOR_CNTRL_SWITCH_DEBOUNCE );
+  async _trackTargetState(requestId, targetState, source) {
+    const travel      = ((targetState === DOOR_STATE.OPEN) ? DOOR_STATE.OPENING : DOOR_STATE.CLOSING);
+    const startTime   = Date.now();
+    const priorTarget = this.TargetDoorState;
+    let lastState     = this.DoorState;
+    let lastPulse     = undefined;
+    let attempts      = 0;
+    let reached       = undefined;
+
+    this.TargetDoorState = targetState;
+
+    while (reached == undefined) {
+      const doorState  = this.DoorState;
+      // A door that returns to the end of travel that it was leaving reversed, such as when obstructed.
+      const reversed   = (((lastState === DOOR_STATE.CLOSING) && (doorState === DOOR_STATE.OPEN)) ||
+                          ((lastState === DOOR_STATE.OPENING) && (doorState === DOOR_STATE.CLOSED)));
+      const sincePulse = Date.now() - ((lastPulse != undefined) ? lastPulse.time : startTime);
+      // A door with a measured position is moving the wrong way when it moves away from the target.
+      const position   = this._measuredPosition();
+      const wrongWay   = ((lastPulse != undefined) && (position != undefined) && (lastPulse.position != undefined) &&
+                          (((targetState === DOOR_STATE.OPEN)   && (position < (lastPulse.position - _MOVE_POSITION_TOLERANCE))) ||
+                           ((targetState === DOOR_STATE.CLOSED) && (position > (lastPulse.position + _MOVE_POSITION_TOLERANCE)))));
+
+      if ((requestId !== this._requestId) || (!this.Initialized)) {
+        _debug(`Door (${this.Name}): Target state ${targetState} abandoned. Initialized:${this.Initialized}`);
+        reached = false;
       }
-      break;
-
-      default:
-      {
-        _debug(`Door (${this.Name}) Unhandled State Change. Chan:${channel} Val:${value}`);
+      else if (doorState === targetState) {
+        reached = true;
       }
-      break;
-    }
+      else if (reversed) {
+        // Do not fight a door that reversed, as it may be obstructed.
+        _debug(`Door (${this.Name}): Door reversed. Target state ${targetState} abandoned.`);
+        reached = false;
+      }
+      else if ((lastPulse != undefined) && (sincePulse < _TARGET_ACTIVATION_SPACING)) {
+        // Allow the door to respond to the last activation.
+      }
+      else if (((doorState === DOOR_STATE.OPEN) || (doorState === DOOR_STATE.CLOSED)) &&
+               (this.LastStateChangeTime != undefined) && ((Date.now() - this.LastStateChangeTime) < _MOVE_SETTLE_TIME)) {
+        // The door may still be travelling once detected. Allow it to come to rest.
+      }
+      else if ((!wrongWay) && (sincePulse < this.ActivationTimeout) &&
+               ((doorState === travel) || ((lastPulse != undefined) && (!lastPulse.stop) && (doorState === lastPulse.state)))) {
+        // The door is travelling towards the target, or has yet to respond to the last activation.
+      }
+      else if (attempts >= _MAXIMUM_TARGET_ATTEMPTS) {
+        _debug(`Door (${this.Name}): Target state ${targetState} not reached after ${attempts} attempts. Door is ${doorState}`);
+        reached = false;
+      }
+      else {
+        // The door is at rest in the other state, stopped, or travelling the wrong way. Activate it (again).
+        _debug(`Door (${this.Name}): Activating towards ${targetState}. Attempt:${attempts + 1} Door is ${doorState} WrongWay:${wrongWay}`);
+
+        // A door moving the wrong way is stopped by the activation. It is reversed by the next activation.
+        const stop = (wrongWay || (doorState === DOOR_STATE.OPENING) || (doorState === DOOR_STATE.CLOSING));
+        lastPulse = {time:Date.now(), state:doorState, position:position, stop:stop};
+        if (this._doActivateDoor(false, source)) {
+          attempts++;
+        }
+        else {
+          // Not initialized or locked.
+          if (attempts === 0) {
+            this._targetDoorState = priorTarget;
+          }
+          reached = false;
+        }
+      }
+      lastState = doorState;
+
+      if (reached == undefined) {
+        await _delay(_TARGET_POLL_INTERVAL);
+      }
+    }
+
+    return {reached:reached, attempts:attempts};
+  }
+
+  /* ========================================================================
+     Description: Helper to reverse a door that travels away from a requested position.
+
+     Parameters:  requestId: Identifier of the move request.
+                  travel:    DOOR_STATE.OPENING or DOOR_STATE.CLOSING, the direction of travel
+                             to be reversed.
+                  source:    ACTIVATION_SOURCE of the request.
+
+     Return:      Promise. Resolves true if the door travels in the reverse direction.
+
+     Remarks:     The door is stopped once it has started, and then activated again.
+                  A door stopped part-way reverses the direction of its last travel.
+     ======================================================================== */
+  async _reverseTravel(requestId, travel, source) {
+    const reverse = ((travel === DOOR_STATE.OPENING) ? DOOR_STATE.CLOSING : DOOR_STATE.OPENING);
+    let reversed = false;
+
+    // Allow the door to start, before stopping it.
+    await _delay(_TARGET_ACTIVATION_SPACING);
+    if ((requestId === this._requestId) && (this.DoorState === travel) &&
+        this._doActivateDoor(false, source)) {
+      // Allow the door to come to rest, before reversing it.
+      await _delay(_TARGET_ACTIVATION_SPACING);
+      if ((requestId === this._requestId) && (this._nextTravel() === reverse) &&
+          this._doActivateDoor(false, source)) {
+        // The sensors do not detect a door leaving a part-way position. Assume that it travels as expected.
+        this._updateDoorState(reverse, STATE_CHANGE_CAUSE.ACTIVATION);
+        reversed = true;
+      }
+    }
+
+    _debug(`Door (${this.Name}): Reversed from ${travel}: ${reversed}`);
+
+    return reversed;
+  }
+
+  /* ========================================================================
+     Description: Helper to track the door as it moves to a requested position,
+                  stopping it once the position is reached.
+
+     Parameters:  requestId:      Identifier of the move request.
+                  travel:         DOOR_STATE.OPENING or DOOR_STATE.CLOSING
+                  targetPosition: Requested position, 0 (closed) to 100 (open) percent.
+                  source:         ACTIVATION_SOURCE of the request.
+
+     Return:      Promise. Resolves true if the door came to rest at the requested position.
+
+     Remarks:     Tracking ends when the door is stopped, when the door reaches the end of
+                  its travel or is stopped by other means, when the activation times out,
+                  or when the request is superseded.
+     ======================================================================== */
+  async _trackMove(requestId, travel, targetPosition, source) {
+    const startState  = this.DoorState;
+    const endPosition = ((travel === DOOR_STATE.OPENING) ? _POSITION_OPEN : _POSITION_CLOSED);
+    const deadline    = Date.now() + this.ActivationTimeout;
+    let stopped = false;
+    let moving  = true;
+
+    while (moving) {
+      await _delay(_MOVE_POLL_INTERVAL);
+
+      const position = this.Position;
+      if ((requestId !== this._requestId) || (!this.Initialized) || (Date.now() > deadline)) {
+        _debug(`Door (${this.Name}): Move to ${targetPosition}% abandoned. Initialized:${this.Initialized}`);
+        moving = false;
+      }
+      else if (this.DoorState === travel) {
+        // Stop the door once it reaches the requested position. The end of travel is detected by the sensors.
+        if ((targetPosition !== endPosition) && (position != undefined) &&
+            (((travel === DOOR_STATE.OPENING) && (position >= targetPosition)) ||
+             ((travel === DOOR_STATE.CLOSING) && (position <= targetPosition)))) {
+          stopped = this._doActivateDoor(true, source);
+          moving  = false;
+        }
+      }
+      else if (this.DoorState !== startState) {
+        // The door reached the end of its travel, or was stopped by other means.
+        moving = false;
+      }
+    }
+
+    if (stopped) {
+      // Allow the door to come to rest before verifying its position.
+      await _delay(_MOVE_SETTLE_TIME);
+    }
+
+    const finalPosition = this.Position;
+    const reached = ((finalPosition != undefined) && (Math.abs(finalPosition - targetPosition) <= _MOVE_POSITION_TOLERANCE));
+    _debug(`Door (${this.Name}): Move to ${targetPosition}% completed. Position:${finalPosition} Reached:${reached}`);
+
+    return reached;
+  }
+
+  /* ========================================================================
+     Description: Event handler for State Change events on GPIO Inputs
+
+     Parameters:  channel: GPIO Channel for the event.
+                  value:   Value of the GPIO Input
+
+     Return:      None
+     ======================================================================== */
+  _stateChange(channel, value) {
+    switch (channel) {
+      case (this._gpioManualCtrlRequest) :
+      {
+        /* The Control Request switch was configured for rising edge detection.
+           Therefore, we can assume we can activate the door on any state change notification */
+        if (this._debounceTimerIdDoorCntrl != undefined) {
+          clearTimeout(this._debounceTimerIdDoorCntrl );
+        }
+
+        // Schedule a new debounce timout and cache the timer id
+        this._debounceTimerIdDoorCntrl = setTimeout( (() => { this._doActivateDoor(true, ACTIVATION_SOURCE.MANUAL); }), _DOOR_CNTRL_SWITCH_DEBOUNCE );
+      }
+      break;
+
+      default:
+      {
+        _debug(`Door (${this.Name}) Unhandled State Change. Chan:${channel} Val:${value}`);
+      }
+      break;
+    }
   }
 
   /* ========================================================================
@@ -425,7 +1299,7 @@ class DoorController extends EventEmitter {
 
      Parameters:  oldResult: Prior sensor result.
                   newResult: Current sensor result.
-                  context:   Reference to the sensor object raising the event.
+                  context:   Reference to the sensor group raising the event.
 
      Return:      None
      ======================================================================== */
@@ -433,12 +1307,97 @@ class DoorController extends EventEmitter {
     // Compute the new door state
     const newDoorState = this._determineDoorState();
 
+    // Flag contradictory sensors.
+    if (this._sensorsConflict()) {
+      this._setFault(DOOR_FAULT.SENSOR_CONFLICT);
+    }
+
     _debug(`Door (${this.Name}): Sensor ${context.Identifier} result changed. Old:${oldResult} New:${newResult} OldDoorState:${this.DoorState} NewDoorState:${newDoorState}`);
 
     // Update the Door State.
     this._updateDoorState(newDoorState);
   }
 
+  /* ========================================================================
+     Description: Event handler for Vehicle Sensor Result Changed events
+
+     Parameters:  oldResult: Prior SENSOR_RESULT.
+                  newResult: Current SENSOR_RESULT.
+                  context:   Reference to the sensor group raising the event.
+
+     Return:      None
+
+     Remarks:     The vehicle sensor has no bearing on the door state.
+     ======================================================================== */
+  _vehicleSensorResultChanged(oldResult, newResult, context) {
+    _debug(`Door (${this.Name}): Vehicle sensor result changed. Old:${oldResult} New:${newResult}`);
+
+    // Alert interested clients, asynchronously
+    setTimeout((caller, result) => {
+      caller.emit('vehicle_presence_changed', result, caller);
+    }, 0, this, newResult);
+  }
+
+  /* ========================================================================
+     Description: Event handler for the Result Changed events of the individual
+                  detection sensors.
+
+     Parameters:  oldResult: Prior SENSOR_RESULT.
+                  newResult: Current SENSOR_RESULT.
+                  context:   Reference to the sensor object raising the event.
+
+     Return:      None
+
+     Remarks:     The door state follows the combined result of the sensor groups.
+     ======================================================================== */
+  _sensorResultRelay(oldResult, newResult, context) {
+    // Alert interested clients, asynchronously
+    setTimeout((caller, sensorId, previousResult, result) => {
+      caller.emit('sensor_result_changed', sensorId, previousResult, result, caller);
+    }, 0, this, context.Identifier, oldResult, newResult);
+  }
+
+  /* ========================================================================
+     Description: Event handler for the Health Changed events of the individual
+                  detection sensors.
+
+     Parameters:  oldHealth: Prior SENSOR_HEALTH.
+                  newHealth: Current SENSOR_HEALTH.
+                  context:   Reference to the sensor object raising the event.
+
+     Return:      None
+
+     Remarks:     Unhealthy sensors report an UNKNOWN result, which is reflected
+                  in the door state.
+     ======================================================================== */
+  _sensorHealthRelay(oldHealth, newHealth, context) {
+    _debug(`Door (${this.Name}): Sensor ${context.Identifier} health changed. Old:${oldHealth} New:${newHealth}`);
+
+    // Alert interested clients, asynchronously
+    setTimeout((caller, sensorId, previousHealth, health) => {
+      caller.emit('sensor_health_changed', sensorId, previousHealth, health, caller);
+    }, 0, this, context.Identifier, oldHealth, newHealth);
+  }
+
+  /* ========================================================================
+     Description: Event handler for Sonar Sensor Distance Changed events
+
+     Parameters:  oldDistance: Prior distance in meters.
+                  newDistance: Current distance in meters.
+                  context:     Reference to the sensor object raising the event.
+
+     Return:      None
+     ======================================================================== */
+  _sensorDistanceChanged(oldDistance, newDistance, context) {
+    // Sonar sensors report a negative distance until a distance has been measured.
+    const previousDistance = ((oldDistance >= 0.0) ? oldDistance : undefined);
+
+    // Alert interested clients, asynchronously
+    setTimeout((caller, sensorId, distanceOld, distanceNew) => {
+      caller.emit('sensor_distance_changed', sensorId, distanceOld, distanceNew, caller);
+    }, 0, this, context.Identifier, previousDistance, newDistance);
+  }
+
   /* ========================================================================
      Description: Event handler for Detection Sensor Result Changed events
 
@@ -542,33 +1501,660 @@ class DoorController extends EventEmitter {
     return doorState;
   }
 
+  /* ========================================================================
+     Description: Handler for the expiry of the door activation watchdog.
+
+     Parameters:  oldDoorState: Door State when the door was activated.
+
+     Return:      None
+
+     Remarks:     A door that started, but did not complete, its travel is
+                  obstructed and its position is unknown. Otherwise the door
+                  did not respond and reverts to the state prior to activation.
+     ======================================================================== */
+  _activationExpired(oldDoorState) {
+    this._doorActivationWatchdogId = undefined;
+
+    if ((this.DoorState === DOOR_STATE.OPENING) ||
+        (this.DoorState === DOOR_STATE.CLOSING)) {
+      _debug(`Door (${this.Name}): Activation timed out while ${this.DoorState}.`);
+
+      // The door stopped part-way. Hold its estimated position.
+      this._heldPosition = this.Position;
+      this._setFault(DOOR_FAULT.ACTIVATION_TIMEOUT);
+      this._updateDoorState(DOOR_STATE.UNKNOWN, STATE_CHANGE_CAUSE.WATCHDOG);
+    }
+    else {
+      this._updateDoorState(oldDoorState, STATE_CHANGE_CAUSE.WATCHDOG);
+    }
+
+    // An activation to auto-close the door did not succeed.
+    if (this._autoCloseStatus === AUTO_CLOSE_STATUS.ACTIVATING) {
+      this._autoCloseAttemptFailed();
+    }
+  }
+
+  /* ========================================================================
+     Description: Helper to record a door travel time in the travel profile.
+
+     Parameters:  travel:     DOOR_STATE.OPENING or DOOR_STATE.CLOSING
+                  travelTime: Time in milliseconds taken by the door to travel.
+
+     Return:      None
+     ======================================================================== */
+  _recordTravelTime(travel, travelTime) {
+    const travelTimes = this._travelProfile.get(travel);
+
+    if (travelTimes != undefined) {
+      travelTimes.push(travelTime);
+      // Retain only the most recent measurements.
+      while (travelTimes.length > _TRAVEL_PROFILE_SIZE) {
+        travelTimes.shift();
+      }
+      _debug(`Door (${this.Name}): ${travel} took ${travelTime}ms. Average:${this._averageTravelTime(travel)}ms`);
+    }
+  }
+
+  /* ========================================================================
+     Description: Helper to compute the average door travel time.
+
+     Parameters:  travel: DOOR_STATE.OPENING or DOOR_STATE.CLOSING
+
+     Return:      Average time in milliseconds. undefined if not yet measured.
+     ======================================================================== */
+  _averageTravelTime(travel) {
+    let average = undefined;
+
+    const travelTimes = this._travelProfile.get(travel);
+    if ((travelTimes != undefined) && (travelTimes.length > 0)) {
+      average = travelTimes.reduce((sum, travelTime) => { return (sum + travelTime); }, 0) / travelTimes.length;
+    }
+
+    return average;
+  }
+
+  /* ========================================================================
+     Description: Helper to list the sensor groups of the door.
+
+     Parameters:  None
+
+     Return:      Array of [SensorGroup, detection function] pairs.
+     ======================================================================== */
+  _sensorGroups() {
+    const groups = [[this._openSensor, 'OPEN'], [this._closedSensor, 'CLOSE']];
+    if (this._vehicleSensor != undefined) {
+      groups.push([this._vehicleSensor, 'VEHICLE']);
+    }
+
+    return groups;
+  }
+
+  /* ========================================================================
+     Description: Helper to determine if a detection sensor is faulted.
+
+     Parameters:  sensor: Detection sensor (SensorBase)
+
+     Return:      true if the sensor is stale or faulted.
+     ======================================================================== */
+  _sensorFaulted(sensor) {
+    return ((sensor.Health === modSensorCommon.SENSOR_HEALTH.STALE) ||
+            (sensor.Health === modSensorCommon.SENSOR_HEALTH.FAULT));
+  }
+
+  /* ========================================================================
+     Description: Helper to determine if the detection sensors contradict
+                  each other.
+
+     Parameters:  None
+
+     Return:      true if the door is detected as both open and closed.
+     ======================================================================== */
+  _sensorsConflict() {
+    return ((this._openSensor.Result   === modSensorCommon.SENSOR_RESULT.DETECTED) &&
+            (this._closedSensor.Result === modSensorCommon.SENSOR_RESULT.DETECTED));
+  }
+
+  /* ========================================================================
+     Description: Helper to update the door fault and notify clients of the
+                  'obstruction_changed' event.
+
+     Parameters:  fault: DOOR_FAULT
+
+     Return:      None
+     ======================================================================== */
+  _setFault(fault) {
+    const lastFault = this._doorFault;
+
+    this._doorFault = fault;
+
+    if (lastFault !== fault) {
+      _debug(`Door (${this.Name}): Fault changed. Old:${lastFault} New:${fault}`);
+
+      // Alert interested clients, asynchronously
+      setTimeout((caller, obstructed, newFault) => {
+        caller.emit('obstruction_changed', obstructed, newFault, caller);
+      }, 0, this, this.Obstructed, this._doorFault);
+    }
+  }
+
+  /* ========================================================================
+     Description: Helper to determine the target state implied by a door state.
+
+     Parameters:  doorState: Door State.
+
+     Return:      Target Door State. The current target if not implied by the door state.
+       ======================================================================== */
+  _determineTargetState(doorState) {
+    let targetState = this.TargetDoorState;
+
+    switch (doorState) {
+      case DOOR_STATE.OPEN:
+      // Break intentionally missing.
+      case DOOR_STATE.OPENING:
+      {
+        targetState = DOOR_STATE.OPEN;
+      }
+      break;
+
+      case DOOR_STATE.CLOSED:
+      // Break intentionally missing.
+      case DOOR_STATE.CLOSING:
+      {
+        targetState = DOOR_STATE.CLOSED;
+      }
+      break;
+
+      case DOOR_STATE.UNKNOWN:
+      // Break intentionally missing
+      default:
+      {
+        // No-Op. Leave the target as-is.
+      }
+      break;
+    }
+
+    return targetState;
+  }
+
   /* ========================================================================
      Description: Handler for Door Switch state changes, once debouncing is
                   complete.
 
      Parameters:  newDoorState: Updated Door State.
+                  cause:        (Optional) STATE_CHANGE_CAUSE of the update. Default: SENSOR
 
      Return:      None
      ======================================================================== */
-  _updateDoorState(newDoorState) {
+  _updateDoorState(newDoorState, cause) {
+    const updateCause = (Object.values(STATE_CHANGE_CAUSE).includes(cause) ? cause : STATE_CHANGE_CAUSE.SENSOR);
     // Cache the old state.
     const lastState = this.DoorState;
+    // Did the door reach the end of its travel?
+    const travelComplete = ((newDoorState !== lastState) &&
+                            ((newDoorState === DOOR_STATE.OPEN) || (newDoorState === DOOR_STATE.CLOSED)));
+    // Did the door turn back before reaching its target?
+    const reversed = (((lastState === DOOR_STATE.CLOSING) && (newDoorState === DOOR_STATE.OPEN)   && (this.TargetDoorState === DOOR_STATE.CLOSED)) ||
+                      ((lastState === DOOR_STATE.OPENING) && (newDoorState === DOOR_STATE.CLOSED) && (this.TargetDoorState === DOOR_STATE.OPEN)));
+
     // Update the door state and indicator
     this._currentDoorState = newDoorState;
+    if (newDoorState !== lastState) {
+      this._lastStateChangeTime = Date.now();
+    }
+    // The door may have been operated by other means, so the target follows the door.
+    this._targetDoorState  = this._determineTargetState(newDoorState);
     // Illuminate the Indicator LED if the Door is not closed.
-    _gpiop.write(this._gpioChanStateIndicator, !this.DoorClosed);
+    this._gpio.Write(this._gpioChanStateIndicator, !this.DoorClosed);
+
+    // Measure the door travel.
+    if ((newDoorState !== lastState) &&
+        ((newDoorState === DOOR_STATE.OPENING) || (newDoorState === DOOR_STATE.CLOSING))) {
+      // Travel has started. A door resuming from a part-way position has already covered part of its travel.
+      const travelTime = this._averageTravelTime(newDoorState);
+      const covered    = (((lastState === DOOR_STATE.UNKNOWN) && (this._heldPosition != undefined) && (travelTime != undefined)) ?
+                          ((((newDoorState === DOOR_STATE.OPENING) ? this._heldPosition : (_POSITION_OPEN - this._heldPosition)) / _POSITION_OPEN) * travelTime) : 0);
+      this._travelStartTime = Date.now() - covered;
+      this._lastTravel      = newDoorState;
+    }
+    else if (travelComplete && !reversed && (this._travelStartTime != undefined) &&
+             (((lastState === DOOR_STATE.OPENING) && (newDoorState === DOOR_STATE.OPEN)) ||
+              ((lastState === DOOR_STATE.CLOSING) && (newDoorState === DOOR_STATE.CLOSED)))) {
+      // Travel has completed.
+      this._recordTravelTime(lastState, Date.now() - this._travelStartTime);
+      this._travelStartTime = undefined;
+    }
+    else if (newDoorState !== lastState) {
+      // Travel was interrupted.
+      this._travelStartTime = undefined;
+    }
+    // A door that is travelling, or has reached the end of travel, is no longer stopped part-way.
+    if (newDoorState !== DOOR_STATE.UNKNOWN) {
+      this._heldPosition = undefined;
+    }
+
+    if (travelComplete) {
+      /* Clear the activation watchdog */
+      if (this._doorActivationWatchdogId != undefined) {
+        clearTimeout(this._doorActivationWatchdogId );
+        this._doorActivationWatchdogId = undefined;
+      }
 
-    /* Clear the activation watchdog */
-    if (this._doorActivationWatchdogId != undefined) {
-      clearTimeout(this._doorActivationWatchdogId );
+      // Completing travel clears an obstruction, unless the door bounced back.
+      this._setFault(reversed ? DOOR_FAULT.REVERSAL : DOOR_FAULT.NONE);
     }
 
+    // Manage closing the door automatically.
+    this._autoCloseDoorStateChanged(lastState, newDoorState);
+
     // Alert interested clients, asynchronously
-    setTimeout((caller, previousState, newState) => {
-      caller.emit('state_change', previousState, newState, caller);
-    }, 0, this, lastState, this.DoorState);
+    setTimeout((caller, previousState, newState, changeCause) => {
+      caller.emit('state_change', previousState, newState, changeCause, caller);
+    }, 0, this, lastState, this.DoorState, updateCause);
+
+    _debug(`(${this.Name}) Door State Change: Door is ${this.DoorState} Cause:${updateCause}`);
 
-    _debug(`(${this.Name}) Door State Change: Door is ${this.DoorState}`);
+    // The position follows the door state.
+    this._updatePosition();
+  }
+
+  /* ========================================================================
+     Description: Helper to find the detection sensor measuring the door position.
+
+     Parameters:  None
+
+     Return:      Detection sensor (SensorBase). undefined if none.
+
+     Remarks:     Without a configured position sensor, the first sensor
+                  measuring the percentage open is used.
+     ======================================================================== */
+  _positionSensor() {
+    const sensors = this._sensorGroups().reduce((list, [group]) => { return list.concat(group.Sensors); }, []);
+
+    return sensors.find((sensor) => {
+      return ((this._positionConfig != undefined) ? (sensor.Identifier === this._positionConfig.sensorId) :
+                                                    (sensor.Measurements.percent_open !== undefined));
+    });
+  }
+
+  /* ========================================================================
+     Description: Helper to determine the door position measured by the position sensor.
+
+     Parameters:  None
+
+     Return:      Position of the door, 0 (closed) to 100 (open) percent.
+                  undefined if not measured, or the sensor is unhealthy.
+     ======================================================================== */
+  _measuredPosition() {
+    let position = undefined;
+
+    const sensor = this._positionSensor();
+    if ((sensor != undefined) &&
+        (sensor.Health === modSensorCommon.SENSOR_HEALTH.OK)) {
+      const measurements = sensor.Measurements;
+      const config       = this._positionConfig;
+
+      if (typeof(measurements.percent_open) === 'number') {
+        position = measurements.percent_open;
+      }
+      else if ((typeof(measurements.distance) === 'number') &&
+               (config != undefined) && (config.closedDistance != undefined)) {
+        // Interpolate the distance between the calibrated closed & open distances.
+        const fraction = (measurements.distance - config.closedDistance) / (config.openDistance - config.closedDistance);
+        position = Math.min(1.0, Math.max(0.0, fraction)) * _POSITION_OPEN;
+      }
+    }
+
+    return position;
+  }
+
+  /* ========================================================================
+     Description: Helper to determine the direction the door travels when next activated.
+
+     Parameters:  None
+
+     Return:      DOOR_STATE.OPENING or DOOR_STATE.CLOSING. undefined if not known.
+
+     Remarks:     A door at rest travels towards the other end of its travel. A door
+                  stopped part-way reverses the direction of its last travel.
+     ======================================================================== */
+  _nextTravel() {
+    let travel = undefined;
+
+    switch (this.DoorState) {
+      case DOOR_STATE.CLOSED:
+      {
+        travel = DOOR_STATE.OPENING;
+      }
+      break;
+
+      case DOOR_STATE.OPEN:
+      {
+        travel = DOOR_STATE.CLOSING;
+      }
+      break;
+
+      case DOOR_STATE.UNKNOWN:
+      {
+        if (this._heldPosition != undefined) {
+          travel = ((this._lastTravel === DOOR_STATE.OPENING) ? DOOR_STATE.CLOSING :
+                    ((this._lastTravel === DOOR_STATE.CLOSING) ? DOOR_STATE.OPENING : undefined));
+        }
+      }
+      break;
+
+      default:
+      {
+        // No-Op. A travelling door is stopped when next activated.
+      }
+      break;
+    }
+
+    return travel;
+  }
+
+  /* ========================================================================
+     Description: Helper to estimate the position of a travelling door from
+                  the learned travel time.
+
+     Parameters:  None
+
+     Return:      Position of the door, 0 (closed) to 100 (open) percent.
+                  undefined if the travel time has not been learned.
+
+     Remarks:     The door is not estimated to reach the end of travel, as it
+                  is not open or closed until detected.
+     ======================================================================== */
+  _interpolatedPosition() {
+    let position = undefined;
+
+    const travelTime = this._averageTravelTime(this.DoorState);
+    if ((travelTime != undefined) && (this._travelStartTime != undefined)) {
+      const fraction = Math.min(_MAXIMUM_TRAVEL_FRACTION, (Date.now() - this._travelStartTime) / travelTime);
+      position = ((this.DoorState === DOOR_STATE.OPENING) ? fraction : (1.0 - fraction)) * _POSITION_OPEN;
+    }
+
+    return position;
+  }
+
+  /* ========================================================================
+     Description: Helper to notify clients of the 'position_changed' event,
+                  when the estimated position has changed.
+
+     Parameters:  None
+
+     Return:      None
+     ======================================================================== */
+  _updatePosition() {
+    const oldPosition = this._reportedPosition;
+    const newPosition = this.Position;
+
+    if (newPosition !== oldPosition) {
+      this._reportedPosition = newPosition;
+
+      // Alert interested clients, asynchronously
+      setTimeout((caller, positionOld, positionNew) => {
+        caller.emit('position_changed', positionOld, positionNew, caller);
+      }, 0, this, oldPosition, newPosition);
+    }
+  }
+
+  /* ========================================================================
+     Description: Helper to manage the auto-close timer as the door state changes.
+
+     Parameters:  lastState:    Prior Door State.
+                  newDoorState: Updated Door State.
+
+     Return:      None
+     ======================================================================== */
+  _autoCloseDoorStateChanged(lastState, newDoorState) {
+    if ((this._autoCloseConfig != undefined) &&
+        (newDoorState !== lastState)) {
+      switch (newDoorState) {
+        case DOOR_STATE.OPEN:
+        {
+          if (this._autoCloseStatus === AUTO_CLOSE_STATUS.ACTIVATING) {
+            // The door came back open.
+            this._autoCloseAttemptFailed();
+          }
+          else {
+            // The door has been opened.
+            this._autoCloseAttempts = 0;
+            this._autoCloseSchedule(this._autoCloseConfig.delay);
+          }
+        }
+        break;
+
+        case DOOR_STATE.CLOSING:
+        {
+          // The door is being closed by other means. Nothing left to do.
+          if (this._autoCloseStatus !== AUTO_CLOSE_STATUS.ACTIVATING) {
+            this._autoCloseSetStatus(AUTO_CLOSE_STATUS.IDLE);
+          }
+        }
+        break;
+
+        case DOOR_STATE.CLOSED:
+        {
+          this._autoCloseSetStatus(AUTO_CLOSE_STATUS.IDLE);
+        }
+        break;
+
+        case DOOR_STATE.OPENING:
+        // Break intentionally missing.
+        case DOOR_STATE.UNKNOWN:
+        // Break intentionally missing.
+        default:
+        {
+          // No-Op. The outcome of an auto-close activation is resolved by the activation watchdog.
+        }
+        break;
+      }
+    }
+  }
+
+  /* ========================================================================
+     Description: Helper to schedule the door to be closed automatically.
+
+     Parameters:  delay: Time in milliseconds until the door is closed.
+
+     Return:      None
+     ======================================================================== */
+  _autoCloseSchedule(delay) {
+    this._autoCloseCancelTimers();
+
+    const closeTime = Date.now() + delay;
+    const warning   = this._autoCloseConfig.warning;
+    if ((warning > 0) && (delay > warning)) {
+      this._autoCloseWarningTimerId = setTimeout((() => { this._autoCloseSetStatus(AUTO_CLOSE_STATUS.WARNING, closeTime); }), (delay - warning));
+    }
+    this._autoCloseTimerId = setTimeout((() => { this._autoCloseExpired(); }), delay);
+
+    this._autoCloseSetStatus(AUTO_CLOSE_STATUS.SCHEDULED, closeTime);
+  }
+
+  /* ========================================================================
+     Description: Handler for the expiry of the auto-close timer.
+
+     Parameters:  None
+
+     Return:      None
+     ======================================================================== */
+  _autoCloseExpired() {
+    this._autoCloseTimerId        = undefined;
+    this._autoCloseWarningTimerId = undefined;
+
+    const untilWindow = this._autoCloseTimeUntilWindow(new Date());
+    if (!this.DoorOpen) {
+      // Only an open door is closed automatically.
+      this._autoCloseSetStatus(AUTO_CLOSE_STATUS.IDLE);
+    }
+    else if (untilWindow > 0) {
+      // Wait until the door is permitted to be closed.
+      _debug(`Door (${this.Name}): Auto-close deferred by ${untilWindow}ms`);
+      this._autoCloseSchedule(untilWindow);
+    }
+    else if (this._autoCloseConfig.respectLock && this.DoorLocked) {
+      _debug(`Door (${this.Name}): Auto-close blocked. Door is locked.`);
+      this._autoCloseSetStatus(AUTO_CLOSE_STATUS.BLOCKED);
+    }
+    else {
+      this._autoCloseAttempts++;
+      _debug(`Door (${this.Name}): Auto-closing door. Attempt:${this._autoCloseAttempts}`);
+
+      this._autoCloseSetStatus(AUTO_CLOSE_STATUS.ACTIVATING);
+      // The lock has already been taken into account.
+      this._doActivateDoor(true, ACTIVATION_SOURCE.AUTO_CLOSE);
+    }
+  }
+
+  /* ========================================================================
+     Description: Helper to handle an unsuccessful attempt to auto-close the door.
+
+     Parameters:  None
+
+     Return:      None
+     ======================================================================== */
+  _autoCloseAttemptFailed() {
+    _debug(`Door (${this.Name}): Auto-close attempt ${this._autoCloseAttempts} failed. Door is ${this.DoorState}`);
+
+    if (this.DoorOpen &&
+        (this._autoCloseAttempts <= this._autoCloseConfig.retries)) {
+      // Try again.
+      this._autoCloseSchedule(_AUTO_CLOSE_RETRY_DELAY);
+    }
+    else {
+      this._autoCloseSetStatus(AUTO_CLOSE_STATUS.FAILED);
+    }
+  }
+
+  /* ========================================================================
+     Description: Helper to determine the time until the door may be closed
+                  automatically.
+
+     Parameters:  now: Current Date.
+
+     Return:      Time in milliseconds until the start of the next window.
+                  0 if currently within a window, or no windows are configured.
+     ======================================================================== */
+  _autoCloseTimeUntilWindow(now) {
+    const nowMinutes  = modTimeOfDay.MinutesSinceMidnight(now);
+    let   untilWindow = 0;
+
+    if (this._autoCloseConfig.windows.length > 0) {
+      let minutesUntil = modTimeOfDay.MINUTES_PER_DAY;
+      for (const window of this._autoCloseConfig.windows) {
+        const inWindow = ((window.start <= window.end) ?
+                          ((nowMinutes >= window.start) && (nowMinutes < window.end)) :
+                          /* Window spans midnight */
+                          ((nowMinutes >= window.start) || (nowMinutes < window.end)));
+        if (inWindow) {
+          minutesUntil = 0;
+          break;
+        }
+        minutesUntil = Math.min(minutesUntil, ((window.start - nowMinutes + modTimeOfDay.MINUTES_PER_DAY) % modTimeOfDay.MINUTES_PER_DAY));
+      }
+
+      if (minutesUntil > 0) {
+        // Align to the start of the minute.
+        untilWindow = ((minutesUntil - 1) * modTimeOfDay.MS_PER_MINUTE) + modTimeOfDay.TimeUntilNextMinute(now);
+      }
+    }
+
+    return untilWindow;
+  }
+
+  /* ========================================================================
+     Description: Helper to update the auto-close status and notify clients
+                  of the 'auto_close_changed' event.
+
+     Parameters:  status:    AUTO_CLOSE_STATUS
+                  closeTime: (Optional) Time (ms since epoch) the door will be closed.
+
+     Return:      None
+     ======================================================================== */
+  _autoCloseSetStatus(status, closeTime) {
+    if ((status !== AUTO_CLOSE_STATUS.SCHEDULED) &&
+        (status !== AUTO_CLOSE_STATUS.WARNING)) {
+      this._autoCloseCancelTimers();
+    }
+
+    const changed = ((status !== this._autoCloseStatus) || (closeTime !== this._autoCloseTime));
+
+    this._autoCloseStatus = status;
+    this._autoCloseTime   = closeTime;
+
+    if (changed) {
+      _debug(`Door (${this.Name}): Auto-close status:${status} closeTime:${closeTime}`);
+
+      // Alert interested clients, asynchronously
+      setTimeout((caller, newStatus, newCloseTime) => {
+        caller.emit('auto_close_changed', newStatus, newCloseTime, caller);
+      }, 0, this, status, closeTime);
+    }
+  }
+
+  /* ========================================================================
+     Description: Helper to cancel the pending auto-close timers.
+
+     Parameters:  None
+
+     Return:      None
+     ======================================================================== */
+  _autoCloseCancelTimers() {
+    if (this._autoCloseTimerId != undefined) {
+      clearTimeout(this._autoCloseTimerId);
+      this._autoCloseTimerId = undefined;
+    }
+    if (this._autoCloseWarningTimerId != undefined) {
+      clearTimeout(this._autoCloseWarningTimerId);
+      this._autoCloseWarningTimerId = undefined;
+    }
+  }
+
+  /* ========================================================================
+   Description:    Validate the Auto-Close configuration node
+
+   Parameters:     configuration: Homebridge 'auto_close' sub-configuration
+
+   Return:         true if the configuration is valid.
+   ======================================================================== */
+  _validateAutoCloseConfig(configuration) {
+    const configValid = ( (typeof(configuration) === 'object') && (configuration != null)                                                                      &&
+                          (configuration.hasOwnProperty('delay')         && (typeof(configuration.delay) === 'number') && (configuration.delay > 0.0))          &&
+                          (!configuration.hasOwnProperty('warning')      || ((typeof(configuration.warning) === 'number') && (configuration.warning >= 0.0)))   &&
+                          (!configuration.hasOwnProperty('respect_lock') || (typeof(configuration.respect_lock) === 'boolean'))                                 &&
+                          (!configuration.hasOwnProperty('retries')      || (Number.isInteger(configuration.retries) && (configuration.retries >= 0)))          &&
+                          (!configuration.hasOwnProperty('windows')      || (Array.isArray(configuration.windows) &&
+                                                                             configuration.windows.every((window) => {
+                                                                               return ((typeof(window) === 'object') && (window != null) &&
+                                                                                       (modTimeOfDay.ParseTimeOfDay(window.start) != undefined)      &&
+                                                                                       (modTimeOfDay.ParseTimeOfDay(window.end)   != undefined));
+                                                                             })))                                                                         );
+    if (!configValid) {
+      _debug(`_validateAutoCloseConfig: Invalid configuration node. ${JSON.stringify(configuration)}`);
+    }
+
+    return configValid;
+  }
+
+  /* ========================================================================
+   Description:    Consume the Auto-Close configuration node
+
+   Parameters:     configuration: Validated Homebridge 'auto_close' sub-configuration
+
+   Return:         Auto-Close settings, with times in milliseconds and windows
+                   in minutes since midnight.
+   ======================================================================== */
+  _consumeAutoCloseConfig(configuration) {
+    return {
+      delay:        configuration.delay * 1000.0/* milliseconds / second */,
+      warning:      (configuration.hasOwnProperty('warning')      ? configuration.warning : 0.0) * 1000.0/* milliseconds / second */,
+      respectLock:  (configuration.hasOwnProperty('respect_lock') ? configuration.respect_lock : true),
+      retries:      (configuration.hasOwnProperty('retries')      ? configuration.retries      : _DEFAULT_AUTO_CLOSE_RETRIES),
+      windows:      (configuration.hasOwnProperty('windows')      ? configuration.windows      : []).map((window) => {
+                      return {start:modTimeOfDay.ParseTimeOfDay(window.start), end:modTimeOfDay.ParseTimeOfDay(window.end)};
+                    })
+    };
   }
 
   /* ========================================================================
@@ -590,26 +2176,17 @@ class DoorController extends EventEmitter {
                               (configItem.hasOwnProperty('function') && (typeof(configItem.function)  === 'string'))  &&
                               (configItem.hasOwnProperty('config')   && (typeof(configItem.config)    === 'object'))    );
       if (configItemValid) {
-        // Validate the sensor-specific 'config' node.
-        switch (configItem.class) {
-          case 'SonarSensor':
-          {
-            configItemValid = _sonarSensor.ValidateConfiguration(configItem.config);
-          }
-          break;
-
-          case 'ProximitySwitchSensor':
-          {
-            configItemValid = _proxSensor.ValidateConfiguration(configItem.config);
-          }
-          break;
+        // Validate the sensor-specific 'config' node with the registered sensor class.
+        configItemValid = _sensorBase.ValidateSensorConfiguration(configItem.class, configItem.config);
+        if (!configItemValid) {
+          _debug(`_validateDetectionSensorConfig: Config Item '${configItem.id}' unknown class or invalid config:'${configItem.class}'`);
+        }
 
-          default:
-          {
-            _debug(`_validateDetectionSensorConfig: Config Item '${configItem.id}' unknown class:'${configItem.class}'`);
-            configItemValid = false;
-          }
-          break;
+        // The function must be one of the detection functions.
+        if (configItemValid &&
+            (!['OPEN', 'CLOSE', 'VEHICLE'].includes(configItem.function.toUpperCase()))) {
+          _debug(`_validateDetectionSensorConfig: Config Item '${configItem.id}' unknown function:'${configItem.function}'`);
+          configItemValid = false;
         }
 
         // Determine if this detection sensor is one of the required items.
@@ -641,54 +2218,120 @@ class DoorController extends EventEmitter {
   }
 
   /* ========================================================================
-   Description:    Validate the Detection Sensor configuration node
+   Description:    Validate the Position configuration node
+
+   Parameters:     configuration: Homebridge 'position' sub-configuration
+                   detectSensors: Homebridge 'detect_sensors' sub-configuration
+
+   Return:         true if the configuration is valid.
+
+   Remarks:        The position sensor must be one of the detection sensors created
+                   for the door. The sonar calibration distances are specified together.
+   ======================================================================== */
+  _validatePositionConfig(configuration, detectSensors) {
+    const sensorConfig = ( ((typeof(configuration) === 'object') && (configuration != null) && Array.isArray(detectSensors)) ?
+                           detectSensors.find((configItem) => { return (configItem.id === configuration.sensor); }) : undefined );
+
+    const configValid = ( (sensorConfig != undefined) && (typeof(sensorConfig.function) === 'string')                                                          &&
+                          ['OPEN', 'CLOSE', 'VEHICLE'].includes(sensorConfig.function.toUpperCase())                                                           &&
+                          (!configuration.hasOwnProperty('closed_distance') || ((typeof(configuration.closed_distance) === 'number') && (configuration.closed_distance >= 0.0))) && /* Optional configuration item */
+                          (!configuration.hasOwnProperty('open_distance')   || ((typeof(configuration.open_distance)   === 'number') && (configuration.open_distance   >= 0.0))) && /* Optional configuration item */
+                          (configuration.hasOwnProperty('closed_distance') === configuration.hasOwnProperty('open_distance'))                                  &&
+                          (!configuration.hasOwnProperty('closed_distance') || (configuration.closed_distance !== configuration.open_distance))                   );
+    if (!configValid) {
+      _debug(`_validatePositionConfig: Invalid configuration. ${JSON.stringify(configuration)}`);
+    }
+
+    return configValid;
+  }
+
+  /* ========================================================================
+   Description:    Consume the Position configuration node
+
+   Parameters:     configuration: Homebridge 'position' sub-configuration
+
+   Return:         Position settings {sensorId, closedDistance, openDistance}.
+                   The distances are undefined if not configured.
+   ======================================================================== */
+  _consumePositionConfig(configuration) {
+    return {
+      sensorId:       configuration.sensor,
+      closedDistance: configuration.closed_distance,
+      openDistance:   configuration.open_distance
+    };
+  }
+
+  /* ========================================================================
+   Description:    Validate the Sensor Policy configuration node
+
+   Parameters:     configuration: Homebridge 'sensor_policy' sub-configuration
+
+   Return:         true if the configuration is valid.
+   ======================================================================== */
+  _validateSensorPolicyConfig(configuration) {
+    const configValid = ( (typeof(configuration) === 'object') && (configuration != null)                                                              &&
+                          (!configuration.hasOwnProperty('open')          || _sensorGroup.ValidatePolicy(configuration.open))                        &&
+                          (!configuration.hasOwnProperty('close')         || _sensorGroup.ValidatePolicy(configuration.close))                       &&
+                          (!configuration.hasOwnProperty('vehicle')       || _sensorGroup.ValidatePolicy(configuration.vehicle))                     &&
+                          (!configuration.hasOwnProperty('failover_time') || ((typeof(configuration.failover_time) === 'number') &&
+                                                                              (configuration.failover_time >= 0.0)))                                   );
+    if (!configValid) {
+      _debug(`_validateSensorPolicyConfig: Invalid configuration node. ${JSON.stringify(configuration)}`);
+    }
+
+    return configValid;
+  }
+
+  /* ========================================================================
+   Description:    Create the Sensor Group for a detection function
 
    Parameters:     configuration:   Homebridge 'detect_sensors' sub-configuration
-                   sensor_function: Which sensor to open.
+                   sensor_function: Detection function of the group.
+                   policy:          Validated Homebridge 'sensor_policy' sub-configuration
 
-   Return:         object reference to the detected sensor object being sought.
-                   null if 'configuration' does not contain the item sought.
+   Return:         object reference to the sensor group.
    ======================================================================== */
-  _createDetectionSensor(configuration, sensor_function) {
-    let sensor = null;
+  _createSensorGroup(configuration, sensor_function, policy) {
+    const sensors = this._createDetectionSensors(configuration, sensor_function);
 
-    const not_found = configuration.every((configItem) => {
-      let keepLooking = true;
-      if (configItem.function.toUpperCase() === sensor_function.toUpperCase()) {
-        switch (configItem.class) {
-          case 'SonarSensor':
-          {
-            _debug(`_createDetectionSensor: Creating Sonar Detection Sensor '${configItem.id}' '${configItem.function}' '${configItem.class}'`);
-            sensor = new _sonarSensor(configItem.id, configItem.config);
-          }
-          break;
+    // The policy is keyed on the function in lower case. ie: 'open'
+    const groupPolicy = policy[sensor_function.toLowerCase()];
 
-          case 'ProximitySwitchSensor':
-          {
-            _debug(`_createDetectionSensor: Creating MagProx Detection Sensor '${configItem.id}' '${configItem.function}' '${configItem.class}'`);
-            sensor = new _proxSensor(configItem.id, configItem.config);
-          }
-          break;
+    return new _sensorGroup(sensor_function,
+                            sensors,
+                            ((typeof(groupPolicy) === 'string') ? groupPolicy.toUpperCase() : undefined),
+                            policy.failover_time);
+  }
 
-          default:
-          {
-            _debug(`_createDetectionSensor: Config Item '${configItem.id}' unknown class. ${configItem.class}`);
-          }
-          break;
-        }        // Done searching
-        keepLooking = false;
-      }
+  /* ========================================================================
+   Description:    Create the Detection Sensors for a detection function
+
+   Parameters:     configuration:   Homebridge 'detect_sensors' sub-configuration
+                   sensor_function: Which sensors to create.
 
-      return keepLooking;
-    }, sensor);
+   Return:         Array of the detection sensor objects, in the order configured.
+   ======================================================================== */
+  _createDetectionSensors(configuration, sensor_function) {
+    const sensors = [];
+
+    configuration.forEach((configItem) => {
+      if (configItem.function.toUpperCase() === sensor_function.toUpperCase()) {
+        _debug(`_createDetectionSensors: Creating Detection Sensor '${configItem.id}' '${configItem.function}' '${configItem.class}'`);
+        const sensor = _sensorBase.CreateSensor(configItem.class, configItem.id, configItem.config, this._gpio);
+
+        if (sensor != undefined) {
+          sensors.push(sensor);
+        }
+      }
+    });
 
-    // If the sensor was not found, throw error.
-    if (not_found) {
+    // If no sensor was found, throw error.
+    if (sensors.length === 0) {
       throw new Error(`Unable to create detection sensor. function:${sensor_function} configuration:${JSON.stringify(configuration)}`);
     }
 
-    return sensor;
+    return sensors;
   }
 }
 
-export {DoorController as default, DOOR_STATE};
+export {DoorController as default, DOOR_STATE, DOOR_FAULT, AUTO_CLOSE_STATUS, ACTIVATION_SOURCE, STATE_CHANGE_CAUSE};
@@ -0,0 +1,163 @@
+/* ==========================================================================
+   File:               doorStore.js
+   Class:              DoorStore
+   Description:	       Provide persistent storage of the door lock & state
+                       across restarts of the garage system.
+   Copyright:          May 2020
+   ========================================================================== */
+'use strict';
+
+// External dependencies and imports.
+const _debug = require('debug')('doorStore');
+const _fs    = require('fs');
+const _path  = require('path');
+
+/* Name of the file used to persist the doors */
+const _DOOR_STORE_FILE_NAME = 'grumpy-garage-doors.json';
+
+/* DoorStore represents the persisted records of the doors, keyed on the
+   name of the door. Each record contains the following fields.
+   { locked:    Soft-Lock state of the door.
+     state:     Last known DOOR_STATE of the door.
+     timestamp: Time (ms since epoch) that the door entered the last known state.
+   }
+*/
+class DoorStore {
+  /* ========================================================================
+     Description: Constructor for an instance of the door store.
+
+     Parameters:  storagePath: Directory in which to persist the doors.
+
+     Return:      N/A
+     ======================================================================== */
+  constructor(storagePath) {
+
+    _debug(`Constructing door store: ${storagePath}`);
+
+    /* Path of the file used to persist the doors */
+    this._filePath      = _path.join(storagePath, _DOOR_STORE_FILE_NAME);
+    /* Door records, keyed on door name */
+    this._records       = new Map();
+    /* Promise for the most recent write to the file */
+    this._writePromise  = Promise.resolve();
+    /* Flag indicating that a write has been requested, but not yet started */
+    this._writePending  = false;
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the path of the persisted file.
+
+     Parameters:  None
+
+     Return:      Path of the file.
+     ======================================================================== */
+  get FilePath() {
+    return this._filePath;
+  }
+
+  /* ========================================================================
+     Description: Load the persisted door records.
+
+     Parameters:  None
+
+     Return:      Promise. Resolves true if records were loaded. false otherwise.
+
+     Remarks:     A missing or unreadable file results in no records, so that
+                  the configured defaults are used.
+     ======================================================================== */
+  async Load() {
+    let loaded = false;
+
+    this._records.clear();
+
+    try {
+      const data    = await _fs.promises.readFile(this._filePath, 'utf8');
+      const records = JSON.parse(data);
+      if ((typeof(records) === 'object') && (records != null)) {
+        Object.keys(records).forEach((doorName) => {
+          this._records.set(doorName, records[doorName]);
+        });
+        loaded = true;
+      }
+    }
+    catch (error) {
+      _debug(`Unable to load door store '${this._filePath}': ${error.toString()}`);
+    }
+
+    return loaded;
+  }
+
+  /* ========================================================================
+     Description: Get the persisted record of a door.
+
+     Parameters:  doorName: Name of the door.
+
+     Return:      Record of the door. undefined if the door has not been persisted.
+     ======================================================================== */
+  Get(doorName) {
+    return this._records.get(doorName);
+  }
+
+  /* ========================================================================
+     Description: Set the persisted record of a door.
+
+     Parameters:  doorName: Name of the door.
+                  record:   The record of the door.
+
+     Return:      None
+
+     Remarks:     The record replaces any prior record of the door, so that fields
+                  omitted from the record are no longer persisted.
+                  The file is written asynchronously.
+     ======================================================================== */
+  Set(doorName, record) {
+    this._records.set(doorName, Object.assign({}, record));
+
+    // Coalesce the updates made before the next write begins.
+    if (!this._writePending) {
+      this._writePending = true;
+      this._writePromise = this._writePromise.then(() => { return this._write(); });
+    }
+  }
+
+  /* ========================================================================
+     Description: Wait for pending writes to complete.
+
+     Parameters:  None
+
+     Return:      Promise. Resolves once all writes are complete.
+     ======================================================================== */
+  async Flush() {
+    await this._writePromise;
+  }
+
+  /* ========================================================================
+     Description: Helper to write the door records to the file.
+
+     Parameters:  None
+
+     Return:      Promise. Resolves once written.
+
+     Remarks:     The records are written to a temporary file that replaces the
+                  persisted file, so that an interrupted write does not corrupt it.
+     ======================================================================== */
+  async _write() {
+    this._writePending = false;
+
+    const records  = {};
+    this._records.forEach((record, doorName) => {
+      records[doorName] = record;
+    });
+    const tempPath = `${this._filePath}.tmp`;
+
+    try {
+      await _fs.promises.writeFile(tempPath, JSON.stringify(records, null, 2), 'utf8');
+      await _fs.promises.rename(tempPath, this._filePath);
+    }
+    catch (error) {
+      _debug(`Unable to write door store '${this._filePath}': ${error.toString()}`);
+    }
+  }
+}
+
+export default DoorStore;
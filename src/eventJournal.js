@@ -0,0 +1,292 @@
+/* ==========================================================================
+   File:               eventJournal.js
+   Class:              EventJournal
+   Description:	       Provide a bounded, on-disk journal of the events of
+                       the garage system.
+   Copyright:          May 2020
+   ========================================================================== */
+'use strict';
+
+// External dependencies and imports.
+const _debug = require('debug')('eventJournal');
+const _fs    = require('fs');
+const _path  = require('path');
+
+/* Enumeration for Journal Event Types */
+const JOURNAL_EVENT = {
+  STATE_CHANGE  : 'STATE_CHANGE',   /* Door changed state */
+  ACTIVATION    : 'ACTIVATION',     /* Door activation was requested */
+  LOCK_CHANGE   : 'LOCK_CHANGE',    /* Door soft-lock changed */
+  SENSOR_RESULT : 'SENSOR_RESULT',  /* Detection sensor result changed */
+  SENSOR_HEALTH : 'SENSOR_HEALTH',  /* Detection sensor health changed */
+  FAULT         : 'FAULT',          /* Door fault was raised or cleared */
+  MOVE          : 'MOVE',           /* Door move to a position completed */
+  TARGET_STATE  : 'TARGET_STATE'    /* Door request to reach a target state completed */
+};
+
+/* Base name of the journal files */
+const _JOURNAL_FILE_NAME            = 'grumpy-garage-journal';
+/* Default number of entries in each journal file */
+const _DEFAULT_MAX_ENTRIES_PER_FILE = 1000;
+/* Default number of journal files retained, including the active file */
+const _DEFAULT_MAX_FILES            = 5;
+
+/* EventJournal represents a journal of events, persisted as files of
+   JSON lines. The active file is rotated once full, and the oldest file is
+   discarded, bounding the size of the journal.
+   Each entry contains the following fields.
+   { id:        Sequence number of the entry. Increases with each entry.
+     timestamp: Time (ms since epoch) of the event.
+     door:      Name of the door.
+     type:      JOURNAL_EVENT
+     data:      Object with details specific to the event type.
+   }
+*/
+class EventJournal {
+  /* ========================================================================
+     Description: Constructor for an instance of the event journal.
+
+     Parameters:  storagePath:   Directory in which to persist the journal.
+                  configuration: (Optional) Object with the following fields.
+                  { max_entries:  (Optional) Number of entries in each journal file.
+                    max_files:    (Optional) Number of journal files retained.
+                  }
+
+     Return:      N/A
+     ======================================================================== */
+  constructor(storagePath, configuration) {
+
+    _debug(`Constructing event journal: ${storagePath}`);
+
+    // Validate the supplied configuration.
+    const config      = (((typeof(configuration) === 'object') && (configuration != null)) ? configuration : {});
+    const configValid = ( (!config.hasOwnProperty('max_entries') || (Number.isInteger(config.max_entries) && (config.max_entries > 0))) &&
+                          (!config.hasOwnProperty('max_files')   || (Number.isInteger(config.max_files)   && (config.max_files   > 0)))   );
+    if (!configValid) {
+      _debug(`EventJournal invalid configuration. Using defaults. configuration:${JSON.stringify(configuration)}`);
+    }
+
+    /* Directory of the journal files */
+    this._storagePath   = storagePath;
+    /* Bounds of the journal */
+    this._maxEntries    = ((configValid && config.hasOwnProperty('max_entries')) ? config.max_entries : _DEFAULT_MAX_ENTRIES_PER_FILE);
+    this._maxFiles      = ((configValid && config.hasOwnProperty('max_files'))   ? config.max_files   : _DEFAULT_MAX_FILES);
+    /* Number of entries in the active file */
+    this._activeEntries = 0;
+    /* Sequence number of the most recent entry */
+    this._lastId        = 0;
+    /* Promise for the most recent write to the journal */
+    this._writePromise  = Promise.resolve();
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the sequence number of the most recent entry.
+
+     Parameters:  None
+
+     Return:      Sequence number. 0 if the journal is empty.
+     ======================================================================== */
+  get LastId() {
+    return this._lastId;
+  }
+
+  /* ========================================================================
+     Description: Load the state of the journal from the journal files.
+
+     Parameters:  None
+
+     Return:      Promise. Resolves once loaded.
+     ======================================================================== */
+  async Load() {
+    this._activeEntries = 0;
+    this._lastId        = 0;
+
+    // The most recent entry is in the newest file containing entries.
+    for (let index=0; index < this._maxFiles; index++) {
+      const entries = await this._readFile(index);
+      if (index === 0) {
+        this._activeEntries = entries.length;
+      }
+      if (entries.length > 0) {
+        this._lastId = entries[entries.length - 1].id;
+        break;
+      }
+    }
+
+    _debug(`Journal loaded. Active entries:${this._activeEntries} Last Id:${this._lastId}`);
+  }
+
+  /* ========================================================================
+     Description: Record an event in the journal.
+
+     Parameters:  door: Name of the door.
+                  type: JOURNAL_EVENT
+                  data: Object with details specific to the event type.
+
+     Return:      The journal entry recorded.
+
+     Remarks:     The entry is written asynchronously.
+     ======================================================================== */
+  Record(door, type, data) {
+    const entry = {id:++this._lastId, timestamp:Date.now(), door:door, type:type, data:data};
+
+    this._writePromise = this._writePromise.then(() => { return this._append(entry); });
+
+    return entry;
+  }
+
+  /* ========================================================================
+     Description: Query the journal.
+
+     Parameters:  criteria: (Optional) Object with the following fields.
+                  { door:  (Optional) Name of the door.
+                    types: (Optional) Array of JOURNAL_EVENT types.
+                    from:  (Optional) Earliest time (ms since epoch), inclusive.
+                    to:    (Optional) Latest time (ms since epoch), inclusive.
+                    after: (Optional) Only entries with a sequence number greater than this.
+                    limit: (Optional) Maximum number of entries. The most recent entries are kept.
+                  }
+
+     Return:      Promise. Resolves with an array of matching entries, oldest first.
+     ======================================================================== */
+  async Query(criteria) {
+    const filter = (((typeof(criteria) === 'object') && (criteria != null)) ? criteria : {});
+
+    // Include the entries that have yet to be written.
+    await this.Flush();
+
+    let results = [];
+    // Read from the oldest file to the newest.
+    for (let index=(this._maxFiles - 1); index >= 0; index--) {
+      const entries = await this._readFile(index);
+      results = results.concat(entries.filter((entry) => {
+        return ( ((typeof(filter.door) !== 'string')  || (entry.door === filter.door))       &&
+                 ((!Array.isArray(filter.types))      || filter.types.includes(entry.type))  &&
+                 ((typeof(filter.from) !== 'number')  || (entry.timestamp >= filter.from))   &&
+                 ((typeof(filter.to) !== 'number')    || (entry.timestamp <= filter.to))     &&
+                 ((typeof(filter.after) !== 'number') || (entry.id > filter.after))            );
+      }));
+    }
+
+    if (Number.isInteger(filter.limit) && (filter.limit >= 0) &&
+        (results.length > filter.limit)) {
+      results = results.slice(results.length - filter.limit);
+    }
+
+    return results;
+  }
+
+  /* ========================================================================
+     Description: Wait for pending writes to complete.
+
+     Parameters:  None
+
+     Return:      Promise. Resolves once all writes are complete.
+     ======================================================================== */
+  async Flush() {
+    await this._writePromise;
+  }
+
+  /* ========================================================================
+     Description: Helper to determine the path of a journal file.
+
+     Parameters:  index: Index of the file. 0 for the active file. Larger for older files.
+
+     Return:      Path of the file.
+     ======================================================================== */
+  _filePath(index) {
+    const fileName = ((index === 0) ? `${_JOURNAL_FILE_NAME}.jsonl` : `${_JOURNAL_FILE_NAME}.${index}.jsonl`);
+
+    return _path.join(this._storagePath, fileName);
+  }
+
+  /* ========================================================================
+     Description: Helper to read the entries of a journal file.
+
+     Parameters:  index: Index of the file.
+
+     Return:      Promise. Resolves with an array of entries. Empty if the file does not exist.
+
+     Remarks:     Unreadable lines, such as a line truncated by a power failure, are skipped.
+     ======================================================================== */
+  async _readFile(index) {
+    const entries = [];
+
+    let data = '';
+    try {
+      data = await _fs.promises.readFile(this._filePath(index), 'utf8');
+    }
+    catch (error) {
+      if (error.code !== 'ENOENT') {
+        _debug(`Unable to read journal file '${this._filePath(index)}': ${error.toString()}`);
+      }
+    }
+
+    data.split('\n').forEach((line) => {
+      if (line.length > 0) {
+        try {
+          entries.push(JSON.parse(line));
+        }
+        catch (error) {
+          _debug(`Skipping invalid journal entry: ${line}`);
+        }
+      }
+    });
+
+    return entries;
+  }
+
+  /* ========================================================================
+     Description: Helper to append an entry to the active journal file.
+
+     Parameters:  entry: Journal entry.
+
+     Return:      Promise. Resolves once written.
+     ======================================================================== */
+  async _append(entry) {
+    try {
+      if (this._activeEntries >= this._maxEntries) {
+        await this._rotate();
+      }
+
+      await _fs.promises.appendFile(this._filePath(0), `${JSON.stringify(entry)}\n`, 'utf8');
+      this._activeEntries++;
+    }
+    catch (error) {
+      _debug(`Unable to write journal entry: ${error.toString()}`);
+    }
+  }
+
+  /* ========================================================================
+     Description: Helper to rotate the journal files.
+
+     Parameters:  None
+
+     Return:      Promise. Resolves once rotated.
+
+     Remarks:     The oldest file is discarded and the active file is emptied.
+     ======================================================================== */
+  async _rotate() {
+    _debug(`Rotating journal.`);
+
+    for (let index=(this._maxFiles - 1); index >= 0; index--) {
+      try {
+        if (index === (this._maxFiles - 1)) {
+          await _fs.promises.unlink(this._filePath(index));
+        }
+        else {
+          await _fs.promises.rename(this._filePath(index), this._filePath(index + 1));
+        }
+      }
+      catch (error) {
+        if (error.code !== 'ENOENT') {
+          _debug(`Unable to rotate journal file '${this._filePath(index)}': ${error.toString()}`);
+        }
+      }
+    }
+
+    this._activeEntries = 0;
+  }
+}
+
+export {EventJournal as default, JOURNAL_EVENT};
@@ -0,0 +1,195 @@
+/* ==========================================================================
+   File:               eventStream.js
+   Class:              EventStream
+   Description:	       Provide a live stream of garage system events to
+                       HTTP clients as Server-Sent Events.
+   Copyright:          May 2020
+   ========================================================================== */
+'use strict';
+
+// External dependencies and imports.
+const _debug = require('debug')('eventStream');
+
+/* Default number of events retained for replay */
+const _DEFAULT_REPLAY_CAPACITY  = 500;
+/* Interval for sending keep-alive comments to idle clients */
+const _KEEP_ALIVE_INTERVAL      = 30000/*ms*/;
+/* Time clients should wait before reconnecting */
+const _RECONNECT_DELAY          = 3000/*ms*/;
+
+/* EventStream represents a stream of events published to Server-Sent Event
+   clients. Each event is assigned an increasing id. Recent events are retained,
+   so that clients reconnecting with the id of the last event received
+   (the 'Last-Event-ID' header) are sent the events that they missed.
+*/
+class EventStream {
+  /* ========================================================================
+     Description: Constructor for an instance of the event stream.
+
+     Parameters:  capacity: (Optional) Number of events retained for replay.
+                            Default: _DEFAULT_REPLAY_CAPACITY
+
+     Return:      N/A
+     ======================================================================== */
+  constructor(capacity) {
+
+    _debug(`Constructing event stream`);
+
+    /* Number of events retained for replay */
+    this._capacity            = ((Number.isInteger(capacity) && (capacity > 0)) ? capacity : _DEFAULT_REPLAY_CAPACITY);
+    /* Events retained for replay, oldest first: {id, type, data} */
+    this._events              = [];
+    /* Id of the most recent event */
+    this._lastId              = 0;
+    /* Connected clients (http.ServerResponse) */
+    this._clients             = new Set();
+    /* Keep-Alive Interval Timer Id */
+    this._keepAliveIntervalId = undefined;
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the id of the most recent event.
+
+     Parameters:  None
+
+     Return:      Id of the most recent event. 0 if no events have been published.
+     ======================================================================== */
+  get LastId() {
+    return this._lastId;
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the number of connected clients.
+
+     Parameters:  None
+
+     Return:      Number of clients.
+     ======================================================================== */
+  get ClientCount() {
+    return this._clients.size;
+  }
+
+  /* ========================================================================
+     Description: Publish an event to the connected clients.
+
+     Parameters:  type: Name of the event.
+                  data: Object with the details of the event.
+
+     Return:      The event published.
+     ======================================================================== */
+  Publish(type, data) {
+    const event = {id:++this._lastId, type:type, data:data};
+
+    // Retain the event for replay.
+    this._events.push(event);
+    if (this._events.length > this._capacity) {
+      this._events.shift();
+    }
+
+    this._clients.forEach((client) => {
+      this._send(client, event);
+    });
+
+    return event;
+  }
+
+  /* ========================================================================
+     Description: Connect a client to the stream.
+
+     Parameters:  response:    http.ServerResponse of the client request.
+                  lastEventId: (Optional) Id of the last event received by the client.
+                               Retained events following this id are replayed.
+
+     Return:      None
+     ======================================================================== */
+  AddClient(response, lastEventId) {
+    response.writeHead(200, {'Content-Type':  'text/event-stream',
+                             'Cache-Control': 'no-cache',
+                             'Connection':    'keep-alive'});
+    response.write(`retry: ${_RECONNECT_DELAY}\n\n`);
+
+    // Replay the missed events.
+    if (Number.isInteger(lastEventId)) {
+      this._events.forEach((event) => {
+        if (event.id > lastEventId) {
+          this._send(response, event);
+        }
+      });
+    }
+
+    this._clients.add(response);
+    response.on('close', () => { this._removeClient(response); });
+
+    // Keep idle connections from being dropped.
+    if (this._keepAliveIntervalId == undefined) {
+      this._keepAliveIntervalId = setInterval((() => { this._keepAlive(); }), _KEEP_ALIVE_INTERVAL);
+    }
+
+    _debug(`Client connected. lastEventId:${lastEventId} Clients:${this.ClientCount}`);
+  }
+
+  /* ========================================================================
+     Description: Disconnect all of the clients.
+
+     Parameters:  None
+
+     Return:      None
+     ======================================================================== */
+  Close() {
+    this._clients.forEach((client) => {
+      client.end();
+    });
+    this._clients.clear();
+
+    if (this._keepAliveIntervalId != undefined) {
+      clearInterval(this._keepAliveIntervalId);
+      this._keepAliveIntervalId = undefined;
+    }
+  }
+
+  /* ========================================================================
+     Description: Helper to send an event to a client.
+
+     Parameters:  client: http.ServerResponse of the client.
+                  event:  Event to send.
+
+     Return:      None
+     ======================================================================== */
+  _send(client, event) {
+    client.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  }
+
+  /* ========================================================================
+     Description: Helper to send a keep-alive comment to the clients.
+
+     Parameters:  None
+
+     Return:      None
+     ======================================================================== */
+  _keepAlive() {
+    this._clients.forEach((client) => {
+      client.write(`: keep-alive\n\n`);
+    });
+  }
+
+  /* ========================================================================
+     Description: Helper to remove a disconnected client.
+
+     Parameters:  client: http.ServerResponse of the client.
+
+     Return:      None
+     ======================================================================== */
+  _removeClient(client) {
+    this._clients.delete(client);
+
+    if ((this._clients.size === 0) &&
+        (this._keepAliveIntervalId != undefined)) {
+      clearInterval(this._keepAliveIntervalId);
+      this._keepAliveIntervalId = undefined;
+    }
+
+    _debug(`Client disconnected. Clients:${this.ClientCount}`);
+  }
+}
+
+export default EventStream;
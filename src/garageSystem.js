@@ -9,12 +9,20 @@
 
 // External dependencies and imports.
 const _debug  = require('debug')('garageSystem');
-const _gpio   = require('rpi-gpio');
 import { EventEmitter } from 'events';
-const _gpiop  = _gpio.promise;
 
 // Internal dependencies
 import _doorController, * as modDoorCntrl from './doorCntrl.js';
+import _gpioBase, * as modGpioBase        from './gpioBase.js';
+import _rpiGpio                           from './rpiGpio.js';
+import _simGpio                           from './simGpio.js';
+import _simGarage                         from './simGarage.js';
+import _doorStore                         from './doorStore.js';
+import _eventJournal, * as modEventJournal from './eventJournal.js';
+import _httpApi                           from './httpApi.js';
+import _mqttBridge                        from './mqttBridge.js';
+import * as modSensorBase                 from './sensorBase.js';
+import * as modTimeOfDay                  from './timeOfDay.js';
 
 /* Enumeration for LED States */
 const LED_STATE = {
@@ -29,6 +37,18 @@ const _GARAGE_SYSTEM_TOTAL_IDENTIFICATION_TIMEOUT    = 5000/*ms*/;
 /* Time for toggling the door state LED when identifying the door */
 const _GARAGE_SYSTEM_IDENTIFICATION_TOGGLE_TIMEOUT   =  100/*ms*/;
 
+/* Enumeration for Scheduled Lock Actions */
+const LOCK_ACTION = {
+  LOCK   : 'LOCK',
+  UNLOCK : 'UNLOCK'
+};
+
+/* Enumeration for GPIO Providers */
+const GPIO_PROVIDER = {
+  RPI       : 'RPI',
+  SIMULATED : 'SIMULATED'
+};
+
 /* GPIO Channel for the activity heartbeat indicator */
 const _DEFAULT_HEARTBEAT_CTRL_BCM  = 4/*GPIO4, assuming BCM Mode */;
 const _DEFAULT_HEARTBEAT_CTRL_RPI  = 7/*GPIO4, assuming RPI Mode */;
@@ -50,16 +70,65 @@ const _delay = timeout => new Promise( resolveDelay => { setTimeout(resolveDelay
    @event 'door_state_change' => function(oldState, newState, context) {}
           Emitted when the door changes its open/closed states.
           Context will be the name of the door raising the event.
+
+   @event 'door_obstruction_change' => function(obstructed, fault, context) {}
+          Emitted when the door becomes obstructed or the obstruction clears.
+          Context will be the name of the door raising the event.
+
+   @event 'door_auto_close_change' => function(status, closeTime, context) {}
+          Emitted when the auto-close status of the door changes.
+          Context will be the name of the door raising the event.
+
+   @event 'door_lock_change' => function(locked, context) {}
+          Emitted when the soft-lock of the door changes.
+          Context will be the name of the door raising the event.
+
+   @event 'door_activation_requested' => function(source, accepted, context) {}
+          Emitted when activation of the door is requested.
+          Context will be the name of the door raising the event.
+
+   @event 'door_sensor_result_change' => function(sensorId, oldResult, newResult, context) {}
+          Emitted when a detection sensor of the door changes its result.
+          Context will be the name of the door raising the event.
+
+   @event 'door_sensor_distance_change' => function(sensorId, oldDistance, newDistance, context) {}
+          Emitted when a sonar sensor of the door measures a change in distance.
+          Context will be the name of the door raising the event.
+
+   @event 'door_sensor_health_change' => function(sensorId, oldHealth, newHealth, context) {}
+          Emitted when the health of a detection sensor of the door changes.
+          Context will be the name of the door raising the event.
+
+   @event 'door_vehicle_presence_change' => function(presence, context) {}
+          Emitted when the vehicle sensor of the door changes its result.
+          Context will be the name of the door raising the event.
+
+   @event 'door_position_change' => function(position, context) {}
+          Emitted when the estimated position (percent open) of the door changes.
+          Context will be the name of the door raising the event.
+
+   @event 'door_move_completed' => function(targetPosition, position, reached, context) {}
+          Emitted when a request to move the door to a position completes.
+          Context will be the name of the door raising the event.
+
+   @event 'door_target_state_completed' => function(targetState, reached, attempts, context) {}
+          Emitted when a request for the door to reach a target state completes.
+          Context will be the name of the door raising the event.
 */
 class GarageSystem extends EventEmitter {
   /* ========================================================================
      Description: Constructor for an instance of a garage control system.
 
-     Parameters:  None
+     Parameters:  gpio:       (Optional) GPIO provider (GpioBase) to use for the system.
+                              When not specified, the provider is selected by the
+                              configuration supplied to Start().
+                  mqttClient: (Optional) MQTT client to use for the MQTT bridge, such as
+                              a SimulatedMqttClient. When not specified, the bridge connects
+                              to the broker of the configuration supplied to Start().
 
      Return:      N/A
      ======================================================================== */
-  constructor() {
+  constructor(gpio, mqttClient) {
     _debug('Creating Garage Door Control System.');
 
     // Initialize the base class.
@@ -71,12 +140,41 @@ class GarageSystem extends EventEmitter {
     this._initialized         = false;
     this._doorControllers     = new Map();
     this._heartbeatIntervalId = undefined;
+    this._gpio                = ((gpio instanceof _gpioBase) ? gpio : undefined);
+    this._simGarage           = undefined;
+    this._lockSchedule        = [];
+    this._lockScheduleTimerId = undefined;
+    this._doorStore           = undefined;
+    this._journal             = undefined;
+    this._httpApi             = undefined;
+    this._mqttClient          = mqttClient;
+    this._mqttBridge          = undefined;
 
     // Configuration members.
     this.heartbeatControlChannelId = _DEFAULT_HEARTBEAT_CTRL_BCM;
 
     /* Create a function pointer for state change notifications. */
     this._bindDoorStateChange  = this.doorStateChange.bind(this);
+    /* Create a function pointer for obstruction change notifications. */
+    this._bindDoorObstructionChange = this.doorObstructionChange.bind(this);
+    /* Create a function pointer for auto-close change notifications. */
+    this._bindDoorAutoCloseChange = this.doorAutoCloseChange.bind(this);
+    /* Create a function pointer for activation request notifications. */
+    this._bindDoorActivationRequested = this.doorActivationRequested.bind(this);
+    /* Create a function pointer for sensor result change notifications. */
+    this._bindDoorSensorResultChange = this.doorSensorResultChange.bind(this);
+    /* Create a function pointer for sensor distance change notifications. */
+    this._bindDoorSensorDistanceChange = this.doorSensorDistanceChange.bind(this);
+    /* Create a function pointer for sensor health change notifications. */
+    this._bindDoorSensorHealthChange = this.doorSensorHealthChange.bind(this);
+    /* Create a function pointer for vehicle presence change notifications. */
+    this._bindDoorVehiclePresenceChange = this.doorVehiclePresenceChange.bind(this);
+    /* Create a function pointer for position change notifications. */
+    this._bindDoorPositionChange = this.doorPositionChange.bind(this);
+    /* Create a function pointer for move completion notifications. */
+    this._bindDoorMoveCompleted = this.doorMoveCompleted.bind(this);
+    /* Create a function pointer for target state completion notifications. */
+    this._bindDoorTargetStateCompleted = this.doorTargetStateCompleted.bind(this);
   }
 
   /* ========================================================================
@@ -98,26 +196,60 @@ class GarageSystem extends EventEmitter {
     /* Clear out the map */
     this._doorControllers.clear();
 
+    /* Stop the virtual garage. */
+    if (this._simGarage != undefined) {
+      this._simGarage.Stop();
+    }
+
     /* Kill the heartbeat. */
     if (this._heartbeatIntervalId != undefined) {
       clearInterval(this._heartbeatIntervalId);
       this._heartbeatIntervalId = undefined;
     }
+    /* Stop the HTTP API. */
+    if (this._httpApi != undefined) {
+      await this._httpApi.Stop();
+      this._httpApi = undefined;
+    }
+    /* Stop the MQTT bridge. */
+    if (this._mqttBridge != undefined) {
+      await this._mqttBridge.Stop();
+      this._mqttBridge = undefined;
+    }
+    /* Stop the lock schedule. */
+    if (this._lockScheduleTimerId != undefined) {
+      clearTimeout(this._lockScheduleTimerId);
+      this._lockScheduleTimerId = undefined;
+    }
+    /* Complete persisting the doors. */
+    if (this._doorStore != undefined) {
+      await this._doorStore.Flush();
+    }
+    /* Complete writing the journal. */
+    if (this._journal != undefined) {
+      await this._journal.Flush();
+    }
+    /* Nothing further to clean up if the GPIO provider was never established. */
+    if (this._gpio == undefined) {
+      this._initialized = false;
+      return;
+    }
+
     /* ...and turn off the indicator. */
-    await _gpiop.write(this.heartbeatControlChannelId, LED_STATE.OFF)
+    await this._gpio.Write(this.heartbeatControlChannelId, LED_STATE.OFF)
     .then (() => {
       /* Do Nothing. Synchronous operation. */
     });
 
     /* Clean up the GPIO resources. */
     try {
-      _gpio.reset();
+      this._gpio.Reset();
     }
     catch(error) {
       _debug(`Error when resetting gpio: (${error.toString()})`);
     }
     finally {
-      await _gpiop.destroy()
+      await this._gpio.Destroy()
       .then (() => {
         /* Do Nothing. Synchronous operation. */
       })
@@ -134,22 +266,47 @@ class GarageSystem extends EventEmitter {
   /* ========================================================================
      Description: Start/Initialize the door system.
 
-     Parameters:  config: Homebridge system configuration data
+     Parameters:  config:      Homebridge system configuration data
+                  storagePath: (Optional) Directory in which to persist the lock
+                               & state of the doors across restarts, and the
+                               journal of events.
 
      Return:      Flag indicating if the door has been initialized.
      ======================================================================== */
-  async Start(config) {
+  async Start(config, storagePath) {
 
     _debug('Starting Garage Door Control System.');
 
+    // Select the GPIO provider, unless one was supplied when constructed.
+    if (this._gpio == undefined) {
+      let gpioProvider = GPIO_PROVIDER.RPI;  // Default to the RaspberryPi
+      if (config.hasOwnProperty('gpio_provider')) {
+        // Get the GPIO provider from the configuration. {Optional}
+        if (Object.values(GPIO_PROVIDER).includes(config.gpio_provider)) {
+          gpioProvider = config.gpio_provider;
+        }
+        else {
+          // Use the default.
+          _debug(`GarageSystem: Invalid setting for 'gpio_provider' configuration ${config.gpio_provider}`);
+        }
+      }
+      try {
+        this._gpio = ((gpioProvider === GPIO_PROVIDER.SIMULATED) ? new _simGpio() : new _rpiGpio());
+      }
+      catch (err) {
+        _debug(`Init Error (Garage System creating GPIO provider '${gpioProvider}'): ${err.toString()}`);
+        return this._initialized;
+      }
+    }
+
     // Validate the configuration provided.
-    let gpioMode = _gpio.MODE_BCM;  // Default to BCM Mode
+    let gpioMode = modGpioBase.GPIO_MODE.BCM;  // Default to BCM Mode
     if (config.hasOwnProperty('gpio_mode')) {
       // Get the GPIO mode from the configuration. {Optional}
       switch (config.gpio_mode) {
         case 'BCM':
         {
-          gpioMode = _gpio.MODE_BCM;
+          gpioMode = modGpioBase.GPIO_MODE.BCM;
           // Update the default heartbeat channel assignment
           this.heartbeatControlChannelId =_DEFAULT_HEARTBEAT_CTRL_BCM;
         }
@@ -157,7 +314,7 @@ class GarageSystem extends EventEmitter {
 
         case 'RPI':
         {
-          gpioMode = _gpio.MODE_RPI;
+          gpioMode = modGpioBase.GPIO_MODE.RPI;
           // Update the default heartbeat channel assignment
           this.heartbeatControlChannelId =_DEFAULT_HEARTBEAT_CTRL_RPI;
         }
@@ -187,15 +344,51 @@ class GarageSystem extends EventEmitter {
       }
     }
 
+    // Get the schedule for locking & unlocking the doors. {Optional}
+    if (config.hasOwnProperty('lock_schedule')) {
+      this._lockSchedule = this._consumeLockSchedule(config.lock_schedule);
+    }
+
+    // Load the detection sensor classes provided by other modules, before the doors are validated. {Optional}
+    if (config.hasOwnProperty('sensor_modules')) {
+      this._loadSensorModules(config.sensor_modules);
+    }
+
+    // Restore the doors persisted from a prior run. The configured defaults apply to doors not yet persisted.
+    if ((typeof(storagePath) === 'string') &&
+        (this._doorStore == undefined)) {
+      this._doorStore = new _doorStore(storagePath);
+      await this._doorStore.Load();
+    }
+
+    // Journal the events of the doors. {Optional configuration}
+    if ((typeof(storagePath) === 'string') &&
+        (this._journal == undefined)) {
+      this._journal = new _eventJournal(storagePath, config.journal);
+      await this._journal.Load();
+    }
+
+    // A simulated GPIO provider is driven by a virtual garage, when configured.
+    if ((this._gpio instanceof _simGpio) &&
+        (this._simGarage == undefined) &&
+        (config.hasOwnProperty('simulation'))) {
+      // Get the simulation options from the configuration. {Optional}
+      this._simGarage = new _simGarage(this._gpio, doorConfigs, config.simulation);
+    }
+    if (this._simGarage != undefined) {
+      // Start the simulation before the doors, so that the sensors observe the virtual doors.
+      this._simGarage.Start();
+    }
+
     // Initialize the hardware.
-    _gpio.setMode(gpioMode);
+    this._gpio.SetMode(gpioMode);
     // Create an array of promises to configure the GPIO and wait for all of them
     // to complete.
     await Promise.all([/* Configure the heartbeat channel */
-                       _gpiop.setup(this.heartbeatControlChannelId, _gpio.DIR_LOW)])
+                       this._gpio.Setup(this.heartbeatControlChannelId, modGpioBase.GPIO_DIR.LOW)])
       .then(async (setupResults) => {
           const result = await Promise.all([/* Initialize the heartbeat LED state */
-                                            _gpiop.write(this.heartbeatControlChannelId, this._heartbeatLEDState)]);
+                                            this._gpio.Write(this.heartbeatControlChannelId, this._heartbeatLEDState)]);
           return result;
       })
       .then(async (initResults) => {
@@ -207,10 +400,26 @@ class GarageSystem extends EventEmitter {
           // Create & start all of the doors.
           doorConfigs.forEach((doorConfig) => {
             // Create the door
-            const newDoor = new _doorController(doorConfig);
+            const newDoor = new _doorController(doorConfig, this._gpio);
 
             // Register for event notification on the door controllers.
             newDoor.on( 'state_change', this._bindDoorStateChange );
+            newDoor.on( 'obstruction_changed', this._bindDoorObstructionChange );
+            newDoor.on( 'auto_close_changed', this._bindDoorAutoCloseChange );
+            newDoor.on( 'activation_requested', this._bindDoorActivationRequested );
+            newDoor.on( 'sensor_result_changed', this._bindDoorSensorResultChange );
+            newDoor.on( 'sensor_distance_changed', this._bindDoorSensorDistanceChange );
+            newDoor.on( 'sensor_health_changed', this._bindDoorSensorHealthChange );
+            newDoor.on( 'vehicle_presence_changed', this._bindDoorVehiclePresenceChange );
+            newDoor.on( 'position_changed', this._bindDoorPositionChange );
+            newDoor.on( 'move_completed', this._bindDoorMoveCompleted );
+            newDoor.on( 'target_state_completed', this._bindDoorTargetStateCompleted );
+
+            // Restore the persisted lock & state.
+            const record = ((this._doorStore != undefined) ? this._doorStore.Get(newDoor.Name) : undefined);
+            if (record != undefined) {
+              newDoor.RestoreState(record.locked, record.state, record.timestamp);
+            }
 
             // Start the door.
             const doorResult = newDoor.Start();
@@ -233,6 +442,35 @@ class GarageSystem extends EventEmitter {
 
             // The system is only initialized if all of the Door Controllers are initialized.
             this._initialized = initialized;
+
+            // Persist the doors, so that subsequent starts no longer use the configured defaults.
+            this._doorControllers.forEach((door) => {
+              this._persistDoor(door);
+            });
+
+            // Start the lock schedule.
+            if (this._initialized &&
+                (this._lockSchedule.length > 0)) {
+              this._scheduleLockEvaluation();
+            }
+          })
+          .then(async () => {
+            // Start the HTTP API. {Optional}
+            if (this._initialized &&
+                config.hasOwnProperty('http_api') &&
+                _httpApi.ValidateConfiguration(config.http_api)) {
+              this._httpApi = new _httpApi(this, config.http_api);
+              // The doors remain operable through HomeKit, even if the API cannot be started.
+              await this._httpApi.Start();
+            }
+
+            // Start the MQTT bridge. {Optional}
+            if (this._initialized &&
+                config.hasOwnProperty('mqtt') &&
+                _mqttBridge.ValidateConfiguration(config.mqtt)) {
+              this._mqttBridge = new _mqttBridge(this, config.mqtt, this._mqttClient);
+              this._mqttBridge.Start();
+            }
           })
           .catch((err) => {
               _debug('Init Error (Garage System waiting for doors): ', err.toString());
@@ -263,6 +501,51 @@ class GarageSystem extends EventEmitter {
     return controllerNames;
   }
 
+  /* ========================================================================
+     Description: Read-Only Property for the HTTP API of the system.
+
+     Parameters:  None
+
+     Return:      HTTP API (HttpApi). undefined if not configured.
+     ======================================================================== */
+  get HttpApi() {
+    return this._httpApi;
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the MQTT bridge of the system.
+
+     Parameters:  None
+
+     Return:      MQTT bridge (MqttBridge). undefined if not configured.
+     ======================================================================== */
+  get MqttBridge() {
+    return this._mqttBridge;
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the GPIO provider of the system.
+
+     Parameters:  None
+
+     Return:      GPIO provider (GpioBase). undefined if not yet started.
+     ======================================================================== */
+  get Gpio() {
+    return this._gpio;
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the virtual garage driving a
+                  simulated GPIO provider.
+
+     Parameters:  None
+
+     Return:      Virtual garage (SimulatedGarage). undefined if not simulating.
+     ======================================================================== */
+  get Simulator() {
+    return this._simGarage;
+  }
+
   /* ========================================================================
      Description: Property for Garage System Initialized
 
@@ -297,10 +580,10 @@ class GarageSystem extends EventEmitter {
 
         for (let count=0; count < IDENTIFICATION_TOGGLE_CYCLES; count++) {
           // Get the current LED State.
-          const ledState = await _gpiop.read(this.heartbeatControlChannelId);
+          const ledState = await this._gpio.Read(this.heartbeatControlChannelId);
 
           // Update the Door Status LED for idenfification
-          await _gpiop.write(this.heartbeatControlChannelId, !ledState);
+          await this._gpio.Write(this.heartbeatControlChannelId, !ledState);
 
           await _delay(_GARAGE_SYSTEM_IDENTIFICATION_TOGGLE_TIMEOUT);
         }
@@ -318,7 +601,7 @@ class GarageSystem extends EventEmitter {
 
   Parameters:  doorName: Name of the door being querried.
 
-  Return:      Door State: 'UNKNOWN', 'OPEN',  or 'CLOSED'
+  Return:      Door State: DOOR_STATE
      ======================================================================== */
   GetDoorState(doorName) {
     let doorState = modDoorCntrl.DOOR_STATE.UNKNOWN;
@@ -330,20 +613,185 @@ class GarageSystem extends EventEmitter {
     return doorState;
   }
 
+  /* ========================================================================
+  Description: Passthru read accessor for the target state of the specified door.
+
+  Parameters:  doorName: Name of the door being querried.
+
+  Return:      Target Door State: DOOR_STATE.OPEN, DOOR_STATE.CLOSED, or DOOR_STATE.UNKNOWN
+     ======================================================================== */
+  GetTargetDoorState(doorName) {
+    let targetState = modDoorCntrl.DOOR_STATE.UNKNOWN;
+
+    const door = this._doorControllers.get(doorName);
+    if (door != undefined) {
+      targetState = door.TargetDoorState;
+    }
+    return targetState;
+  }
+
+  /* ========================================================================
+  Description: Passthru write accessor for the target state of the specified door.
+
+  Parameters:  doorName:    Name of the door being altered.
+               targetState: DOOR_STATE.OPEN or DOOR_STATE.CLOSED
+
+  Return:      true if successful.
+     ======================================================================== */
+  SetTargetDoorState(doorName, targetState) {
+    const door = this._doorControllers.get(doorName);
+    if (door != undefined) {
+      door.TargetDoorState = targetState;
+    }
+
+    return ((door != undefined) && (door.TargetDoorState === targetState));
+  }
+
+  /* ========================================================================
+  Description: Passthru read accessor for the obstruction state of the specified door.
+
+  Parameters:  doorName: Name of the door being querried.
+
+  Return:      true if obstructed. false otherwise.
+     ======================================================================== */
+  GetDoorObstructed(doorName) {
+    let obstructed = false;
+
+    const door = this._doorControllers.get(doorName);
+    if (door != undefined) {
+      obstructed = door.Obstructed;
+    }
+    return obstructed;
+  }
+
+  /* ========================================================================
+  Description: Passthru read accessor for the fault of the specified door.
+
+  Parameters:  doorName: Name of the door being querried.
+
+  Return:      DOOR_FAULT
+     ======================================================================== */
+  GetDoorFault(doorName) {
+    let fault = modDoorCntrl.DOOR_FAULT.NONE;
+
+    const door = this._doorControllers.get(doorName);
+    if (door != undefined) {
+      fault = door.Fault;
+    }
+    return fault;
+  }
+
+  /* ========================================================================
+  Description: Passthru read accessor for the auto-close status of the specified door.
+
+  Parameters:  doorName: Name of the door being querried.
+
+  Return:      AUTO_CLOSE_STATUS
+     ======================================================================== */
+  GetDoorAutoCloseStatus(doorName) {
+    let status = modDoorCntrl.AUTO_CLOSE_STATUS.IDLE;
+
+    const door = this._doorControllers.get(doorName);
+    if (door != undefined) {
+      status = door.AutoCloseStatus;
+    }
+    return status;
+  }
+
+  /* ========================================================================
+  Description: Passthru read accessor for the travel profile of the specified door.
+
+  Parameters:  doorName: Name of the door being querried.
+
+  Return:      Object with 'opening' and 'closing' average travel times in milliseconds.
+               undefined if the door is not known.
+     ======================================================================== */
+  GetDoorTravelProfile(doorName) {
+    let profile = undefined;
+
+    const door = this._doorControllers.get(doorName);
+    if (door != undefined) {
+      profile = door.TravelProfile;
+    }
+    return profile;
+  }
+
+  /* ========================================================================
+  Description: Passthru read accessor for the estimated position of the specified door.
+
+  Parameters:  doorName: Name of the door being querried.
+
+  Return:      Position of the door, 0 (closed) to 100 (open) percent.
+               undefined if the door or its position is not known.
+     ======================================================================== */
+  GetDoorPosition(doorName) {
+    let position = undefined;
+
+    const door = this._doorControllers.get(doorName);
+    if (door != undefined) {
+      position = door.Position;
+    }
+    return position;
+  }
+
   /* ========================================================================
   Description: Passthru accessor to activate the specified door.
 
   Parameters:  doorName: Name of the door being altered.
+               source:   (Optional) ACTIVATION_SOURCE of the request.
 
-  Return:      true if successful.
+  Return:      true if the door was activated. false if the door does not exist,
+               is not initialized, or is locked.
      ======================================================================== */
-  ActivateDoor(doorName) {
+  ActivateDoor(doorName, source) {
+    let activated = false;
+
     const door = this._doorControllers.get(doorName);
     if (door != undefined) {
-      door.ActivateDoor();
+      activated = door.ActivateDoor(source);
     }
 
-    return (door != undefined);
+    return activated;
+  }
+
+  /* ========================================================================
+  Description: Passthru accessor to move the specified door to a position.
+
+  Parameters:  doorName: Name of the door being altered.
+               position: Requested position, 0 (closed) to 100 (open) percent.
+               source:   (Optional) ACTIVATION_SOURCE of the request.
+
+  Return:      Promise. Resolves true if the door reached the requested position. false otherwise.
+     ======================================================================== */
+  async MoveDoorToPosition(doorName, position, source) {
+    let reached = false;
+
+    const door = this._doorControllers.get(doorName);
+    if (door != undefined) {
+      reached = await door.MoveToPosition(position, source);
+    }
+
+    return reached;
+  }
+
+  /* ========================================================================
+  Description: Passthru accessor to drive the specified door to a target state.
+
+  Parameters:  doorName:    Name of the door being altered.
+               targetState: DOOR_STATE.OPEN or DOOR_STATE.CLOSED
+               source:      (Optional) ACTIVATION_SOURCE of the request.
+
+  Return:      Promise. Resolves true if the door reached the target state. false otherwise.
+     ======================================================================== */
+  async MoveDoorToState(doorName, targetState, source) {
+    let reached = false;
+
+    const door = this._doorControllers.get(doorName);
+    if (door != undefined) {
+      reached = await door.SetTargetState(targetState, source);
+    }
+
+    return reached;
   }
 
   /* ========================================================================
@@ -374,7 +822,20 @@ class GarageSystem extends EventEmitter {
   SetDoorLocked(doorName, locked) {
     const door = this._doorControllers.get(doorName);
     if (door != undefined) {
+      const wasLocked = door.DoorLocked;
       door.DoorLocked = locked;
+
+      if (door.DoorLocked !== wasLocked) {
+        _debug(`Door Lock Changed: Name:${doorName} locked=${door.DoorLocked}`);
+
+        this._persistDoor(door);
+        this._journalEvent(doorName, modEventJournal.JOURNAL_EVENT.LOCK_CHANGE, {locked:door.DoorLocked});
+
+        // Alert interested clients, asynchronously
+        setTimeout((caller, newLocked, name) => {
+          caller.emit('door_lock_change', newLocked, name);
+        }, 0, this, door.DoorLocked, doorName);
+      }
     }
   }
 
@@ -412,28 +873,480 @@ class GarageSystem extends EventEmitter {
       // Toggle the LED state.
       this._heartbeatLEDState = ((LED_STATE.ON === this._heartbeatLEDState) ? LED_STATE.OFF : LED_STATE.ON);
       // Update the LED
-      _gpiop.write(this.heartbeatControlChannelId, this._heartbeatLEDState);
+      this._gpio.Write(this.heartbeatControlChannelId, this._heartbeatLEDState);
+    }
+  }
+
+  /* ========================================================================
+  Description: Passthru read accessor for the time the specified door entered its current state.
+
+  Parameters:  doorName: Name of the door being querried.
+
+  Return:      Time (ms since epoch). undefined if not known.
+     ======================================================================== */
+  GetDoorLastStateChangeTime(doorName) {
+    let timestamp = undefined;
+
+    const door = this._doorControllers.get(doorName);
+    if (door != undefined) {
+      timestamp = door.LastStateChangeTime;
+    }
+    return timestamp;
+  }
+
+  /* ========================================================================
+  Description: Passthru read accessor for the detection sensor readings of the specified door.
+
+  Parameters:  doorName: Name of the door being querried.
+
+  Return:      Array of sensor readings {id, function, result, health, reading_age, error_count, consecutive_failures, distance}.
+               Empty if the door is not known.
+     ======================================================================== */
+  GetDoorSensorReadings(doorName) {
+    let readings = [];
+
+    const door = this._doorControllers.get(doorName);
+    if (door != undefined) {
+      readings = door.SensorReadings;
+    }
+    return readings;
+  }
+
+  /* ========================================================================
+  Description: Passthru read accessor for the sensor health of the specified door.
+
+  Parameters:  doorName: Name of the door being querried.
+
+  Return:      true if any of the sensors detecting the door state are stale or faulted.
+               false if the door is not known.
+     ======================================================================== */
+  GetDoorSensorFault(doorName) {
+    let fault = false;
+
+    const door = this._doorControllers.get(doorName);
+    if (door != undefined) {
+      fault = door.SensorFault;
+    }
+    return fault;
+  }
+
+  /* ========================================================================
+  Description: Passthru read accessor for the vehicle presence of the specified door.
+
+  Parameters:  doorName: Name of the door being querried.
+
+  Return:      SENSOR_RESULT of the vehicle sensor. DETECTED when the vehicle is present.
+               undefined if the door is not known or does not have a vehicle sensor.
+     ======================================================================== */
+  GetDoorVehiclePresence(doorName) {
+    let presence = undefined;
+
+    const door = this._doorControllers.get(doorName);
+    if (door != undefined) {
+      presence = door.VehiclePresence;
+    }
+    return presence;
+  }
+
+  /* ========================================================================
+  Description: Query the journal of door events.
+
+  Parameters:  criteria: (Optional) Object with the following fields.
+               { door:  (Optional) Name of the door.
+                 types: (Optional) Array of JOURNAL_EVENT types.
+                 from:  (Optional) Earliest time (ms since epoch), inclusive.
+                 to:    (Optional) Latest time (ms since epoch), inclusive.
+                 after: (Optional) Only entries with an id greater than this.
+                 limit: (Optional) Maximum number of entries. The most recent entries are kept.
+               }
+
+  Return:      Promise. Resolves with an array of journal entries, oldest first.
+               Empty if the journal is not available.
+     ======================================================================== */
+  async QueryJournal(criteria) {
+    let entries = [];
+
+    if (this._journal != undefined) {
+      entries = await this._journal.Query(criteria);
+    }
+    return entries;
+  }
+
+  /* ========================================================================
+     Description: Helper to record a door event in the journal.
+
+     Parameters:  doorName: Name of the door.
+                  type:     JOURNAL_EVENT
+                  data:     Object with details specific to the event type.
+
+     Return:      None
+     ======================================================================== */
+  _journalEvent(doorName, type, data) {
+    if (this._journal != undefined) {
+      this._journal.Record(doorName, type, data);
     }
   }
 
+  /* ========================================================================
+     Description: Helper to persist the lock & state of a door.
+
+     Parameters:  door: DoorController to persist.
+
+     Return:      None
+
+     Remarks:     Only the settled (OPEN/CLOSED) door states are persisted. The
+                  persisted state is cleared once the door leaves the settled state,
+                  so that a stale state is not restored.
+     ======================================================================== */
+  _persistDoor(door) {
+    if (this._doorStore != undefined) {
+      const record = {locked:door.DoorLocked};
+      if (door.DoorOpen || door.DoorClosed) {
+        record.state     = door.DoorState;
+        record.timestamp = door.LastStateChangeTime;
+      }
+      this._doorStore.Set(door.Name, record);
+    }
+  }
+
+  /* ========================================================================
+     Description: Helper to schedule the next evaluation of the lock schedule.
+
+     Parameters:  None
+
+     Return:      None
+
+     Remarks:     The schedule is evaluated at the start of every minute.
+     ======================================================================== */
+  _scheduleLockEvaluation() {
+    this._lockScheduleTimerId = setTimeout((() => { this._evaluateLockSchedule(new Date()); }), modTimeOfDay.TimeUntilNextMinute(new Date()));
+  }
+
+  /* ========================================================================
+     Description: Apply the lock schedule entries that are due.
+
+     Parameters:  now: Current Date.
+
+     Return:      None
+     ======================================================================== */
+  _evaluateLockSchedule(now) {
+    const nowMinutes = modTimeOfDay.MinutesSinceMidnight(now);
+    const today      = now.getDay();
+
+    this._lockSchedule.forEach((entry) => {
+      if ((entry.time === nowMinutes) &&
+          (entry.days.includes(today))) {
+        const locked    = (entry.action === LOCK_ACTION.LOCK);
+        const doorNames = ((entry.doors.length > 0) ? entry.doors : this.DoorControllers);
+
+        _debug(`Lock Schedule: ${entry.action} doors:${doorNames}`);
+        doorNames.forEach((doorName) => {
+          this.SetDoorLocked(doorName, locked);
+        });
+      }
+    });
+
+    // Evaluate again at the start of the next minute.
+    this._scheduleLockEvaluation();
+  }
+
+  /* ========================================================================
+   Description:    Load the modules providing detection sensor classes
+
+   Parameters:     configuration: Homebridge 'sensor_modules' sub-configuration. Array of
+                                  module names or absolute paths.
+
+   Return:         None
+
+   Remarks:        Each module exports a function(modSensorBase) that registers its
+                   sensor classes with modSensorBase.default.RegisterSensorClass().
+                   The sensor base module is supplied so that the classes can derive
+                   from SensorBase. Modules that fail to load are ignored, and the
+                   doors using their sensor classes fail validation.
+   ======================================================================== */
+  _loadSensorModules(configuration) {
+    (Array.isArray(configuration) ? configuration : []).forEach((moduleName) => {
+      try {
+        const sensorModule  = require(moduleName);
+        const register      = ((typeof(sensorModule) === 'function') ? sensorModule : sensorModule.default);
+
+        if (typeof(register) === 'function') {
+          register(modSensorBase);
+          _debug(`Sensor module loaded: ${moduleName} Sensor classes: ${modSensorBase.default.RegisteredSensorClasses()}`);
+        }
+        else {
+          _debug(`Sensor module '${moduleName}' does not export a registration function.`);
+        }
+      }
+      catch (err) {
+        _debug(`Unable to load sensor module '${moduleName}': ${err.toString()}`);
+      }
+    });
+  }
+
+  /* ========================================================================
+   Description:    Consume the Lock Schedule configuration node
+
+   Parameters:     configuration: Homebridge 'lock_schedule' sub-configuration
+
+   Return:         Array of valid schedule entries {time, action, days, doors}.
+                   time is specified in minutes since midnight, and days by DAY_OF_WEEK.
+
+   Remarks:        Invalid entries are ignored.
+   ======================================================================== */
+  _consumeLockSchedule(configuration) {
+    const schedule = [];
+
+    if (Array.isArray(configuration)) {
+      configuration.forEach((configItem) => {
+        const configItemValid = ( (typeof(configItem) === 'object') && (configItem != null)                                                             &&
+                                  (configItem.hasOwnProperty('time')   && (modTimeOfDay.ParseTimeOfDay(configItem.time) != undefined))               &&
+                                  (configItem.hasOwnProperty('action') && Object.values(LOCK_ACTION).includes(configItem.action))                    &&
+                                  (!configItem.hasOwnProperty('days')  || (Array.isArray(configItem.days) &&
+                                                                           configItem.days.every((day) => { return (modTimeOfDay.ParseDayOfWeek(day) != undefined); }))) &&
+                                  (!configItem.hasOwnProperty('doors') || (Array.isArray(configItem.doors) &&
+                                                                           configItem.doors.every((door) => { return (typeof(door) === 'string'); })))  );
+        if (configItemValid) {
+          schedule.push({time:   modTimeOfDay.ParseTimeOfDay(configItem.time),
+                         action: configItem.action,
+                         days:   (configItem.hasOwnProperty('days') ? configItem.days.map((day) => { return modTimeOfDay.ParseDayOfWeek(day); }) : Object.values(modTimeOfDay.DAY_OF_WEEK)),
+                         doors:  (configItem.hasOwnProperty('doors') ? configItem.doors : [])});
+        }
+        else {
+          _debug(`GarageSystem: Invalid 'lock_schedule' entry ignored. ${JSON.stringify(configItem)}`);
+        }
+      });
+    }
+    else {
+      _debug(`GarageSystem: Invalid setting for 'lock_schedule' configuration ${JSON.stringify(configuration)}`);
+    }
+
+    return schedule;
+  }
+
   /* ========================================================================
       Description: Event handler for door state changes.
 
       Parameters:  oldState:  State prior to the change notification.
                    newState:  Current state of the door.
+                   cause:     STATE_CHANGE_CAUSE of the change.
                    contect:   Object reference to the DoorController raising the notification.
 
       Return:      None
      ======================================================================== */
-  doorStateChange(oldState, newState, context) {
+  doorStateChange(oldState, newState, cause, context) {
     // Validate Inputs
     if (context instanceof _doorController) {
-      _debug(`Door Changed State: Name:${context.Name} oldState=${oldState} newState=${newState}`);
+      _debug(`Door Changed State: Name:${context.Name} oldState=${oldState} newState=${newState} cause=${cause}`);
+
+      if (oldState !== newState) {
+        this._persistDoor(context);
+        this._journalEvent(context.Name, modEventJournal.JOURNAL_EVENT.STATE_CHANGE, {oldState:oldState, newState:newState, cause:cause});
+      }
 
       // Pass this event along.
       this.emit('door_state_change', oldState, newState, context.Name);
     }
   }
+
+  /* ========================================================================
+      Description: Event handler for door obstruction changes.
+
+      Parameters:  obstructed: Flag indicating if the door is obstructed.
+                   fault:      DOOR_FAULT responsible for the obstruction.
+                   contect:    Object reference to the DoorController raising the notification.
+
+      Return:      None
+     ======================================================================== */
+  doorObstructionChange(obstructed, fault, context) {
+    // Validate Inputs
+    if (context instanceof _doorController) {
+      _debug(`Door Obstruction Changed: Name:${context.Name} obstructed=${obstructed} fault=${fault}`);
+
+      this._journalEvent(context.Name, modEventJournal.JOURNAL_EVENT.FAULT, {obstructed:obstructed, fault:fault});
+
+      // Pass this event along.
+      this.emit('door_obstruction_change', obstructed, fault, context.Name);
+    }
+  }
+
+  /* ========================================================================
+      Description: Event handler for door auto-close changes.
+
+      Parameters:  status:    AUTO_CLOSE_STATUS of the door.
+                   closeTime: Time (ms since epoch) the door is scheduled to close.
+                   contect:   Object reference to the DoorController raising the notification.
+
+      Return:      None
+     ======================================================================== */
+  doorAutoCloseChange(status, closeTime, context) {
+    // Validate Inputs
+    if (context instanceof _doorController) {
+      _debug(`Door Auto-Close Changed: Name:${context.Name} status=${status} closeTime=${closeTime}`);
+
+      // Pass this event along.
+      this.emit('door_auto_close_change', status, closeTime, context.Name);
+    }
+  }
+
+  /* ========================================================================
+      Description: Event handler for door activation requests.
+
+      Parameters:  source:   ACTIVATION_SOURCE of the request.
+                   accepted: Flag indicating if the door was activated.
+                   contect:  Object reference to the DoorController raising the notification.
+
+      Return:      None
+     ======================================================================== */
+  doorActivationRequested(source, accepted, context) {
+    // Validate Inputs
+    if (context instanceof _doorController) {
+      _debug(`Door Activation Requested: Name:${context.Name} source=${source} accepted=${accepted}`);
+
+      this._journalEvent(context.Name, modEventJournal.JOURNAL_EVENT.ACTIVATION, {source:source, accepted:accepted});
+
+      // Pass this event along.
+      this.emit('door_activation_requested', source, accepted, context.Name);
+    }
+  }
+
+  /* ========================================================================
+      Description: Event handler for door sensor result changes.
+
+      Parameters:  sensorId:  Identifier of the sensor.
+                   oldResult: Prior SENSOR_RESULT.
+                   newResult: Current SENSOR_RESULT.
+                   contect:   Object reference to the DoorController raising the notification.
+
+      Return:      None
+     ======================================================================== */
+  doorSensorResultChange(sensorId, oldResult, newResult, context) {
+    // Validate Inputs
+    if (context instanceof _doorController) {
+      this._journalEvent(context.Name, modEventJournal.JOURNAL_EVENT.SENSOR_RESULT, {sensor:sensorId, oldResult:oldResult, newResult:newResult});
+
+      // Pass this event along.
+      this.emit('door_sensor_result_change', sensorId, oldResult, newResult, context.Name);
+    }
+  }
+
+  /* ========================================================================
+      Description: Event handler for door sensor distance changes.
+
+      Parameters:  sensorId:    Identifier of the sensor.
+                   oldDistance: Prior distance in meters. undefined if not previously measured.
+                   newDistance: Current distance in meters.
+                   contect:     Object reference to the DoorController raising the notification.
+
+      Return:      None
+     ======================================================================== */
+  doorSensorDistanceChange(sensorId, oldDistance, newDistance, context) {
+    // Validate Inputs
+    if (context instanceof _doorController) {
+      // Pass this event along.
+      this.emit('door_sensor_distance_change', sensorId, oldDistance, newDistance, context.Name);
+    }
+  }
+
+  /* ========================================================================
+      Description: Event handler for door sensor health changes.
+
+      Parameters:  sensorId:  Identifier of the sensor.
+                   oldHealth: Prior SENSOR_HEALTH.
+                   newHealth: Current SENSOR_HEALTH.
+                   contect:   Object reference to the DoorController raising the notification.
+
+      Return:      None
+     ======================================================================== */
+  doorSensorHealthChange(sensorId, oldHealth, newHealth, context) {
+    // Validate Inputs
+    if (context instanceof _doorController) {
+      this._journalEvent(context.Name, modEventJournal.JOURNAL_EVENT.SENSOR_HEALTH, {sensor:sensorId, oldHealth:oldHealth, newHealth:newHealth});
+
+      // Pass this event along.
+      this.emit('door_sensor_health_change', sensorId, oldHealth, newHealth, context.Name);
+    }
+  }
+
+  /* ========================================================================
+      Description: Event handler for door vehicle presence changes.
+
+      Parameters:  presence: SENSOR_RESULT of the vehicle sensor.
+                   contect:  Object reference to the DoorController raising the notification.
+
+      Return:      None
+     ======================================================================== */
+  doorVehiclePresenceChange(presence, context) {
+    // Validate Inputs
+    if (context instanceof _doorController) {
+      // Pass this event along.
+      this.emit('door_vehicle_presence_change', presence, context.Name);
+    }
+  }
+
+  /* ========================================================================
+      Description: Event handler for door position changes.
+
+      Parameters:  oldPosition: Prior position of the door, in percent open.
+                   newPosition: Current position of the door, in percent open.
+                   contect:     Object reference to the DoorController raising the notification.
+
+      Return:      None
+     ======================================================================== */
+  doorPositionChange(oldPosition, newPosition, context) {
+    // Validate Inputs
+    if (context instanceof _doorController) {
+      // Pass this event along.
+      this.emit('door_position_change', newPosition, context.Name);
+    }
+  }
+
+  /* ========================================================================
+      Description: Event handler for door move completions.
+
+      Parameters:  targetPosition: Requested position, in percent open.
+                   position:       Final position of the door, in percent open.
+                   reached:        Flag indicating if the door reached the requested position.
+                   contect:        Object reference to the DoorController raising the notification.
+
+      Return:      None
+     ======================================================================== */
+  doorMoveCompleted(targetPosition, position, reached, context) {
+    // Validate Inputs
+    if (context instanceof _doorController) {
+      _debug(`Door Move Completed: Name:${context.Name} target=${targetPosition} position=${position} reached=${reached}`);
+
+      this._journalEvent(context.Name, modEventJournal.JOURNAL_EVENT.MOVE, {target:targetPosition, position:position, reached:reached});
+
+      // Pass this event along.
+      this.emit('door_move_completed', targetPosition, position, reached, context.Name);
+    }
+  }
+
+  /* ========================================================================
+      Description: Event handler for door target state completions.
+
+      Parameters:  targetState: Requested DOOR_STATE.
+                   reached:     Flag indicating if the door reached the target state.
+                   attempts:    Number of times the door was activated.
+                   contect:     Object reference to the DoorController raising the notification.
+
+      Return:      None
+     ======================================================================== */
+  doorTargetStateCompleted(targetState, reached, attempts, context) {
+    // Validate Inputs
+    if (context instanceof _doorController) {
+      _debug(`Door Target State Completed: Name:${context.Name} target=${targetState} reached=${reached} attempts=${attempts}`);
+
+      this._journalEvent(context.Name, modEventJournal.JOURNAL_EVENT.TARGET_STATE, {target:targetState, reached:reached, attempts:attempts});
+
+      // Pass this event along.
+      this.emit('door_target_state_completed', targetState, reached, attempts, context.Name);
+    }
+  }
 }
 
-export default GarageSystem;
+export {GarageSystem as default, GPIO_PROVIDER, LOCK_ACTION};
+export {DOOR_STATE, DOOR_FAULT, AUTO_CLOSE_STATUS, ACTIVATION_SOURCE} from './doorCntrl.js';
+export {JOURNAL_EVENT} from './eventJournal.js';
+export {default as SensorBase, SENSOR_RESULT, SENSOR_HEALTH} from './sensorBase.js';
@@ -0,0 +1,160 @@
+/* ==========================================================================
+   File:               gpioBase.js
+   Class:              GpioBase
+   Description:	       Provide a common interface to the GPIO peripheral used
+                       by the garage system, doors, and detection sensors.
+   Copyright:          May 2020
+   ========================================================================== */
+'use strict';
+
+// External dependencies and imports.
+const _debug = require('debug')('gpioBase');
+import { EventEmitter } from 'events';
+
+/* Enumeration for GPIO Channel Directions */
+const GPIO_DIR = {
+  IN    : 'in',
+  OUT   : 'out',
+  LOW   : 'low',    /* Output, initialized LOW  */
+  HIGH  : 'high'    /* Output, initialized HIGH */
+};
+
+/* Enumeration for GPIO Input Edge Detection */
+const GPIO_EDGE = {
+  NONE    : 'none',
+  RISING  : 'rising',
+  FALLING : 'falling',
+  BOTH    : 'both'
+};
+
+/* Enumeration for GPIO Channel Numbering Modes */
+const GPIO_MODE = {
+  RPI : 'mode_rpi',
+  BCM : 'mode_bcm'
+};
+
+/* GpioBase represents a base class of GPIO peripheral providers. Derived
+   classes are expected to override all of the methods.
+
+   @event 'change'  => function(channel, value, timestamp) {}
+          Emitted when an input channel configured for edge detection changes.
+          channel:    the GPIO channel that changed.
+          value:      the current value of the channel.
+          timestamp:  high-resolution time (bigint nanoseconds, as process.hrtime.bigint())
+                      that the change was observed.
+*/
+class GpioBase extends EventEmitter {
+  /* ========================================================================
+     Description: Constructor for an instance of a GPIO provider.
+
+     Parameters:  identifier: Identifier to associate with this object.
+
+     Return:      N/A
+     ======================================================================== */
+  constructor(identifier) {
+
+    // Initialize the base class.
+    super();
+
+    // Assign the identifier.
+    this._id = identifier;
+
+    // Every door and detection sensor registers for 'change' events on the same provider.
+    this.setMaxListeners(0);
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the identifier of this provider
+
+     Parameters:  None
+
+     Return:      Identifier of this object
+     ======================================================================== */
+  get Identifier() {
+    return this._id;
+  }
+
+  /* ========================================================================
+     Description: Set the channel numbering mode.
+
+     Parameters:  mode: GPIO_MODE
+
+     Return:      None
+     ======================================================================== */
+  SetMode(mode) {
+    throw new Error(`GpioBase.SetMode: Not implemented. mode:${mode}`);
+  }
+
+  /* ========================================================================
+     Description: Configure a channel.
+
+     Parameters:  channel:   GPIO channel to configure.
+                  direction: GPIO_DIR
+                  edge:      (Optional) GPIO_EDGE. Only applicable to inputs.
+
+     Return:      Promise. Resolves once the channel is configured.
+     ======================================================================== */
+  async Setup(channel, direction, edge) {
+    throw new Error(`GpioBase.Setup: Not implemented. channel:${channel} direction:${direction} edge:${edge}`);
+  }
+
+  /* ========================================================================
+     Description: Read the value of a channel.
+
+     Parameters:  channel: GPIO channel to read.
+
+     Return:      Promise. Resolves with the value of the channel.
+     ======================================================================== */
+  async Read(channel) {
+    throw new Error(`GpioBase.Read: Not implemented. channel:${channel}`);
+  }
+
+  /* ========================================================================
+     Description: Write the value of an output channel.
+
+     Parameters:  channel: GPIO channel to write.
+                  value:   Value to write.
+
+     Return:      Promise. Resolves once the value is written.
+     ======================================================================== */
+  async Write(channel, value) {
+    throw new Error(`GpioBase.Write: Not implemented. channel:${channel} value:${value}`);
+  }
+
+  /* ========================================================================
+     Description: Open an I2C bus.
+
+     Parameters:  busNumber: Number of the I2C bus to open. ie: 1 for /dev/i2c-1
+
+     Return:      Promise. Resolves with the bus, which provides the promise based
+                  writeByte(address, register, byte), readI2cBlock(address, register, length, buffer)
+                  and close() methods of the i2c-bus module.
+     ======================================================================== */
+  async OpenI2cBus(busNumber) {
+    throw new Error(`GpioBase.OpenI2cBus: Not implemented. busNumber:${busNumber}`);
+  }
+
+  /* ========================================================================
+     Description: Reset the provider, forgetting all channel configurations.
+
+     Parameters:  None
+
+     Return:      None
+     ======================================================================== */
+  Reset() {
+    _debug(`GpioBase.Reset: Not implemented.`);
+  }
+
+  /* ========================================================================
+     Description: Release all channels and resources held by the provider.
+
+     Parameters:  None
+
+     Return:      Promise. Resolves once the resources are released.
+     ======================================================================== */
+  async Destroy() {
+    _debug(`GpioBase.Destroy: Not implemented.`);
+  }
+}
+
+export {GpioBase as default, GPIO_DIR, GPIO_EDGE, GPIO_MODE};
@@ -0,0 +1,582 @@
+/* ==========================================================================
+   File:               httpApi.js
+   Class:              HttpApi
+   Description:	       Provide a token-authenticated HTTP REST API for the
+                       status and control of the garage doors.
+   Copyright:          May 2020
+   ========================================================================== */
+'use strict';
+
+// External dependencies and imports.
+const _debug  = require('debug')('httpApi');
+const _http   = require('http');
+const _crypto = require('crypto');
+const _url    = require('url');
+
+// Internal dependencies
+import * as modDoorCntrl from './doorCntrl.js';
+import _eventStream       from './eventStream.js';
+
+/* Default TCP port of the HTTP API */
+const _DEFAULT_HTTP_API_PORT  = 8080;
+/* Default network interface of the HTTP API - All interfaces */
+const _DEFAULT_HTTP_API_HOST  = '0.0.0.0';
+/* Prefix of all of the routes of the HTTP API */
+const _API_PREFIX             = '/api';
+
+/* Enumeration for HTTP Status Codes */
+const _HTTP_STATUS = {
+  OK                  : 200,
+  BAD_REQUEST         : 400,
+  UNAUTHORIZED        : 401,
+  NOT_FOUND           : 404,
+  METHOD_NOT_ALLOWED  : 405,
+  CONFLICT            : 409,
+  INTERNAL_ERROR      : 500,
+  SERVICE_UNAVAILABLE : 503
+};
+
+/* HttpApi represents an HTTP server exposing the garage system.
+
+   Routes: (All requests require the header 'Authorization: Bearer <token>',
+            or the query parameter 'access_token=<token>' for clients unable to set headers)
+   GET  /api/doors                  List of the doors and their status.
+   GET  /api/doors/<name>           Status & sensor readings of a door.
+   POST /api/doors/<name>/activate  Activate a door. Rejected if the door is locked or not initialized.
+   POST /api/doors/<name>/lock      Lock a door.
+   POST /api/doors/<name>/unlock    Unlock a door.
+   POST /api/doors/<name>/identify  Identify a door.
+   GET  /api/journal                Query the journal of door events.
+                                    Optional query parameters: door, type (comma separated), from, to, after, limit
+   GET  /api/events                 Server-Sent Event stream of 'door_state_change', 'result_changed',
+                                    'distance_changed', 'health_changed' and 'position_changed' events. Missed events are replayed following the
+                                    'Last-Event-ID' header, or the 'last_event_id' query parameter.
+*/
+class HttpApi {
+  /* ========================================================================
+     Description: Constructor for an instance of the HTTP API.
+
+     Parameters:  garageSystem:   GarageSystem providing the doors.
+                  configuration:  Object with the following fields.
+                  { token:        Secret that clients must present to access the API.
+                    port:         (Optional) TCP port to listen on. Default: _DEFAULT_HTTP_API_PORT
+                    host:         (Optional) Network interface to listen on. Default: All interfaces
+                    event_replay: (Optional) Number of events retained for replay to reconnecting clients.
+                  }
+
+     Return:      N/A
+     ======================================================================== */
+  constructor(garageSystem, configuration) {
+
+    _debug(`Constructing HTTP API`);
+
+    // Verify that the configuration is valid.
+    if (!HttpApi.ValidateConfiguration(configuration)) {
+      throw new Error(`HttpApi invalid configuration`);
+    }
+
+    /* Garage System */
+    this._garageSystem  = garageSystem;
+    /* Server Settings */
+    this._token         = Buffer.from(configuration.token, 'utf8');
+    this._port          = (configuration.hasOwnProperty('port') ? configuration.port : _DEFAULT_HTTP_API_PORT);
+    this._host          = (configuration.hasOwnProperty('host') ? configuration.host : _DEFAULT_HTTP_API_HOST);
+    /* HTTP Server - undefined until started */
+    this._server        = undefined;
+    /* Stream of live events */
+    this._eventStream   = new _eventStream(configuration.event_replay);
+
+    /* Create function pointers for the garage system notifications. */
+    this._bindDoorStateChange           = this._doorStateChange.bind(this);
+    this._bindDoorSensorResultChange    = this._doorSensorResultChange.bind(this);
+    this._bindDoorSensorDistanceChange  = this._doorSensorDistanceChange.bind(this);
+    this._bindDoorSensorHealthChange    = this._doorSensorHealthChange.bind(this);
+    this._bindDoorPositionChange        = this._doorPositionChange.bind(this);
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the TCP port of the API.
+
+     Parameters:  None
+
+     Return:      TCP port being listened on. The configured port if not started.
+     ======================================================================== */
+  get Port() {
+    let port = this._port;
+
+    if ((this._server != undefined) &&
+        (this._server.address() != null)) {
+      port = this._server.address().port;
+    }
+    return port;
+  }
+
+  /* ========================================================================
+     Description: Start the HTTP server.
+
+     Parameters:  None
+
+     Return:      Promise. Resolves true if the server is listening. false otherwise.
+     ======================================================================== */
+  Start() {
+    return new Promise((resolve) => {
+      if (this._server == undefined) {
+        this._server = _http.createServer(this._handleRequest.bind(this));
+
+        this._server.once('error', (error) => {
+          _debug(`HTTP API failed to start: ${error.toString()}`);
+          this._server = undefined;
+          resolve(false);
+        });
+        this._server.listen(this._port, this._host, () => {
+          _debug(`HTTP API listening on ${this._host}:${this.Port}`);
+
+          // Register for the events to stream.
+          this._garageSystem.on( 'door_state_change',           this._bindDoorStateChange );
+          this._garageSystem.on( 'door_sensor_result_change',   this._bindDoorSensorResultChange );
+          this._garageSystem.on( 'door_sensor_distance_change', this._bindDoorSensorDistanceChange );
+          this._garageSystem.on( 'door_sensor_health_change',   this._bindDoorSensorHealthChange );
+          this._garageSystem.on( 'door_position_change',        this._bindDoorPositionChange );
+
+          resolve(true);
+        });
+      }
+      else {
+        resolve(true);
+      }
+    });
+  }
+
+  /* ========================================================================
+     Description: Stop the HTTP server.
+
+     Parameters:  None
+
+     Return:      Promise. Resolves once the server is closed.
+     ======================================================================== */
+  Stop() {
+    return new Promise((resolve) => {
+      if (this._server != undefined) {
+        // Unregister for the events to stream.
+        this._garageSystem.off( 'door_state_change',           this._bindDoorStateChange );
+        this._garageSystem.off( 'door_sensor_result_change',   this._bindDoorSensorResultChange );
+        this._garageSystem.off( 'door_sensor_distance_change', this._bindDoorSensorDistanceChange );
+        this._garageSystem.off( 'door_sensor_health_change',   this._bindDoorSensorHealthChange );
+        this._garageSystem.off( 'door_position_change',        this._bindDoorPositionChange );
+
+        // Streaming clients would otherwise keep the server from closing.
+        this._eventStream.Close();
+
+        this._server.close(() => { resolve(); });
+        this._server = undefined;
+      }
+      else {
+        resolve();
+      }
+    });
+  }
+
+  /* ========================================================================
+     Description: Handler for HTTP requests.
+
+     Parameters:  request:  http.IncomingMessage
+                  response: http.ServerResponse
+
+     Return:      None
+     ======================================================================== */
+  async _handleRequest(request, response) {
+    const requestUrl = _url.parse(request.url, true);
+
+    _debug(`HTTP API Request: ${request.method} ${requestUrl.pathname}`);
+
+    try {
+      if (!this._authorized(request, requestUrl.query)) {
+        this._sendError(response, _HTTP_STATUS.UNAUTHORIZED, 'Unauthorized');
+      }
+      else if (!requestUrl.pathname.startsWith(`${_API_PREFIX}/`)) {
+        this._sendError(response, _HTTP_STATUS.NOT_FOUND, 'Not found');
+      }
+      else {
+        // Split the route into its components. ie: ['doors', '<name>', 'activate']
+        const route = this._decodeRoute(requestUrl.pathname.substring(_API_PREFIX.length + 1));
+
+        if (route == undefined) {
+          this._sendError(response, _HTTP_STATUS.BAD_REQUEST, 'Malformed path');
+        }
+        else {
+          switch (route[0]) {
+            case 'doors':
+            {
+              this._handleDoorsRequest(request.method, route.slice(1), response);
+            }
+            break;
+
+            case 'journal':
+            {
+              await this._handleJournalRequest(request.method, requestUrl.query, response);
+            }
+            break;
+
+            case 'events':
+            {
+              this._handleEventsRequest(request, requestUrl.query, response);
+            }
+            break;
+
+            default:
+            {
+              this._sendError(response, _HTTP_STATUS.NOT_FOUND, 'Not found');
+            }
+            break;
+          }
+        }
+      }
+    }
+    catch (error) {
+      _debug(`HTTP API Request Error: ${error.toString()}`);
+      this._sendError(response, _HTTP_STATUS.INTERNAL_ERROR, 'Internal error');
+    }
+  }
+
+  /* ========================================================================
+     Description: Handler for requests of the 'doors' routes.
+
+     Parameters:  method:   HTTP method of the request.
+                  route:    Components of the route following 'doors'.
+                  response: http.ServerResponse
+
+     Return:      None
+     ======================================================================== */
+  _handleDoorsRequest(method, route, response) {
+    const doorName = route[0];
+    const action   = route[1];
+
+    if (route.length === 0) {
+      // List the doors.
+      if (method === 'GET') {
+        const doors = this._garageSystem.DoorControllers.map((name) => { return this._doorStatus(name); });
+        this._sendJSON(response, _HTTP_STATUS.OK, {doors:doors});
+      }
+      else {
+        this._sendError(response, _HTTP_STATUS.METHOD_NOT_ALLOWED, 'Method not allowed');
+      }
+    }
+    else if ((route.length > 2) ||
+             (!this._garageSystem.DoorControllers.includes(doorName))) {
+      this._sendError(response, _HTTP_STATUS.NOT_FOUND, `Door not found: ${doorName}`);
+    }
+    else if (action == undefined) {
+      // Get the status of the door.
+      if (method === 'GET') {
+        const status = this._doorStatus(doorName);
+        status.sensors = this._garageSystem.GetDoorSensorReadings(doorName);
+        this._sendJSON(response, _HTTP_STATUS.OK, status);
+      }
+      else {
+        this._sendError(response, _HTTP_STATUS.METHOD_NOT_ALLOWED, 'Method not allowed');
+      }
+    }
+    else if (method !== 'POST') {
+      this._sendError(response, _HTTP_STATUS.METHOD_NOT_ALLOWED, 'Method not allowed');
+    }
+    else {
+      switch (action) {
+        case 'activate':
+        {
+          if (this._garageSystem.GetDoorLocked(doorName)) {
+            this._sendError(response, _HTTP_STATUS.CONFLICT, `Door is locked: ${doorName}`);
+          }
+          else if (!this._garageSystem.ActivateDoor(doorName, modDoorCntrl.ACTIVATION_SOURCE.API)) {
+            this._sendError(response, _HTTP_STATUS.SERVICE_UNAVAILABLE, `Door not activated: ${doorName}`);
+          }
+          else {
+            this._sendJSON(response, _HTTP_STATUS.OK, {name:doorName, activated:true});
+          }
+        }
+        break;
+
+        case 'lock':
+        // Break intentionally missing.
+        case 'unlock':
+        {
+          this._garageSystem.SetDoorLocked(doorName, (action === 'lock'));
+          this._sendJSON(response, _HTTP_STATUS.OK, {name:doorName, locked:this._garageSystem.GetDoorLocked(doorName)});
+        }
+        break;
+
+        case 'identify':
+        {
+          this._garageSystem.IdentifyDoor(doorName);
+          this._sendJSON(response, _HTTP_STATUS.OK, {name:doorName, identifying:true});
+        }
+        break;
+
+        default:
+        {
+          this._sendError(response, _HTTP_STATUS.NOT_FOUND, `Unknown action: ${action}`);
+        }
+        break;
+      }
+    }
+  }
+
+  /* ========================================================================
+     Description: Handler for requests of the 'journal' route.
+
+     Parameters:  method:   HTTP method of the request.
+                  query:    Query parameters of the request.
+                  response: http.ServerResponse
+
+     Return:      Promise. Resolves once the response is sent.
+     ======================================================================== */
+  async _handleJournalRequest(method, query, response) {
+    if (method === 'GET') {
+      const criteria = {};
+      if (typeof(query.door) === 'string') {
+        criteria.door = query.door;
+      }
+      if (typeof(query.type) === 'string') {
+        criteria.types = query.type.split(',').map((type) => { return type.trim().toUpperCase(); });
+      }
+      // Numeric criteria.
+      let criteriaValid = true;
+      ['from', 'to', 'after', 'limit'].forEach((key) => {
+        if (typeof(query[key]) === 'string') {
+          const value = Number(query[key]);
+          criteriaValid = criteriaValid && Number.isFinite(value);
+          criteria[key] = value;
+        }
+      });
+
+      if (criteriaValid) {
+        const entries = await this._garageSystem.QueryJournal(criteria);
+        this._sendJSON(response, _HTTP_STATUS.OK, {entries:entries});
+      }
+      else {
+        this._sendError(response, _HTTP_STATUS.BAD_REQUEST, 'Invalid query');
+      }
+    }
+    else {
+      this._sendError(response, _HTTP_STATUS.METHOD_NOT_ALLOWED, 'Method not allowed');
+    }
+  }
+
+  /* ========================================================================
+     Description: Handler for requests of the 'events' route.
+
+     Parameters:  request:  http.IncomingMessage
+                  query:    Query parameters of the request.
+                  response: http.ServerResponse
+
+     Return:      None
+     ======================================================================== */
+  _handleEventsRequest(request, query, response) {
+    if (request.method === 'GET') {
+      // Reconnecting clients identify the last event received.
+      const lastEventId = ((request.headers['last-event-id'] != undefined) ? request.headers['last-event-id'] : query.last_event_id);
+
+      this._eventStream.AddClient(response, ((lastEventId != undefined) ? Number(lastEventId) : undefined));
+    }
+    else {
+      this._sendError(response, _HTTP_STATUS.METHOD_NOT_ALLOWED, 'Method not allowed');
+    }
+  }
+
+  /* ========================================================================
+     Description: Event handler for door state changes.
+
+     Parameters:  oldState: State prior to the change notification.
+                  newState: Current state of the door.
+                  context:  Name of the door changing state.
+
+     Return:      None
+     ======================================================================== */
+  _doorStateChange(oldState, newState, context) {
+    this._eventStream.Publish('door_state_change', {door:context, oldState:oldState, newState:newState, timestamp:Date.now()});
+  }
+
+  /* ========================================================================
+     Description: Event handler for door sensor result changes.
+
+     Parameters:  sensorId:  Identifier of the sensor.
+                  oldResult: Prior SENSOR_RESULT.
+                  newResult: Current SENSOR_RESULT.
+                  context:   Name of the door.
+
+     Return:      None
+     ======================================================================== */
+  _doorSensorResultChange(sensorId, oldResult, newResult, context) {
+    this._eventStream.Publish('result_changed', {door:context, sensor:sensorId, oldResult:oldResult, newResult:newResult, timestamp:Date.now()});
+  }
+
+  /* ========================================================================
+     Description: Event handler for door sensor distance changes.
+
+     Parameters:  sensorId:    Identifier of the sensor.
+                  oldDistance: Prior distance in meters. undefined if not previously measured.
+                  newDistance: Current distance in meters.
+                  context:     Name of the door.
+
+     Return:      None
+     ======================================================================== */
+  _doorSensorDistanceChange(sensorId, oldDistance, newDistance, context) {
+    this._eventStream.Publish('distance_changed', {door:context, sensor:sensorId, oldDistance:oldDistance, newDistance:newDistance, timestamp:Date.now()});
+  }
+
+  /* ========================================================================
+     Description: Event handler for door sensor health changes.
+
+     Parameters:  sensorId:  Identifier of the sensor.
+                  oldHealth: Prior SENSOR_HEALTH.
+                  newHealth: Current SENSOR_HEALTH.
+                  context:   Name of the door.
+
+     Return:      None
+     ======================================================================== */
+  _doorSensorHealthChange(sensorId, oldHealth, newHealth, context) {
+    this._eventStream.Publish('health_changed', {door:context, sensor:sensorId, oldHealth:oldHealth, newHealth:newHealth, timestamp:Date.now()});
+  }
+
+  /* ========================================================================
+     Description: Event handler for door position changes.
+
+     Parameters:  position: Position of the door, in percent open. undefined if not known.
+                  context:  Name of the door.
+
+     Return:      None
+     ======================================================================== */
+  _doorPositionChange(position, context) {
+    this._eventStream.Publish('position_changed', {door:context, position:position, timestamp:Date.now()});
+  }
+
+  /* ========================================================================
+     Description: Helper to get the status of a door.
+
+     Parameters:  doorName: Name of the door.
+
+     Return:      Object describing the status of the door.
+     ======================================================================== */
+  _doorStatus(doorName) {
+    return {name:        doorName,
+            state:       this._garageSystem.GetDoorState(doorName),
+            target:      this._garageSystem.GetTargetDoorState(doorName),
+            locked:      this._garageSystem.GetDoorLocked(doorName),
+            obstructed:  this._garageSystem.GetDoorObstructed(doorName),
+            fault:       this._garageSystem.GetDoorFault(doorName),
+            sensor_fault: this._garageSystem.GetDoorSensorFault(doorName),
+            auto_close:  this._garageSystem.GetDoorAutoCloseStatus(doorName),
+            since:       this._garageSystem.GetDoorLastStateChangeTime(doorName),
+            vehicle:     this._garageSystem.GetDoorVehiclePresence(doorName),
+            position:    this._garageSystem.GetDoorPosition(doorName)};
+  }
+
+  /* ========================================================================
+     Description: Helper to split a path into its decoded components.
+
+     Parameters:  path: Path of the route, following the API prefix.
+
+     Return:      Array of the components of the route. undefined if malformed.
+     ======================================================================== */
+  _decodeRoute(path) {
+    let route = undefined;
+
+    try {
+      route = path.split('/').map((part) => { return decodeURIComponent(part); });
+    }
+    catch (error) {
+      // Invalid percent-encoding.
+      _debug(`HTTP API Malformed path: ${path} (${error.toString()})`);
+    }
+
+    return route;
+  }
+
+  /* ========================================================================
+     Description: Helper to determine if a request presents the token.
+
+     Parameters:  request: http.IncomingMessage
+                  query:   Query parameters of the request.
+
+     Return:      true if authorized.
+     ======================================================================== */
+  _authorized(request, query) {
+    const BEARER = 'Bearer ';
+
+    let authorized = false;
+
+    const header = request.headers['authorization'];
+    let presented = undefined;
+    if ((typeof(header) === 'string') &&
+        header.startsWith(BEARER)) {
+      presented = header.substring(BEARER.length);
+    }
+    else if (typeof(query.access_token) === 'string') {
+      presented = query.access_token;
+    }
+
+    if (presented != undefined) {
+      const token = Buffer.from(presented, 'utf8');
+      // Compare in constant time.
+      authorized = ((token.length === this._token.length) &&
+                    _crypto.timingSafeEqual(token, this._token));
+    }
+
+    return authorized;
+  }
+
+  /* ========================================================================
+     Description: Helper to send a JSON response.
+
+     Parameters:  response: http.ServerResponse
+                  status:   HTTP status code.
+                  body:     Object to send.
+
+     Return:      None
+     ======================================================================== */
+  _sendJSON(response, status, body) {
+    const data = JSON.stringify(body);
+
+    response.writeHead(status, {'Content-Type':   'application/json',
+                                'Content-Length': Buffer.byteLength(data)});
+    response.end(data);
+  }
+
+  /* ========================================================================
+     Description: Helper to send an error response.
+
+     Parameters:  response: http.ServerResponse
+                  status:   HTTP status code.
+                  message:  Description of the error.
+
+     Return:      None
+     ======================================================================== */
+  _sendError(response, status, message) {
+    this._sendJSON(response, status, {error:message});
+  }
+
+  /* ========================================================================
+   Description:    Validate the configuration for the HTTP API
+
+   Parameters:     configuration: Homebridge 'http_api' configuration node
+
+   Return:         true if configuration is valid
+
+   Remarks:        Static method to allow configuration to be validated without creating an object instance
+   ======================================================================== */
+  static ValidateConfiguration(configuration) {
+    const configValid = ( (typeof(configuration) === 'object') && (configuration != null)                                                                     &&
+                          ( configuration.hasOwnProperty('token') && (typeof(configuration.token) === 'string') && (configuration.token.length > 0))         &&
+                          (!configuration.hasOwnProperty('port')  || (Number.isInteger(configuration.port) && (configuration.port >= 0) && (configuration.port <= 65535))) &&
+                          (!configuration.hasOwnProperty('host')  || (typeof(configuration.host) === 'string'))                                             &&
+                          (!configuration.hasOwnProperty('event_replay') || (Number.isInteger(configuration.event_replay) && (configuration.event_replay > 0)))  );
+
+    if (!configValid) {
+      // The token is a secret, so do not reveal the configuration.
+      _debug(`HttpApi invalid configuration.`);
+    }
+
+    return configValid;
+  }
+}
+
+export default HttpApi;
@@ -11,7 +11,7 @@ import { version as PLUGIN_VER }      from '../package.json';
 import { config_info as CONFIG_INFO } from '../package.json';
 
 // Internal dependencies
-import _garageSystem from './garageSystem.js';
+import _garageSystem, * as modGarageSystem from './garageSystem.js';
 
 // Configuration constants.
 const PLUGIN_NAME   = CONFIG_INFO.plugin;
@@ -25,6 +25,180 @@ let _PlatformAccessory  = undefined;
 let _Service            = undefined;
 let _Characteristic     = undefined;
 let _UUIDGen            = undefined;
+// Custom HomeKit types. Created once the hap-nodejs types are known.
+let _SonarDistanceService   = undefined;
+let _DistanceCharacteristic = undefined;
+
+/* UUIDs of the custom HomeKit types */
+const _DISTANCE_CHARACTERISTIC_UUID = '7BD37834-6CD0-4305-ACF3-44F6438768C1';
+const _SONAR_DISTANCE_SERVICE_UUID  = 'E9E31911-B4B0-4FD0-B41C-7AB7D2669B45';
+/* Largest distance reported by the Distance characteristic */
+const _MAX_REPORTED_DISTANCE        = 10.0/*meters*/;
+
+/* ========================================================================
+   Description: Helper to translate a door state into a value of the
+                HomeKit CurrentDoorState characteristic.
+
+   Parameters:  doorState: DOOR_STATE
+
+   Return:      CurrentDoorState characteristic value.
+
+   Remarks:     A door in an unknown position is reported as STOPPED, never CLOSED.
+   ======================================================================== */
+const _toCurrentDoorState = (doorState) => {
+  let currDoorCharacteristicVal = _Characteristic.CurrentDoorState.STOPPED;
+
+  switch (doorState) {
+    case modGarageSystem.DOOR_STATE.OPENING:
+    {
+      // Door is opening.
+      currDoorCharacteristicVal = _Characteristic.CurrentDoorState.OPENING;
+    }
+    break;
+
+    case modGarageSystem.DOOR_STATE.OPEN:
+    {
+      // Door is open.
+      currDoorCharacteristicVal = _Characteristic.CurrentDoorState.OPEN;
+    }
+    break;
+
+    case modGarageSystem.DOOR_STATE.CLOSING:
+    {
+      // Door is closing.
+      currDoorCharacteristicVal = _Characteristic.CurrentDoorState.CLOSING;
+    }
+    break;
+
+    case modGarageSystem.DOOR_STATE.CLOSED:
+    {
+      // Door is closed.
+      currDoorCharacteristicVal = _Characteristic.CurrentDoorState.CLOSED;
+    }
+    break;
+
+    case modGarageSystem.DOOR_STATE.UNKNOWN:
+    // Break intentionally missing
+    default:
+    {
+      // Not good !!
+      currDoorCharacteristicVal = _Characteristic.CurrentDoorState.STOPPED;
+    }
+    break;
+  }
+
+  return currDoorCharacteristicVal;
+};
+
+/* ========================================================================
+   Description: Helper to translate a door state into a value of the
+                HomeKit TargetDoorState characteristic.
+
+   Parameters:  doorState: DOOR_STATE, or the target DOOR_STATE of the door.
+
+   Return:      TargetDoorState characteristic value.
+
+   Remarks:     A moving door targets the end of its travel. A door in an
+                unknown position, without a target, is not known to be secure,
+                so it targets OPEN.
+   ======================================================================== */
+const _toTargetDoorState = (doorState) => {
+  const closing = ((doorState === modGarageSystem.DOOR_STATE.CLOSED) ||
+                   (doorState === modGarageSystem.DOOR_STATE.CLOSING));
+
+  return (closing ? _Characteristic.TargetDoorState.CLOSED : _Characteristic.TargetDoorState.OPEN);
+};
+
+/* ========================================================================
+   Description: Helper to translate a value of the HomeKit TargetDoorState
+                characteristic into a door state.
+
+   Parameters:  targetDoorCharacteristicVal: TargetDoorState characteristic value.
+
+   Return:      DOOR_STATE.OPEN or DOOR_STATE.CLOSED
+   ======================================================================== */
+const _fromTargetDoorState = (targetDoorCharacteristicVal) => {
+  return ((targetDoorCharacteristicVal === _Characteristic.TargetDoorState.OPEN) ? modGarageSystem.DOOR_STATE.OPEN : modGarageSystem.DOOR_STATE.CLOSED);
+};
+
+/* ========================================================================
+   Description: Helper to translate a vehicle presence into a value of the
+                HomeKit OccupancyDetected characteristic.
+
+   Parameters:  presence: SENSOR_RESULT of the vehicle sensor.
+
+   Return:      OccupancyDetected characteristic value.
+
+   Remarks:     An unknown presence is reported as not detected.
+   ======================================================================== */
+const _toOccupancyDetected = (presence) => {
+  return ((presence === modGarageSystem.SENSOR_RESULT.DETECTED) ? _Characteristic.OccupancyDetected.OCCUPANCY_DETECTED : _Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED);
+};
+
+/* ========================================================================
+   Description: Helper to translate a sensor fault into a value of the
+                HomeKit StatusFault characteristic.
+
+   Parameters:  faulted: Flag indicating if the sensor(s) are stale or faulted.
+
+   Return:      StatusFault characteristic value.
+   ======================================================================== */
+const _toStatusFault = (faulted) => {
+  return (faulted ? _Characteristic.StatusFault.GENERAL_FAULT : _Characteristic.StatusFault.NO_FAULT);
+};
+
+/* ========================================================================
+   Description: Helper to determine if a sensor health is a fault.
+
+   Parameters:  health: SENSOR_HEALTH of a sensor.
+
+   Return:      true if the sensor is stale or faulted.
+   ======================================================================== */
+const _isHealthFaulted = (health) => {
+  return ((health === modGarageSystem.SENSOR_HEALTH.STALE) ||
+          (health === modGarageSystem.SENSOR_HEALTH.FAULT));
+};
+
+/* ========================================================================
+   Description: Helper to create the custom HomeKit service & characteristic
+                used to publish the distance measured by a sonar sensor.
+
+   Parameters:  None
+
+   Return:      None
+
+   Remarks:     Relies upon the hap-nodejs types, so must be called once they
+                are known. Custom types are not presented by all applications.
+   ======================================================================== */
+const _createCustomTypes = () => {
+  /* Distance, in meters, measured by a sensor. */
+  _DistanceCharacteristic = class extends _Characteristic {
+    constructor() {
+      super('Distance', _DISTANCE_CHARACTERISTIC_UUID);
+      this.setProps({
+        format:   _Characteristic.Formats.FLOAT,
+        minValue: 0.0,
+        maxValue: _MAX_REPORTED_DISTANCE,
+        minStep:  0.01,
+        perms:    [_Characteristic.Perms.READ, _Characteristic.Perms.NOTIFY]
+      });
+      this.value = this.getDefaultValue();
+    }
+  };
+  _DistanceCharacteristic.UUID = _DISTANCE_CHARACTERISTIC_UUID;
+
+  /* Sonar sensor of a door. The subtype is the identifier of the sensor. */
+  _SonarDistanceService = class extends _Service {
+    constructor(displayName, subtype) {
+      super(displayName, _SONAR_DISTANCE_SERVICE_UUID, subtype);
+      this.addCharacteristic(_DistanceCharacteristic);
+      this.addOptionalCharacteristic(_Characteristic.StatusActive);
+      this.addOptionalCharacteristic(_Characteristic.StatusFault);
+      this.addOptionalCharacteristic(_Characteristic.Name);
+    }
+  };
+  _SonarDistanceService.UUID = _SONAR_DISTANCE_SERVICE_UUID;
+};
 
 /* Default Export Function for integrating with Homebridge */
 /* ========================================================================
@@ -44,6 +218,7 @@ export default (homebridge) => {
   _Service            = homebridge.hap.Service;
   _Characteristic     = homebridge.hap.Characteristic;
   _UUIDGen            = homebridge.hap.uuid;
+  _createCustomTypes();
 
   // For platform plugin to be considered as dynamic platform plugin,
   // registerPlatform(pluginName, platformName, constructor, dynamic), dynamic must be true
@@ -84,7 +259,7 @@ class GrumpyGarageSystemPlatform {
     /* My local data */
     this._name                  = this._config['name'];
     this._doorControllerNames   = [];
-    this._targetDoorState       = _Characteristic.TargetDoorState.CLOSED;
+    this._sonarServices         = false;
 
     // Underlying engine
     this._garageController = undefined;
@@ -94,6 +269,13 @@ class GrumpyGarageSystemPlatform {
     this._bindDestructorNormal   = this._destructor.bind(this, {cleanup:true});
     this._bindDestructorAbnormal = this._destructor.bind(this, {exit:true});
     this._bindDoorStateChange    = this._doorStateChange.bind(this);
+    this._bindDoorObstructionChange = this._doorObstructionChange.bind(this);
+    this._bindDoorAutoCloseChange   = this._doorAutoCloseChange.bind(this);
+    this._bindDoorLockChange        = this._doorLockChange.bind(this);
+    this._bindDoorSensorDistanceChange = this._doorSensorDistanceChange.bind(this);
+    this._bindDoorVehiclePresenceChange = this._doorVehiclePresenceChange.bind(this);
+    this._bindDoorSensorHealthChange    = this._doorSensorHealthChange.bind(this);
+    this._bindDoorPositionChange        = this._doorPositionChange.bind(this);
 
     /* Log our creation */
     this._log(`GrumpyGarageSystemPlatform: Creating Platform - ${this._name}`);
@@ -222,14 +404,27 @@ class GrumpyGarageSystemPlatform {
     if (this._config.hasOwnProperty('system')) {
       // Get the system configuration,
       sys_config = this._config.system;
+
+      // Publish the sonar sensors as services? {Optional}
+      this._sonarServices = (sys_config.hasOwnProperty('sonar_services') && (sys_config.sonar_services === true));
     }
 
     // Create & Start the garage controller system.
     this._garageController = new _garageSystem();
-    const initialized = await this._garageController.Start(sys_config);
+    // Persist the doors in the Homebridge storage path.
+    const initialized = await this._garageController.Start(sys_config, this._api.user.storagePath());
     if (initialized) {
       // Register for Garage Controller events of interest.
       this._garageController.on( 'door_state_change', this._bindDoorStateChange);
+      this._garageController.on( 'door_obstruction_change', this._bindDoorObstructionChange);
+      this._garageController.on( 'door_auto_close_change', this._bindDoorAutoCloseChange);
+      this._garageController.on( 'door_lock_change', this._bindDoorLockChange);
+      this._garageController.on( 'door_vehicle_presence_change', this._bindDoorVehiclePresenceChange);
+      this._garageController.on( 'door_sensor_health_change', this._bindDoorSensorHealthChange);
+      this._garageController.on( 'door_position_change', this._bindDoorPositionChange);
+      if (this._sonarServices) {
+        this._garageController.on( 'door_sensor_distance_change', this._bindDoorSensorDistanceChange);
+      }
 
       // Get the list of names of the garage door controllers.
       this._doorControllerNames = this._garageController.DoorControllers;
@@ -459,7 +654,7 @@ class GrumpyGarageSystemPlatform {
        // Get the state for the door and update the accessory.
        const doorState = this._garageController.GetDoorState(name);
        // Translate the state into a characteristic value.
-       doorCharacteristicVal = ((doorState === 'OPEN') ? _Characteristic.CurrentDoorState.OPEN : _Characteristic.CurrentDoorState.CLOSED);
+       doorCharacteristicVal = _toCurrentDoorState(doorState);
 
      }
      else {
@@ -470,6 +665,34 @@ class GrumpyGarageSystemPlatform {
      callback(null, doorCharacteristicVal);
   }
 
+  /* ========================================================================
+     Description: Homebridge accessor to get the Obstruction Detected state.
+
+     Parameters:  options:  Context. Object with 'key' field that is the name of the door being sought
+                  callback: Function to be invoked upon completion. (includes data being sought)
+
+     Return:      None.
+     ======================================================================== */
+  _getObstructionDetected(options, callback) {
+    let error = null;
+    let obstructed = false;
+
+    if (options.hasOwnProperty('key')) {
+      // Get the name of the door.
+      const name = options.key;
+
+      _debug(`calling _getObstructionDetected: ${name}`);
+
+      obstructed = this._garageController.GetDoorObstructed(name);
+    }
+    else {
+      error = new Error(`options did not include a key`);
+      this._log(`_getObstructionDetected: Unexpected value for 'options': ${JSON.stringify(options)}`);
+    }
+
+    callback(error, obstructed);
+  }
+
   /* ========================================================================
      Description: Homebridge accessor to change the Target Door State.
 
@@ -490,27 +713,31 @@ class GrumpyGarageSystemPlatform {
        /* Log to the console the value whenever this function is called */
        _debug(`calling _changeTargetDoorState: ${name}`);
 
-       // Cache the new value.
-       if (stateData.hasOwnProperty('newValue')) {
-         this._targetDoorState = stateData.newValue;
-       }
-       else {
+       if (!stateData.hasOwnProperty('newValue')) {
          throw new Error(`stateData missing newValue: ${JSON.stringify(stateData)}`);
        }
 
-       // Get the state for the door and update the accessory.
-       const doorState = this._garageController.GetDoorState(name);
-       // Translate the state into a characteristic value.
-       const currentDoorState = ((doorState === 'OPEN') ? _Characteristic.TargetDoorState.OPEN : _Characteristic.TargetDoorState.CLOSED);
+       // Get the target for the door. The target follows the door, and is retained when the door is stopped part-way,
+       // so the value published as the door changes state matches the target.
+       const targetState        = _fromTargetDoorState(stateData.newValue);
+       const currentTargetState = this._garageController.GetTargetDoorState(name);
 
        if (stateData.hasOwnProperty('oldValue')) {
-         if (stateData.oldValue === currentDoorState)
+         if (targetState !== currentTargetState)
          {
-           // Desire changing state, so Activate the door.
-           this._garageController.ActivateDoor(name);
+           // Desire changing state, so drive the door to the target. The door is re-activated if it moves the wrong way.
+           this._garageController.MoveDoorToState(name, targetState, modGarageSystem.ACTIVATION_SOURCE.HOMEKIT)
+           .then((reached) => {
+             if (!reached) {
+               this._log(`Door (${name}) did not reach the target state: (${targetState})`);
+             }
+           })
+           .catch((error) => {
+             this._log(`Door (${name}) failed to reach the target state: (${targetState}) ${error.toString()}`);
+           });
          }
          else {
-           this._log(`Door (${name}) is already in the desired state: (${this._targetDoorState})`);
+           this._log(`Door (${name}) is already in the desired state: (${currentTargetState})`);
          }
        }
      }
@@ -542,14 +769,16 @@ class GrumpyGarageSystemPlatform {
       // If the lock is not unsecured and the target door state is changing to a value that is different than the current door state, issue an error.
       // Get the state for the door and update the accessory.
       const doorState   = this._garageController.GetDoorState(name);
+      const targetState = this._garageController.GetTargetDoorState(name);
       const doorLocked  = this._garageController.GetDoorLocked(name);
 
       // Translate the state into a characteristic values.
-      const allowableTargetDoorCharacteristicVal   = ((doorState === 'OPEN') ? _Characteristic.TargetDoorState.OPEN : _Characteristic.TargetDoorState.CLOSED);
+      const allowableTargetDoorCharacteristicVal   = _toTargetDoorState(doorState);
+      const currentTargetDoorCharacteristicVal     = _toTargetDoorState(targetState);
 
       // Is the door prohibited from operating? i.e. Is it locked?
       if ((doorLocked === true) &&
-          (newValue !== this._targetDoorState) &&
+          (newValue !== currentTargetDoorCharacteristicVal) &&
           (newValue !== allowableTargetDoorCharacteristicVal)) {
         // Lock is not unsecured. This is *not* a critical error, however. Therefore we will simply put the setting back.
         // The Opening/Closing operation itself will be blockd within the door controller.
@@ -563,7 +792,7 @@ class GrumpyGarageSystemPlatform {
           setTimeout((resetVal, characteristic) => {
             _debug(`_validateTargetDoorStateChange: resetting target door state to (${resetVal})`);
             characteristic.updateValue(resetVal);
-          }, SHORT_DELAY_TO_SYNC_UI, this._targetDoorState, charTargetDoorState);
+          }, SHORT_DELAY_TO_SYNC_UI, currentTargetDoorCharacteristicVal, charTargetDoorState);
         }
       }
     }
@@ -653,66 +882,201 @@ class GrumpyGarageSystemPlatform {
   _doorStateChange(oldState, newState, context) {
     this._log(`Door '${context}' has changed from ${oldState} to ${newState}`);
 
-    // Get the state for the door and update the accessory.
-    const doorState = this._garageController.GetDoorState(context);
-    // Translate the state into a characteristic values.
-    let currDoorCharacteristicVal = _Characteristic.CurrentDoorState.STOPPED;
-    switch (doorState) {
-      case 'OPENING':
-      {
-        // Door is opening.
-        currDoorCharacteristicVal = _Characteristic.CurrentDoorState.OPENING;
+    // Get the state & target for the door and update the accessory.
+    const doorState   = this._garageController.GetDoorState(context);
+    const targetState = this._garageController.GetTargetDoorState(context);
+    // Translate the state into a characteristic values. A door stopped part-way retains its target.
+    const currDoorCharacteristicVal   = _toCurrentDoorState(doorState);
+    const targetDoorCharacteristicVal = _toTargetDoorState(targetState);
+
+    // Find the characteristic to publish the updated value.
+    const charCurrentDoorState = this._findCharacteristic(context, _Service.GarageDoorOpener, _Characteristic.CurrentDoorState);
+    if (charCurrentDoorState instanceof _Characteristic) {
+      // Publish updated value.
+      this._log(`Publish new state for door '${context}': ${currDoorCharacteristicVal}`);
+      charCurrentDoorState.setValue(currDoorCharacteristicVal);
+
+      // Also sync this value to the target door state. Recall, the door can be opened from means other than the app.
+      const charTargetDoorState = this._findCharacteristic(context, _Service.GarageDoorOpener, _Characteristic.TargetDoorState);
+      if (charTargetDoorState instanceof _Characteristic) {
+        charTargetDoorState.setValue(targetDoorCharacteristicVal);
       }
-      break;
+    }
+  }
+
+  /* ========================================================================
+      Description: Event handler for door obstruction changes.
+
+      Parameters:  obstructed: Flag indicating if the door is obstructed.
+                   fault:      Fault responsible for the obstruction.
+                   contect:    Name of the door.
+
+      Return:      None
+     ======================================================================== */
+  _doorObstructionChange(obstructed, fault, context) {
+    this._log(`Door '${context}' obstruction detected: ${obstructed} (${fault})`);
+
+    // Find the characteristic to publish the updated value.
+    const charObstructionDetected = this._findCharacteristic(context, _Service.GarageDoorOpener, _Characteristic.ObstructionDetected);
+    if (charObstructionDetected instanceof _Characteristic) {
+      charObstructionDetected.updateValue(obstructed);
+    }
+  }
+
+  /* ========================================================================
+      Description: Event handler for door soft-lock changes.
+
+      Parameters:  locked:  Flag indicating if the door is locked.
+                   contect: Name of the door.
+
+      Return:      None
+
+      Remarks:     The lock may be changed by means other than the app, such as
+                   the lock schedule. Keep the lock characteristics in sync.
+     ======================================================================== */
+  _doorLockChange(locked, context) {
+    this._log(`Door '${context}' lock changed. Locked:${locked}`);
+
+    const charTargetLockState = this._findCharacteristic(context, _Service.GarageDoorOpener, _Characteristic.LockTargetState);
+    if (charTargetLockState instanceof _Characteristic) {
+      charTargetLockState.updateValue(locked ? _Characteristic.LockTargetState.SECURED : _Characteristic.LockTargetState.UNSECURED);
+    }
+    const charCurrentLockState = this._findCharacteristic(context, _Service.GarageDoorOpener, _Characteristic.LockCurrentState);
+    if (charCurrentLockState instanceof _Characteristic) {
+      charCurrentLockState.updateValue(locked ? _Characteristic.LockCurrentState.SECURED : _Characteristic.LockCurrentState.UNSECURED);
+    }
+  }
+
+  /* ========================================================================
+      Description: Event handler for door auto-close changes.
 
-      case 'OPEN':
+      Parameters:  status:    AUTO_CLOSE_STATUS of the door.
+                   closeTime: Time (ms since epoch) the door is scheduled to close.
+                   contect:   Name of the door.
+
+      Return:      None
+     ======================================================================== */
+  _doorAutoCloseChange(status, closeTime, context) {
+    switch (status) {
+      case modGarageSystem.AUTO_CLOSE_STATUS.SCHEDULED:
+      // Break intentionally missing.
+      case modGarageSystem.AUTO_CLOSE_STATUS.WARNING:
       {
-        // Door is open.
-        currDoorCharacteristicVal = _Characteristic.CurrentDoorState.OPEN;
+        this._log(`Door '${context}' auto-close ${status}: closing at ${new Date(closeTime).toLocaleTimeString()}`);
       }
       break;
 
-      case 'CLOSING':
+      case modGarageSystem.AUTO_CLOSE_STATUS.BLOCKED:
       {
-        // Door is closing.
-        currDoorCharacteristicVal = _Characteristic.CurrentDoorState.CLOSING;
+        this._log(`Door '${context}' auto-close blocked. The door is locked.`);
       }
       break;
 
-      case 'CLOSED':
+      case modGarageSystem.AUTO_CLOSE_STATUS.FAILED:
       {
-        // Door is closed.
-        currDoorCharacteristicVal = _Characteristic.CurrentDoorState.CLOSED;
+        this._log(`Door '${context}' auto-close failed. The door did not close.`);
       }
       break;
 
-      case 'UNKNOWN':
-      // Break intentionally missing
       default:
       {
-        // Not good !!
-        currDoorCharacteristicVal = _Characteristic.CurrentDoorState.STOPPED;
+        this._log(`Door '${context}' auto-close ${status}`);
       }
       break;
     }
+  }
 
-    const targetDoorCharacteristicVal = ((doorState === 'OPEN') ? _Characteristic.TargetDoorState.OPEN  : _Characteristic.TargetDoorState.CLOSED);
+  /* ========================================================================
+      Description: Event handler for door sensor distance changes.
 
-    // Find the characteristic to publish the updated value.
-    const charCurrentDoorState = this._findCharacteristic(context, _Service.GarageDoorOpener, _Characteristic.CurrentDoorState);
-    if (charCurrentDoorState instanceof _Characteristic) {
-      // Publish updated value.
-      this._log(`Publish new state for door '${context}': ${currDoorCharacteristicVal}`);
-      charCurrentDoorState.setValue(currDoorCharacteristicVal);
+      Parameters:  sensorId:    Identifier of the sensor.
+                   oldDistance: Prior distance in meters. undefined if not previously measured.
+                   newDistance: Current distance in meters.
+                   contect:     Name of the door.
 
-      // Also sync this value to the target door state. Recall, the door can be opened from means other than the app.
-      const charTargetDoorState = this._findCharacteristic(context, _Service.GarageDoorOpener, _Characteristic.TargetDoorState);
-      if (charTargetDoorState instanceof _Characteristic) {
-        charTargetDoorState.setValue(targetDoorCharacteristicVal);
+      Return:      None
+     ======================================================================== */
+  _doorSensorDistanceChange(sensorId, oldDistance, newDistance, context) {
+    _debug(`Door '${context}' sensor '${sensorId}' distance changed: ${newDistance}`);
+
+    const charDistance = this._findCharacteristic(context, _SonarDistanceService, _DistanceCharacteristic, sensorId);
+    if (charDistance instanceof _Characteristic) {
+      charDistance.updateValue(this._toDistanceValue(newDistance));
+    }
+    const charStatusActive = this._findCharacteristic(context, _SonarDistanceService, _Characteristic.StatusActive, sensorId);
+    if (charStatusActive instanceof _Characteristic) {
+      charStatusActive.updateValue(true);
+    }
+  }
+
+  /* ========================================================================
+      Description: Event handler for door vehicle presence changes.
+
+      Parameters:  presence: SENSOR_RESULT of the vehicle sensor.
+                   contect:  Name of the door.
+
+      Return:      None
+     ======================================================================== */
+  _doorVehiclePresenceChange(presence, context) {
+    this._log(`Door '${context}' vehicle presence: ${presence}`);
+
+    const charOccupancyDetected = this._findCharacteristic(context, _Service.OccupancySensor, _Characteristic.OccupancyDetected);
+    if (charOccupancyDetected instanceof _Characteristic) {
+      charOccupancyDetected.updateValue(_toOccupancyDetected(presence));
+    }
+    const charStatusActive = this._findCharacteristic(context, _Service.OccupancySensor, _Characteristic.StatusActive);
+    if (charStatusActive instanceof _Characteristic) {
+      charStatusActive.updateValue(presence !== modGarageSystem.SENSOR_RESULT.UNKNOWN);
+    }
+  }
+
+  /* ========================================================================
+      Description: Event handler for door position changes.
+
+      Parameters:  position: Position of the door, in percent open. undefined if not known.
+                   contect:  Name of the door.
+
+      Return:      None
+     ======================================================================== */
+  _doorPositionChange(position, context) {
+    if (position != undefined) {
+      this._log(`Door '${context}' is ${position}% open`);
+
+      const charCurrentPosition = this._findCharacteristic(context, _Service.GarageDoorOpener, _Characteristic.CurrentPosition);
+      if (charCurrentPosition instanceof _Characteristic) {
+        charCurrentPosition.updateValue(position);
       }
     }
   }
 
+  /* ========================================================================
+      Description: Event handler for door sensor health changes.
+
+      Parameters:  sensorId:  Identifier of the sensor.
+                   oldHealth: Prior SENSOR_HEALTH.
+                   newHealth: Current SENSOR_HEALTH.
+                   contect:   Name of the door.
+
+      Return:      None
+     ======================================================================== */
+  _doorSensorHealthChange(sensorId, oldHealth, newHealth, context) {
+    this._log(`Door '${context}' sensor '${sensorId}' health: ${newHealth}`);
+
+    // The door is faulted when any of the sensors detecting the door state are unhealthy.
+    const charDoorStatusFault = this._findCharacteristic(context, _Service.GarageDoorOpener, _Characteristic.StatusFault);
+    if (charDoorStatusFault instanceof _Characteristic) {
+      charDoorStatusFault.updateValue(_toStatusFault(this._garageController.GetDoorSensorFault(context)));
+    }
+    const charSonarStatusFault = this._findCharacteristic(context, _SonarDistanceService, _Characteristic.StatusFault, sensorId);
+    if (charSonarStatusFault instanceof _Characteristic) {
+      charSonarStatusFault.updateValue(_toStatusFault(_isHealthFaulted(newHealth)));
+    }
+    const charVehicleStatusFault = this._findCharacteristic(context, _Service.OccupancySensor, _Characteristic.StatusFault);
+    if (charVehicleStatusFault instanceof _Characteristic) {
+      charVehicleStatusFault.updateValue(_toStatusFault(this._vehicleSensorFault(context)));
+    }
+  }
+
   /* ========================================================================
       Description: Helper to configure and setup the Garage Door accessory,
                    services and charachteristics.
@@ -803,7 +1167,7 @@ class GrumpyGarageSystemPlatform {
           // Get the state for the door and update the accessory.
           const doorState = this._garageController.GetDoorState(doorName);
           // Translate the state into a characteristic value.
-          const doorCharacteristicVal = ((doorState === 'OPEN') ? _Characteristic.CurrentDoorState.OPEN : _Characteristic.CurrentDoorState.CLOSED);
+          const doorCharacteristicVal = _toCurrentDoorState(doorState);
           // Publish.
           currentDoorStateCharacteristic.updateValue(doorCharacteristicVal);
         }
@@ -822,12 +1186,12 @@ class GrumpyGarageSystemPlatform {
           // Register for the 'change'
           targetDoorStateCharacteristic.on('change', this._changeTargetDoorState.bind(this, {key:doorName}));
 
-          // Get the state for the door and update the accessory.
-          const doorState = this._garageController.GetDoorState(doorName);
+          // Get the target state for the door and update the accessory.
+          const targetState = this._garageController.GetTargetDoorState(doorName);
           // Translate the state into a characteristic value.
-          const doorCharacteristicVal = ((doorState === 'OPEN') ? _Characteristic.TargetDoorState.OPEN : _Characteristic.TargetDoorState.CLOSED);
+          const doorCharacteristicVal = _toTargetDoorState(targetState);
           // Publish, ensuring that there is a state change to get initialized.
-          targetDoorStateCharacteristic.updateValue(this._targetDoorState);
+          targetDoorStateCharacteristic.updateValue(_Characteristic.TargetDoorState.CLOSED);
           targetDoorStateCharacteristic.updateValue(doorCharacteristicVal);
         }
 
@@ -836,42 +1200,178 @@ class GrumpyGarageSystemPlatform {
         if (doorService.testCharacteristic(tmpObstructionDetectedChar.displayName)) {
           const obstructionDetectedCharacteristic = doorService.getCharacteristic(_Characteristic.ObstructionDetected);
 
-          // The Obstruction Detected characteristic is required and removing it causes the plugin to fail to show up on the Home app.
-          // Just make the the characteristic hidden.
+          // Earlier versions hid this characteristic. Ensure that it is visible.
           if (obstructionDetectedCharacteristic.hasOwnProperty('props')) {
             const props = obstructionDetectedCharacteristic.props;
-            if (props.hasOwnProperty('perms')) {
-              const perms = props.perms;
-              if ((Array.isArray(perms)) &&
-                  (!perms.includes(_Characteristic.Perms.HIDDEN))) {
-                // Append the Hidden permission
-                perms.push(_Characteristic.Perms.HIDDEN);
-                // Update the permissions
-                obstructionDetectedCharacteristic.setProps({perms:perms});
-              }
+            if ((props.hasOwnProperty('perms')) &&
+                (Array.isArray(props.perms)) &&
+                (props.perms.includes(_Characteristic.Perms.HIDDEN))) {
+              // Remove the Hidden permission
+              obstructionDetectedCharacteristic.setProps({perms:props.perms.filter((perm) => { return (perm !== _Characteristic.Perms.HIDDEN); })});
             }
           }
+
+          // Register for the 'get' event handler.
+          obstructionDetectedCharacteristic.on('get', this._getObstructionDetected.bind(this, {key:doorName}));
+
+          // Publish.
+          obstructionDetectedCharacteristic.updateValue(this._garageController.GetDoorObstructed(doorName));
+        }
+
+        /* Status Fault characteristic. Reflects the health of the door sensors.
+           Not defined by HomeKit for the GarageDoorOpener service, so not all applications present it. */
+        doorService.addOptionalCharacteristic(_Characteristic.StatusFault);
+        doorService.getCharacteristic(_Characteristic.StatusFault).updateValue(_toStatusFault(this._garageController.GetDoorSensorFault(doorName)));
+
+        /* Current Position characteristic. Reflects the estimated position of the door, such as when stopped part-way.
+           Not defined by HomeKit for the GarageDoorOpener service, so not all applications present it. */
+        doorService.addOptionalCharacteristic(_Characteristic.CurrentPosition);
+        const position = this._garageController.GetDoorPosition(doorName);
+        if (position != undefined) {
+          doorService.getCharacteristic(_Characteristic.CurrentPosition).updateValue(position);
         }
       }
       else {
         this._log(`Unable to get GarageDoorOpener service !!`);
       }
+
+      // Manage the services of the sonar sensors.
+      this._doInitializeSonarServices(theAccessory, doorName);
+      // Manage the service of the vehicle sensor.
+      this._doInitializeVehicleService(theAccessory, doorName);
     }
     else {
       this._log(`Unable to get the door accessory: ${doorAccessory.context.name}!!`);
     }
   }
 
+  /* ========================================================================
+      Description: Helper to configure and setup a service for each of the
+                   sonar sensors of a door.
+
+      Parameters:  accessory: Garage Door accessory.
+                   doorName:  Name of the door.
+
+      Return:      None
+
+      Remarks:     Services of sensors that are no longer published, such as when
+                   'sonar_services' is disabled, are removed from the accessory.
+     ======================================================================== */
+  _doInitializeSonarServices(accessory, doorName) {
+    // Sonar sensors are those that report a distance.
+    const sonarReadings = this._garageController.GetDoorSensorReadings(doorName).filter((reading) => {
+      return reading.hasOwnProperty('distance');
+    });
+    const sensorIds = (this._sonarServices ? sonarReadings.map((reading) => { return reading.id; }) : []);
+
+    // Remove the stale services.
+    accessory.services.filter((service) => {
+      return ((service.UUID === _SonarDistanceService.UUID) && (!sensorIds.includes(service.subtype)));
+    }).forEach((service) => {
+      this._log(`Removing sonar service: ${service.displayName}`);
+      accessory.removeService(service);
+    });
+
+    if (this._sonarServices) {
+      sonarReadings.forEach((reading) => {
+        let sonarService = accessory.getServiceByUUIDAndSubType(_SonarDistanceService.UUID, reading.id);
+        if (sonarService == undefined) {
+          this._log(`Adding sonar service: ${doorName} ${reading.id}`);
+          sonarService = accessory.addService(_SonarDistanceService, `${doorName} ${reading.id}`, reading.id);
+        }
+
+        /* Name characteristic */
+        sonarService.getCharacteristic(_Characteristic.Name).updateValue(`${doorName} ${reading.id}`);
+
+        /* Distance & Status Active characteristics. Inactive until a distance has been measured. */
+        const measured = (reading.distance != undefined);
+        if (measured) {
+          sonarService.getCharacteristic(_DistanceCharacteristic).updateValue(this._toDistanceValue(reading.distance));
+        }
+        sonarService.getCharacteristic(_Characteristic.StatusActive).updateValue(measured);
+        /* Status Fault characteristic */
+        sonarService.getCharacteristic(_Characteristic.StatusFault).updateValue(_toStatusFault(_isHealthFaulted(reading.health)));
+      });
+    }
+  }
+
+  /* ========================================================================
+      Description: Helper to configure and setup the Occupancy Sensor service
+                   presenting the vehicle presence of a door.
+
+      Parameters:  accessory: Garage Door accessory.
+                   doorName:  Name of the door.
+
+      Return:      None
+
+      Remarks:     The service is removed from the accessory if the door does
+                   not have a vehicle sensor.
+     ======================================================================== */
+  _doInitializeVehicleService(accessory, doorName) {
+    const presence = this._garageController.GetDoorVehiclePresence(doorName);
+
+    let vehicleService = accessory.getService(_Service.OccupancySensor);
+    if (presence == undefined) {
+      if (vehicleService != undefined) {
+        this._log(`Removing vehicle service: ${vehicleService.displayName}`);
+        accessory.removeService(vehicleService);
+      }
+    }
+    else {
+      if (vehicleService == undefined) {
+        this._log(`Adding vehicle service: ${doorName} Vehicle`);
+        vehicleService = accessory.addService(_Service.OccupancySensor, `${doorName} Vehicle`);
+      }
+
+      /* Name characteristic */
+      vehicleService.getCharacteristic(_Characteristic.Name).updateValue(`${doorName} Vehicle`);
+      /* Occupancy Detected & Status Active characteristics */
+      vehicleService.getCharacteristic(_Characteristic.OccupancyDetected).updateValue(_toOccupancyDetected(presence));
+      vehicleService.getCharacteristic(_Characteristic.StatusActive).updateValue(presence !== modGarageSystem.SENSOR_RESULT.UNKNOWN);
+      /* Status Fault characteristic */
+      vehicleService.getCharacteristic(_Characteristic.StatusFault).updateValue(_toStatusFault(this._vehicleSensorFault(doorName)));
+    }
+  }
+
+  /* ========================================================================
+      Description: Helper to determine if the vehicle sensors of a door are
+                   unhealthy.
+
+      Parameters:  doorName: Name of the door.
+
+      Return:      true if any of the vehicle sensors are stale or faulted.
+     ======================================================================== */
+  _vehicleSensorFault(doorName) {
+    return this._garageController.GetDoorSensorReadings(doorName).some((reading) => {
+      return ((reading.function === 'VEHICLE') && _isHealthFaulted(reading.health));
+    });
+  }
+
+  /* ========================================================================
+      Description: Helper to translate a distance into a value of the
+                   Distance characteristic.
+
+      Parameters:  distance: Distance in meters.
+
+      Return:      Distance characteristic value. Limited to the range of the characteristic.
+     ======================================================================== */
+  _toDistanceValue(distance) {
+    const limited = Math.min(Math.max(distance, 0.0), _MAX_REPORTED_DISTANCE);
+
+    return (Math.round(limited * 100.0) / 100.0);
+  }
+
   /* ========================================================================
       Description: Helper to retrieve the specified characteristic.
 
       Parameters:  accessoryKey:            Key used to identify the accessory of interest. (Assumed to match the Accessory.context.key)
                    serviceTemplate:         Template of the service being sought.
                    characteristicTemplate:  Template of the characteristic being sought.
+                   subtype:                 (Optional) Subtype of the service, for accessories with multiple services of the same type.
 
       Return:      Characteristic if match found. Otherwise undefined.
      ======================================================================== */
-  _findCharacteristic(accessoryKey, serviceTemplate, characteristicTemplate) {
+  _findCharacteristic(accessoryKey, serviceTemplate, characteristicTemplate, subtype) {
     let matchedCharacteristic = undefined;
 
     // Get a iterable list of Accessories
@@ -879,7 +1379,7 @@ class GrumpyGarageSystemPlatform {
     for (let accessory of iterAccessories) {
       if ((accessory.context.hasOwnProperty('key')) &&
           (accessoryKey === accessory.context.key)) {
-         const service = accessory.getService(serviceTemplate);
+         const service = ((subtype != undefined) ? accessory.getServiceByUUIDAndSubType(serviceTemplate.UUID, subtype) : accessory.getService(serviceTemplate));
          // Is this a matching service?
          if (service != undefined) {
            // Is there a matching characteristic?
@@ -0,0 +1,585 @@
+/* ==========================================================================
+   File:               mqttBridge.js
+   Class:              MqttBridge
+   Description:	       Provide the status and control of the garage doors
+                       over MQTT, including Home Assistant discovery.
+   Copyright:          May 2020
+   ========================================================================== */
+'use strict';
+
+// External dependencies and imports.
+const _debug = require('debug')('mqttBridge');
+
+// Internal dependencies
+import * as modDoorCntrl from './doorCntrl.js';
+import * as modSensorBase from './sensorBase.js';
+
+/* Default root of the topics of the bridge */
+const _DEFAULT_BASE_TOPIC       = 'grumptech/garage';
+/* Default root of the Home Assistant discovery topics */
+const _DEFAULT_DISCOVERY_PREFIX = 'homeassistant';
+/* Payloads of the availability topic */
+const _AVAILABILITY_ONLINE      = 'online';
+const _AVAILABILITY_OFFLINE     = 'offline';
+/* Payloads of the lock topic */
+const _LOCK_STATE_LOCKED        = 'LOCKED';
+const _LOCK_STATE_UNLOCKED      = 'UNLOCKED';
+/* Device details reported to Home Assistant */
+const _DEVICE_MANUFACTURER      = 'Grumpy Dev';
+const _DEVICE_MODEL             = 'Door Control';
+
+/* Enumeration for Door Commands */
+const MQTT_COMMAND = {
+  ACTIVATE  : 'ACTIVATE',   /* Activate the door */
+  OPEN      : 'OPEN',       /* Open the door, if not open */
+  CLOSE     : 'CLOSE',      /* Close the door, if not closed */
+  LOCK      : 'LOCK',       /* Soft-Lock the door */
+  UNLOCK    : 'UNLOCK',     /* Soft-Unlock the door */
+  IDENTIFY  : 'IDENTIFY'    /* Identify the door */
+};
+
+/* MqttBridge represents a client of an MQTT broker exposing the garage system.
+
+   Topics: (<base> is the configured 'base_topic', <door> is the name of the door)
+   <base>/status                             'online' or 'offline'. Retained.
+   <base>/<door>/state                       DOOR_STATE of the door. Retained.
+   <base>/<door>/lock                        'LOCKED' or 'UNLOCKED'. Retained.
+   <base>/<door>/position                    Estimated position (percent open) of the door. Retained.
+   <base>/<door>/sensor/<sensor>/result      SENSOR_RESULT of a detection sensor. Retained.
+   <base>/<door>/sensor/<sensor>/distance    Distance (meters) measured by a sonar sensor. Retained.
+   <base>/<door>/sensor/<sensor>/health      SENSOR_HEALTH of a detection sensor. Retained.
+   <base>/<door>/command                     Subscribed. Accepts the MQTT_COMMAND values.
+                                             Activations are rejected if the door is locked.
+*/
+class MqttBridge {
+  /* ========================================================================
+     Description: Constructor for an instance of the MQTT bridge.
+
+     Parameters:  garageSystem:   GarageSystem providing the doors.
+                  configuration:  Object with the following fields.
+                  { url:              URL of the broker. ie: 'mqtt://localhost:1883'
+                    username:         (Optional) User name presented to the broker.
+                    password:         (Optional) Password presented to the broker.
+                    client_id:        (Optional) Client identifier presented to the broker.
+                    base_topic:       (Optional) Root of the topics. Default: _DEFAULT_BASE_TOPIC
+                    discovery:        (Optional) Flag indicating if Home Assistant discovery is published. Default: true
+                    discovery_prefix: (Optional) Root of the discovery topics. Default: _DEFAULT_DISCOVERY_PREFIX
+                  }
+                  client:         (Optional) Connected MQTT client to use, such as a
+                                  SimulatedMqttClient. When not specified, the client
+                                  connects to the configured broker when started.
+
+     Return:      N/A
+     ======================================================================== */
+  constructor(garageSystem, configuration, client) {
+
+    _debug(`Constructing MQTT bridge`);
+
+    // Verify that the configuration is valid.
+    if (!MqttBridge.ValidateConfiguration(configuration)) {
+      throw new Error(`MqttBridge invalid configuration`);
+    }
+
+    /* Garage System */
+    this._garageSystem    = garageSystem;
+    /* Broker Settings */
+    this._config          = configuration;
+    this._baseTopic       = (configuration.hasOwnProperty('base_topic')       ? configuration.base_topic       : _DEFAULT_BASE_TOPIC);
+    this._discovery       = (configuration.hasOwnProperty('discovery')        ? configuration.discovery        : true);
+    this._discoveryPrefix = (configuration.hasOwnProperty('discovery_prefix') ? configuration.discovery_prefix : _DEFAULT_DISCOVERY_PREFIX);
+    /* MQTT Client - undefined until started, unless supplied */
+    this._client          = client;
+
+    /* Create function pointers for the garage system notifications. */
+    this._bindDoorStateChange           = this._doorStateChange.bind(this);
+    this._bindDoorLockChange            = this._doorLockChange.bind(this);
+    this._bindDoorSensorResultChange    = this._doorSensorResultChange.bind(this);
+    this._bindDoorSensorDistanceChange  = this._doorSensorDistanceChange.bind(this);
+    this._bindDoorSensorHealthChange    = this._doorSensorHealthChange.bind(this);
+    this._bindDoorPositionChange        = this._doorPositionChange.bind(this);
+    /* Create function pointers for the client notifications. */
+    this._bindConnect                   = this._connect.bind(this);
+    this._bindMessage                   = this._message.bind(this);
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the root of the topics of the bridge.
+
+     Parameters:  None
+
+     Return:      Base topic.
+     ======================================================================== */
+  get BaseTopic() {
+    return this._baseTopic;
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the connection status of the bridge.
+
+     Parameters:  None
+
+     Return:      true if connected to the broker.
+     ======================================================================== */
+  get Connected() {
+    return ((this._client != undefined) && this._client.connected);
+  }
+
+  /* ========================================================================
+     Description: Start the bridge.
+
+     Parameters:  None
+
+     Return:      None
+
+     Remarks:     The topics are (re)published each time the client connects,
+                  as the client reconnects to the broker automatically.
+     ======================================================================== */
+  Start() {
+    if (this._client == undefined) {
+      const options = {will: {topic:this._topic('status'), payload:_AVAILABILITY_OFFLINE, retain:true, qos:0}};
+      if (this._config.hasOwnProperty('username')) {
+        options.username = this._config.username;
+      }
+      if (this._config.hasOwnProperty('password')) {
+        options.password = this._config.password;
+      }
+      if (this._config.hasOwnProperty('client_id')) {
+        options.clientId = this._config.client_id;
+      }
+
+      // Only load the MQTT package when the bridge is used.
+      this._client = require('mqtt').connect(this._config.url, options);
+      this._client.on('error', (error) => { _debug(`MQTT client error: ${error.toString()}`); });
+    }
+
+    this._client.on( 'connect', this._bindConnect );
+    this._client.on( 'message', this._bindMessage );
+
+    // Register for the events to publish.
+    this._garageSystem.on( 'door_state_change',           this._bindDoorStateChange );
+    this._garageSystem.on( 'door_lock_change',            this._bindDoorLockChange );
+    this._garageSystem.on( 'door_sensor_result_change',   this._bindDoorSensorResultChange );
+    this._garageSystem.on( 'door_sensor_distance_change', this._bindDoorSensorDistanceChange );
+    this._garageSystem.on( 'door_sensor_health_change',   this._bindDoorSensorHealthChange );
+    this._garageSystem.on( 'door_position_change',        this._bindDoorPositionChange );
+
+    // A supplied client may already be connected.
+    if (this._client.connected) {
+      this._connect();
+    }
+  }
+
+  /* ========================================================================
+     Description: Stop the bridge.
+
+     Parameters:  None
+
+     Return:      Promise. Resolves once disconnected from the broker.
+     ======================================================================== */
+  Stop() {
+    return new Promise((resolve) => {
+      if (this._client != undefined) {
+        // Unregister for the events to publish.
+        this._garageSystem.off( 'door_state_change',           this._bindDoorStateChange );
+        this._garageSystem.off( 'door_lock_change',            this._bindDoorLockChange );
+        this._garageSystem.off( 'door_sensor_result_change',   this._bindDoorSensorResultChange );
+        this._garageSystem.off( 'door_sensor_distance_change', this._bindDoorSensorDistanceChange );
+        this._garageSystem.off( 'door_sensor_health_change',   this._bindDoorSensorHealthChange );
+        this._garageSystem.off( 'door_position_change',        this._bindDoorPositionChange );
+
+        const client = this._client;
+        this._client = undefined;
+        client.off( 'connect', this._bindConnect );
+        client.off( 'message', this._bindMessage );
+
+        // A graceful disconnect does not publish the will, so report the availability.
+        this._publish(client, this._topic('status'), _AVAILABILITY_OFFLINE);
+        client.end(false, () => { resolve(); });
+      }
+      else {
+        resolve();
+      }
+    });
+  }
+
+  /* ========================================================================
+     Description: Event handler for the client connecting to the broker.
+
+     Parameters:  None
+
+     Return:      None
+     ======================================================================== */
+  _connect() {
+    _debug(`MQTT bridge connected.`);
+
+    const doorNames = this._garageSystem.DoorControllers;
+
+    // Listen for the door commands.
+    this._client.subscribe(doorNames.map((doorName) => { return this._topic(doorName, 'command'); }));
+
+    if (this._discovery) {
+      doorNames.forEach((doorName) => {
+        this._publishDiscovery(doorName);
+      });
+    }
+
+    // Publish the current status of the doors.
+    doorNames.forEach((doorName) => {
+      this._publish(this._client, this._topic(doorName, 'state'), this._garageSystem.GetDoorState(doorName));
+      this._publish(this._client, this._topic(doorName, 'lock'), this._lockState(this._garageSystem.GetDoorLocked(doorName)));
+      this._publish(this._client, this._topic(doorName, 'position'), this._position(this._garageSystem.GetDoorPosition(doorName)));
+      this._garageSystem.GetDoorSensorReadings(doorName).forEach((reading) => {
+        this._publish(this._client, this._topic(doorName, 'sensor', reading.id, 'result'), reading.result);
+        this._publish(this._client, this._topic(doorName, 'sensor', reading.id, 'health'), reading.health);
+        if (reading.distance != undefined) {
+          this._publish(this._client, this._topic(doorName, 'sensor', reading.id, 'distance'), this._distance(reading.distance));
+        }
+      });
+    });
+
+    this._publish(this._client, this._topic('status'), _AVAILABILITY_ONLINE);
+  }
+
+  /* ========================================================================
+     Description: Event handler for messages received from the broker.
+
+     Parameters:  topic:   Topic of the message.
+                  payload: Content of the message (Buffer).
+
+     Return:      None
+     ======================================================================== */
+  _message(topic, payload) {
+    const doorName = this._garageSystem.DoorControllers.find((name) => { return (topic === this._topic(name, 'command')); });
+    const command  = payload.toString().trim().toUpperCase();
+
+    _debug(`MQTT command: ${topic} ${command}`);
+
+    if (doorName == undefined) {
+      _debug(`Ignoring message for unknown topic: ${topic}`);
+    }
+    else {
+      switch (command) {
+        case MQTT_COMMAND.ACTIVATE:
+        {
+          this._garageSystem.ActivateDoor(doorName, modDoorCntrl.ACTIVATION_SOURCE.MQTT);
+        }
+        break;
+
+        case MQTT_COMMAND.OPEN:
+        // Break intentionally missing.
+        case MQTT_COMMAND.CLOSE:
+        {
+          const targetState = ((command === MQTT_COMMAND.OPEN) ? modDoorCntrl.DOOR_STATE.OPEN : modDoorCntrl.DOOR_STATE.CLOSED);
+
+          if (this._garageSystem.GetDoorLocked(doorName)) {
+            _debug(`Door (${doorName}) is locked. Ignoring: ${command}`);
+          }
+          else {
+            // The door is re-activated if it moves the wrong way or stops.
+            this._garageSystem.MoveDoorToState(doorName, targetState, modDoorCntrl.ACTIVATION_SOURCE.MQTT)
+            .then((reached) => {
+              _debug(`Door (${doorName}) ${command}: Reached:${reached}`);
+            })
+            .catch((error) => {
+              _debug(`Door (${doorName}) ${command}: Error:${error.toString()}`);
+            });
+          }
+        }
+        break;
+
+        case MQTT_COMMAND.LOCK:
+        // Break intentionally missing.
+        case MQTT_COMMAND.UNLOCK:
+        {
+          this._garageSystem.SetDoorLocked(doorName, (command === MQTT_COMMAND.LOCK));
+        }
+        break;
+
+        case MQTT_COMMAND.IDENTIFY:
+        {
+          this._garageSystem.IdentifyDoor(doorName);
+        }
+        break;
+
+        default:
+        {
+          _debug(`Unknown command for door (${doorName}): ${command}`);
+        }
+        break;
+      }
+    }
+  }
+
+  /* ========================================================================
+     Description: Event handler for door state changes.
+
+     Parameters:  oldState: State prior to the change notification.
+                  newState: Current state of the door.
+                  context:  Name of the door changing state.
+
+     Return:      None
+     ======================================================================== */
+  _doorStateChange(oldState, newState, context) {
+    this._publish(this._client, this._topic(context, 'state'), newState);
+  }
+
+  /* ========================================================================
+     Description: Event handler for door lock changes.
+
+     Parameters:  locked:  Soft-Lock state of the door.
+                  context: Name of the door.
+
+     Return:      None
+     ======================================================================== */
+  _doorLockChange(locked, context) {
+    this._publish(this._client, this._topic(context, 'lock'), this._lockState(locked));
+  }
+
+  /* ========================================================================
+     Description: Event handler for door sensor result changes.
+
+     Parameters:  sensorId:  Identifier of the sensor.
+                  oldResult: Prior SENSOR_RESULT.
+                  newResult: Current SENSOR_RESULT.
+                  context:   Name of the door.
+
+     Return:      None
+     ======================================================================== */
+  _doorSensorResultChange(sensorId, oldResult, newResult, context) {
+    this._publish(this._client, this._topic(context, 'sensor', sensorId, 'result'), newResult);
+  }
+
+  /* ========================================================================
+     Description: Event handler for door sensor distance changes.
+
+     Parameters:  sensorId:    Identifier of the sensor.
+                  oldDistance: Prior distance in meters. undefined if not previously measured.
+                  newDistance: Current distance in meters.
+                  context:     Name of the door.
+
+     Return:      None
+     ======================================================================== */
+  _doorSensorDistanceChange(sensorId, oldDistance, newDistance, context) {
+    this._publish(this._client, this._topic(context, 'sensor', sensorId, 'distance'), this._distance(newDistance));
+  }
+
+  /* ========================================================================
+     Description: Event handler for door sensor health changes.
+
+     Parameters:  sensorId:  Identifier of the sensor.
+                  oldHealth: Prior SENSOR_HEALTH.
+                  newHealth: Current SENSOR_HEALTH.
+                  context:   Name of the door.
+
+     Return:      None
+     ======================================================================== */
+  _doorSensorHealthChange(sensorId, oldHealth, newHealth, context) {
+    this._publish(this._client, this._topic(context, 'sensor', sensorId, 'health'), newHealth);
+  }
+
+  /* ========================================================================
+     Description: Event handler for door position changes.
+
+     Parameters:  position: Position of the door, in percent open. undefined if not known.
+                  context:  Name of the door.
+
+     Return:      None
+     ======================================================================== */
+  _doorPositionChange(position, context) {
+    this._publish(this._client, this._topic(context, 'position'), this._position(position));
+  }
+
+  /* ========================================================================
+     Description: Helper to publish the Home Assistant discovery of a door.
+
+     Parameters:  doorName: Name of the door.
+
+     Return:      None
+
+     Remarks:     Each door is presented as a device with a cover, a lock, an
+                  identify button, and an entity for each sensor reading.
+     ======================================================================== */
+  _publishDiscovery(doorName) {
+    const deviceId = this._objectId(`grumptech_garage_${doorName}`);
+    const common = {availability_topic:     this._topic('status'),
+                    payload_available:      _AVAILABILITY_ONLINE,
+                    payload_not_available:  _AVAILABILITY_OFFLINE,
+                    device: {identifiers:   [deviceId],
+                             name:          doorName,
+                             manufacturer:  _DEVICE_MANUFACTURER,
+                             model:         _DEVICE_MODEL}};
+
+    this._publishDiscoveryConfig('cover', `${deviceId}_door`, Object.assign({
+      name:           doorName,
+      device_class:   'garage',
+      command_topic:  this._topic(doorName, 'command'),
+      state_topic:    this._topic(doorName, 'state'),
+      payload_open:   MQTT_COMMAND.OPEN,
+      payload_close:  MQTT_COMMAND.CLOSE,
+      payload_stop:   null,
+      state_open:     modDoorCntrl.DOOR_STATE.OPEN,
+      state_opening:  modDoorCntrl.DOOR_STATE.OPENING,
+      state_closed:   modDoorCntrl.DOOR_STATE.CLOSED,
+      state_closing:  modDoorCntrl.DOOR_STATE.CLOSING,
+      position_topic: this._topic(doorName, 'position'),
+      position_open:  100,
+      position_closed: 0}, common));
+
+    this._publishDiscoveryConfig('lock', `${deviceId}_lock`, Object.assign({
+      name:           `${doorName} Lock`,
+      command_topic:  this._topic(doorName, 'command'),
+      state_topic:    this._topic(doorName, 'lock'),
+      payload_lock:   MQTT_COMMAND.LOCK,
+      payload_unlock: MQTT_COMMAND.UNLOCK,
+      state_locked:   _LOCK_STATE_LOCKED,
+      state_unlocked: _LOCK_STATE_UNLOCKED}, common));
+
+    this._publishDiscoveryConfig('button', `${deviceId}_identify`, Object.assign({
+      name:           `${doorName} Identify`,
+      command_topic:  this._topic(doorName, 'command'),
+      payload_press:  MQTT_COMMAND.IDENTIFY}, common));
+
+    this._garageSystem.GetDoorSensorReadings(doorName).forEach((reading) => {
+      const sensorObjectId = this._objectId(`${deviceId}_${reading.id}`);
+
+      this._publishDiscoveryConfig('binary_sensor', `${sensorObjectId}_result`, Object.assign({
+        name:         `${doorName} ${reading.id}`,
+        state_topic:  this._topic(doorName, 'sensor', reading.id, 'result'),
+        payload_on:   modSensorBase.SENSOR_RESULT.DETECTED,
+        payload_off:  modSensorBase.SENSOR_RESULT.UNDETECTED}, common));
+
+      this._publishDiscoveryConfig('sensor', `${sensorObjectId}_health`, Object.assign({
+        name:             `${doorName} ${reading.id} Health`,
+        state_topic:      this._topic(doorName, 'sensor', reading.id, 'health'),
+        entity_category:  'diagnostic'}, common));
+
+      if (reading.hasOwnProperty('distance')) {
+        this._publishDiscoveryConfig('sensor', `${sensorObjectId}_distance`, Object.assign({
+          name:                 `${doorName} ${reading.id} Distance`,
+          state_topic:          this._topic(doorName, 'sensor', reading.id, 'distance'),
+          device_class:         'distance',
+          unit_of_measurement:  'm'}, common));
+      }
+    });
+  }
+
+  /* ========================================================================
+     Description: Helper to publish a Home Assistant discovery configuration.
+
+     Parameters:  component: Home Assistant component. ie: 'cover'
+                  objectId:  Unique identifier of the entity.
+                  config:    Discovery configuration of the entity.
+
+     Return:      None
+     ======================================================================== */
+  _publishDiscoveryConfig(component, objectId, config) {
+    config.unique_id = objectId;
+
+    this._publish(this._client, `${this._discoveryPrefix}/${component}/${objectId}/config`, JSON.stringify(config));
+  }
+
+  /* ========================================================================
+     Description: Helper to publish a retained message.
+
+     Parameters:  client:  MQTT client to publish with.
+                  topic:   Topic of the message.
+                  message: Content of the message.
+
+     Return:      None
+
+     Remarks:     Messages are dropped while disconnected. The topics are
+                  republished once reconnected.
+     ======================================================================== */
+  _publish(client, topic, message) {
+    if ((client != undefined) && client.connected) {
+      client.publish(topic, message, {retain:true, qos:0});
+    }
+  }
+
+  /* ========================================================================
+     Description: Helper to compose a topic of the bridge.
+
+     Parameters:  ...levels: Levels of the topic following the base topic.
+
+     Return:      Topic.
+     ======================================================================== */
+  _topic(...levels) {
+    return [this._baseTopic].concat(levels).join('/');
+  }
+
+  /* ========================================================================
+     Description: Helper to convert an identifier into a Home Assistant object id.
+
+     Parameters:  id: Identifier.
+
+     Return:      Identifier containing only letters, digits, '_' and '-'.
+     ======================================================================== */
+  _objectId(id) {
+    return id.replace(/[^a-zA-Z0-9_-]/g, '_');
+  }
+
+  /* ========================================================================
+     Description: Helper to convert a lock state into the lock topic payload.
+
+     Parameters:  locked: Soft-Lock state of the door.
+
+     Return:      Payload of the lock topic.
+     ======================================================================== */
+  _lockState(locked) {
+    return (locked ? _LOCK_STATE_LOCKED : _LOCK_STATE_UNLOCKED);
+  }
+
+  /* ========================================================================
+     Description: Helper to convert a distance into the distance topic payload.
+
+     Parameters:  distance: Distance in meters. undefined if unknown.
+
+     Return:      Payload of the distance topic. Empty if unknown.
+     ======================================================================== */
+  _distance(distance) {
+    return ((typeof(distance) === 'number') ? distance.toFixed(3) : '');
+  }
+
+  /* ========================================================================
+     Description: Helper to convert a door position into the position topic payload.
+
+     Parameters:  position: Position of the door, in percent open. undefined if unknown.
+
+     Return:      Payload of the position topic. Empty if unknown.
+     ======================================================================== */
+  _position(position) {
+    return ((typeof(position) === 'number') ? position.toString() : '');
+  }
+
+  /* ========================================================================
+   Description:    Validate the configuration for the MQTT bridge
+
+   Parameters:     configuration: Homebridge 'mqtt' configuration node
+
+   Return:         true if configuration is valid
+
+   Remarks:        Static method to allow configuration to be validated without creating an object instance
+   ======================================================================== */
+  static ValidateConfiguration(configuration) {
+    const isNonEmptyString = (value) => { return ((typeof(value) === 'string') && (value.length > 0)); };
+
+    const configValid = ( (typeof(configuration) === 'object') && (configuration != null)                                                  &&
+                          ( configuration.hasOwnProperty('url')              && isNonEmptyString(configuration.url))                      &&
+                          (!configuration.hasOwnProperty('username')         || (typeof(configuration.username) === 'string'))            &&
+                          (!configuration.hasOwnProperty('password')         || (typeof(configuration.password) === 'string'))            &&
+                          (!configuration.hasOwnProperty('client_id')        || isNonEmptyString(configuration.client_id))                &&
+                          (!configuration.hasOwnProperty('base_topic')       || (isNonEmptyString(configuration.base_topic) &&
+                                                                                 !/[+#]/.test(configuration.base_topic)))                 &&
+                          (!configuration.hasOwnProperty('discovery')        || (typeof(configuration.discovery) === 'boolean'))          &&
+                          (!configuration.hasOwnProperty('discovery_prefix') || isNonEmptyString(configuration.discovery_prefix))           );
+
+    if (!configValid) {
+      // The password is a secret, so do not reveal the configuration.
+      _debug(`MqttBridge invalid configuration.`);
+    }
+
+    return configValid;
+  }
+}
+
+export {MqttBridge as default, MQTT_COMMAND};
@@ -9,11 +9,10 @@
 
 // External dependencies and imports.
 const _debug  = require('debug')('proxSensor');
-const _gpio   = require('rpi-gpio');
-const _gpiop  = _gpio.promise;
 
 // Internal dependencies
 import _sensorBase, * as modSensorBase from './sensorBase.js';
+import * as modGpioBase                from './gpioBase.js';
 
 /* Enumeration for Sonar Results */
 const _PROX_SWITCH_MODE = {
@@ -25,6 +24,10 @@ const _PROX_SWITCH_MODE = {
 const _DEFAULT_PROX_SWITCH_DEBOUNCE = 1.0/*sec*/;
 /* Default to a normally closed switch */
 const _DEFAULT_PROX_SWITCH_MODE     = _PROX_SWITCH_MODE.NORMALLY_CLOSED;
+/* Default interval for re-reading the switch to verify that it is responsive, in seconds */
+const _DEFAULT_PROX_POLLING_INTERVAL = 60.0/*sec*/;
+/* Minimum interval for re-reading the switch, in seconds */
+const _MINIMUM_PROX_POLLING_INTERVAL =  1.0/*sec*/;
 
 /* ProximitySwitchSensor represents Magnetic Proximity Switch Sensor.
    The sensor is monitored, and controlled by a RaspberryPi.
@@ -45,12 +48,13 @@ class ProximitySwitchSensor extends _sensorBase {
                     detect_threshold_min                      Minumum distance in meters to qualify as 'detected'.
                     detect_threshold_max                      Maximum distance in meters to qualify as 'detected'.
                   }
+                  gpio:                                       GPIO provider (GpioBase) used to monitor & control the sensor.
      Return:      N/A
      ======================================================================== */
-  constructor(identifier, configuration) {
+  constructor(identifier, configuration, gpio) {
 
     // Initialize the base class.
-    super(identifier);
+    super(identifier, gpio);
 
     _debug(`Constructing prox switch sensor`);
 
@@ -64,9 +68,13 @@ class ProximitySwitchSensor extends _sensorBase {
     this._switchMode      = (configuration.hasOwnProperty('mode') ? (configuration.mode ? _PROX_SWITCH_MODE.NORMALLY_CLOSED : _PROX_SWITCH_MODE.NORMALLY_OPEN) : _DEFAULT_PROX_SWITCH_MODE);
     /* GPIO channel to use for the switch signal. */
     this._gpioDetectIn    = configuration.detect_in;
+    /* Polling interval is optional. */
+    this._pollingInterval = (configuration.hasOwnProperty('polling_interval') ? configuration.polling_interval : _DEFAULT_PROX_POLLING_INTERVAL) * 1000.0/* milliseconds / second */;
 
     /* Prox Switch State Switch Debouce Timer Id */
     this._debounceTimerIdSwitchState  = undefined;
+    /* Prox Switch Polling Interval Timer Id */
+    this._pollingTimerId              = undefined;
     /* Create a function pointer for state change notifications. */
     this._myStateChangeCB             = this._stateChange.bind(this);
   }
@@ -87,12 +95,18 @@ class ProximitySwitchSensor extends _sensorBase {
     _debug(`Terminating Prox Sensor: ${this.Identifier}`);
 
     // Unregister for change notifications
-    _gpio.off( 'change', this._myStateChangeCB );
+    this._gpio.off( 'change', this._myStateChangeCB );
 
     // Kill off any timers that may be pending
     if (this._debounceTimerIdSwitchState != undefined) {
       clearTimeout(this._debounceTimerIdSwitchState );
+      this._debounceTimerIdSwitchState = undefined;
+    }
+    if (this._pollingTimerId != undefined) {
+      clearInterval(this._pollingTimerId);
+      this._pollingTimerId = undefined;
     }
+    super._stopHealthMonitor();
 
     super._initialized = false;
   }
@@ -111,14 +125,17 @@ class ProximitySwitchSensor extends _sensorBase {
     // Clear the initialized flag, in case we are re-starting
     super._initialized = false;
 
+    // Monitor that the switch continues to be read.
+    super._startHealthMonitor(this._pollingInterval);
+
     // Create an array of promises to configure the GPIO and wait for all of them
     // to complete.
     await Promise.all([/* Configure the sensor state input channel to observe
                           'detected and 'not detected' states */
-                       _gpiop.setup(this._gpioDetectIn, _gpio.DIR_IN, _gpio.EDGE_BOTH)])
+                       this._gpio.Setup(this._gpioDetectIn, modGpioBase.GPIO_DIR.IN, modGpioBase.GPIO_EDGE.BOTH)])
     .then(async (setupResults) => {
       /* Initialize the switch state */
-      const switchState = await _gpiop.read(this._gpioDetectIn);
+      const switchState = await this._gpio.Read(this._gpioDetectIn);
       return switchState;
     })
     .then(async (switchReadResult) => {
@@ -127,13 +144,19 @@ class ProximitySwitchSensor extends _sensorBase {
       this._updateSwitchState(switchReadResult);
 
       // Register for state change events for all input channels.
-      _gpio.on( 'change', this._myStateChangeCB );
+      this._gpio.on( 'change', this._myStateChangeCB );
+
+      // Periodically re-read the switch. Switch changes are otherwise only observed as they occur.
+      if (this._pollingTimerId == undefined) {
+        this._pollingTimerId = setInterval((() => { this._pollSwitch(); }), this._pollingInterval);
+      }
 
       // Indicate that the door is now initialized and ready to operate.
       super._initialized = true;
     })
     .catch((err) => {
       _debug(`Init Error(Prox Sensor:${this.Identifier}): ${err.toString()}`);
+      super._reportFailure(`Init Error: ${err.toString()}`);
     });
 
     return this.Initialized;
@@ -178,7 +201,10 @@ class ProximitySwitchSensor extends _sensorBase {
         _debug(`ProxSwitch (${this.Identifier}): _gpioDetectIn Change - Val:${value}`);
 
         // Schedule a new debounce timout and cache the timer id
-        this._debounceTimerIdDoorState = setTimeout( ((reading) => { this._updateSwitchState(reading); }), this._switchDebounce, value );
+        this._debounceTimerIdSwitchState = setTimeout( ((reading) => {
+          this._debounceTimerIdSwitchState = undefined;
+          this._updateSwitchState(reading);
+        }), this._switchDebounce, value );
       }
       break;
 
@@ -190,6 +216,27 @@ class ProximitySwitchSensor extends _sensorBase {
     }
   }
 
+  /* ========================================================================
+     Description: Re-read the switch to verify that it is responsive.
+
+     Parameters:  None
+
+     Return:      None
+
+     Remarks:     Skipped while a switch change is being debounced.
+     ======================================================================== */
+  _pollSwitch() {
+    if (this._debounceTimerIdSwitchState == undefined) {
+      this._gpio.Read(this._gpioDetectIn)
+      .then((switchReadResult) => {
+        this._updateSwitchState(switchReadResult);
+      })
+      .catch((err) => {
+        super._reportFailure(`Read Error: ${err.toString()}`);
+      });
+    }
+  }
+
   /* ========================================================================
      Description: Handler for prox switch state changes, once debouncing is
                   complete.
@@ -199,8 +246,8 @@ class ProximitySwitchSensor extends _sensorBase {
      Return:      None
      ======================================================================== */
   _updateSwitchState(rawSwitchReading) {
-    // Update the switch result.
-    super._setResult(this._convertSwitchReadToDetected(rawSwitchReading));
+    // Record the reading and update the switch result.
+    super._reportReading(this._convertSwitchReadToDetected(rawSwitchReading));
     _debug(`ProxSwitch ${this.Identifier} is: ${this.Result}`);
   }
 
@@ -214,9 +261,10 @@ class ProximitySwitchSensor extends _sensorBase {
    Remarks:        Static method to allow configuration to be validated without creating an object instance
    ======================================================================== */
   static ValidateConfiguration(configuration) {
-    const configValid = ( (!configuration.hasOwnProperty('debounce_time') || (typeof(configuration.debounce_time) === 'number') && (configuration.debounce_time >= 1.0))  && /* Optional configuration item */
-                          (!configuration.hasOwnProperty('mode')          || (typeof(configuration.mode)          === 'boolean'))                                         && /* Optional configuration item */
-                          ( configuration.hasOwnProperty('detect_in')     && (typeof(configuration.detect_in)     === 'number'))                                            );
+    const configValid = ( (!configuration.hasOwnProperty('debounce_time')    || (typeof(configuration.debounce_time)    === 'number') && (configuration.debounce_time >= 1.0))                               && /* Optional configuration item */
+                          (!configuration.hasOwnProperty('mode')             || (typeof(configuration.mode)             === 'boolean'))                                                                      && /* Optional configuration item */
+                          (!configuration.hasOwnProperty('polling_interval') || (typeof(configuration.polling_interval) === 'number') && (configuration.polling_interval >= _MINIMUM_PROX_POLLING_INTERVAL)) && /* Optional configuration item */
+                          ( configuration.hasOwnProperty('detect_in')        && (typeof(configuration.detect_in)        === 'number'))                                                                         );
 
     if (!configValid) {
       _debug(`ProximitySwitchSensor invalid configuration. configuration:${JSON.stringify(configuration)}`);
@@ -226,4 +274,8 @@ class ProximitySwitchSensor extends _sensorBase {
   }
 }
 
+// Register the sensor class, so that it can be created from a door configuration.
+_sensorBase.RegisterSensorClass('ProximitySwitchSensor', ProximitySwitchSensor.ValidateConfiguration,
+                                (identifier, configuration, gpio) => { return new ProximitySwitchSensor(identifier, configuration, gpio); });
+
 export default ProximitySwitchSensor;
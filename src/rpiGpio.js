@@ -0,0 +1,147 @@
+/* ==========================================================================
+   File:               rpiGpio.js
+   Class:              RpiGpio
+   Description:	       Provide access to the Raspberry Pi GPIO peripheral
+                       via the rpi-gpio module.
+   Copyright:          May 2020
+   ========================================================================== */
+'use strict';
+
+// External dependencies and imports.
+const _debug = require('debug')('rpiGpio');
+
+// Internal dependencies
+import _gpioBase from './gpioBase.js';
+
+/* RpiGpio represents the GPIO peripheral of a RaspberryPi. */
+class RpiGpio extends _gpioBase {
+  /* ========================================================================
+     Description: Constructor for an instance of the RaspberryPi GPIO provider.
+
+     Parameters:  None
+
+     Return:      N/A
+
+     Remarks:     rpi-gpio is only loaded when this provider is created, since
+                  it cannot be loaded on systems without the GPIO peripheral.
+     ======================================================================== */
+  constructor() {
+
+    // Initialize the base class.
+    super('RPI');
+
+    _debug(`Constructing RaspberryPi GPIO`);
+
+    this._gpio  = require('rpi-gpio');
+    this._gpiop = this._gpio.promise;
+
+    /* Create a function pointer for state change notifications. */
+    this._myStateChangeCB = this._stateChange.bind(this);
+
+    // Relay the change notifications from the peripheral.
+    this._gpio.on( 'change', this._myStateChangeCB );
+  }
+
+  /* ========================================================================
+     Description: Set the channel numbering mode.
+
+     Parameters:  mode: GPIO_MODE
+
+     Return:      None
+     ======================================================================== */
+  SetMode(mode) {
+    this._gpio.setMode(mode);
+  }
+
+  /* ========================================================================
+     Description: Configure a channel.
+
+     Parameters:  channel:   GPIO channel to configure.
+                  direction: GPIO_DIR
+                  edge:      (Optional) GPIO_EDGE. Only applicable to inputs.
+
+     Return:      Promise. Resolves once the channel is configured.
+     ======================================================================== */
+  async Setup(channel, direction, edge) {
+    return this._gpiop.setup(channel, direction, edge);
+  }
+
+  /* ========================================================================
+     Description: Read the value of a channel.
+
+     Parameters:  channel: GPIO channel to read.
+
+     Return:      Promise. Resolves with the value of the channel.
+     ======================================================================== */
+  async Read(channel) {
+    return this._gpiop.read(channel);
+  }
+
+  /* ========================================================================
+     Description: Write the value of an output channel.
+
+     Parameters:  channel: GPIO channel to write.
+                  value:   Value to write.
+
+     Return:      Promise. Resolves once the value is written.
+     ======================================================================== */
+  async Write(channel, value) {
+    return this._gpiop.write(channel, value);
+  }
+
+  /* ========================================================================
+     Description: Open an I2C bus.
+
+     Parameters:  busNumber: Number of the I2C bus to open. ie: 1 for /dev/i2c-1
+
+     Return:      Promise. Resolves with the bus.
+
+     Remarks:     i2c-bus is only loaded when a bus is opened, since it is an
+                  optional dependency only required by I2C detection sensors.
+     ======================================================================== */
+  async OpenI2cBus(busNumber) {
+    return require('i2c-bus').openPromisified(busNumber);
+  }
+
+  /* ========================================================================
+     Description: Reset the provider, forgetting all channel configurations.
+
+     Parameters:  None
+
+     Return:      None
+     ======================================================================== */
+  Reset() {
+    this._gpio.reset();
+
+    // Resetting rpi-gpio removes all of its listeners. Restore the relay of change notifications.
+    this._gpio.on( 'change', this._myStateChangeCB );
+  }
+
+  /* ========================================================================
+     Description: Release all channels and resources held by the provider.
+
+     Parameters:  None
+
+     Return:      Promise. Resolves once the resources are released.
+     ======================================================================== */
+  async Destroy() {
+    return this._gpiop.destroy();
+  }
+
+  /* ========================================================================
+     Description: Event handler for State Change events on GPIO Inputs
+
+     Parameters:  channel: GPIO Channel for the event.
+                  value:   Value of the GPIO Input
+
+     Return:      None
+
+     Remarks:     The change is timestamped as soon as it is observed, so that
+                  the timing of signals is not skewed by the listeners.
+     ======================================================================== */
+  _stateChange(channel, value) {
+    this.emit('change', channel, value, process.hrtime.bigint());
+  }
+}
+
+export default RpiGpio;
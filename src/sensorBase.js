@@ -17,6 +17,23 @@ const SENSOR_RESULT = {
   DETECTED   : 'DETECTED'
 };
 
+/* Enumeration for Sensor Health */
+const SENSOR_HEALTH = {
+  UNKNOWN : 'UNKNOWN',  /* Sensor is not being monitored */
+  OK      : 'OK',       /* Sensor is producing readings */
+  STALE   : 'STALE',    /* Sensor has not produced a reading recently */
+  FAULT   : 'FAULT'     /* Sensor readings are repeatedly failing */
+};
+
+/* Number of consecutive reading failures before a sensor is considered faulted. */
+const _FAULT_CONSECUTIVE_FAILURES = 5;
+/* Number of expected reading intervals without a reading before a sensor is considered stale. */
+const _STALE_READING_INTERVALS    = 3;
+
+/* Registry of the detection sensor classes that can be created from a door
+   configuration, keyed on class name: {validate, create} */
+const _sensorClassRegistry = new Map();
+
 /* SensorBase represents a base class of detection sensors.
 
    @event 'result_changed'  => function(oldResult, newResult, context) {}
@@ -24,15 +41,22 @@ const SENSOR_RESULT = {
           oldResult:   the prior SENSOR_RESULT
           newResult:   the new SENSOR_RESULT
           context:    reference to the instance of the object raising the event.
+
+   @event 'health_changed'  => function(oldHealth, newHealth, context) {}
+          Emitted when the health of the sensor changes.
+          oldHealth:  the prior SENSOR_HEALTH
+          newHealth:  the new SENSOR_HEALTH
+          context:    reference to the instance of the object raising the event.
 */
 class SensorBase extends EventEmitter {
   /* ========================================================================
      Description: Constructor for an instance of a detection sensor.
 
      Parameters:  identifier: Identifier to associate with this object.
+                  gpio:       GPIO provider (GpioBase) used to monitor & control the sensor.
      Return:      N/A
      ======================================================================== */
-  constructor(identifier) {
+  constructor(identifier, gpio) {
 
     // Initialize the base class.
     super();
@@ -40,10 +64,27 @@ class SensorBase extends EventEmitter {
     // Assign the identifier.
     this._id = identifier;
 
+    // Assign the GPIO provider.
+    this._gpio = gpio;
+
     this._initialized = false;
 
     // Initialize the result
     this._result = SENSOR_RESULT.UNKNOWN;
+
+    // Initialize the health
+    this._health              = SENSOR_HEALTH.UNKNOWN;
+    /* Time (ms since epoch) of the most recent reading. undefined if none. */
+    this._lastReadingTime     = undefined;
+    /* Time (ms since epoch) that health monitoring started */
+    this._monitorStartTime    = undefined;
+    /* Time (ms) without a reading before the sensor is considered stale */
+    this._staleTime           = undefined;
+    /* Number of reading failures, and the number since the last successful reading */
+    this._errorCount          = 0;
+    this._consecutiveFailures = 0;
+    /* Health Monitor Interval Timer Id */
+    this._healthMonitorId     = undefined;
   }
 
   /* ========================================================================
@@ -79,6 +120,207 @@ class SensorBase extends EventEmitter {
     return this._initialized;
   }
 
+  /* ========================================================================
+     Description: Read-Only Property for the health of this sensor
+
+     Parameters:  None
+
+     Return:      SENSOR_HEALTH
+     ======================================================================== */
+  get Health() {
+    return this._health;
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the age of the most recent reading
+
+     Parameters:  None
+
+     Return:      Age in seconds. undefined if no reading has been made.
+     ======================================================================== */
+  get ReadingAge() {
+    return ((this._lastReadingTime != undefined) ? ((Date.now() - this._lastReadingTime) / 1000.0/* milliseconds / second */) : undefined);
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the number of reading failures
+
+     Parameters:  None
+
+     Return:      Number of failures since the sensor was started.
+     ======================================================================== */
+  get ErrorCount() {
+    return this._errorCount;
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the number of consecutive reading failures
+
+     Parameters:  None
+
+     Return:      Number of failures since the most recent reading.
+     ======================================================================== */
+  get ConsecutiveFailures() {
+    return this._consecutiveFailures;
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the measurements specific to the sensor class
+
+     Parameters:  None
+
+     Return:      Object with the measurements of the sensor, keyed on name. ie: {distance:1.5}
+                  Empty if the sensor has no measurements beyond its result.
+
+     Remarks:     Intended to be overridden by derived classes.
+     ======================================================================== */
+  get Measurements() {
+    return {};
+  }
+
+  /* ========================================================================
+     Description: Internal helper to start monitoring the health of the sensor.
+
+     Parameters:  readingInterval: Time in milliseconds between expected readings.
+
+     Return:      None.
+
+     Remarks:     Intended to only be invoked from objects deriving from this class,
+                  when the sensor is started. The sensor is considered stale, and
+                  the result UNKNOWN, when no reading is made for several intervals.
+     ======================================================================== */
+  _startHealthMonitor(readingInterval) {
+    this._stopHealthMonitor();
+
+    // Reset the health data.
+    this._lastReadingTime     = undefined;
+    this._monitorStartTime    = Date.now();
+    this._staleTime           = readingInterval * _STALE_READING_INTERVALS;
+    this._errorCount          = 0;
+    this._consecutiveFailures = 0;
+
+    this._healthMonitorId = setInterval((() => { this._checkHealth(); }), readingInterval);
+  }
+
+  /* ========================================================================
+     Description: Internal helper to stop monitoring the health of the sensor.
+
+     Parameters:  None
+
+     Return:      None.
+
+     Remarks:     Intended to only be invoked from objects deriving from this class.
+     ======================================================================== */
+  _stopHealthMonitor() {
+    if (this._healthMonitorId != undefined) {
+      clearInterval(this._healthMonitorId);
+      this._healthMonitorId = undefined;
+    }
+
+    this._setHealth(SENSOR_HEALTH.UNKNOWN);
+  }
+
+  /* ========================================================================
+     Description: Internal helper to record a successful reading and update
+                  the result.
+
+     Parameters:  newResult:   The SENSOR_RESULT of the reading.
+                  readingTime: (Optional) Time (ms since epoch) of the reading. Default: Now
+
+     Return:      None.
+
+     Remarks:     Intended to only be invoked from objects deriving from this class.
+     ======================================================================== */
+  _reportReading(newResult, readingTime) {
+    this._reportResponse(readingTime);
+    this._setResult(newResult);
+  }
+
+  /* ========================================================================
+     Description: Internal helper to record a reading that does not update
+                  the result, such as one discarded by filtering.
+
+     Parameters:  readingTime: (Optional) Time (ms since epoch) of the reading. Default: Now
+
+     Return:      None.
+
+     Remarks:     Intended to only be invoked from objects deriving from this class.
+                  The sensor is responding, so it is healthy and not stale.
+     ======================================================================== */
+  _reportResponse(readingTime) {
+    this._lastReadingTime     = ((typeof(readingTime) === 'number') ? readingTime : Date.now());
+    this._consecutiveFailures = 0;
+
+    this._setHealth(SENSOR_HEALTH.OK);
+  }
+
+  /* ========================================================================
+     Description: Internal helper to record a failed reading.
+
+     Parameters:  reason: Description of the failure.
+
+     Return:      None.
+
+     Remarks:     Intended to only be invoked from objects deriving from this class.
+                  The sensor is faulted, and the result UNKNOWN, once the readings
+                  have failed repeatedly.
+     ======================================================================== */
+  _reportFailure(reason) {
+    this._errorCount++;
+    this._consecutiveFailures++;
+
+    _debug(`Sensor (${this.Identifier}): Reading failed (${this._consecutiveFailures} consecutive): ${reason}`);
+
+    if (this._consecutiveFailures >= _FAULT_CONSECUTIVE_FAILURES) {
+      this._setHealth(SENSOR_HEALTH.FAULT);
+      this._setResult(SENSOR_RESULT.UNKNOWN);
+    }
+  }
+
+  /* ========================================================================
+     Description: Internal helper to check for stale readings.
+
+     Parameters:  None
+
+     Return:      None.
+     ======================================================================== */
+  _checkHealth() {
+    const referenceTime = ((this._lastReadingTime != undefined) ? this._lastReadingTime : this._monitorStartTime);
+
+    if ((Date.now() - referenceTime) > this._staleTime) {
+      // A faulted sensor remains faulted until it produces a reading.
+      if (this._health !== SENSOR_HEALTH.FAULT) {
+        this._setHealth(SENSOR_HEALTH.STALE);
+      }
+      this._setResult(SENSOR_RESULT.UNKNOWN);
+    }
+  }
+
+  /* ========================================================================
+     Description: Internal helper to update the health and notify registered
+                  clients of the 'health_changed' event.
+
+     Parameters:  newHealth: The updated SENSOR_HEALTH.
+
+     Return:      None.
+     ======================================================================== */
+  _setHealth(newHealth) {
+
+    const oldHealth = this._health;
+
+    if (oldHealth != newHealth) {
+      _debug(`Sensor (${this.Identifier}): Health changed. Old:${oldHealth} New:${newHealth}`);
+
+      // Update the cached health.
+      this._health = newHealth;
+
+      // Notify clients - asynchronously.
+      setTimeout((caller, healthOld, healthNew) => {
+        caller.emit('health_changed', healthOld, healthNew, caller);
+      }, 0, this, oldHealth, newHealth);
+    }
+  }
+
   /* ========================================================================
      Description: Internal helper to update the cached result and notify
                   registered clients of the 'results_changed' event.
@@ -103,6 +345,117 @@ class SensorBase extends EventEmitter {
       }, 0, this, oldResult, newResult);
     }
   }
+
+  /* ========================================================================
+     Description: Register a detection sensor class, so that it can be
+                  created from a door configuration.
+
+     Parameters:  className:             Name of the class, as specified by the 'class' of a detection sensor configuration.
+                  validateConfiguration: function(configuration) returning true if the 'config' of a detection sensor is valid.
+                  factory:               function(identifier, configuration, gpio) returning a new sensor (SensorBase).
+
+     Return:      true if the class was registered.
+
+     Remarks:     Static method to allow sensor classes, including those of other
+                  modules, to be added at runtime. A class name that is already
+                  registered must be unregistered before it can be registered again.
+     ======================================================================== */
+  static RegisterSensorClass(className, validateConfiguration, factory) {
+    const registered = ( (typeof(className) === 'string') && (className.length > 0) &&
+                         (!_sensorClassRegistry.has(className))                     &&
+                         (typeof(validateConfiguration) === 'function')             &&
+                         (typeof(factory) === 'function')                             );
+
+    if (registered) {
+      _sensorClassRegistry.set(className, {validate:validateConfiguration, create:factory});
+      _debug(`Sensor class registered: ${className}`);
+    }
+    else {
+      _debug(`Unable to register sensor class: ${className}`);
+    }
+
+    return registered;
+  }
+
+  /* ========================================================================
+     Description: Unregister a detection sensor class.
+
+     Parameters:  className: Name of the class.
+
+     Return:      true if the class was registered.
+     ======================================================================== */
+  static UnregisterSensorClass(className) {
+    return _sensorClassRegistry.delete(className);
+  }
+
+  /* ========================================================================
+     Description: Get the names of the registered detection sensor classes.
+
+     Parameters:  None
+
+     Return:      Array of class names.
+     ======================================================================== */
+  static RegisteredSensorClasses() {
+    return Array.from(_sensorClassRegistry.keys());
+  }
+
+  /* ========================================================================
+     Description: Validate the configuration of a registered detection sensor class.
+
+     Parameters:  className:     Name of the class.
+                  configuration: The 'config' node of the detection sensor.
+
+     Return:      true if the class is registered and the configuration is valid.
+     ======================================================================== */
+  static ValidateSensorConfiguration(className, configuration) {
+    const sensorClass = _sensorClassRegistry.get(className);
+    let configValid = false;
+
+    if (sensorClass != undefined) {
+      try {
+        configValid = (sensorClass.validate(configuration) === true);
+      }
+      catch (err) {
+        _debug(`Sensor class '${className}' failed to validate the configuration: ${err.toString()}`);
+      }
+    }
+    else {
+      _debug(`Sensor class not registered: ${className}`);
+    }
+
+    return configValid;
+  }
+
+  /* ========================================================================
+     Description: Create a detection sensor of a registered class.
+
+     Parameters:  className:     Name of the class.
+                  identifier:    Identifier to associate with the sensor.
+                  configuration: The 'config' node of the detection sensor.
+                  gpio:          GPIO provider (GpioBase) used to monitor & control the sensor.
+
+     Return:      The new sensor (SensorBase). undefined if the class is not registered,
+                  or the factory does not produce a detection sensor.
+     ======================================================================== */
+  static CreateSensor(className, identifier, configuration, gpio) {
+    const sensorClass = _sensorClassRegistry.get(className);
+    let sensor = undefined;
+
+    if (sensorClass != undefined) {
+      const newSensor = sensorClass.create(identifier, configuration, gpio);
+      if (newSensor instanceof SensorBase) {
+        sensor = newSensor;
+      }
+      else {
+        _debug(`Sensor class '${className}' did not create a detection sensor.`);
+      }
+    }
+    else {
+      _debug(`Sensor class not registered: ${className}`);
+    }
+
+    return sensor;
+  }
 }
 
-export {SensorBase as default, SENSOR_RESULT};
+export {SensorBase as default, SENSOR_RESULT, SENSOR_HEALTH};
@@ -0,0 +1,289 @@
+/* ==========================================================================
+   File:               sensorGroup.js
+   Class:              SensorGroup
+   Description:	       Provide a combined result for the detection sensors
+                       sharing a detection function.
+   Copyright:          May 2020
+   ========================================================================== */
+'use strict';
+
+// External dependencies and imports.
+const _debug = require('debug')('sensorGroup');
+
+// Internal dependencies
+import _sensorBase, * as modSensorBase from './sensorBase.js';
+
+/* Enumeration for Sensor Combination Policies */
+const SENSOR_POLICY = {
+  ANY       : 'ANY',      /* Detected if any sensor detects */
+  ALL       : 'ALL',      /* Detected if all sensors detect */
+  MAJORITY  : 'MAJORITY', /* Result of most sensors. Ties are resolved by the first sensor listed */
+  PRIMARY   : 'PRIMARY'   /* Result of the first sensor listed, falling back to the next sensor listed */
+};
+
+/* Default combination policy - Matches the use of a single sensor. */
+const _DEFAULT_SENSOR_POLICY  = SENSOR_POLICY.PRIMARY;
+/* Default time a sensor may remain UNKNOWN before it is failed over */
+const _DEFAULT_FAILOVER_TIME  = 0.0/*sec*/;
+
+/* SensorGroup represents the detection sensors of a door sharing a detection
+   function (ie: OPEN), presented as a single sensor.
+   Sensors that are UNKNOWN do not contribute to the combined result. A sensor
+   that becomes UNKNOWN continues to contribute its last known result until it
+   has remained UNKNOWN for the failover time, so that an occasional missed
+   reading does not disturb the combined result.
+
+   @event 'result_changed'  => function(oldResult, newResult, context) {}
+          Emitted when the combined result changes.
+          oldResult:  the prior SENSOR_RESULT
+          newResult:  the new SENSOR_RESULT
+          context:    reference to the instance of the object raising the event.
+*/
+class SensorGroup extends _sensorBase {
+  /* ========================================================================
+     Description: Constructor for an instance of a sensor group.
+
+     Parameters:  identifier:   Identifier to associate with this object. ie: the detection function
+                  sensors:      Array of detection sensors (SensorBase), in order of preference.
+                  policy:       (Optional) SENSOR_POLICY used to combine the results. Default: _DEFAULT_SENSOR_POLICY
+                  failoverTime: (Optional) Time in seconds a sensor may remain UNKNOWN before it is failed over.
+                                Default: _DEFAULT_FAILOVER_TIME
+
+     Return:      N/A
+     ======================================================================== */
+  constructor(identifier, sensors, policy, failoverTime) {
+
+    // Initialize the base class. The group does not use the GPIO directly.
+    super(identifier, undefined);
+
+    _debug(`Constructing sensor group: ${identifier}`);
+
+    if ((!Array.isArray(sensors)) || (sensors.length === 0) ||
+        (!sensors.every((sensor) => { return (sensor instanceof _sensorBase); }))) {
+      throw new Error(`SensorGroup '${identifier}' requires at least one sensor.`);
+    }
+
+    /* Member Sensors */
+    this._sensors       = sensors;
+    /* Combination Policy */
+    this._policy        = (Object.values(SENSOR_POLICY).includes(policy) ? policy : _DEFAULT_SENSOR_POLICY);
+    /* Failover Time */
+    this._failoverTime  = (((typeof(failoverTime) === 'number') && (failoverTime >= 0.0)) ? failoverTime : _DEFAULT_FAILOVER_TIME) * 1000.0/* milliseconds / second */;
+    /* Failover tracking of the sensors, keyed on the sensor: {lastKnown, failed, timerId} */
+    this._tracking      = new Map(sensors.map((sensor) => { return [sensor, {lastKnown:undefined, failed:false, timerId:undefined}]; }));
+
+    /* Create a function pointer for the sensor result changed notification. */
+    this._mySensorResultChangedCB = this._sensorResultChanged.bind(this);
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the sensors of the group.
+
+     Parameters:  None
+
+     Return:      Array of detection sensors (SensorBase), in order of preference.
+     ======================================================================== */
+  get Sensors() {
+    return this._sensors.slice();
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the combination policy of the group.
+
+     Parameters:  None
+
+     Return:      SENSOR_POLICY
+     ======================================================================== */
+  get Policy() {
+    return this._policy;
+  }
+
+  /* ========================================================================
+     Description: Start/Initialize the sensors of the group.
+
+     Parameters:  None
+
+     Return:      Flag indicating if the group has been initialized.
+     ======================================================================== */
+  async Start() {
+
+    _debug(`Starting Sensor Group: ${this.Identifier} Policy:${this.Policy} Sensors:${this._sensors.length}`);
+
+    // Clear the initialized flag, in case we are re-starting
+    super._initialized = false;
+
+    // Register for the sensor events.
+    this._sensors.forEach((sensor) => {
+      sensor.on('result_changed', this._mySensorResultChangedCB);
+    });
+
+    // Now start the sensors.
+    let initialized = true;
+    for (const sensor of this._sensors) {
+      initialized = (await sensor.Start()) && initialized;
+      this._track(sensor, sensor.Result);
+    }
+
+    // Determine the initial result.
+    this._setResult(this._combine());
+
+    // The group is usable as long as one of the sensors is usable.
+    super._initialized = (initialized || this._sensors.some((sensor) => { return sensor.Initialized; }));
+
+    return this.Initialized;
+  }
+
+  /* ========================================================================
+     Description: Destructor for an instance of a sensor group.
+
+     Parameters:  None
+
+     Return:      None
+     ======================================================================== */
+  async Terminate() {
+
+    _debug(`Terminating Sensor Group: ${this.Identifier}`);
+
+    this._tracking.forEach((tracking, sensor) => {
+      sensor.removeListener('result_changed', this._mySensorResultChangedCB);
+      if (tracking.timerId != undefined) {
+        clearTimeout(tracking.timerId);
+        tracking.timerId = undefined;
+      }
+    });
+
+    await Promise.all(this._sensors.map((sensor) => { return sensor.Terminate(); }));
+
+    super._initialized = false;
+  }
+
+  /* ========================================================================
+     Description: Event handler for the result changes of the sensors.
+
+     Parameters:  oldResult: Prior SENSOR_RESULT.
+                  newResult: Current SENSOR_RESULT.
+                  context:   Reference to the sensor object raising the event.
+
+     Return:      None
+     ======================================================================== */
+  _sensorResultChanged(oldResult, newResult, context) {
+    this._track(context, newResult);
+
+    this._setResult(this._combine());
+  }
+
+  /* ========================================================================
+     Description: Helper to track the failover of a sensor.
+
+     Parameters:  sensor: Sensor of the group.
+                  result: Current SENSOR_RESULT of the sensor.
+
+     Return:      None
+     ======================================================================== */
+  _track(sensor, result) {
+    const tracking = this._tracking.get(sensor);
+
+    if (result !== modSensorBase.SENSOR_RESULT.UNKNOWN) {
+      // The sensor is healthy.
+      if (tracking.timerId != undefined) {
+        clearTimeout(tracking.timerId);
+        tracking.timerId = undefined;
+      }
+      if (tracking.failed) {
+        _debug(`Sensor Group ${this.Identifier}: Sensor '${sensor.Identifier}' restored.`);
+      }
+      tracking.lastKnown = result;
+      tracking.failed    = false;
+    }
+    else if ((!tracking.failed) && (tracking.timerId == undefined)) {
+      if ((tracking.lastKnown == undefined) || (this._failoverTime <= 0)) {
+        // Nothing to hold, or no grace period. Fail over now.
+        tracking.failed = true;
+      }
+      else {
+        // Hold the last known result for the failover time.
+        tracking.timerId = setTimeout(() => {
+          tracking.timerId = undefined;
+          tracking.failed  = true;
+          _debug(`Sensor Group ${this.Identifier}: Sensor '${sensor.Identifier}' failed over.`);
+
+          this._setResult(this._combine());
+        }, this._failoverTime);
+      }
+    }
+  }
+
+  /* ========================================================================
+     Description: Helper to combine the results of the sensors.
+
+     Parameters:  None
+
+     Return:      Combined SENSOR_RESULT.
+     ======================================================================== */
+  _combine() {
+    // Determine the results contributing to the combination, in order of preference.
+    const results = [];
+    this._sensors.forEach((sensor) => {
+      const tracking = this._tracking.get(sensor);
+      if (sensor.Result !== modSensorBase.SENSOR_RESULT.UNKNOWN) {
+        results.push(sensor.Result);
+      }
+      else if ((!tracking.failed) && (tracking.lastKnown != undefined)) {
+        results.push(tracking.lastKnown);
+      }
+    });
+
+    let result = modSensorBase.SENSOR_RESULT.UNKNOWN;
+    if (results.length > 0) {
+      const DETECTED   = modSensorBase.SENSOR_RESULT.DETECTED;
+      const UNDETECTED = modSensorBase.SENSOR_RESULT.UNDETECTED;
+      const detected   = results.filter((value) => { return (value === DETECTED); }).length;
+
+      switch (this._policy) {
+        case SENSOR_POLICY.ANY:
+        {
+          result = ((detected > 0) ? DETECTED : UNDETECTED);
+        }
+        break;
+
+        case SENSOR_POLICY.ALL:
+        {
+          result = ((detected === results.length) ? DETECTED : UNDETECTED);
+        }
+        break;
+
+        case SENSOR_POLICY.MAJORITY:
+        {
+          const undetected = results.length - detected;
+          result = ((detected === undetected) ? results[0] : ((detected > undetected) ? DETECTED : UNDETECTED));
+        }
+        break;
+
+        case SENSOR_POLICY.PRIMARY:
+        // Break intentionally missing.
+        default:
+        {
+          result = results[0];
+        }
+        break;
+      }
+    }
+
+    return result;
+  }
+
+  /* ========================================================================
+   Description:    Validate a sensor combination policy
+
+   Parameters:     policy: Policy name. Case insensitive.
+
+   Return:         true if the policy is valid
+
+   Remarks:        Static method to allow configuration to be validated without creating an object instance
+   ======================================================================== */
+  static ValidatePolicy(policy) {
+    return ((typeof(policy) === 'string') && Object.values(SENSOR_POLICY).includes(policy.toUpperCase()));
+  }
+}
+
+export {SensorGroup as default, SENSOR_POLICY};
@@ -0,0 +1,589 @@
+/* ==========================================================================
+   File:               simGarage.js
+   Class:              SimulatedGarage
+   Description:	       Provide a virtual garage that models door travel and
+                       the physics of the detection sensors, driving a
+                       simulated GPIO peripheral.
+   Copyright:          May 2020
+   ========================================================================== */
+'use strict';
+
+// External dependencies and imports.
+const _debug = require('debug')('simGarage');
+import { EventEmitter } from 'events';
+
+/* Enumeration for the direction of door travel */
+const DOOR_TRAVEL = {
+  CLOSING : -1,
+  STOPPED :  0,
+  OPENING :  1
+};
+
+/* Door position when fully closed/open */
+const POSITION_CLOSED = 0.0;
+const POSITION_OPEN   = 1.0;
+
+/* The nominal speed of sound in air @20 degC */
+const _NOMINAL_SPEED_OF_SOUND       = 343.0/*meters per sec*/;
+/* Default time for a door to travel fully open or closed */
+const _DEFAULT_TRAVEL_TIME          = 12.0/*sec*/;
+/* Default door position */
+const _DEFAULT_INITIAL_POSITION     = POSITION_CLOSED;
+/* Interval for advancing the door travel */
+const _SIM_TICK_INTERVAL            = 100/*ms*/;
+/* Position tolerance for a proximity switch to detect the door at the end of travel */
+const _PROX_SWITCH_TOLERANCE        = 0.02/*fraction of travel*/;
+/* Distance beyond the detection band seen by a sonar when the door is away from it */
+const _SONAR_UNDETECTED_OFFSET      = 1.0/*meters*/;
+/* MPU-6050 tilt sensor defaults, matching the TiltSensor configuration defaults */
+const _TILT_DEFAULT_I2C_BUS         = 1;
+const _TILT_DEFAULT_I2C_ADDRESS     = 0x68;
+const _TILT_DEFAULT_AXIS            = 'X';
+const _TILT_DEFAULT_CLOSED_ANGLE    =  0.0/*degrees*/;
+const _TILT_DEFAULT_OPEN_ANGLE      = 90.0/*degrees*/;
+/* MPU-6050 first accelerometer data register, and the offsets of the axes within the data */
+const _MPU6050_ACCEL_XOUT_H         = 0x3B;
+const _MPU6050_AXIS_OFFSETS         = {X:0, Y:2, Z:4};
+const _MPU6050_ACCEL_DATA_LENGTH    = 6;
+/* MPU-6050 accelerometer sensitivity in the default +/-2g range */
+const _MPU6050_LSB_PER_G            = 16384;
+
+/* SimulatedGarage represents one or more virtual garage doors, each with an
+   opener operated by the 'control_request' relay and the detection sensors
+   described in the door configuration.
+
+   @event 'motion_changed' => function(doorName, travel, position) {}
+          Emitted when a virtual door starts, stops, or reverses travel.
+          doorName:   name of the door.
+          travel:     the new DOOR_TRAVEL.
+          position:   position of the door. 0.0 (closed) to 1.0 (open).
+*/
+class SimulatedGarage extends EventEmitter {
+  /* ========================================================================
+     Description: Constructor for an instance of a simulated garage.
+
+     Parameters:  gpio:          Simulated GPIO provider (SimulatedGpio) to drive.
+                  doorConfigs:   Array of door configurations, as supplied to the DoorController.
+                  options:       (Optional) Object with the following fields.
+                  { travel_time:       (Optional) Time in seconds for a door to fully open or close.
+                                       Default: _DEFAULT_TRAVEL_TIME
+                    initial_position:  (Optional) Starting position of the doors. 0.0 (closed) to 1.0 (open).
+                                       Default: _DEFAULT_INITIAL_POSITION
+                    doors:             (Optional) Object keyed on door name providing
+                                       'travel_time' and 'initial_position' overrides for that door.
+                  }
+
+     Return:      N/A
+     ======================================================================== */
+  constructor(gpio, doorConfigs, options = {}) {
+
+    // Initialize the base class.
+    super();
+
+    _debug(`Constructing simulated garage`);
+
+    const travelTime      = (SimulatedGarage._isPositiveNumber(options.travel_time) ? options.travel_time : _DEFAULT_TRAVEL_TIME);
+    const initialPosition = (SimulatedGarage._isPosition(options.initial_position)  ? options.initial_position : _DEFAULT_INITIAL_POSITION);
+    const doorOptions     = ((typeof(options.doors) === 'object') && (options.doors != null)) ? options.doors : {};
+
+    this._gpio            = gpio;
+    /* Virtual doors, keyed on the door name */
+    this._doors           = new Map();
+    /* Virtual doors, keyed on the 'control_request' channel */
+    this._relayChannels   = new Map();
+    /* Sonar sensors, keyed on the 'trigger_out' channel */
+    this._sonarTriggers   = new Map();
+    /* Last known level of the monitored output channels */
+    this._outputLevels    = new Map();
+    /* Simulation tick timer id */
+    this._tickIntervalId  = undefined;
+
+    doorConfigs.forEach((doorConfig) => {
+      const overrides = ((typeof(doorOptions[doorConfig.name]) === 'object') ? doorOptions[doorConfig.name] : {});
+      const door = {
+        name:           doorConfig.name,
+        travelTime:     (SimulatedGarage._isPositiveNumber(overrides.travel_time) ? overrides.travel_time : travelTime) * 1000.0/* milliseconds / second */,
+        position:       (SimulatedGarage._isPosition(overrides.initial_position)  ? overrides.initial_position : initialPosition),
+        travel:         DOOR_TRAVEL.STOPPED,
+        lastTravel:     DOOR_TRAVEL.STOPPED,
+        sensors:        []
+      };
+
+      (Array.isArray(doorConfig.detect_sensors) ? doorConfig.detect_sensors : []).forEach((sensorConfig) => {
+        const sensor = {
+          id:               sensorConfig.id,
+          class:            sensorConfig.class,
+          function:         ((typeof(sensorConfig.function) === 'string') ? sensorConfig.function.toUpperCase() : ''),
+          config:           sensorConfig.config,
+          distanceOverride: undefined,
+          failed:           false
+        };
+        door.sensors.push(sensor);
+
+        if ((sensor.class === 'SonarSensor') &&
+            (SimulatedGarage._isChannel(sensor.config.trigger_out))) {
+          this._sonarTriggers.set(sensor.config.trigger_out, {door:door, sensor:sensor});
+          this._outputLevels.set(sensor.config.trigger_out, false);
+        }
+        else if (sensor.class === 'TiltSensor') {
+          this._attachTiltSensor(door, sensor);
+        }
+      });
+
+      this._doors.set(door.name, door);
+      if (SimulatedGarage._isChannel(doorConfig.control_request)) {
+        this._relayChannels.set(doorConfig.control_request, door);
+        // The door control relay is active low.
+        this._outputLevels.set(doorConfig.control_request, true);
+      }
+    });
+
+    /* Create a function pointer for output write notifications. */
+    this._myGpioWriteCB = this._gpioWrite.bind(this);
+  }
+
+  /* ========================================================================
+     Description: Start the simulation.
+
+     Parameters:  None
+
+     Return:      None
+
+     Remarks:     Intended to be started before the doors so that the sensor
+                  inputs are driven to reflect the initial door positions.
+     ======================================================================== */
+  Start() {
+    _debug(`Starting simulated garage`);
+
+    this._gpio.on( 'write', this._myGpioWriteCB );
+
+    this._doors.forEach((door) => {
+      this._updateProxSwitches(door);
+    });
+
+    if (this._tickIntervalId == undefined) {
+      this._tickIntervalId = setInterval((() => { this._tick(); }), _SIM_TICK_INTERVAL);
+    }
+  }
+
+  /* ========================================================================
+     Description: Stop the simulation.
+
+     Parameters:  None
+
+     Return:      None
+     ======================================================================== */
+  Stop() {
+    _debug(`Stopping simulated garage`);
+
+    this._gpio.off( 'write', this._myGpioWriteCB );
+
+    if (this._tickIntervalId != undefined) {
+      clearInterval(this._tickIntervalId);
+      this._tickIntervalId = undefined;
+    }
+  }
+
+  /* ========================================================================
+     Description: Get the position of a virtual door.
+
+     Parameters:  doorName: Name of the door of interest.
+
+     Return:      Position of the door. 0.0 (closed) to 1.0 (open). undefined if unknown.
+     ======================================================================== */
+  GetPosition(doorName) {
+    const door = this._doors.get(doorName);
+
+    return ((door != undefined) ? door.position : undefined);
+  }
+
+  /* ========================================================================
+     Description: Get the direction of travel of a virtual door.
+
+     Parameters:  doorName: Name of the door of interest.
+
+     Return:      DOOR_TRAVEL. undefined if unknown.
+     ======================================================================== */
+  GetTravel(doorName) {
+    const door = this._doors.get(doorName);
+
+    return ((door != undefined) ? door.travel : undefined);
+  }
+
+  /* ========================================================================
+     Description: Place a virtual door at a position, stopping any travel.
+
+     Parameters:  doorName: Name of the door of interest.
+                  position: Position of the door. 0.0 (closed) to 1.0 (open).
+
+     Return:      true if successful.
+     ======================================================================== */
+  SetPosition(doorName, position) {
+    const door = this._doors.get(doorName);
+    const valid = ((door != undefined) && SimulatedGarage._isPosition(position));
+
+    if (valid) {
+      door.position = position;
+      this._setTravel(door, DOOR_TRAVEL.STOPPED);
+      this._updateProxSwitches(door);
+    }
+
+    return valid;
+  }
+
+  /* ========================================================================
+     Description: Operate the opener of a virtual door, as though the relay
+                  was pulsed.
+
+     Parameters:  doorName: Name of the door of interest.
+
+     Return:      true if successful.
+
+     Remarks:     A moving door stops. A stopped door travels towards the
+                  opposite end, or reverses its prior travel when stopped midway.
+     ======================================================================== */
+  PressButton(doorName) {
+    const door = this._doors.get(doorName);
+
+    if (door != undefined) {
+      let travel = DOOR_TRAVEL.STOPPED;
+      if (door.travel === DOOR_TRAVEL.STOPPED) {
+        if (door.position <= POSITION_CLOSED) {
+          travel = DOOR_TRAVEL.OPENING;
+        }
+        else if (door.position >= POSITION_OPEN) {
+          travel = DOOR_TRAVEL.CLOSING;
+        }
+        else {
+          travel = ((door.lastTravel === DOOR_TRAVEL.OPENING) ? DOOR_TRAVEL.CLOSING : DOOR_TRAVEL.OPENING);
+        }
+      }
+      this._setTravel(door, travel);
+    }
+
+    return (door != undefined);
+  }
+
+  /* ========================================================================
+     Description: Obstruct a virtual door.
+
+     Parameters:  doorName: Name of the door of interest.
+
+     Return:      true if successful.
+
+     Remarks:     Like a typical opener, a closing door reverses to open and
+                  an opening door stops.
+     ======================================================================== */
+  Obstruct(doorName) {
+    const door = this._doors.get(doorName);
+
+    if (door != undefined) {
+      this._setTravel(door, ((door.travel === DOOR_TRAVEL.CLOSING) ? DOOR_TRAVEL.OPENING : DOOR_TRAVEL.STOPPED));
+    }
+
+    return (door != undefined);
+  }
+
+  /* ========================================================================
+     Description: Force the distance seen by a sonar sensor, regardless of
+                  the door position.
+
+     Parameters:  doorName: Name of the door of interest.
+                  sensorId: Identifier of the sonar sensor.
+                  distance: Distance in meters. undefined to resume modelling the door.
+
+     Return:      true if successful.
+     ======================================================================== */
+  SetSensorDistance(doorName, sensorId, distance) {
+    const door    = this._doors.get(doorName);
+    const sensor  = ((door != undefined) ? door.sensors.find((item) => { return (item.id === sensorId); }) : undefined);
+
+    if (sensor != undefined) {
+      sensor.distanceOverride = distance;
+    }
+
+    return (sensor != undefined);
+  }
+
+  /* ========================================================================
+     Description: Fail a sensor, or restore a failed sensor.
+
+     Parameters:  doorName: Name of the door of interest.
+                  sensorId: Identifier of the sensor.
+                  failed:   Flag indicating if the sensor has failed.
+
+     Return:      true if successful.
+
+     Remarks:     A failed sonar sensor does not echo. A failed proximity switch
+                  no longer follows the door. A failed tilt sensor does not respond
+                  on the I2C bus.
+     ======================================================================== */
+  SetSensorFailed(doorName, sensorId, failed) {
+    const door    = this._doors.get(doorName);
+    const sensor  = ((door != undefined) ? door.sensors.find((item) => { return (item.id === sensorId); }) : undefined);
+
+    if (sensor != undefined) {
+      sensor.failed = failed;
+    }
+
+    return (sensor != undefined);
+  }
+
+  /* ========================================================================
+     Description: Event handler for writes to the simulated GPIO outputs.
+
+     Parameters:  channel: GPIO Channel written.
+                  value:   Value written.
+
+     Return:      None
+     ======================================================================== */
+  _gpioWrite(channel, value) {
+    const lastLevel = this._outputLevels.get(channel);
+    if (lastLevel != undefined) {
+      this._outputLevels.set(channel, value);
+
+      if (lastLevel && !value) {
+        // Falling Edge.
+        if (this._relayChannels.has(channel)) {
+          // The door control relay is active low.
+          const door = this._relayChannels.get(channel);
+          _debug(`Door ${door.name}: Relay pulsed.`);
+          this.PressButton(door.name);
+        }
+        else if (this._sonarTriggers.has(channel)) {
+          // The sonar measures once the trigger is released.
+          const sonar = this._sonarTriggers.get(channel);
+          this._echoSonar(sonar.door, sonar.sensor);
+        }
+      }
+    }
+  }
+
+  /* ========================================================================
+     Description: Helper to advance the travel of all moving doors.
+
+     Parameters:  None
+
+     Return:      None
+     ======================================================================== */
+  _tick() {
+    this._doors.forEach((door) => {
+      if (door.travel !== DOOR_TRAVEL.STOPPED) {
+        const newPosition = door.position + (door.travel * (_SIM_TICK_INTERVAL / door.travelTime));
+        door.position = Math.min(POSITION_OPEN, Math.max(POSITION_CLOSED, newPosition));
+
+        if ((door.position <= POSITION_CLOSED) ||
+            (door.position >= POSITION_OPEN)) {
+          // End of travel.
+          this._setTravel(door, DOOR_TRAVEL.STOPPED);
+        }
+
+        this._updateProxSwitches(door);
+      }
+    });
+  }
+
+  /* ========================================================================
+     Description: Helper to change the travel of a door.
+
+     Parameters:  door:   Virtual door.
+                  travel: New DOOR_TRAVEL.
+
+     Return:      None
+     ======================================================================== */
+  _setTravel(door, travel) {
+    if (door.travel !== travel) {
+      if (door.travel !== DOOR_TRAVEL.STOPPED) {
+        door.lastTravel = door.travel;
+      }
+      door.travel = travel;
+      _debug(`Door ${door.name}: Travel:${door.travel} Position:${door.position.toFixed(2)}`);
+
+      this.emit('motion_changed', door.name, door.travel, door.position);
+    }
+  }
+
+  /* ========================================================================
+     Description: Helper to drive the proximity switch inputs to reflect the
+                  door position.
+
+     Parameters:  door: Virtual door.
+
+     Return:      None
+     ======================================================================== */
+  _updateProxSwitches(door) {
+    door.sensors.forEach((sensor) => {
+      if ((sensor.class === 'ProximitySwitchSensor') && (!sensor.failed) &&
+          (SimulatedGarage._isChannel(sensor.config.detect_in))) {
+        const detected = this._isAtSensor(door, sensor);
+        // Default to a normally closed switch.
+        const normallyClosed = (sensor.config.hasOwnProperty('mode') ? sensor.config.mode : true);
+
+        this._gpio.SetInput(sensor.config.detect_in, (normallyClosed ? detected : !detected));
+      }
+    });
+  }
+
+  /* ========================================================================
+     Description: Helper to produce the echo signal of a sonar sensor.
+
+     Parameters:  door:   Virtual door.
+                  sensor: Sonar sensor being triggered.
+
+     Return:      None
+     ======================================================================== */
+  _echoSonar(door, sensor) {
+    /* Distance factor: The sonar must travel to the target and return. */
+    const DISTANCE_FACTOR = 2.0;
+
+    const echoIn = sensor.config.echo_in;
+    if ((!sensor.failed) && SimulatedGarage._isChannel(echoIn)) {
+      const distance  = ((sensor.distanceOverride != undefined) ? sensor.distanceOverride : this._sonarDistance(door, sensor));
+      const echoTime  = ((DISTANCE_FACTOR * distance) / _NOMINAL_SPEED_OF_SOUND) * 1000.0/* ms / sec */;
+
+      // Raise the echo signal once the trigger completes and hold it for the round-trip time.
+      // Timers are too coarse for the echo, so the end of the echo is timestamped exactly.
+      setTimeout(() => {
+        const echoStart = process.hrtime.bigint();
+        this._gpio.SetInput(echoIn, true, echoStart);
+        setTimeout(() => { this._gpio.SetInput(echoIn, false, echoStart + BigInt(Math.round(echoTime * 1000000.0/* ns / ms */))); }, echoTime);
+      }, 0);
+    }
+  }
+
+  /* ========================================================================
+     Description: Helper to model the distance seen by a sonar sensor.
+
+     Parameters:  door:   Virtual door.
+                  sensor: Sonar sensor.
+
+     Return:      Distance in meters.
+
+     Remarks:     The distance varies linearly with the door position, from
+                  the middle of the detection band when the door is at the
+                  sensor to beyond the detection band at the other end of travel.
+     ======================================================================== */
+  _sonarDistance(door, sensor) {
+    const detectedDistance    = (sensor.config.detect_threshold_min + sensor.config.detect_threshold_max) / 2.0;
+    const undetectedDistance  = sensor.config.detect_threshold_max + _SONAR_UNDETECTED_OFFSET;
+    const proximity           = this._sensorProximity(door, sensor);
+
+    return (undetectedDistance + ((detectedDistance - undetectedDistance) * proximity));
+  }
+
+  /* ========================================================================
+     Description: Helper to attach a modelled MPU-6050 accelerometer for a
+                  tilt sensor to the simulated I2C bus.
+
+     Parameters:  door:   Virtual door.
+                  sensor: Tilt sensor.
+
+     Return:      None
+     ======================================================================== */
+  _attachTiltSensor(door, sensor) {
+    const config    = sensor.config;
+    const busNumber = (config.hasOwnProperty('i2c_bus') ? config.i2c_bus : _TILT_DEFAULT_I2C_BUS);
+    const address   = (config.hasOwnProperty('address') ? config.address : _TILT_DEFAULT_I2C_ADDRESS);
+
+    this._gpio.AttachI2cDevice(busNumber, address, {
+      Read: (register, length) => {
+        return this._readTiltSensor(door, sensor, register, length);
+      },
+      Write: (register, value) => {
+        if (sensor.failed) {
+          throw new Error(`Remote I/O error. address:${address}`);
+        }
+      }
+    });
+  }
+
+  /* ========================================================================
+     Description: Helper to produce the register content of a tilt sensor.
+
+     Parameters:  door:     Virtual door.
+                  sensor:   Tilt sensor.
+                  register: First register read.
+                  length:   Number of bytes read.
+
+     Return:      Buffer with the content of the registers.
+
+     Remarks:     The angle of the door panel varies linearly with the door
+                  position, from the closed angle to the open angle of the
+                  sensor. Gravity is split between the configured axis and the
+                  next axis according to the angle. Registers other than the
+                  accelerometer data read as 0.
+     ======================================================================== */
+  _readTiltSensor(door, sensor, register, length) {
+    if (sensor.failed) {
+      throw new Error(`Remote I/O error. sensor:${sensor.id}`);
+    }
+
+    const config      = sensor.config;
+    const axis        = ((typeof(config.axis) === 'string') ? config.axis.toUpperCase() : _TILT_DEFAULT_AXIS);
+    const closedAngle = (config.hasOwnProperty('closed_angle') ? config.closed_angle : _TILT_DEFAULT_CLOSED_ANGLE);
+    const openAngle   = (config.hasOwnProperty('open_angle')   ? config.open_angle   : _TILT_DEFAULT_OPEN_ANGLE);
+    const angle       = (closedAngle + ((openAngle - closedAngle) * door.position)) * (Math.PI / 180.0)/* radians / degree */;
+
+    const data = Buffer.alloc(Math.max(length, _MPU6050_ACCEL_DATA_LENGTH));
+    if (register === _MPU6050_ACCEL_XOUT_H) {
+      const axisOffset          = _MPU6050_AXIS_OFFSETS[axis];
+      const perpendicularOffset = (axisOffset + 2) % _MPU6050_ACCEL_DATA_LENGTH;
+
+      data.writeInt16BE(Math.round(Math.cos(angle) * _MPU6050_LSB_PER_G), axisOffset);
+      data.writeInt16BE(Math.round(Math.sin(angle) * _MPU6050_LSB_PER_G), perpendicularOffset);
+    }
+
+    return data.slice(0, length);
+  }
+
+  /* ========================================================================
+     Description: Helper to determine if the door is at the end of travel
+                  monitored by a sensor.
+
+     Parameters:  door:   Virtual door.
+                  sensor: Detection sensor.
+
+     Return:      true if the door is at the sensor.
+     ======================================================================== */
+  _isAtSensor(door, sensor) {
+    return (this._sensorProximity(door, sensor) >= (1.0 - _PROX_SWITCH_TOLERANCE));
+  }
+
+  /* ========================================================================
+     Description: Helper to determine the proximity of the door to a sensor.
+
+     Parameters:  door:   Virtual door.
+                  sensor: Detection sensor.
+
+     Return:      1.0 when the door is at the end of travel monitored by the
+                  sensor, falling to 0.0 at the other end of travel.
+                  0.0 for sensors not monitoring an end of travel.
+     ======================================================================== */
+  _sensorProximity(door, sensor) {
+    let proximity = 0.0;
+
+    if (sensor.function.startsWith('OPEN')) {
+      proximity = door.position;
+    }
+    else if (sensor.function.startsWith('CLOSE')) {
+      proximity = POSITION_OPEN - door.position;
+    }
+
+    return proximity;
+  }
+
+  /* ========================================================================
+     Description: Helpers to validate configuration values.
+     ======================================================================== */
+  static _isPositiveNumber(value) {
+    return ((typeof(value) === 'number') && (value > 0.0));
+  }
+  static _isPosition(value) {
+    return ((typeof(value) === 'number') && (value >= POSITION_CLOSED) && (value <= POSITION_OPEN));
+  }
+  static _isChannel(value) {
+    return ((typeof(value) === 'number') && (value >= 0));
+  }
+}
+
+export {SimulatedGarage as default, DOOR_TRAVEL};
@@ -0,0 +1,337 @@
+/* ==========================================================================
+   File:               simGpio.js
+   Class:              SimulatedGpio, SimulatedI2cBus
+   Description:	       Provide an in-memory GPIO peripheral for running the
+                       garage system without RaspberryPi hardware.
+   Copyright:          May 2020
+   ========================================================================== */
+'use strict';
+
+// External dependencies and imports.
+const _debug = require('debug')('simGpio');
+
+// Internal dependencies
+import _gpioBase, * as modGpioBase from './gpioBase.js';
+
+/* SimulatedI2cBus represents an open I2C bus whose devices are modelled in
+   software. It implements the subset of the 'i2c-bus' package promisified bus
+   used by the I2C detection sensors.
+*/
+class SimulatedI2cBus {
+  /* ========================================================================
+     Description: Constructor for an instance of a simulated I2C bus.
+
+     Parameters:  busNumber: Number of the I2C bus.
+                  devices:   Map of the devices attached to the bus, keyed on address.
+
+     Return:      N/A
+     ======================================================================== */
+  constructor(busNumber, devices) {
+    /* Number of the bus */
+    this._busNumber = busNumber;
+    /* Attached devices, keyed on address */
+    this._devices   = devices;
+    /* Flag indicating if the bus is open */
+    this._open      = true;
+  }
+
+  /* ========================================================================
+     Description: Write a byte to a register of a device.
+
+     Parameters:  address:  Address of the device.
+                  register: Register of the device.
+                  byte:     Value to write.
+
+     Return:      Promise. Resolves once the value is written.
+     ======================================================================== */
+  async writeByte(address, register, byte) {
+    this._device(address).Write(register, byte);
+  }
+
+  /* ========================================================================
+     Description: Read a block of registers of a device.
+
+     Parameters:  address:  Address of the device.
+                  register: First register of the device to read.
+                  length:   Number of bytes to read.
+                  buffer:   Buffer receiving the bytes read.
+
+     Return:      Promise. Resolves with {bytesRead, buffer}.
+     ======================================================================== */
+  async readI2cBlock(address, register, length, buffer) {
+    const data = this._device(address).Read(register, length);
+    const bytesRead = data.copy(buffer, 0, 0, length);
+
+    return {bytesRead:bytesRead, buffer:buffer};
+  }
+
+  /* ========================================================================
+     Description: Close the bus.
+
+     Parameters:  None
+
+     Return:      Promise. Resolves once the bus is closed.
+     ======================================================================== */
+  async close() {
+    this._open = false;
+  }
+
+  /* ========================================================================
+     Description: Helper to find the device at an address.
+
+     Parameters:  address: Address of the device.
+
+     Return:      Device attached at the address.
+
+     Remarks:     Throws an error, as the hardware would, when the bus is closed
+                  or no device acknowledges the address.
+     ======================================================================== */
+  _device(address) {
+    if (!this._open) {
+      throw new Error(`I2C bus ${this._busNumber} is closed`);
+    }
+    const device = this._devices.get(address);
+    if (device == undefined) {
+      throw new Error(`Remote I/O error. bus:${this._busNumber} address:${address}`);
+    }
+
+    return device;
+  }
+}
+
+/* SimulatedGpio represents a GPIO peripheral whose input channels are driven
+   by software and whose output channels can be observed.
+
+   @event 'write'   => function(channel, value) {}
+          Emitted when an output channel is written.
+          channel:  the GPIO channel written.
+          value:    the value written.
+*/
+class SimulatedGpio extends _gpioBase {
+  /* ========================================================================
+     Description: Constructor for an instance of the simulated GPIO provider.
+
+     Parameters:  None
+
+     Return:      N/A
+     ======================================================================== */
+  constructor() {
+
+    // Initialize the base class.
+    super('SIMULATED');
+
+    _debug(`Constructing Simulated GPIO`);
+
+    /* Channel configurations, keyed on channel: {direction, edge, value} */
+    this._channels  = new Map();
+    /* Channel numbering mode */
+    this._mode      = modGpioBase.GPIO_MODE.BCM;
+    /* I2C devices, keyed on bus number: Map of devices keyed on address */
+    this._i2cBuses  = new Map();
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the channel numbering mode.
+
+     Parameters:  None
+
+     Return:      GPIO_MODE
+     ======================================================================== */
+  get Mode() {
+    return this._mode;
+  }
+
+  /* ========================================================================
+     Description: Set the channel numbering mode.
+
+     Parameters:  mode: GPIO_MODE
+
+     Return:      None
+     ======================================================================== */
+  SetMode(mode) {
+    if (!Object.values(modGpioBase.GPIO_MODE).includes(mode)) {
+      throw new Error(`Cannot set invalid mode: ${mode}`);
+    }
+    this._mode = mode;
+  }
+
+  /* ========================================================================
+     Description: Configure a channel.
+
+     Parameters:  channel:   GPIO channel to configure.
+                  direction: GPIO_DIR
+                  edge:      (Optional) GPIO_EDGE. Only applicable to inputs.
+
+     Return:      Promise. Resolves once the channel is configured.
+     ======================================================================== */
+  async Setup(channel, direction, edge) {
+    if (!Object.values(modGpioBase.GPIO_DIR).includes(direction)) {
+      throw new Error(`Cannot set invalid direction: ${direction}`);
+    }
+    if ((edge != undefined) &&
+        (!Object.values(modGpioBase.GPIO_EDGE).includes(edge))) {
+      throw new Error(`Cannot set invalid edge: ${edge}`);
+    }
+
+    // Retain the input level across re-configuration, as the signal is driven externally.
+    const existing  = this._channels.get(channel);
+    const value     = ((direction === modGpioBase.GPIO_DIR.HIGH) ||
+                       ((direction === modGpioBase.GPIO_DIR.IN) && (existing != undefined) && existing.value));
+
+    this._channels.set(channel, {direction:direction, edge:((edge != undefined) ? edge : modGpioBase.GPIO_EDGE.NONE), value:value});
+    _debug(`Setup: Chan:${channel} Dir:${direction} Edge:${edge} Val:${value}`);
+  }
+
+  /* ========================================================================
+     Description: Read the value of a channel.
+
+     Parameters:  channel: GPIO channel to read.
+
+     Return:      Promise. Resolves with the value of the channel.
+     ======================================================================== */
+  async Read(channel) {
+    const chan = this._channels.get(channel);
+    if (chan == undefined) {
+      throw new Error(`Channel not exported: ${channel}`);
+    }
+
+    return chan.value;
+  }
+
+  /* ========================================================================
+     Description: Write the value of an output channel.
+
+     Parameters:  channel: GPIO channel to write.
+                  value:   Value to write.
+
+     Return:      Promise. Resolves once the value is written.
+     ======================================================================== */
+  async Write(channel, value) {
+    const chan = this._channels.get(channel);
+    if ((chan == undefined) ||
+        (chan.direction === modGpioBase.GPIO_DIR.IN)) {
+      throw new Error(`Channel not writable: ${channel}`);
+    }
+
+    chan.value = !!value;
+    this.emit('write', channel, chan.value);
+  }
+
+  /* ========================================================================
+     Description: Open an I2C bus.
+
+     Parameters:  busNumber: Number of the I2C bus to open.
+
+     Return:      Promise. Resolves with the bus (SimulatedI2cBus).
+     ======================================================================== */
+  async OpenI2cBus(busNumber) {
+    if (!this._i2cBuses.has(busNumber)) {
+      this._i2cBuses.set(busNumber, new Map());
+    }
+
+    return new SimulatedI2cBus(busNumber, this._i2cBuses.get(busNumber));
+  }
+
+  /* ========================================================================
+     Description: Reset the provider, forgetting all channel configurations.
+
+     Parameters:  None
+
+     Return:      None
+     ======================================================================== */
+  Reset() {
+    this._channels.clear();
+  }
+
+  /* ========================================================================
+     Description: Release all channels and resources held by the provider.
+
+     Parameters:  None
+
+     Return:      Promise. Resolves once the resources are released.
+     ======================================================================== */
+  async Destroy() {
+    this._channels.clear();
+  }
+
+  /* ========================================================================
+     Description: Drive the level of an input channel.
+
+     Parameters:  channel:   GPIO input channel to drive.
+                  value:     Level of the input signal.
+                  timestamp: (Optional) High-resolution time (bigint nanoseconds) of the change.
+                             Default: Now
+
+     Return:      true if the channel is an input.
+
+     Remarks:     Raises the 'change' event when the level transition matches
+                  the edge detection configured for the channel.
+                  Driving a channel that has not been configured pre-drives
+                  the level, which is retained when it is later configured as an input.
+     ======================================================================== */
+  SetInput(channel, value, timestamp) {
+    let chan = this._channels.get(channel);
+    if (chan == undefined) {
+      chan = {direction:modGpioBase.GPIO_DIR.IN, edge:modGpioBase.GPIO_EDGE.NONE, value:false};
+      this._channels.set(channel, chan);
+    }
+    const isInput = (chan.direction === modGpioBase.GPIO_DIR.IN);
+
+    if (isInput) {
+      const oldValue = chan.value;
+      chan.value = !!value;
+
+      if (oldValue !== chan.value) {
+        const notify = ( (chan.edge === modGpioBase.GPIO_EDGE.BOTH)                      ||
+                         ((chan.edge === modGpioBase.GPIO_EDGE.RISING)  &&  chan.value)   ||
+                         ((chan.edge === modGpioBase.GPIO_EDGE.FALLING) && !chan.value)     );
+        if (notify) {
+          this.emit('change', channel, chan.value, ((typeof(timestamp) === 'bigint') ? timestamp : process.hrtime.bigint()));
+        }
+      }
+    }
+    else {
+      _debug(`SetInput: Chan:${channel} is not an input.`);
+    }
+
+    return isInput;
+  }
+
+  /* ========================================================================
+     Description: Attach a modelled device to an I2C bus.
+
+     Parameters:  busNumber: Number of the I2C bus.
+                  address:   Address of the device.
+                  device:    Object with the following methods.
+                  { Read(register, length):  Returns a Buffer with the content of the registers.
+                    Write(register, value):  Writes a register.
+                  }
+
+     Return:      None
+
+     Remarks:     Devices are part of the simulated hardware, and remain
+                  attached when the provider is reset.
+     ======================================================================== */
+  AttachI2cDevice(busNumber, address, device) {
+    if (!this._i2cBuses.has(busNumber)) {
+      this._i2cBuses.set(busNumber, new Map());
+    }
+    this._i2cBuses.get(busNumber).set(address, device);
+    _debug(`AttachI2cDevice: Bus:${busNumber} Address:${address}`);
+  }
+
+  /* ========================================================================
+     Description: Get the level of a channel without requiring a promise.
+
+     Parameters:  channel: GPIO channel of interest.
+
+     Return:      Level of the channel. undefined if not configured.
+     ======================================================================== */
+  GetValue(channel) {
+    const chan = this._channels.get(channel);
+
+    return ((chan != undefined) ? chan.value : undefined);
+  }
+}
+
+export {SimulatedGpio as default, SimulatedI2cBus};
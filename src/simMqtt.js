@@ -0,0 +1,334 @@
+/* ==========================================================================
+   File:               simMqtt.js
+   Class:              SimulatedMqttBroker, SimulatedMqttClient
+   Description:	       Provide an in-memory MQTT broker for running the
+                       MQTT bridge without a network broker.
+   Copyright:          May 2020
+   ========================================================================== */
+'use strict';
+
+// External dependencies and imports.
+const _debug = require('debug')('simMqtt');
+import { EventEmitter } from 'events';
+
+/* ========================================================================
+   Description: Helper to determine if a topic matches a subscription filter.
+
+   Parameters:  filter: Subscription filter. May contain the '+' and '#' wildcards.
+                topic:  Topic of a published message.
+
+   Return:      true if the topic matches the filter.
+   ======================================================================== */
+const _topicMatches = (filter, topic) => {
+  const filterLevels = filter.split('/');
+  const topicLevels  = topic.split('/');
+
+  let matches = true;
+  for (let index=0; (index < filterLevels.length) && matches; index++) {
+    if (filterLevels[index] === '#') {
+      // Multi-level wildcard matches the remainder of the topic.
+      return true;
+    }
+    matches = ( (index < topicLevels.length) &&
+                ((filterLevels[index] === '+') || (filterLevels[index] === topicLevels[index])) );
+  }
+
+  return (matches && (filterLevels.length === topicLevels.length));
+};
+
+/* SimulatedMqttClient represents a connection to the simulated broker. It
+   implements the subset of the 'mqtt' package client used by the MQTT bridge.
+
+   @event 'connect' => function() {}
+          Emitted once the client is connected.
+
+   @event 'message' => function(topic, payload) {}
+          Emitted when a message is received for a subscribed topic.
+          topic:    the topic of the message.
+          payload:  the content of the message (Buffer).
+*/
+class SimulatedMqttClient extends EventEmitter {
+  /* ========================================================================
+     Description: Constructor for an instance of a simulated client.
+
+     Parameters:  broker:   SimulatedMqttBroker the client is connected to.
+                  clientId: Identifier of the client.
+
+     Return:      N/A
+     ======================================================================== */
+  constructor(broker, clientId) {
+
+    // Initialize the base class.
+    super();
+
+    /* Broker of the client */
+    this._broker        = broker;
+    /* Identifier of the client */
+    this._clientId      = clientId;
+    /* Subscription filters */
+    this._subscriptions = new Set();
+    /* Connection status. Named to match the 'mqtt' package. */
+    this.connected      = false;
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the identifier of the client.
+
+     Parameters:  None
+
+     Return:      Client identifier.
+     ======================================================================== */
+  get ClientId() {
+    return this._clientId;
+  }
+
+  /* ========================================================================
+     Description: Publish a message.
+
+     Parameters:  topic:    Topic of the message.
+                  message:  Content of the message (string or Buffer).
+                  options:  (Optional) Object with a 'retain' field.
+                  callback: (Optional) function(error) called once published.
+
+     Return:      The client.
+     ======================================================================== */
+  publish(topic, message, options, callback) {
+    const cb = ((typeof(options) === 'function') ? options : callback);
+    const retain = ((typeof(options) === 'object') && (options != null) && (options.retain === true));
+
+    if (this.connected) {
+      this._broker._publish(topic, Buffer.from(message), retain);
+    }
+
+    if (typeof(cb) === 'function') {
+      const error = (this.connected ? null : new Error('Client disconnected'));
+      setTimeout(() => { cb(error); }, 0);
+    }
+
+    return this;
+  }
+
+  /* ========================================================================
+     Description: Subscribe to topics.
+
+     Parameters:  filters:  Subscription filter, or array of filters.
+                  options:  (Optional) Ignored.
+                  callback: (Optional) function(error, granted) called once subscribed.
+
+     Return:      The client.
+
+     Remarks:     Retained messages matching the filters are delivered.
+     ======================================================================== */
+  subscribe(filters, options, callback) {
+    const cb = ((typeof(options) === 'function') ? options : callback);
+    const list = (Array.isArray(filters) ? filters : [filters]);
+
+    list.forEach((filter) => {
+      this._subscriptions.add(filter);
+    });
+    this._broker._deliverRetained(this, list);
+
+    if (typeof(cb) === 'function') {
+      const granted = list.map((filter) => { return {topic:filter, qos:0}; });
+      setTimeout(() => { cb(null, granted); }, 0);
+    }
+
+    return this;
+  }
+
+  /* ========================================================================
+     Description: Unsubscribe from topics.
+
+     Parameters:  filters:  Subscription filter, or array of filters.
+                  callback: (Optional) function(error) called once unsubscribed.
+
+     Return:      The client.
+     ======================================================================== */
+  unsubscribe(filters, callback) {
+    const list = (Array.isArray(filters) ? filters : [filters]);
+
+    list.forEach((filter) => {
+      this._subscriptions.delete(filter);
+    });
+
+    if (typeof(callback) === 'function') {
+      setTimeout(() => { callback(null); }, 0);
+    }
+
+    return this;
+  }
+
+  /* ========================================================================
+     Description: Disconnect from the broker.
+
+     Parameters:  force:    (Optional) Ignored.
+                  callback: (Optional) function() called once disconnected.
+
+     Return:      The client.
+     ======================================================================== */
+  end(force, callback) {
+    const cb = ((typeof(force) === 'function') ? force : callback);
+
+    this._broker._disconnect(this);
+    this.connected = false;
+    this._subscriptions.clear();
+
+    if (typeof(cb) === 'function') {
+      setTimeout(() => { cb(); }, 0);
+    }
+
+    return this;
+  }
+
+  /* ========================================================================
+     Description: Helper to determine if the client is subscribed to a topic.
+
+     Parameters:  topic: Topic of interest.
+
+     Return:      true if any subscription filter matches the topic.
+     ======================================================================== */
+  _subscribed(topic) {
+    let subscribed = false;
+    this._subscriptions.forEach((filter) => {
+      subscribed = subscribed || _topicMatches(filter, topic);
+    });
+
+    return subscribed;
+  }
+}
+
+/* SimulatedMqttBroker represents an in-memory MQTT broker. Messages published
+   by connected clients are routed to the subscribed clients, and retained
+   messages are kept for later subscribers.
+
+   @event 'publish' => function(topic, payload, retain) {}
+          Emitted when a message is published to the broker.
+          topic:    the topic of the message.
+          payload:  the content of the message (Buffer).
+          retain:   true if the message was retained.
+*/
+class SimulatedMqttBroker extends EventEmitter {
+  /* ========================================================================
+     Description: Constructor for an instance of the simulated broker.
+
+     Parameters:  None
+
+     Return:      N/A
+     ======================================================================== */
+  constructor() {
+
+    // Initialize the base class.
+    super();
+
+    _debug(`Constructing Simulated MQTT Broker`);
+
+    /* Retained messages, keyed on topic */
+    this._retained  = new Map();
+    /* Connected clients */
+    this._clients   = new Set();
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the number of connected clients.
+
+     Parameters:  None
+
+     Return:      Number of clients.
+     ======================================================================== */
+  get ClientCount() {
+    return this._clients.size;
+  }
+
+  /* ========================================================================
+     Description: Connect a client to the broker.
+
+     Parameters:  clientId: (Optional) Identifier of the client.
+
+     Return:      SimulatedMqttClient. The 'connect' event is emitted once connected.
+     ======================================================================== */
+  Connect(clientId) {
+    const client = new SimulatedMqttClient(this, ((typeof(clientId) === 'string') ? clientId : `sim_${this._clients.size}`));
+
+    this._clients.add(client);
+    client.connected = true;
+    setTimeout((caller) => { caller.emit('connect'); }, 0, client);
+
+    _debug(`Client connected: ${client.ClientId}`);
+
+    return client;
+  }
+
+  /* ========================================================================
+     Description: Get the retained message of a topic.
+
+     Parameters:  topic: Topic of interest.
+
+     Return:      Content of the message as a string. undefined if none is retained.
+     ======================================================================== */
+  GetRetained(topic) {
+    const payload = this._retained.get(topic);
+
+    return ((payload != undefined) ? payload.toString() : undefined);
+  }
+
+  /* ========================================================================
+     Description: Helper to route a published message.
+
+     Parameters:  topic:   Topic of the message.
+                  payload: Content of the message (Buffer).
+                  retain:  true if the message is to be retained.
+
+     Return:      None
+
+     Remarks:     Retaining an empty message clears the retained message of the topic.
+     ======================================================================== */
+  _publish(topic, payload, retain) {
+    if (retain) {
+      if (payload.length > 0) {
+        this._retained.set(topic, payload);
+      }
+      else {
+        this._retained.delete(topic);
+      }
+    }
+
+    this._clients.forEach((client) => {
+      if (client._subscribed(topic)) {
+        setTimeout((caller) => { caller.emit('message', topic, payload); }, 0, client);
+      }
+    });
+
+    this.emit('publish', topic, payload, retain);
+  }
+
+  /* ========================================================================
+     Description: Helper to deliver the retained messages to a new subscriber.
+
+     Parameters:  client:  Subscribing client.
+                  filters: Array of subscription filters.
+
+     Return:      None
+     ======================================================================== */
+  _deliverRetained(client, filters) {
+    this._retained.forEach((payload, topic) => {
+      if (filters.some((filter) => { return _topicMatches(filter, topic); })) {
+        setTimeout((caller) => { caller.emit('message', topic, payload); }, 0, client);
+      }
+    });
+  }
+
+  /* ========================================================================
+     Description: Helper to disconnect a client.
+
+     Parameters:  client: Disconnecting client.
+
+     Return:      None
+     ======================================================================== */
+  _disconnect(client) {
+    this._clients.delete(client);
+
+    _debug(`Client disconnected: ${client.ClientId}`);
+  }
+}
+
+export {SimulatedMqttBroker as default, SimulatedMqttClient};
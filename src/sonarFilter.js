@@ -0,0 +1,167 @@
+/* ==========================================================================
+   File:               sonarFilter.js
+   Class:              SonarFilter
+   Description:	       Provide filtering of sonar distance measurements and
+                       detection with hysteresis.
+   Copyright:          May 2020
+   ========================================================================== */
+'use strict';
+
+// External dependencies and imports.
+const _debug = require('debug')('sonarFilter');
+
+/* Default number of samples used for the median. (No filtering) */
+const _DEFAULT_MEDIAN_SAMPLES         = 1;
+/* Default hysteresis applied to the detection thresholds. (None) */
+const _DEFAULT_HYSTERESIS             = 0.0/*meters*/;
+/* Number of consecutive samples rejected for their rate of change, after which
+   the distance is assumed to have truly changed. */
+const _MAX_CONSECUTIVE_REJECTIONS     = 3;
+
+/* SonarFilter represents the filter pipeline applied to the distance
+   measurements of a sonar sensor:
+   1. Samples changing faster than the maximum rate of change are rejected.
+   2. The filtered distance is the median of the most recent samples.
+   3. The filtered distance is detected within the detection thresholds. Once
+      detected, it remains detected until it leaves the thresholds widened by
+      the hysteresis. Once undetected, it is detected only when within the
+      thresholds narrowed by the hysteresis.
+*/
+class SonarFilter {
+  /* ========================================================================
+     Description: Constructor for an instance of a sonar filter.
+
+     Parameters:  detectMin:          Minimum distance in meters to qualify as 'detected'.
+                  detectMax:          Maximum distance in meters to qualify as 'detected'.
+                  configuration:      (Optional) Object with the following fields.
+                  { median_samples:   (Optional) Number of samples used for the median. Default: _DEFAULT_MEDIAN_SAMPLES
+                    max_rate:         (Optional) Maximum rate of change in meters per second. Default: Unlimited
+                    hysteresis:       (Optional) Hysteresis in meters applied to the detection thresholds. Default: _DEFAULT_HYSTERESIS
+                  }
+
+     Return:      N/A
+     ======================================================================== */
+  constructor(detectMin, detectMax, configuration) {
+    const config = ((configuration != undefined) ? configuration : {});
+
+    /* Detection Thresholds */
+    this._detectMin     = detectMin;
+    this._detectMax     = detectMax;
+    /* Filter Settings */
+    this._medianSamples = (config.hasOwnProperty('median_samples') ? config.median_samples : _DEFAULT_MEDIAN_SAMPLES);
+    this._maxRate       = (config.hasOwnProperty('max_rate')       ? config.max_rate       : undefined);
+    this._hysteresis    = (config.hasOwnProperty('hysteresis')     ? config.hysteresis     : _DEFAULT_HYSTERESIS);
+
+    this.Reset();
+  }
+
+  /* ========================================================================
+     Description: Discard the samples of the filter.
+
+     Parameters:  None
+
+     Return:      None
+     ======================================================================== */
+  Reset() {
+    /* Accepted samples, oldest first */
+    this._samples       = [];
+    /* Most recent accepted sample: {distance, time} */
+    this._lastAccepted  = undefined;
+    /* Number of consecutive samples rejected */
+    this._rejections    = 0;
+  }
+
+  /* ========================================================================
+     Description: Add a distance sample to the filter.
+
+     Parameters:  distance: Distance measured in meters.
+                  time:     Time (ms since epoch) of the measurement.
+
+     Return:      Filtered distance in meters. undefined if the sample was rejected.
+     ======================================================================== */
+  Add(distance, time) {
+    if ((this._maxRate != undefined) && (this._lastAccepted != undefined) &&
+        (this._rejections < _MAX_CONSECUTIVE_REJECTIONS)) {
+      const elapsed = Math.max(time - this._lastAccepted.time, 1)/*ms*/ / 1000.0/* ms / sec */;
+      const rate    = Math.abs(distance - this._lastAccepted.distance) / elapsed;
+
+      if (rate > this._maxRate) {
+        this._rejections++;
+        _debug(`Sample rejected. distance:${distance} rate:${rate} rejections:${this._rejections}`);
+
+        return undefined;
+      }
+    }
+    else if (this._rejections >= _MAX_CONSECUTIVE_REJECTIONS) {
+      // The distance has truly changed. Restart from this sample.
+      _debug(`Sample accepted after ${this._rejections} rejections. distance:${distance}`);
+      this._samples = [];
+    }
+
+    this._rejections    = 0;
+    this._lastAccepted  = {distance:distance, time:time};
+    this._samples.push(distance);
+    if (this._samples.length > this._medianSamples) {
+      this._samples.shift();
+    }
+
+    return this._median();
+  }
+
+  /* ========================================================================
+     Description: Determine if a filtered distance is detected.
+
+     Parameters:  distance: Filtered distance in meters.
+                  detected: Flag indicating if the distance is currently detected.
+
+     Return:      true if detected.
+     ======================================================================== */
+  Detect(distance, detected) {
+    // Widen the band to remain detected, and narrow it to become detected.
+    const margin = (detected ? -this._hysteresis : this._hysteresis);
+
+    return ((distance >= (this._detectMin + margin)) &&
+            (distance <= (this._detectMax - margin)));
+  }
+
+  /* ========================================================================
+     Description: Helper to compute the median of the accepted samples.
+
+     Parameters:  None
+
+     Return:      Median distance in meters.
+     ======================================================================== */
+  _median() {
+    const sorted  = this._samples.slice().sort((a, b) => { return (a - b); });
+    const middle  = Math.floor(sorted.length / 2);
+
+    return (((sorted.length % 2) !== 0) ? sorted[middle] : ((sorted[middle - 1] + sorted[middle]) / 2.0));
+  }
+
+  /* ========================================================================
+   Description:    Validate the configuration for the sonar filter
+
+   Parameters:     configuration: Configuration node for a sonar filter
+                   detectMin:     Minimum distance in meters to qualify as 'detected'.
+                   detectMax:     Maximum distance in meters to qualify as 'detected'.
+
+   Return:         true if configuration is valid
+
+   Remarks:        Static method to allow configuration to be validated without creating an object instance
+   ======================================================================== */
+  static ValidateConfiguration(configuration, detectMin, detectMax) {
+    const configValid = ( (typeof(configuration) === 'object') && (configuration != null) &&
+                          (!configuration.hasOwnProperty('median_samples') || (Number.isInteger(configuration.median_samples)    && (configuration.median_samples >= 1)))   && /* Optional configuration item */
+                          (!configuration.hasOwnProperty('max_rate')       || ((typeof(configuration.max_rate)   === 'number')     && (configuration.max_rate > 0.0)))        && /* Optional configuration item */
+                          (!configuration.hasOwnProperty('hysteresis')     || ((typeof(configuration.hysteresis) === 'number')     && (configuration.hysteresis >= 0.0)   &&
+                                                                               ((detectMax - detectMin) > (2.0 * configuration.hysteresis))))                                /* Optional configuration item */ );
+
+    if (!configValid) {
+      _debug(`SonarFilter invalid configuration. configuration:${JSON.stringify(configuration)}`);
+    }
+
+    return configValid;
+  }
+}
+
+export default SonarFilter;
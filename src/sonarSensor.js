@@ -9,11 +9,11 @@
 
 // External dependencies and imports.
 const _debug  = require('debug')('sonarSensor');
-const _gpio   = require('rpi-gpio');
-const _gpiop  = _gpio.promise;
 
 // Internal dependencies
 import _sensorBase, * as modSensorBase from './sensorBase.js';
+import * as modGpioBase                from './gpioBase.js';
+import _sonarFilter                    from './sonarFilter.js';
 
 // Enumeration for managing the current sonar signal.
 const _SONAR_STATE = {
@@ -22,8 +22,15 @@ const _SONAR_STATE = {
   PENDING   : 'PENDING'   /* Waiting for falling edge */
 };
 
-/* The nominal speed of sound in air @20 degC */
-const _NOMINAL_SPEED_OF_SOUND                     = 343.0/*meters per sec*/;
+/* The speed of sound in dry air @0 degC */
+const _SPEED_OF_SOUND_AT_FREEZING                 = 331.3/*meters per sec*/;
+/* Absolute zero, used to scale the speed of sound with temperature */
+const _ABSOLUTE_ZERO                              = -273.15/*degC*/;
+/* Default air temperature */
+const _DEFAULT_TEMPERATURE                        = 20.0/*degC*/;
+/* Range of supported air temperatures */
+const _MINIMUM_TEMPERATURE                        = -40.0/*degC*/;
+const _MAXIMUM_TEMPERATURE                        =  70.0/*degC*/;
 /* Minimum polling interval of the sonar sensor. Accounts for the 100ms maximum detection interval of the HS204 */
 const _MINIMUM_SONAR_POLLING_INTERVAL             =  0.25/*sec*/;
 /* Default polling interval of the sonar sensor */
@@ -32,6 +39,12 @@ const _DEFAULT_SONAR_POLLING_INTERVAL             =  5.0/*sec*/;
 const _DISTANCE_THRESHOLD_FOR_CHANGE_NOTIFICATION = 0.08/*meters*/;
 /* Time for toggling the trigger to initiate a sonar reading. */
 const _SONAR_TRIGGER_TIME                         =  1/*ms*/;
+/* Time between the readings of a burst. Accounts for the 60ms recommended measurement cycle of the HS204 */
+const _SONAR_BURST_INTERVAL                       = 60/*ms*/;
+/* Default number of readings made each polling interval */
+const _DEFAULT_SONAR_BURST_COUNT                  =  1;
+/* Conversion of high-resolution time (nanoseconds) to milliseconds */
+const _NANOSECONDS_PER_MILLISECOND                = 1000000.0;
 /* Distance used to indicate an invalid distance measurement. */
 const _INVALID_DISTANCE                           = -1000.0/*meters*/;
 
@@ -60,13 +73,22 @@ class SonarSensor extends _sensorBase {
                                                               ** Assumed to be in the GPIO Mode as the provider of the configuration.
                     detect_threshold_min                      Minumum distance in meters to qualify as 'detected'.
                     detect_threshold_max                      Maximum distance in meters to qualify as 'detected'.
+                    temperature:                              (Optional) Air temperature in degrees Celsius, used to compensate the speed of sound.
+                                                              Default: _DEFAULT_TEMPERATURE
+                    filter:                                   (Optional) Object with the following fields.
+                    { burst_count:                            (Optional) Number of readings made each polling interval. Default: _DEFAULT_SONAR_BURST_COUNT
+                      median_samples:                         (Optional) Number of readings used for the median distance.
+                      max_rate:                               (Optional) Maximum rate of change in meters per second. Faster changes are rejected.
+                      hysteresis:                             (Optional) Hysteresis in meters applied to the detection thresholds.
+                    }
                   }
+                  gpio:                                       GPIO provider (GpioBase) used to monitor & control the sensor.
      Return:      N/A
      ======================================================================== */
-  constructor(identifier, configuration) {
+  constructor(identifier, configuration, gpio) {
 
     // Initialize the base class.
-    super(identifier);
+    super(identifier, gpio);
 
     _debug(`Constructing sonar sensor`);
 
@@ -82,6 +104,17 @@ class SonarSensor extends _sensorBase {
     this._gpioEchoIn        = configuration.echo_in;
     this._detectMin         = configuration.detect_threshold_min;
     this._detectMax         = configuration.detect_threshold_max;
+    /* Temperature is optional. */
+    this.Temperature        = (configuration.hasOwnProperty('temperature') ? configuration.temperature : _DEFAULT_TEMPERATURE);
+    /* Filtering is optional. */
+    const filterConfig      = (configuration.hasOwnProperty('filter') ? configuration.filter : {});
+    this._burstCount        = (filterConfig.hasOwnProperty('burst_count') ? filterConfig.burst_count : _DEFAULT_SONAR_BURST_COUNT);
+    this._filter            = new _sonarFilter(this._detectMin, this._detectMax, filterConfig);
+
+    /* Number of readings remaining in the current burst */
+    this._burstRemaining    = 0;
+    /* Burst Reading Timer Id */
+    this._burstTimerId      = undefined;
 
     // Other data members
     this._initialize();
@@ -108,10 +141,12 @@ class SonarSensor extends _sensorBase {
     _debug(`Terminating Sonar Sensor: ${this.Identifier}`);
 
     // Stop the sonar.
+    this._cancelBurst();
     this.Active = false;
+    super._stopHealthMonitor();
 
     // Unregister for change notifications
-    _gpio.off( 'change', this._myStateChangeCB );
+    this._gpio.off( 'change', this._myStateChangeCB );
 
     super._initialized = false;
   }
@@ -133,17 +168,19 @@ class SonarSensor extends _sensorBase {
     // Create an array of promises to configure the GPIO and wait for all of them
     // to complete.
     await Promise.all([/* Configure the sonar trigger and initialize to LOW */
-                       _gpiop.setup(this._gpioTriggerOut, _gpio.DIR_LOW),
+                       this._gpio.Setup(this._gpioTriggerOut, modGpioBase.GPIO_DIR.LOW),
                        /* Configure the door sonar echo input channel to detect all events to allow
                           for the measurement of the pulse duration, which equates to distance. */
-                       _gpiop.setup(this._gpioEchoIn,     _gpio.DIR_IN,  _gpio.EDGE_BOTH),
+                       this._gpio.Setup(this._gpioEchoIn,     modGpioBase.GPIO_DIR.IN,  modGpioBase.GPIO_EDGE.BOTH),
                       ])
     .then(async (setupResults) => {
       // Register for state change events for all input channels.
-      _gpio.on( 'change', this._myStateChangeCB );
+      this._gpio.on( 'change', this._myStateChangeCB );
 
       // Start the sonar measuring system.
       this.Active = true;
+      // Monitor that the sonar continues to produce readings.
+      super._startHealthMonitor(this._sonarPingInterval);
 
       // Indicate that the sonar is now initialized and ready to operate.
       super._initialized = true;
@@ -171,6 +208,61 @@ class SonarSensor extends _sensorBase {
     return (active);
   }
 
+  /* ========================================================================
+     Description: Read-Only Property for the most recent distance measured.
+
+     Parameters:  None
+
+     Return:      Distance in meters. undefined if no distance has been measured.
+     ======================================================================== */
+  get Distance() {
+    return ((this._lastDistanceReading !== _INVALID_DISTANCE) ? this._lastDistanceReading : undefined);
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the measurements of the sonar sensor.
+
+     Parameters:  None
+
+     Return:      Object with the distance measured in meters. undefined if not measured.
+     ======================================================================== */
+  get Measurements() {
+    return {distance:this.Distance};
+  }
+
+  /* ========================================================================
+     Description: Property for the air temperature
+
+     Parameters:  None
+
+     Return:      Air temperature in degrees Celsius.
+     ======================================================================== */
+  get Temperature() {
+    return this._temperature;
+  }
+
+  /* ========================================================================
+     Description: Property for the air temperature
+
+     Parameters:  temperature: Air temperature in degrees Celsius.
+
+     Return:      None
+
+     Remarks:     The speed of sound, and therefore the distance measured, varies
+                  with the air temperature. Temperatures outside of the supported
+                  range are ignored.
+     ======================================================================== */
+  set Temperature(temperature) {
+    if ((typeof(temperature) === 'number') &&
+        (temperature >= _MINIMUM_TEMPERATURE) && (temperature <= _MAXIMUM_TEMPERATURE)) {
+      this._temperature   = temperature;
+      this._speedOfSound  = _SPEED_OF_SOUND_AT_FREEZING * Math.sqrt(1.0 - (temperature / _ABSOLUTE_ZERO));
+    }
+    else {
+      _debug(`Sonar ${this.Identifier}: Unsupported temperature: ${temperature}`);
+    }
+  }
+
   /* ========================================================================
      Description: Property for Sonar Sensor Activation
 
@@ -183,7 +275,7 @@ class SonarSensor extends _sensorBase {
     if (active && !this.Active)
     {
       /* Requesting to activate an inactive sonar. */
-      this._sonarPingTriggerId = setInterval( (() => {this._triggerSonar(); }), this._sonarPingInterval);
+      this._sonarPingTriggerId = setInterval( (() => {this._triggerBurst(); }), this._sonarPingInterval);
       // Also reset the data if activating the sonar sensor.
       reset = true;
     }
@@ -201,8 +293,8 @@ class SonarSensor extends _sensorBase {
     {
       this._lastDistanceReading       = _INVALID_DISTANCE;
       this._referenceDistanceReading  = _INVALID_DISTANCE;
-      this._referenceTime             = 0;
-      this._distanceAge               = 0;
+      this._referenceTime             = undefined;
+      this._triggerReleaseTime        = undefined;
       this._sonarState                = _SONAR_STATE.INACTIVE;
     }
   }
@@ -216,7 +308,57 @@ class SonarSensor extends _sensorBase {
      ======================================================================== */
   _initialize() {
     super._initialized  = false;
+    this._cancelBurst();
     this.Active         = false;
+    this._filter.Reset();
+  }
+
+  /* ========================================================================
+     Description: Initiate the burst of readings for a polling interval.
+
+     Parameters:  None
+
+     Return:      None
+     ======================================================================== */
+  _triggerBurst() {
+    this._cancelBurst();
+    this._burstRemaining = this._burstCount - 1;
+
+    this._triggerSonar();
+  }
+
+  /* ========================================================================
+     Description: Helper to trigger the next reading of the burst, if any.
+
+     Parameters:  None
+
+     Return:      None
+     ======================================================================== */
+  _continueBurst() {
+    if ((this._burstRemaining > 0) && (this._burstTimerId == undefined)) {
+      this._burstRemaining--;
+      this._burstTimerId = setTimeout(() => {
+        this._burstTimerId = undefined;
+        if (this.Active) {
+          this._triggerSonar();
+        }
+      }, _SONAR_BURST_INTERVAL);
+    }
+  }
+
+  /* ========================================================================
+     Description: Helper to cancel the remainder of the burst.
+
+     Parameters:  None
+
+     Return:      None
+     ======================================================================== */
+  _cancelBurst() {
+    this._burstRemaining = 0;
+    if (this._burstTimerId != undefined) {
+      clearTimeout(this._burstTimerId);
+      this._burstTimerId = undefined;
+    }
   }
 
   /* ========================================================================
@@ -236,13 +378,21 @@ class SonarSensor extends _sensorBase {
       // Trigger is occuring during an existing reading.
       this.Active = false;
       _debug(`Sonar (${this.Identifier}) Unexpected trigger request.`);
+      super._reportFailure(`No echo received (${this._sonarState})`);
     }
     try {
       // Trigger the sonar.
-      _gpiop.write(this._gpioTriggerOut, ACTIVATE_SONAR)
+      this._gpio.Write(this._gpioTriggerOut, ACTIVATE_SONAR)
       .then(() => {
         // Once active, deactivate the sonar after a brief period.
-        return setTimeout(_gpiop.write, _SONAR_TRIGGER_TIME, this._gpioTriggerOut, !ACTIVATE_SONAR);
+        return setTimeout(((channel, value) => {
+          // Note the time that the trigger is released, in case the start of the echo is not observed.
+          this._triggerReleaseTime = process.hrtime.bigint();
+          this._gpio.Write(channel, value)
+          .catch((error) => {
+            _debug(`Sonar (${this.Identifier}) Release Error: ${error.toString()}`);
+          });
+        }), _SONAR_TRIGGER_TIME, this._gpioTriggerOut, !ACTIVATE_SONAR);
       })
       .then(() => {
         // Set the Sonar State to armed.
@@ -251,11 +401,13 @@ class SonarSensor extends _sensorBase {
       .catch((error) => {
         this.Active = false;
         _debug(`Sonar (${this.Identifier}) Request Error: ${error.toString()}`);
+        super._reportFailure(`Request Error: ${error.toString()}`);
       });
     }
     catch (err) {
       this.Active = false;
       _debug(`Failed to trigger Sonar (${this.Identifier}): (${err})`);
+      super._reportFailure(`Trigger Error: ${err}`);
     }
     finally {
       // Restart the sonar if it deactivated due to an error.
@@ -269,30 +421,36 @@ class SonarSensor extends _sensorBase {
   /* ========================================================================
      Description: Event handler for State Change events on GPIO Inputs
 
-     Parameters:  channel: GPIO Channel for the event.
-                  value:   Value of the GPIO Input
+     Parameters:  channel:   GPIO Channel for the event.
+                  value:     Value of the GPIO Input
+                  timestamp: High-resolution time (bigint nanoseconds) of the change.
 
      Return:      None
      ======================================================================== */
-  _stateChange(channel, value) {
+  _stateChange(channel, value, timestamp) {
     switch (channel) {
       case (this._gpioEchoIn) :
       {
+        // Time the echo with the timestamp supplied by the GPIO provider, if any.
+        const changeTime = ((typeof(timestamp) === 'bigint') ? timestamp : process.hrtime.bigint());
+
         if (this.Active) {
           switch (this._sonarState) {
             case _SONAR_STATE.ARMED :
             {
               if (value) {
-                /* The sonar data is Armed. So cache the current time and
+                /* The sonar data is Armed. So cache the time of the change and
                    set the state to PENDING (waiting for final reading) */
-                this._referenceTime = Date.now();
+                this._referenceTime = changeTime;
                 this._sonarState    = _SONAR_STATE.PENDING;
               }
               else {
-                _debug(`Sonar (${this.Identifier}): Object too close. Forcing measurement distance of half of the detectable minimum.`);
+                _debug(`Sonar (${this.Identifier}): Start of echo not observed. Object too close. Measuring from the release of the trigger.`);
 
-                /* Perform the distance measurement forcing half the minimum resolution. (JavaScript limitation) */
-                this._performDistanceMeasurement(0.5, Date.now());
+                /* Perform the distance measurement from the release of the trigger. Overstates the
+                   distance slightly, as the echo starts shortly after the trigger is released. */
+                const elapsedTime = ((this._triggerReleaseTime != undefined) ? (Number(changeTime - this._triggerReleaseTime) / _NANOSECONDS_PER_MILLISECOND) : 0.0);
+                this._performDistanceMeasurement(Math.max(elapsedTime, 0.0), Date.now());
 
                 // Force the sensor to re-activate.
                 this.Active = false;
@@ -306,7 +464,7 @@ class SonarSensor extends _sensorBase {
                 /* The sonar data is pending (waiting for the measurement to complete). */
                 /* Get the elapsed time while in the armed state. */
                 const measurementCompleteTime = Date.now();
-                const elapsedTime = measurementCompleteTime - this._referenceTime;
+                const elapsedTime = Number(changeTime - this._referenceTime) / _NANOSECONDS_PER_MILLISECOND;
 
                 /* Perform the distance measurement */
                 this._performDistanceMeasurement(elapsedTime, measurementCompleteTime);
@@ -317,6 +475,7 @@ class SonarSensor extends _sensorBase {
               else {
                 _debug(`Sonar (${this.Identifier}): Unexpected GPIO Signal when Pending.`);
                 this.Active = false;
+                super._reportFailure('Unexpected echo signal');
               }
             }
             break;
@@ -364,28 +523,41 @@ class SonarSensor extends _sensorBase {
      Therefore the total distance traveled is 2x the distance to the target. */
     const DISTANCE_FACTOR = 2.0;
 
-    /* Convert the elapsed time to distance and cache the time of the measurement. */
-    this._lastDistanceReading = (_NOMINAL_SPEED_OF_SOUND * (elapsedTime / 1000.0/* sec / ms */)) / DISTANCE_FACTOR;
-    this._distanceAge         = measurementCompleteTime;
+    /* Convert the elapsed time to distance. */
+    const rawDistance = (this._speedOfSound * (elapsedTime / 1000.0/* sec / ms */)) / DISTANCE_FACTOR;
 
-    // Raise the distance_changed event, if appropriate.
-    if (Math.abs(this._lastDistanceReading - this._referenceDistanceReading) >= this._distanceThreshold) {
-      // Raise the event, asynchronously.
-      setTimeout((caller, resultOld, resultNew) => {
-        caller.emit('distance_changed', resultOld, resultNew, caller);
-      }, 0, this, this._referenceDistanceReading, this._lastDistanceReading);
+    // Make the next reading of the burst.
+    this._continueBurst();
 
-      /* Update the reference distance */
-      this._referenceDistanceReading = this._lastDistanceReading;
-    }
+    /* Filter the distance. */
+    const filteredDistance = this._filter.Add(rawDistance, measurementCompleteTime);
+    if (filteredDistance != undefined) {
+      this._lastDistanceReading = filteredDistance;
+
+      // Raise the distance_changed event, if appropriate.
+      if (Math.abs(this._lastDistanceReading - this._referenceDistanceReading) >= this._distanceThreshold) {
+        // Raise the event, asynchronously.
+        setTimeout((caller, resultOld, resultNew) => {
+          caller.emit('distance_changed', resultOld, resultNew, caller);
+        }, 0, this, this._referenceDistanceReading, this._lastDistanceReading);
+
+        /* Update the reference distance */
+        this._referenceDistanceReading = this._lastDistanceReading;
+      }
 
-    // Compute the sensor state.
-    const newResult = (((this._lastDistanceReading >= this._detectMin) &&
-                        (this._lastDistanceReading <= this._detectMax)) ? modSensorBase.SENSOR_RESULT.DETECTED : modSensorBase.SENSOR_RESULT.UNDETECTED);
-    _debug(`Sonar (${this.Identifier}): Measured Distance=${this._lastDistanceReading} Result=${newResult}`);
+      // Compute the sensor state.
+      const detected  = this._filter.Detect(this._lastDistanceReading, (this.Result === modSensorBase.SENSOR_RESULT.DETECTED));
+      const newResult = (detected ? modSensorBase.SENSOR_RESULT.DETECTED : modSensorBase.SENSOR_RESULT.UNDETECTED);
+      _debug(`Sonar (${this.Identifier}): Measured Distance=${this._lastDistanceReading} Result=${newResult}`);
 
-    // Update the result & raise the result_changed event, if appropriate.
-    super._setResult(newResult);
+      // Record the reading, update the result & raise the result_changed event, if appropriate.
+      super._reportReading(newResult, measurementCompleteTime);
+    }
+    else {
+      // Rejected readings do not change the result. However, the sonar is responding, so it is not stale.
+      _debug(`Sonar (${this.Identifier}): Rejected Distance=${rawDistance}`);
+      super._reportResponse(measurementCompleteTime);
+    }
   }
 
   /* ========================================================================
@@ -404,7 +576,10 @@ class SonarSensor extends _sensorBase {
                           ( configuration.hasOwnProperty('echo_in')                                 &&  (typeof(configuration.echo_in)                                 === 'number'))                                                                           &&
                           ( configuration.hasOwnProperty('detect_threshold_min')                    &&  (typeof(configuration.detect_threshold_min)                    === 'number')  && (configuration.detect_threshold_min >= 0.0))                           &&
                           ( configuration.hasOwnProperty('detect_threshold_max')                    &&  (typeof(configuration.detect_threshold_max)                    === 'number')  && (configuration.detect_threshold_max >  0.0))                           &&
-                          (configuration.detect_threshold_max > configuration.detect_threshold_min)                                                                                                                                                               );
+                          (configuration.detect_threshold_max > configuration.detect_threshold_min)                                                                                                                                                               &&
+                          (!configuration.hasOwnProperty('temperature')                             || ((typeof(configuration.temperature)                             === 'number')  && (configuration.temperature >= _MINIMUM_TEMPERATURE) &&
+                                                                                                                                                                         (configuration.temperature <= _MAXIMUM_TEMPERATURE)))                                    && /* Optional configuration item */
+                          (!configuration.hasOwnProperty('filter')                                  ||  (SonarSensor._validateFilterConfig(configuration.filter, configuration)))                                                                               ); /* Optional configuration item */
 
     if (!configValid) {
       _debug(`SonarSensor invalid configuration. configuration:${JSON.stringify(configuration)}`);
@@ -412,6 +587,28 @@ class SonarSensor extends _sensorBase {
 
     return configValid;
   }
+
+  /* ========================================================================
+   Description:    Validate the filter configuration for the sonar sensor
+
+   Parameters:     filterConfig:  Filter configuration node of the sonar sensor
+                   configuration: Configuration node of the sonar sensor
+
+   Return:         true if configuration is valid
+
+   Remarks:        The readings of a burst must complete within the polling interval.
+   ======================================================================== */
+  static _validateFilterConfig(filterConfig, configuration) {
+    const pollingInterval = (configuration.hasOwnProperty('polling_interval') ? configuration.polling_interval : _DEFAULT_SONAR_POLLING_INTERVAL) * 1000.0/* milliseconds / second */;
+
+    return ( _sonarFilter.ValidateConfiguration(filterConfig, configuration.detect_threshold_min, configuration.detect_threshold_max) &&
+             (!filterConfig.hasOwnProperty('burst_count') || (Number.isInteger(filterConfig.burst_count) && (filterConfig.burst_count >= 1) &&
+                                                              ((filterConfig.burst_count * _SONAR_BURST_INTERVAL) < pollingInterval))) /* Optional configuration item */ );
+  }
 }
 
+// Register the sensor class, so that it can be created from a door configuration.
+_sensorBase.RegisterSensorClass('SonarSensor', SonarSensor.ValidateConfiguration,
+                                (identifier, configuration, gpio) => { return new SonarSensor(identifier, configuration, gpio); });
+
 export default SonarSensor;
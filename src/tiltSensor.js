@@ -0,0 +1,367 @@
+/* ==========================================================================
+   File:               tiltSensor.js
+   Class:              TiltSensor
+   Description:	       Provide status of a tilt (accelerometer) sensor mounted
+                       on a door panel and used for detection.
+   Copyright:          May 2020
+   ========================================================================== */
+'use strict';
+
+// External dependencies and imports.
+const _debug  = require('debug')('tiltSensor');
+
+// Internal dependencies
+import _sensorBase, * as modSensorBase from './sensorBase.js';
+
+/* Enumeration for the accelerometer axes, mapped to the offset of the
+   axis within the accelerometer data registers. */
+const _TILT_AXIS = {
+  X : 0,
+  Y : 2,
+  Z : 4
+};
+
+/* MPU-6050 Power Management register. Writing 0 wakes the accelerometer from sleep. */
+const _MPU6050_PWR_MGMT_1                       = 0x6B;
+/* MPU-6050 first accelerometer data register. X, Y & Z are big-endian 16-bit values. */
+const _MPU6050_ACCEL_XOUT_H                     = 0x3B;
+/* Number of bytes of accelerometer data */
+const _MPU6050_ACCEL_DATA_LENGTH                = 6;
+/* Default I2C bus. /dev/i2c-1 on a RaspberryPi */
+const _DEFAULT_I2C_BUS                          = 1;
+/* Default I2C address of the MPU-6050 */
+const _DEFAULT_I2C_ADDRESS                      = 0x68;
+/* Range of valid 7-bit I2C addresses */
+const _MINIMUM_I2C_ADDRESS                      = 0x03;
+const _MAXIMUM_I2C_ADDRESS                      = 0x77;
+/* Default axis aligned with gravity when the door is closed */
+const _DEFAULT_TILT_AXIS                        = 'X';
+/* Default panel angle when the door is closed & open */
+const _DEFAULT_CLOSED_ANGLE                     =  0.0/*degrees*/;
+const _DEFAULT_OPEN_ANGLE                       = 90.0/*degrees*/;
+/* Range of angles reported by the sensor */
+const _MINIMUM_ANGLE                            =   0.0/*degrees*/;
+const _MAXIMUM_ANGLE                            = 180.0/*degrees*/;
+/* Minimum polling interval of the tilt sensor */
+const _MINIMUM_TILT_POLLING_INTERVAL            =  0.1/*sec*/;
+/* Default polling interval of the tilt sensor */
+const _DEFAULT_TILT_POLLING_INTERVAL            =  1.0/*sec*/;
+/* Change threshold to determine when the 'angle_changed' event should be raised. */
+const _ANGLE_THRESHOLD_FOR_CHANGE_NOTIFICATION  =  2.0/*degrees*/;
+
+/* TiltSensor represents a MPU-6050 accelerometer mounted on the top panel
+   of a door. The angle of the panel is determined from the direction of
+   gravity, and the sensor is read over I2C by a RaspberryPi.
+
+   @event 'angle_changed' => function(oldAngle, newAngle, context) {}
+          Emitted when the tilt sensor detects an angle change that exceeds a change threshold.
+          oldAngle:   the prior angle measured in degrees.
+          newAngle:   the updated angle measured in degrees.
+          context:    reference to the instance of the object raising the event.
+*/
+class TiltSensor extends _sensorBase {
+  /* ========================================================================
+     Description: Constructor for an instance of a tilt sensor.
+
+     Parameters:  identifier:                             Identifier to associate with this object.
+                  configuration:                          Object with the following fields.
+                  { i2c_bus:                              (Optional) Number of the I2C bus of the sensor. Default: _DEFAULT_I2C_BUS
+                    address:                              (Optional) I2C address of the sensor. Default: _DEFAULT_I2C_ADDRESS
+                    axis:                                 (Optional) Accelerometer axis (X, Y, Z) aligned with gravity when the door is closed.
+                                                          Default: _DEFAULT_TILT_AXIS
+                    polling_interval:                     (Optional) Time in seconds that the sensor should be polled for an angle measurement.
+                                                          Default: _DEFAULT_TILT_POLLING_INTERVAL
+                    angle_threshold_change_notification:  (Optional) Angle in degrees to use as a change threshold for raising an angle_changed event.
+                    closed_angle:                         (Optional) Angle in degrees measured when the door is closed. Default: _DEFAULT_CLOSED_ANGLE
+                    open_angle:                           (Optional) Angle in degrees measured when the door is open. Default: _DEFAULT_OPEN_ANGLE
+                    detect_threshold_min                  Minimum angle in degrees to qualify as 'detected'.
+                    detect_threshold_max                  Maximum angle in degrees to qualify as 'detected'.
+                  }
+                  gpio:                                   GPIO provider (GpioBase) providing access to the I2C bus.
+     Return:      N/A
+     ======================================================================== */
+  constructor(identifier, configuration, gpio) {
+
+    // Initialize the base class.
+    super(identifier, gpio);
+
+    _debug(`Constructing tilt sensor`);
+
+    // Verify that the configuration is valid. Throws an exception if false.
+    TiltSensor.ValidateConfiguration(configuration);
+
+    // Consume configuration
+    /* I2C bus & address are optional. */
+    this._i2cBusNumber      = (configuration.hasOwnProperty('i2c_bus') ? configuration.i2c_bus : _DEFAULT_I2C_BUS);
+    this._i2cAddress        = (configuration.hasOwnProperty('address') ? configuration.address : _DEFAULT_I2C_ADDRESS);
+    /* Axis is optional. */
+    this._axis              = (configuration.hasOwnProperty('axis') ? configuration.axis.toUpperCase() : _DEFAULT_TILT_AXIS);
+    /* Polling interval is optional. */
+    this._pollingInterval   = (configuration.hasOwnProperty('polling_interval') ? configuration.polling_interval : _DEFAULT_TILT_POLLING_INTERVAL) * 1000.0/* milliseconds / second */;
+    /* Angle threshold change notification is optional */
+    this._angleThreshold    = (configuration.hasOwnProperty('angle_threshold_change_notification') ? configuration.angle_threshold_change_notification : _ANGLE_THRESHOLD_FOR_CHANGE_NOTIFICATION);
+    /* Closed & open angles are optional */
+    this._closedAngle       = (configuration.hasOwnProperty('closed_angle') ? configuration.closed_angle : _DEFAULT_CLOSED_ANGLE);
+    this._openAngle         = (configuration.hasOwnProperty('open_angle')   ? configuration.open_angle   : _DEFAULT_OPEN_ANGLE);
+    this._detectMin         = configuration.detect_threshold_min;
+    this._detectMax         = configuration.detect_threshold_max;
+
+    /* Open I2C bus */
+    this._i2cBus            = undefined;
+    /* Polling Interval Timer Id */
+    this._pollingTimerId    = undefined;
+    /* Flag indicating that a reading is in progress */
+    this._readPending       = false;
+    /* Most recent angle measured, and the angle last notified */
+    this._lastAngle         = undefined;
+    this._referenceAngle    = undefined;
+  }
+
+  /* ========================================================================
+     Description: Destructor for an instance of a tilt sensor.
+
+     Parameters:  None
+
+     Return:      None
+
+     Remarks:     DO NOT reset the underlying GPIO peripheral. That should only
+                  be handled by the garage controller system. Simply make this
+                  object inert and release the I2C bus.
+     ======================================================================== */
+   async Terminate() {
+
+    _debug(`Terminating Tilt Sensor: ${this.Identifier}`);
+
+    // Stop polling the sensor.
+    if (this._pollingTimerId != undefined) {
+      clearInterval(this._pollingTimerId);
+      this._pollingTimerId = undefined;
+    }
+    super._stopHealthMonitor();
+
+    // Release the bus.
+    if (this._i2cBus != undefined) {
+      const bus = this._i2cBus;
+      this._i2cBus = undefined;
+      await bus.close()
+      .catch((err) => {
+        _debug(`Tilt (${this.Identifier}) Close Error: ${err.toString()}`);
+      });
+    }
+
+    super._initialized = false;
+  }
+
+  /* ========================================================================
+     Description: Start/Initialize the tilt sensor.
+
+     Parameters:  None
+
+     Return:      Flag indicating if the sensor has been initialized.
+     ======================================================================== */
+  async Start() {
+
+    _debug(`Starting Tilt Sensor: ${this.Identifier}`);
+
+    // Clear the initialized flag, in case we are re-starting
+    super._initialized    = false;
+    this._readPending     = false;
+    this._lastAngle       = undefined;
+    this._referenceAngle  = undefined;
+
+    // Monitor that the sensor continues to produce readings.
+    super._startHealthMonitor(this._pollingInterval);
+
+    await ((this._i2cBus != undefined) ? Promise.resolve(this._i2cBus) : this._gpio.OpenI2cBus(this._i2cBusNumber))
+    .then(async (bus) => {
+      this._i2cBus = bus;
+
+      /* Wake the accelerometer, which powers up in sleep mode. */
+      await bus.writeByte(this._i2cAddress, _MPU6050_PWR_MGMT_1, 0);
+    })
+    .then(() => {
+      // Periodically read the angle.
+      if (this._pollingTimerId == undefined) {
+        this._pollingTimerId = setInterval((() => { this._readAngle(); }), this._pollingInterval);
+      }
+      this._readAngle();
+
+      // Indicate that the sensor is now initialized and ready to operate.
+      super._initialized = true;
+    })
+    .catch((err) => {
+      _debug(`Init Error(Tilt Sensor:${this.Identifier}): ${err.toString()}`);
+      super._reportFailure(`Init Error: ${err.toString()}`);
+    });
+
+    return this.Initialized;
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the most recent angle measured.
+
+     Parameters:  None
+
+     Return:      Angle of the door panel in degrees. undefined if no angle has been measured.
+     ======================================================================== */
+  get Angle() {
+    return this._lastAngle;
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the estimated opening of the door.
+
+     Parameters:  None
+
+     Return:      Percentage (0-100) the door is open, estimated from the angle
+                  relative to the closed & open angles. undefined if no angle
+                  has been measured.
+     ======================================================================== */
+  get PercentOpen() {
+    let percentOpen = undefined;
+
+    if (this._lastAngle != undefined) {
+      const fraction = (this._lastAngle - this._closedAngle) / (this._openAngle - this._closedAngle);
+      percentOpen = Math.round(Math.min(1.0, Math.max(0.0, fraction)) * 100.0);
+    }
+
+    return percentOpen;
+  }
+
+  /* ========================================================================
+     Description: Read-Only Property for the measurements of the tilt sensor.
+
+     Parameters:  None
+
+     Return:      Object with the angle in degrees and the percentage open.
+                  undefined if not measured.
+     ======================================================================== */
+  get Measurements() {
+    return {angle:this.Angle, percent_open:this.PercentOpen};
+  }
+
+  /* ========================================================================
+     Description: Read the accelerometer and update the angle.
+
+     Parameters:  None
+
+     Return:      None
+
+     Remarks:     Skipped while a prior reading is in progress.
+     ======================================================================== */
+  _readAngle() {
+    if ((!this._readPending) && (this._i2cBus != undefined)) {
+      this._readPending = true;
+
+      this._i2cBus.readI2cBlock(this._i2cAddress, _MPU6050_ACCEL_XOUT_H, _MPU6050_ACCEL_DATA_LENGTH, Buffer.alloc(_MPU6050_ACCEL_DATA_LENGTH))
+      .then((data) => {
+        if (data.bytesRead === _MPU6050_ACCEL_DATA_LENGTH) {
+          this._performAngleMeasurement(data.buffer);
+        }
+        else {
+          super._reportFailure(`Short Read: ${data.bytesRead} bytes`);
+        }
+      })
+      .catch((err) => {
+        _debug(`Tilt (${this.Identifier}) Read Error: ${err.toString()}`);
+        super._reportFailure(`Read Error: ${err.toString()}`);
+      })
+      .finally(() => {
+        this._readPending = false;
+      });
+    }
+  }
+
+  /* ========================================================================
+     Description: Helper to compute the measured angle and notify clients
+                  as needed.
+
+     Parameters:  accelData: Buffer with the X, Y & Z accelerometer data.
+
+     Return:      None
+
+     Remarks:     The angle is between the configured axis and gravity, and
+                  does not depend upon the sensitivity of the accelerometer.
+     ======================================================================== */
+  _performAngleMeasurement(accelData) {
+    const axes = Object.keys(_TILT_AXIS).map((axis) => { return accelData.readInt16BE(_TILT_AXIS[axis]); });
+    const axisIndex = Object.keys(_TILT_AXIS).indexOf(this._axis);
+
+    /* Magnitude of gravity perpendicular to the axis. */
+    const perpendicular = Math.sqrt(axes.reduce((sum, value, index) => { return ((index !== axisIndex) ? (sum + (value * value)) : sum); }, 0.0));
+
+    if ((perpendicular === 0.0) && (axes[axisIndex] === 0)) {
+      // No gravity measured. The accelerometer is not operating.
+      super._reportFailure('No acceleration measured');
+    }
+    else {
+      this._lastAngle = Math.atan2(perpendicular, axes[axisIndex]) * (180.0 / Math.PI)/* degrees / radian */;
+
+      // Raise the angle_changed event, if appropriate.
+      if ((this._referenceAngle == undefined) ||
+          (Math.abs(this._lastAngle - this._referenceAngle) >= this._angleThreshold)) {
+        // Raise the event, asynchronously.
+        setTimeout((caller, angleOld, angleNew) => {
+          caller.emit('angle_changed', angleOld, angleNew, caller);
+        }, 0, this, this._referenceAngle, this._lastAngle);
+
+        /* Update the reference angle */
+        this._referenceAngle = this._lastAngle;
+      }
+
+      // Compute the sensor state.
+      const detected  = ((this._lastAngle >= this._detectMin) && (this._lastAngle <= this._detectMax));
+      const newResult = (detected ? modSensorBase.SENSOR_RESULT.DETECTED : modSensorBase.SENSOR_RESULT.UNDETECTED);
+      _debug(`Tilt (${this.Identifier}): Measured Angle=${this._lastAngle.toFixed(1)} Result=${newResult}`);
+
+      // Record the reading, update the result & raise the result_changed event, if appropriate.
+      super._reportReading(newResult);
+    }
+  }
+
+  /* ========================================================================
+   Description:    Validate the configuration for the tilt sensor
+
+   Parameters:     configuration: Homebridge configuration node for a tilt sensor
+
+   Return:         true if configuration is valid
+
+   Remarks:        Static method to allow configuration to be validated without creating an object instance
+   ======================================================================== */
+  static ValidateConfiguration(configuration) {
+    const closedAngle = (configuration.hasOwnProperty('closed_angle') ? configuration.closed_angle : _DEFAULT_CLOSED_ANGLE);
+    const openAngle   = (configuration.hasOwnProperty('open_angle')   ? configuration.open_angle   : _DEFAULT_OPEN_ANGLE);
+
+    const configValid = ( (!configuration.hasOwnProperty('i2c_bus')                              || (Number.isInteger(configuration.i2c_bus) && (configuration.i2c_bus >= 0)))                                                       && /* Optional configuration item */
+                          (!configuration.hasOwnProperty('address')                              || (Number.isInteger(configuration.address) && (configuration.address >= _MINIMUM_I2C_ADDRESS) &&
+                                                                                                                                                (configuration.address <= _MAXIMUM_I2C_ADDRESS)))                                    && /* Optional configuration item */
+                          (!configuration.hasOwnProperty('axis')                                 || ((typeof(configuration.axis)                                === 'string') && _TILT_AXIS.hasOwnProperty(configuration.axis.toUpperCase()))) && /* Optional configuration item */
+                          (!configuration.hasOwnProperty('polling_interval')                     || ((typeof(configuration.polling_interval)                    === 'number') && (configuration.polling_interval >= _MINIMUM_TILT_POLLING_INTERVAL)))         && /* Optional configuration item */
+                          (!configuration.hasOwnProperty('angle_threshold_change_notification')  || ((typeof(configuration.angle_threshold_change_notification) === 'number') && (configuration.angle_threshold_change_notification > 0.0)))                   && /* Optional configuration item */
+                          (!configuration.hasOwnProperty('closed_angle')                         || TiltSensor._isAngle(configuration.closed_angle))                                                                                             && /* Optional configuration item */
+                          (!configuration.hasOwnProperty('open_angle')                           || TiltSensor._isAngle(configuration.open_angle))                                                                                               && /* Optional configuration item */
+                          (closedAngle !== openAngle)                                                                                                                                                                                            &&
+                          ( configuration.hasOwnProperty('detect_threshold_min')                 &&  TiltSensor._isAngle(configuration.detect_threshold_min))                                                                                     &&
+                          ( configuration.hasOwnProperty('detect_threshold_max')                 &&  TiltSensor._isAngle(configuration.detect_threshold_max))                                                                                     &&
+                          (configuration.detect_threshold_max > configuration.detect_threshold_min)                                                                                                                                              );
+
+    if (!configValid) {
+      _debug(`TiltSensor invalid configuration. configuration:${JSON.stringify(configuration)}`);
+    }
+
+    return configValid;
+  }
+
+  /* ========================================================================
+     Description: Helper to validate an angle configuration value.
+     ======================================================================== */
+  static _isAngle(value) {
+    return ((typeof(value) === 'number') && (value >= _MINIMUM_ANGLE) && (value <= _MAXIMUM_ANGLE));
+  }
+}
+
+// Register the sensor class, so that it can be created from a door configuration.
+_sensorBase.RegisterSensorClass('TiltSensor', TiltSensor.ValidateConfiguration,
+                                (identifier, configuration, gpio) => { return new TiltSensor(identifier, configuration, gpio); });
+
+export default TiltSensor;
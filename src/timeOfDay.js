@@ -0,0 +1,80 @@
+/* ==========================================================================
+   File:               timeOfDay.js
+   Description:	       Provide helpers for configured times of day and days
+                       of the week, used to schedule door operations.
+   Copyright:          May 2020
+   ========================================================================== */
+'use strict';
+
+/* Enumeration for Days of the Week - Values match Date.getDay() */
+const DAY_OF_WEEK = {
+  SUN : 0,
+  MON : 1,
+  TUE : 2,
+  WED : 3,
+  THU : 4,
+  FRI : 5,
+  SAT : 6
+};
+
+/* Number of minutes in a day */
+const MINUTES_PER_DAY = 24 * 60;
+/* Number of milliseconds in a minute */
+const MS_PER_MINUTE   = 60 * 1000;
+
+/* ========================================================================
+   Description: Parse a time of day.
+
+   Parameters:  timeOfDay:  Time of day in the form 'HH:MM' (24-hour clock).
+
+   Return:      Minutes since midnight. undefined if invalid.
+   ======================================================================== */
+const ParseTimeOfDay = (timeOfDay) => {
+  let minutes = undefined;
+
+  const match = ((typeof(timeOfDay) === 'string') ? /^(\d{1,2}):(\d{2})$/.exec(timeOfDay) : null);
+  if (match != null) {
+    const hours = Number(match[1]);
+    const mins  = Number(match[2]);
+    if ((hours < 24) && (mins < 60)) {
+      minutes = (hours * 60) + mins;
+    }
+  }
+
+  return minutes;
+};
+
+/* ========================================================================
+   Description: Parse a day of the week.
+
+   Parameters:  dayOfWeek:  Abbreviated day of the week (SUN, MON, ...). Case insensitive.
+
+   Return:      DAY_OF_WEEK. undefined if invalid.
+   ======================================================================== */
+const ParseDayOfWeek = (dayOfWeek) => {
+  return ((typeof(dayOfWeek) === 'string') ? DAY_OF_WEEK[dayOfWeek.toUpperCase()] : undefined);
+};
+
+/* ========================================================================
+   Description: Determine the time of day of a date.
+
+   Parameters:  date: Date of interest.
+
+   Return:      Minutes since midnight.
+   ======================================================================== */
+const MinutesSinceMidnight = (date) => {
+  return ((date.getHours() * 60) + date.getMinutes());
+};
+
+/* ========================================================================
+   Description: Determine the time until the start of the next minute.
+
+   Parameters:  date: Date of interest.
+
+   Return:      Time in milliseconds.
+   ======================================================================== */
+const TimeUntilNextMinute = (date) => {
+  return (MS_PER_MINUTE - (date.getSeconds() * 1000) - date.getMilliseconds());
+};
+
+export {DAY_OF_WEEK, MINUTES_PER_DAY, MS_PER_MINUTE, ParseTimeOfDay, ParseDayOfWeek, MinutesSinceMidnight, TimeUntilNextMinute};
@@ -0,0 +1,545 @@
+/* ==========================================================================
+   File:        doorCntrl.test.js
+   Description: Unit tests for the Door Controller. The open/closed detection
+                sensors are replaced by fake sensors whose results are set
+                directly by the tests.
+   ========================================================================== */
+'use strict';
+
+// Internal dependencies
+import _doorController, {DOOR_STATE, DOOR_FAULT, ACTIVATION_SOURCE, STATE_CHANGE_CAUSE} from '../src/doorCntrl.js';
+import _sensorBase, {SENSOR_RESULT} from '../src/sensorBase.js';
+import _simulatedGpio from '../src/simGpio.js';
+
+/* GPIO channel assignments of the door under test */
+const _CHAN_STATE_INDICATOR = 1;
+const _CHAN_CTRL_REQUEST    = 2;
+const _CHAN_MANUAL_REQUEST  = 3;
+/* Door activation watchdog time (ms) until the travel time is learned */
+const _DOOR_ACTIVATION_TIMEOUT = 30000/*ms*/;
+/* Time (ms) to allow the asynchronous sensor notifications to be delivered */
+const _SETTLE_TIME = 10/*ms*/;
+
+/* FakeSensor is a detection sensor whose result is set directly. */
+class FakeSensor extends _sensorBase {
+  async Start() {
+    this._initialized = true;
+    return true;
+  }
+
+  async Terminate() {
+    this._initialized = false;
+  }
+
+  SetResult(result) {
+    if (result === SENSOR_RESULT.UNKNOWN) {
+      this._setResult(result);
+    }
+    else {
+      this._reportReading(result);
+    }
+  }
+}
+
+/* Fake sensors of the door under test, keyed on identifier */
+const _sensors = new Map();
+
+_sensorBase.RegisterSensorClass('FakeSensor',
+                                (configuration) => { return true; },
+                                (identifier, configuration, gpio) => {
+                                  const sensor = new FakeSensor(identifier, gpio);
+                                  _sensors.set(identifier, sensor);
+                                  return sensor;
+                                });
+
+const _doorConfig = () => {
+  return {name:                  'TestDoor',
+          state_indicator:       _CHAN_STATE_INDICATOR,
+          control_request:       _CHAN_CTRL_REQUEST,
+          manual_control_reqest: _CHAN_MANUAL_REQUEST,
+          soft_locked:           false,
+          detect_sensors:        [{id:'open',   class:'FakeSensor', function:'OPEN',  config:{}},
+                                  {id:'closed', class:'FakeSensor', function:'CLOSE', config:{}}]};
+};
+
+describe('DoorController', () => {
+  let gpio;
+  let door;
+
+  /* Set the results of the open and closed sensors and deliver the notifications. */
+  const setSensors = async (openResult, closedResult) => {
+    _sensors.get('open').SetResult(openResult);
+    _sensors.get('closed').SetResult(closedResult);
+    await jest.advanceTimersByTimeAsync(_SETTLE_TIME);
+  };
+
+  /* Create and start a door whose sensors initially report the results specified. */
+  const startDoor = async (openResult, closedResult, configuration) => {
+    door = new _doorController(((configuration != undefined) ? configuration : _doorConfig()), gpio);
+    _sensors.get('open').SetResult(openResult);
+    _sensors.get('closed').SetResult(closedResult);
+    const started = await door.Start();
+    await jest.advanceTimersByTimeAsync(_SETTLE_TIME);
+    return started;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    gpio = new _simulatedGpio();
+    _sensors.clear();
+    door = undefined;
+  });
+
+  afterEach(async () => {
+    if (door != undefined) {
+      await door.Terminate();
+    }
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  describe('configuration', () => {
+    test('accepts the detection functions in any case', () => {
+      const configuration = _doorConfig();
+      configuration.detect_sensors.push({id:'vehicle', class:'FakeSensor', function:'Vehicle', config:{}});
+      expect(() => new _doorController(configuration, gpio)).not.toThrow();
+    });
+
+    test('rejects a sensor of an unknown function', () => {
+      const configuration = _doorConfig();
+      configuration.detect_sensors.push({id:'inactive', class:'FakeSensor', function:'CLOSE-INACTIVE', config:{}});
+      expect(() => new _doorController(configuration, gpio)).toThrow();
+    });
+  });
+
+  describe('door state from the open & closed sensors', () => {
+    const {UNKNOWN, UNDETECTED, DETECTED} = SENSOR_RESULT;
+
+    test.each([
+      /* open       closed      door state */
+      [UNKNOWN,    UNKNOWN,    DOOR_STATE.UNKNOWN],
+      [UNKNOWN,    UNDETECTED, DOOR_STATE.OPEN],
+      [UNKNOWN,    DETECTED,   DOOR_STATE.CLOSED],
+      [UNDETECTED, UNKNOWN,    DOOR_STATE.CLOSED],
+      [UNDETECTED, UNDETECTED, DOOR_STATE.UNKNOWN],
+      [UNDETECTED, DETECTED,   DOOR_STATE.CLOSED],
+      [DETECTED,   UNKNOWN,    DOOR_STATE.OPEN],
+      [DETECTED,   UNDETECTED, DOOR_STATE.OPEN],
+      [DETECTED,   DETECTED,   DOOR_STATE.UNKNOWN],
+    ])('open:%s closed:%s is %s', async (openResult, closedResult, doorState) => {
+      expect(await startDoor(openResult, closedResult)).toBe(true);
+      expect(door.DoorState).toBe(doorState);
+    });
+
+    test('conflicting sensors are a fault', async () => {
+      await startDoor(DETECTED, DETECTED);
+      expect(door.Fault).toBe(DOOR_FAULT.SENSOR_CONFLICT);
+    });
+
+    test('the indicator is illuminated when open', async () => {
+      await startDoor(DETECTED, UNDETECTED);
+      expect(gpio.GetValue(_CHAN_STATE_INDICATOR)).toBe(true);
+    });
+
+    test('a door of unknown state remains unknown when neither sensor detects it', async () => {
+      await startDoor(DETECTED, DETECTED);
+
+      await setSensors(UNDETECTED, UNDETECTED);
+      expect(door.DoorState).toBe(DOOR_STATE.UNKNOWN);
+    });
+  });
+
+  describe('restored door state', () => {
+    test('is used when none of the sensors report', async () => {
+      door = new _doorController(_doorConfig(), gpio);
+      door.RestoreState(true, DOOR_STATE.CLOSED, 1000);
+      await door.Start();
+      expect(door.DoorState).toBe(DOOR_STATE.CLOSED);
+      expect(door.LastStateChangeTime).toBe(1000);
+      expect(door.DoorLocked).toBe(true);
+    });
+
+    test('is not used when a sensor reports the door is not at the end of its travel', async () => {
+      door = new _doorController(_doorConfig(), gpio);
+      door.RestoreState(false, DOOR_STATE.CLOSED, 1000);
+      _sensors.get('open').SetResult(SENSOR_RESULT.UNDETECTED);
+      _sensors.get('closed').SetResult(SENSOR_RESULT.UNDETECTED);
+      await door.Start();
+      expect(door.DoorState).toBe(DOOR_STATE.UNKNOWN);
+    });
+  });
+
+  describe('door travel', () => {
+    test('opens from closed', async () => {
+      const states = [];
+      await startDoor(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.DETECTED);
+      door.on('state_change', (oldState, newState) => { states.push(newState); });
+
+      await setSensors(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.UNDETECTED);
+      expect(door.DoorState).toBe(DOOR_STATE.OPENING);
+      expect(door.TargetDoorState).toBe(DOOR_STATE.OPEN);
+
+      await jest.advanceTimersByTimeAsync(4000);
+      await setSensors(SENSOR_RESULT.DETECTED, SENSOR_RESULT.UNDETECTED);
+      expect(door.DoorState).toBe(DOOR_STATE.OPEN);
+      expect(states).toEqual([DOOR_STATE.OPENING, DOOR_STATE.OPEN]);
+      expect(door.TravelProfile.opening).toBeGreaterThanOrEqual(4000);
+    });
+
+    test('closes from open', async () => {
+      await startDoor(SENSOR_RESULT.DETECTED, SENSOR_RESULT.UNDETECTED);
+
+      await setSensors(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.UNDETECTED);
+      expect(door.DoorState).toBe(DOOR_STATE.CLOSING);
+      expect(door.TargetDoorState).toBe(DOOR_STATE.CLOSED);
+
+      await setSensors(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.DETECTED);
+      expect(door.DoorState).toBe(DOOR_STATE.CLOSED);
+      expect(gpio.GetValue(_CHAN_STATE_INDICATOR)).toBe(false);
+    });
+
+    test('a closing door that opens again is a reversal', async () => {
+      await startDoor(SENSOR_RESULT.DETECTED, SENSOR_RESULT.UNDETECTED);
+
+      await setSensors(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.UNDETECTED);
+      expect(door.DoorState).toBe(DOOR_STATE.CLOSING);
+      await setSensors(SENSOR_RESULT.DETECTED, SENSOR_RESULT.UNDETECTED);
+      expect(door.DoorState).toBe(DOOR_STATE.OPEN);
+      expect(door.Fault).toBe(DOOR_FAULT.REVERSAL);
+    });
+
+    test('a travelling door whose sensors fail is unknown', async () => {
+      await startDoor(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.DETECTED);
+
+      await setSensors(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.UNDETECTED);
+      expect(door.DoorState).toBe(DOOR_STATE.OPENING);
+      await setSensors(SENSOR_RESULT.UNKNOWN, SENSOR_RESULT.UNKNOWN);
+      expect(door.DoorState).toBe(DOOR_STATE.UNKNOWN);
+    });
+  });
+
+  describe('door activation', () => {
+    test('pulses the control relay', async () => {
+      const writes = [];
+      await startDoor(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.DETECTED);
+      const activated = jest.fn();
+      gpio.on('write', (channel, value) => { if (channel === _CHAN_CTRL_REQUEST) { writes.push(value); } });
+      door.on('activation_requested', activated);
+
+      door.ActivateDoor(ACTIVATION_SOURCE.REQUEST);
+      await jest.advanceTimersByTimeAsync(200);
+      expect(activated).toHaveBeenCalledWith(ACTIVATION_SOURCE.REQUEST, true, door);
+      // The relay is active low.
+      expect(writes).toEqual([false, true]);
+    });
+
+    test('a relay that cannot be released is not an unhandled rejection', async () => {
+      const writes = [];
+      await startDoor(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.DETECTED);
+      gpio.on('write', (channel, value) => { if (channel === _CHAN_CTRL_REQUEST) { writes.push(value); } });
+
+      door.ActivateDoor(ACTIVATION_SOURCE.REQUEST);
+      await jest.advanceTimersByTimeAsync(_SETTLE_TIME);
+      // The channels are released, as when the garage system is terminated.
+      gpio.Reset();
+      await jest.advanceTimersByTimeAsync(200);
+      expect(writes).toEqual([false]);
+    });
+
+    test('a locked door is not activated', async () => {
+      const writes = [];
+      await startDoor(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.DETECTED);
+      const activated = jest.fn();
+      gpio.on('write', (channel, value) => { if (channel === _CHAN_CTRL_REQUEST) { writes.push(value); } });
+      door.on('activation_requested', activated);
+      door.DoorLocked = true;
+
+      door.ActivateDoor(ACTIVATION_SOURCE.REQUEST);
+      await jest.advanceTimersByTimeAsync(200);
+      expect(activated).toHaveBeenCalledWith(ACTIVATION_SOURCE.REQUEST, false, door);
+      expect(writes).toEqual([]);
+    });
+
+    test('a door that does not reach the end of its travel is stopped by the watchdog', async () => {
+      await startDoor(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.DETECTED);
+
+      door.ActivateDoor(ACTIVATION_SOURCE.REQUEST);
+      await setSensors(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.UNDETECTED);
+      expect(door.DoorState).toBe(DOOR_STATE.OPENING);
+
+      await jest.advanceTimersByTimeAsync(_DOOR_ACTIVATION_TIMEOUT - 1000);
+      expect(door.DoorState).toBe(DOOR_STATE.OPENING);
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(door.DoorState).toBe(DOOR_STATE.UNKNOWN);
+      expect(door.Fault).toBe(DOOR_FAULT.ACTIVATION_TIMEOUT);
+    });
+
+    test('a door that does not respond remains in its state', async () => {
+      await startDoor(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.DETECTED);
+
+      door.ActivateDoor(ACTIVATION_SOURCE.REQUEST);
+      await jest.advanceTimersByTimeAsync(_DOOR_ACTIVATION_TIMEOUT);
+      expect(door.DoorState).toBe(DOOR_STATE.CLOSED);
+      expect(door.Fault).toBe(DOOR_FAULT.NONE);
+    });
+
+    test('a door that does not respond is reverted to its state by the watchdog', async () => {
+      const changes = [];
+      await startDoor(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.DETECTED);
+      door.on('state_change', (oldState, newState, cause) => { if (oldState !== newState) { changes.push([oldState, newState, cause]); } });
+
+      door.ActivateDoor(ACTIVATION_SOURCE.REQUEST);
+      await setSensors(SENSOR_RESULT.UNKNOWN, SENSOR_RESULT.UNKNOWN);
+      await jest.advanceTimersByTimeAsync(_DOOR_ACTIVATION_TIMEOUT);
+      expect(door.DoorState).toBe(DOOR_STATE.CLOSED);
+      expect(changes).toEqual([[DOOR_STATE.CLOSED,  DOOR_STATE.UNKNOWN, STATE_CHANGE_CAUSE.SENSOR],
+                               [DOOR_STATE.UNKNOWN, DOOR_STATE.CLOSED,  STATE_CHANGE_CAUSE.WATCHDOG]]);
+    });
+
+    test('a door that completes its travel clears the watchdog', async () => {
+      await startDoor(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.DETECTED);
+
+      door.ActivateDoor(ACTIVATION_SOURCE.REQUEST);
+      await setSensors(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.UNDETECTED);
+      await setSensors(SENSOR_RESULT.DETECTED, SENSOR_RESULT.UNDETECTED);
+      await jest.advanceTimersByTimeAsync(_DOOR_ACTIVATION_TIMEOUT);
+      expect(door.DoorState).toBe(DOOR_STATE.OPEN);
+      expect(door.Fault).toBe(DOOR_FAULT.NONE);
+    });
+
+    test('activating a travelling door stops it', async () => {
+      await startDoor(SENSOR_RESULT.DETECTED, SENSOR_RESULT.UNDETECTED);
+
+      door.ActivateDoor(ACTIVATION_SOURCE.REQUEST);
+      await setSensors(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.UNDETECTED);
+      expect(door.DoorState).toBe(DOOR_STATE.CLOSING);
+      await jest.advanceTimersByTimeAsync(1000);
+
+      const changes = [];
+      door.on('state_change', (oldState, newState, cause) => { changes.push([oldState, newState, cause]); });
+      door.ActivateDoor(ACTIVATION_SOURCE.REQUEST);
+      expect(door.DoorState).toBe(DOOR_STATE.UNKNOWN);
+      await jest.advanceTimersByTimeAsync(_SETTLE_TIME);
+      expect(changes).toEqual([[DOOR_STATE.CLOSING, DOOR_STATE.UNKNOWN, STATE_CHANGE_CAUSE.ACTIVATION]]);
+      await jest.advanceTimersByTimeAsync(_DOOR_ACTIVATION_TIMEOUT);
+      expect(door.DoorState).toBe(DOOR_STATE.UNKNOWN);
+    });
+  });
+
+  describe('target state', () => {
+    /* Track the activations of the control relay. */
+    const trackActivations = () => {
+      const activations = [];
+      gpio.on('write', (channel, value) => { if ((channel === _CHAN_CTRL_REQUEST) && (!value)) { activations.push(Date.now()); } });
+      return activations;
+    };
+
+    test('drives the door to the target state', async () => {
+      await startDoor(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.DETECTED);
+      // Allow the door to come to rest.
+      await jest.advanceTimersByTimeAsync(2000);
+      const activations = trackActivations();
+
+      const result = door.SetTargetState(DOOR_STATE.OPEN, ACTIVATION_SOURCE.REQUEST);
+      await jest.advanceTimersByTimeAsync(500);
+      expect(activations.length).toBe(1);
+      expect(door.TargetDoorState).toBe(DOOR_STATE.OPEN);
+
+      await setSensors(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.UNDETECTED);
+      await setSensors(SENSOR_RESULT.DETECTED, SENSOR_RESULT.UNDETECTED);
+      await jest.advanceTimersByTimeAsync(500);
+      await expect(result).resolves.toBe(true);
+      expect(activations.length).toBe(1);
+    });
+
+    test('is not superseded by an invalid request', async () => {
+      await startDoor(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.DETECTED);
+      await jest.advanceTimersByTimeAsync(2000);
+
+      const result = door.SetTargetState(DOOR_STATE.OPEN, ACTIVATION_SOURCE.REQUEST);
+      await jest.advanceTimersByTimeAsync(500);
+      await expect(door.SetTargetState(DOOR_STATE.OPENING, ACTIVATION_SOURCE.REQUEST)).resolves.toBe(false);
+
+      await setSensors(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.UNDETECTED);
+      await setSensors(SENSOR_RESULT.DETECTED, SENSOR_RESULT.UNDETECTED);
+      await jest.advanceTimersByTimeAsync(500);
+      await expect(result).resolves.toBe(true);
+    });
+
+    test('a locked door is not driven, and keeps its target', async () => {
+      await startDoor(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.DETECTED);
+      const activations = trackActivations();
+      door.DoorLocked = true;
+
+      const result = door.SetTargetState(DOOR_STATE.OPEN, ACTIVATION_SOURCE.REQUEST);
+      await jest.advanceTimersByTimeAsync(500);
+      await expect(result).resolves.toBe(false);
+      expect(door.TargetDoorState).toBe(DOOR_STATE.CLOSED);
+      expect(activations.length).toBe(0);
+    });
+
+    test('a door that reverses is not activated again', async () => {
+      const completed = jest.fn();
+      await startDoor(SENSOR_RESULT.DETECTED, SENSOR_RESULT.UNDETECTED);
+      // An earlier reversal leaves the door faulted.
+      await setSensors(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.UNDETECTED);
+      await setSensors(SENSOR_RESULT.DETECTED, SENSOR_RESULT.UNDETECTED);
+      expect(door.Fault).toBe(DOOR_FAULT.REVERSAL);
+      await jest.advanceTimersByTimeAsync(2000);
+      const activations = trackActivations();
+      door.on('target_state_completed', completed);
+
+      const result = door.SetTargetState(DOOR_STATE.CLOSED, ACTIVATION_SOURCE.REQUEST);
+      await jest.advanceTimersByTimeAsync(500);
+      expect(activations.length).toBe(1);
+      await setSensors(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.UNDETECTED);
+      await jest.advanceTimersByTimeAsync(2000);
+      await setSensors(SENSOR_RESULT.DETECTED, SENSOR_RESULT.UNDETECTED);
+      await jest.advanceTimersByTimeAsync(5000);
+
+      await expect(result).resolves.toBe(false);
+      expect(activations.length).toBe(1);
+      expect(completed).toHaveBeenCalledWith(DOOR_STATE.CLOSED, false, 1, door);
+    });
+  });
+
+  describe('move to position', () => {
+    /* Time (ms) for the door to complete its travel */
+    const _TRAVEL_TIME = 10000/*ms*/;
+
+    /* Open and close a closed door, so that its travel time is learned. */
+    const learnTravel = async () => {
+      await setSensors(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.UNDETECTED);
+      await jest.advanceTimersByTimeAsync(_TRAVEL_TIME);
+      await setSensors(SENSOR_RESULT.DETECTED, SENSOR_RESULT.UNDETECTED);
+      await setSensors(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.UNDETECTED);
+      await jest.advanceTimersByTimeAsync(_TRAVEL_TIME);
+      await setSensors(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.DETECTED);
+      await jest.advanceTimersByTimeAsync(2000);
+    };
+
+    /* Move a closed door to a position part-way. */
+    const moveFromClosed = async (position) => {
+      const result = door.MoveToPosition(position, ACTIVATION_SOURCE.REQUEST);
+      await setSensors(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.UNDETECTED);
+      await jest.advanceTimersByTimeAsync(_TRAVEL_TIME);
+      return result;
+    };
+
+    beforeEach(async () => {
+      await startDoor(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.DETECTED);
+      await learnTravel();
+    });
+
+    test('stops the door at the requested position', async () => {
+      await expect(moveFromClosed(50)).resolves.toBe(true);
+      expect(door.DoorState).toBe(DOOR_STATE.UNKNOWN);
+      expect(Math.abs(door.Position - 50)).toBeLessThanOrEqual(5);
+    });
+
+    test('moves a stopped door in the reverse of its last travel', async () => {
+      await moveFromClosed(50);
+
+      const result = door.MoveToPosition(20, ACTIVATION_SOURCE.REQUEST);
+      await jest.advanceTimersByTimeAsync(500);
+      expect(door.DoorState).toBe(DOOR_STATE.CLOSING);
+      await jest.advanceTimersByTimeAsync(_TRAVEL_TIME);
+      await expect(result).resolves.toBe(true);
+      expect(door.DoorState).toBe(DOOR_STATE.UNKNOWN);
+      expect(Math.abs(door.Position - 20)).toBeLessThanOrEqual(5);
+    });
+
+    test('moves a stopped door in the direction of its last travel', async () => {
+      await moveFromClosed(50);
+      const states = [];
+      door.on('state_change', (oldState, newState) => { if (oldState !== newState) { states.push(newState); } });
+
+      const result = door.MoveToPosition(80, ACTIVATION_SOURCE.REQUEST);
+      await jest.advanceTimersByTimeAsync(_TRAVEL_TIME);
+      await expect(result).resolves.toBe(true);
+      // The door is stopped once it starts the wrong way, and reversed.
+      expect(states).toEqual([DOOR_STATE.CLOSING, DOOR_STATE.UNKNOWN, DOOR_STATE.OPENING, DOOR_STATE.UNKNOWN]);
+      expect(Math.abs(door.Position - 80)).toBeLessThanOrEqual(5);
+    });
+
+    test('is not superseded by an invalid request', async () => {
+      const move = door.MoveToPosition(50, ACTIVATION_SOURCE.REQUEST);
+      await setSensors(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.UNDETECTED);
+      await jest.advanceTimersByTimeAsync(1000);
+
+      await expect(door.MoveToPosition(150, ACTIVATION_SOURCE.REQUEST)).resolves.toBe(false);
+      expect(door.DoorState).toBe(DOOR_STATE.OPENING);
+
+      await jest.advanceTimersByTimeAsync(_TRAVEL_TIME);
+      await expect(move).resolves.toBe(true);
+      expect(Math.abs(door.Position - 50)).toBeLessThanOrEqual(5);
+    });
+
+    test('is superseded by a target state request', async () => {
+      const move = door.MoveToPosition(50, ACTIVATION_SOURCE.REQUEST);
+      await setSensors(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.UNDETECTED);
+      await jest.advanceTimersByTimeAsync(1000);
+
+      const target = door.SetTargetState(DOOR_STATE.OPEN, ACTIVATION_SOURCE.REQUEST);
+      await jest.advanceTimersByTimeAsync(500);
+      await expect(move).resolves.toBe(false);
+      // The door continues to open, as it is not stopped by the move.
+      expect(door.DoorState).toBe(DOOR_STATE.OPENING);
+
+      await jest.advanceTimersByTimeAsync(_TRAVEL_TIME);
+      await setSensors(SENSOR_RESULT.DETECTED, SENSOR_RESULT.UNDETECTED);
+      await jest.advanceTimersByTimeAsync(500);
+      await expect(target).resolves.toBe(true);
+    });
+  });
+
+  describe('door position', () => {
+    /* Time (ms) for the door to complete its travel */
+    const _TRAVEL_TIME = 10000/*ms*/;
+
+    /* Open a closed door, so that its opening travel time is learned, and close it again. */
+    const learnOpening = async () => {
+      await setSensors(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.UNDETECTED);
+      await jest.advanceTimersByTimeAsync(_TRAVEL_TIME);
+      await setSensors(SENSOR_RESULT.DETECTED, SENSOR_RESULT.UNDETECTED);
+      await setSensors(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.DETECTED);
+    };
+
+    test('is closed or open at the end of the travel', async () => {
+      await startDoor(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.DETECTED);
+      expect(door.Position).toBe(0);
+      await setSensors(SENSOR_RESULT.DETECTED, SENSOR_RESULT.UNDETECTED);
+      expect(door.Position).toBe(100);
+    });
+
+    test('is unknown while travelling until the travel time is learned', async () => {
+      await startDoor(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.DETECTED);
+      await setSensors(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.UNDETECTED);
+      await jest.advanceTimersByTimeAsync(_TRAVEL_TIME / 2);
+      expect(door.Position).toBeUndefined();
+    });
+
+    test('is interpolated from the learned travel time', async () => {
+      await startDoor(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.DETECTED);
+      await learnOpening();
+
+      await setSensors(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.UNDETECTED);
+      await jest.advanceTimersByTimeAsync(_TRAVEL_TIME / 2);
+      expect(door.Position).toBeGreaterThanOrEqual(49);
+      expect(door.Position).toBeLessThanOrEqual(51);
+    });
+
+    test('is held when the door is stopped part-way', async () => {
+      await startDoor(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.DETECTED);
+      await learnOpening();
+
+      await setSensors(SENSOR_RESULT.UNDETECTED, SENSOR_RESULT.UNDETECTED);
+      await jest.advanceTimersByTimeAsync(_TRAVEL_TIME / 4);
+      door.ActivateDoor(ACTIVATION_SOURCE.REQUEST);
+      await jest.advanceTimersByTimeAsync(_TRAVEL_TIME);
+      expect(door.DoorState).toBe(DOOR_STATE.UNKNOWN);
+      expect(door.Position).toBeGreaterThanOrEqual(24);
+      expect(door.Position).toBeLessThanOrEqual(26);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+/* ==========================================================================
+   File:        doorStore.test.js
+   Description: Unit tests for the persistent store of the doors.
+   ========================================================================== */
+'use strict';
+
+// External dependencies and imports.
+const _fs   = require('fs');
+const _os   = require('os');
+const _path = require('path');
+
+// Internal dependencies
+import _doorStore from '../src/doorStore.js';
+
+describe('DoorStore', () => {
+  let storagePath;
+
+  beforeEach(async () => {
+    storagePath = await _fs.promises.mkdtemp(_path.join(_os.tmpdir(), 'door-store-'));
+  });
+
+  afterEach(async () => {
+    await _fs.promises.rm(storagePath, {recursive:true, force:true});
+  });
+
+  test('records are persisted across instances', async () => {
+    const store = new _doorStore(storagePath);
+    store.Set('Main', {locked:false, state:'OPEN', timestamp:1000});
+    await store.Flush();
+
+    const restored = new _doorStore(storagePath);
+    expect(await restored.Load()).toBe(true);
+    expect(restored.Get('Main')).toEqual({locked:false, state:'OPEN', timestamp:1000});
+  });
+
+  test('a record replaces the prior record of the door', async () => {
+    const store = new _doorStore(storagePath);
+    store.Set('Main', {locked:false, state:'OPEN', timestamp:1000});
+    store.Set('Main', {locked:true});
+    await store.Flush();
+
+    const restored = new _doorStore(storagePath);
+    await restored.Load();
+    expect(restored.Get('Main')).toEqual({locked:true});
+  });
+
+  test('a missing file has no records', async () => {
+    const store = new _doorStore(storagePath);
+    expect(await store.Load()).toBe(false);
+    expect(store.Get('Main')).toBeUndefined();
+  });
+});
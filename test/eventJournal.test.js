@@ -0,0 +1,159 @@
+/* ==========================================================================
+   File:        eventJournal.test.js
+   Description: Unit tests for the on-disk journal of the events of the
+                garage system.
+   ========================================================================== */
+'use strict';
+
+// External dependencies and imports.
+const _fs   = require('fs');
+const _os   = require('os');
+const _path = require('path');
+
+// Internal dependencies
+import _eventJournal, {JOURNAL_EVENT} from '../src/eventJournal.js';
+
+describe('EventJournal', () => {
+  let storagePath;
+
+  /* Record the events specified, in turn, at one second intervals starting at 1000 ms. */
+  const record = (journal, events) => {
+    const now = jest.spyOn(Date, 'now');
+    events.forEach(([door, type, data], index) => {
+      now.mockReturnValueOnce(1000 * (index + 1));
+      journal.Record(door, type, data);
+    });
+    now.mockRestore();
+  };
+
+  /* Names of the journal files, sorted. */
+  const journalFiles = async () => {
+    return (await _fs.promises.readdir(storagePath)).sort();
+  };
+
+  beforeEach(async () => {
+    storagePath = await _fs.promises.mkdtemp(_path.join(_os.tmpdir(), 'event-journal-'));
+  });
+
+  afterEach(async () => {
+    await _fs.promises.rm(storagePath, {recursive:true, force:true});
+  });
+
+  test('entries are numbered and persisted across instances', async () => {
+    const journal = new _eventJournal(storagePath);
+    await journal.Load();
+    expect(journal.LastId).toBe(0);
+    expect(journal.Record('Main', JOURNAL_EVENT.LOCK_CHANGE, {locked:true}).id).toBe(1);
+    expect(journal.Record('Main', JOURNAL_EVENT.LOCK_CHANGE, {locked:false}).id).toBe(2);
+    await journal.Flush();
+
+    const restored = new _eventJournal(storagePath);
+    await restored.Load();
+    expect(restored.LastId).toBe(2);
+    expect(restored.Record('Main', JOURNAL_EVENT.ACTIVATION, {}).id).toBe(3);
+    expect((await restored.Query()).map((entry) => entry.data)).toEqual([{locked:true}, {locked:false}, {}]);
+  });
+
+  describe('query', () => {
+    let journal;
+
+    beforeEach(async () => {
+      journal = new _eventJournal(storagePath);
+      await journal.Load();
+      record(journal, [['Left',  JOURNAL_EVENT.STATE_CHANGE, {state:'OPENING'}],
+                       ['Right', JOURNAL_EVENT.ACTIVATION,   {}],
+                       ['Left',  JOURNAL_EVENT.STATE_CHANGE, {state:'OPEN'}],
+                       ['Left',  JOURNAL_EVENT.LOCK_CHANGE,  {locked:true}],
+                       ['Right', JOURNAL_EVENT.FAULT,        {fault:'REVERSAL'}]]);
+    });
+
+    const ids = async (criteria) => (await journal.Query(criteria)).map((entry) => entry.id);
+
+    test('all entries, oldest first', async () => {
+      expect(await ids()).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test('by door and type', async () => {
+      expect(await ids({door:'Left'})).toEqual([1, 3, 4]);
+      expect(await ids({types:[JOURNAL_EVENT.ACTIVATION, JOURNAL_EVENT.FAULT]})).toEqual([2, 5]);
+      expect(await ids({door:'Left', types:[JOURNAL_EVENT.STATE_CHANGE]})).toEqual([1, 3]);
+    });
+
+    test('by time, inclusive', async () => {
+      expect(await ids({from:2000, to:4000})).toEqual([2, 3, 4]);
+    });
+
+    test('after an entry', async () => {
+      expect(await ids({after:3})).toEqual([4, 5]);
+    });
+
+    test('limited to the most recent entries', async () => {
+      expect(await ids({limit:2})).toEqual([4, 5]);
+      expect(await ids({door:'Left', limit:1})).toEqual([4]);
+    });
+  });
+
+  describe('rotation', () => {
+    test('the active file is rotated once full', async () => {
+      const journal = new _eventJournal(storagePath, {max_entries:2, max_files:3});
+      await journal.Load();
+      for (let index=0; index < 5; index++) {
+        journal.Record('Main', JOURNAL_EVENT.ACTIVATION, {index:index});
+      }
+      await journal.Flush();
+
+      expect(await journalFiles()).toEqual(['grumpy-garage-journal.1.jsonl',
+                                            'grumpy-garage-journal.2.jsonl',
+                                            'grumpy-garage-journal.jsonl']);
+      expect((await journal.Query()).map((entry) => entry.id)).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test('the oldest file is discarded', async () => {
+      const journal = new _eventJournal(storagePath, {max_entries:2, max_files:2});
+      await journal.Load();
+      for (let index=0; index < 7; index++) {
+        journal.Record('Main', JOURNAL_EVENT.ACTIVATION, {index:index});
+      }
+
+      expect((await journal.Query()).map((entry) => entry.id)).toEqual([5, 6, 7]);
+      expect((await journalFiles()).length).toBe(2);
+    });
+
+    test('the active file continues to fill after a restart', async () => {
+      const journal = new _eventJournal(storagePath, {max_entries:2, max_files:2});
+      await journal.Load();
+      journal.Record('Main', JOURNAL_EVENT.ACTIVATION, {});
+      await journal.Flush();
+
+      const restored = new _eventJournal(storagePath, {max_entries:2, max_files:2});
+      await restored.Load();
+      restored.Record('Main', JOURNAL_EVENT.ACTIVATION, {});
+      restored.Record('Main', JOURNAL_EVENT.ACTIVATION, {});
+      await restored.Flush();
+
+      expect((await journalFiles()).length).toBe(2);
+      expect((await restored.Query()).map((entry) => entry.id)).toEqual([1, 2, 3]);
+    });
+
+    test('invalid bounds fall back to the defaults', async () => {
+      const journal = new _eventJournal(storagePath, {max_entries:0, max_files:2});
+      await journal.Load();
+      for (let index=0; index < 3; index++) {
+        journal.Record('Main', JOURNAL_EVENT.ACTIVATION, {});
+      }
+      await journal.Flush();
+
+      expect(await journalFiles()).toEqual(['grumpy-garage-journal.jsonl']);
+    });
+  });
+
+  test('unreadable lines are skipped', async () => {
+    await _fs.promises.writeFile(_path.join(storagePath, 'grumpy-garage-journal.jsonl'),
+                                 `${JSON.stringify({id:1, timestamp:1000, door:'Main', type:JOURNAL_EVENT.ACTIVATION, data:{}})}\n{"id":2,"tim\n`);
+
+    const journal = new _eventJournal(storagePath);
+    await journal.Load();
+    expect(journal.LastId).toBe(1);
+    expect((await journal.Query()).map((entry) => entry.id)).toEqual([1]);
+  });
+});
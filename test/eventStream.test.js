@@ -0,0 +1,150 @@
+/* ==========================================================================
+   File:        eventStream.test.js
+   Description: Unit tests for the stream of Server-Sent Events. The clients
+                are fake responses that record the data written to them.
+   ========================================================================== */
+'use strict';
+
+// External dependencies and imports.
+import { EventEmitter } from 'events';
+
+// Internal dependencies
+import _eventStream from '../src/eventStream.js';
+
+/* Interval for sending keep-alive comments to idle clients */
+const _KEEP_ALIVE_INTERVAL = 30000/*ms*/;
+
+/* FakeResponse provides the subset of the http.ServerResponse used by the stream. */
+class FakeResponse extends EventEmitter {
+  constructor() {
+    super();
+
+    this.status = undefined;
+    this.data   = '';
+    this.ended  = false;
+  }
+
+  writeHead(status, headers) {
+    this.status = status;
+  }
+
+  write(chunk) {
+    this.data += chunk;
+  }
+
+  end() {
+    this.ended = true;
+  }
+
+  /* Ids of the events written to the client. */
+  get EventIds() {
+    return [...this.data.matchAll(/^id: (\d+)$/gm)].map((match) => Number(match[1]));
+  }
+}
+
+describe('EventStream', () => {
+  let stream;
+
+  /* Publish the number of events specified. */
+  const publish = (count) => {
+    for (let index=0; index < count; index++) {
+      stream.Publish('state_change', {index:index});
+    }
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    stream = new _eventStream(3);
+  });
+
+  afterEach(() => {
+    stream.Close();
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  test('events are sent to the connected clients', () => {
+    const client = new FakeResponse();
+    stream.AddClient(client);
+    expect(client.status).toBe(200);
+
+    const event = stream.Publish('state_change', {door:'Main', state:'OPEN'});
+    expect(event.id).toBe(1);
+    expect(stream.LastId).toBe(1);
+    expect(client.data).toBe('retry: 3000\n\nid: 1\nevent: state_change\ndata: {"door":"Main","state":"OPEN"}\n\n');
+  });
+
+  describe('replay', () => {
+    test('a client is sent the events following its last event', () => {
+      publish(3);
+      const client = new FakeResponse();
+      stream.AddClient(client, 1);
+      expect(client.EventIds).toEqual([2, 3]);
+
+      publish(1);
+      expect(client.EventIds).toEqual([2, 3, 4]);
+    });
+
+    test('a new client is not sent past events', () => {
+      publish(2);
+      const client = new FakeResponse();
+      stream.AddClient(client, undefined);
+      expect(client.EventIds).toEqual([]);
+    });
+
+    test('a client that is up to date is not sent past events', () => {
+      publish(2);
+      const client = new FakeResponse();
+      stream.AddClient(client, 2);
+      expect(client.EventIds).toEqual([]);
+    });
+
+    test('only the most recent events are retained', () => {
+      publish(5);
+      const client = new FakeResponse();
+      stream.AddClient(client, 0);
+      expect(client.EventIds).toEqual([3, 4, 5]);
+    });
+
+    test('an invalid capacity falls back to the default', () => {
+      stream = new _eventStream(0);
+      publish(5);
+      const client = new FakeResponse();
+      stream.AddClient(client, 0);
+      expect(client.EventIds).toEqual([1, 2, 3, 4, 5]);
+    });
+  });
+
+  describe('clients', () => {
+    test('idle clients are kept alive until they disconnect', () => {
+      const client = new FakeResponse();
+      stream.AddClient(client);
+
+      jest.advanceTimersByTime(_KEEP_ALIVE_INTERVAL);
+      expect(client.data.endsWith(': keep-alive\n\n')).toBe(true);
+
+      client.emit('close');
+      expect(stream.ClientCount).toBe(0);
+      expect(jest.getTimerCount()).toBe(0);
+    });
+
+    test('a disconnected client is not sent events', () => {
+      const client = new FakeResponse();
+      stream.AddClient(client);
+      client.emit('close');
+
+      publish(1);
+      expect(client.EventIds).toEqual([]);
+    });
+
+    test('closing the stream ends the clients', () => {
+      const clients = [new FakeResponse(), new FakeResponse()];
+      clients.forEach((client) => { stream.AddClient(client); });
+      expect(stream.ClientCount).toBe(2);
+
+      stream.Close();
+      expect(clients.map((client) => client.ended)).toEqual([true, true]);
+      expect(stream.ClientCount).toBe(0);
+    });
+  });
+});
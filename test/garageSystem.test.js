@@ -0,0 +1,208 @@
+/* ==========================================================================
+   File:        garageSystem.test.js
+   Description: Unit tests for the Garage System. The doors are operated on a
+                simulated GPIO provider.
+   ========================================================================== */
+'use strict';
+
+// External dependencies and imports.
+const _fs   = require('fs');
+const _os   = require('os');
+const _path = require('path');
+
+// Internal dependencies
+import _garageSystem from '../src/garageSystem.js';
+import {DOOR_STATE, STATE_CHANGE_CAUSE} from '../src/doorCntrl.js';
+import _simulatedGpio from '../src/simGpio.js';
+
+/* Configuration of a door under test with proximity switch detection sensors. */
+const _doorConfig = (name, firstChannel) => {
+  return {name:                  name,
+          state_indicator:       firstChannel,
+          control_request:       (firstChannel + 1),
+          manual_control_reqest: (firstChannel + 2),
+          soft_locked:           false,
+          detect_sensors:        [{id:`${name}-open`,   class:'ProximitySwitchSensor', function:'OPEN',  config:{detect_in:(firstChannel + 3)}},
+                                  {id:`${name}-closed`, class:'ProximitySwitchSensor', function:'CLOSE', config:{detect_in:(firstChannel + 4)}}]};
+};
+
+describe('GarageSystem', () => {
+  let system;
+
+  /* Start a system of two doors with the lock schedule specified. */
+  const startSystem = async (lockSchedule) => {
+    system = new _garageSystem(new _simulatedGpio());
+    return system.Start({heartbeat:     4,
+                         doors:         [_doorConfig('Left', 10), _doorConfig('Right', 20)],
+                         lock_schedule: lockSchedule});
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    system = undefined;
+  });
+
+  afterEach(async () => {
+    if (system != undefined) {
+      await system.Terminate();
+    }
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  describe('lock schedule', () => {
+    /* Monday, 4 May 2020 */
+    const _monday = (hours, minutes) => new Date(2020, 4, 4, hours, minutes);
+
+    test('locks and unlocks all doors at the scheduled times', async () => {
+      expect(await startSystem([{time:'22:00', action:'LOCK'},
+                                {time:'6:30',  action:'UNLOCK'}])).toBe(true);
+
+      system._evaluateLockSchedule(_monday(22, 0));
+      expect(system.GetDoorLocked('Left')).toBe(true);
+      expect(system.GetDoorLocked('Right')).toBe(true);
+
+      system._evaluateLockSchedule(_monday(6, 30));
+      expect(system.GetDoorLocked('Left')).toBe(false);
+      expect(system.GetDoorLocked('Right')).toBe(false);
+    });
+
+    test('does not act outside of the scheduled time', async () => {
+      await startSystem([{time:'22:00', action:'LOCK'}]);
+
+      system._evaluateLockSchedule(_monday(21, 59));
+      system._evaluateLockSchedule(_monday(22, 1));
+      expect(system.GetDoorLocked('Left')).toBe(false);
+    });
+
+    test('only acts on the days and doors specified', async () => {
+      await startSystem([{time:'22:00', action:'LOCK', days:['sat', 'SUN'], doors:['Right']}]);
+
+      system._evaluateLockSchedule(_monday(22, 0));
+      expect(system.GetDoorLocked('Right')).toBe(false);
+
+      // Sunday, 3 May 2020
+      system._evaluateLockSchedule(new Date(2020, 4, 3, 22, 0));
+      expect(system.GetDoorLocked('Left')).toBe(false);
+      expect(system.GetDoorLocked('Right')).toBe(true);
+    });
+
+    test('ignores invalid entries', async () => {
+      await startSystem([{time:'24:00', action:'LOCK'},
+                         {time:'22:00', action:'JAM'},
+                         {time:'22:00', action:'LOCK', days:['MONDAY']},
+                         {time:'22:00', action:'LOCK', doors:'Left'}]);
+
+      expect(system._lockSchedule).toEqual([]);
+    });
+
+    test('notifies the lock changes', async () => {
+      const changes = [];
+      await startSystem([{time:'22:00', action:'LOCK', doors:['Left']}]);
+      system.on('door_lock_change', (locked, name) => { changes.push([name, locked]); });
+
+      system._evaluateLockSchedule(_monday(22, 0));
+      system._evaluateLockSchedule(_monday(22, 0));
+      await jest.advanceTimersByTimeAsync(10);
+      expect(changes).toEqual([['Left', true]]);
+    });
+
+    test('is evaluated at the start of every minute', async () => {
+      jest.setSystemTime(new Date(2020, 4, 4, 21, 58, 30));
+      await startSystem([{time:'22:00', action:'LOCK'}]);
+
+      await jest.advanceTimersByTimeAsync(60 * 1000);
+      expect(system.GetDoorLocked('Left')).toBe(false);
+      await jest.advanceTimersByTimeAsync(60 * 1000);
+      expect(system.GetDoorLocked('Left')).toBe(true);
+    });
+  });
+
+  test('reports whether a door was activated', async () => {
+    await startSystem([]);
+    expect(system.ActivateDoor('Left')).toBe(true);
+    expect(system.ActivateDoor('Unknown')).toBe(false);
+
+    system.SetDoorLocked('Right', true);
+    expect(system.ActivateDoor('Right')).toBe(false);
+  });
+
+  describe('journal', () => {
+    /* Expected time for door activation to complete, until the door travel time is learned */
+    const _DOOR_ACTIVATION_TIMEOUT = 30000/*ms*/;
+    let storagePath;
+
+    beforeAll(async () => {
+      storagePath = await _fs.promises.mkdtemp(_path.join(_os.tmpdir(), 'garage-journal-'));
+    });
+
+    afterAll(async () => {
+      await _fs.promises.rm(storagePath, {recursive:true, force:true});
+    });
+
+    test('journals the cause of the door state changes', async () => {
+      const gpio = new _simulatedGpio();
+      // The closed sensor of the door detects the door.
+      gpio.SetInput(14, true);
+      system = new _garageSystem(gpio);
+      expect(await system.Start({heartbeat:4, doors:[_doorConfig('Left', 10)]}, storagePath)).toBe(true);
+      expect(system.GetDoorState('Left')).toBe(DOOR_STATE.CLOSED);
+
+      // The door starts to open, but does not reach the end of its travel.
+      system.ActivateDoor('Left');
+      gpio.SetInput(14, false);
+      await jest.advanceTimersByTimeAsync(2000);
+      expect(system.GetDoorState('Left')).toBe(DOOR_STATE.OPENING);
+      await jest.advanceTimersByTimeAsync(_DOOR_ACTIVATION_TIMEOUT);
+      expect(system.GetDoorState('Left')).toBe(DOOR_STATE.UNKNOWN);
+
+      const entries = await system.QueryJournal({types:['STATE_CHANGE']});
+      expect(entries.map((entry) => entry.data)).toEqual([{oldState:DOOR_STATE.CLOSED,  newState:DOOR_STATE.OPENING, cause:STATE_CHANGE_CAUSE.SENSOR},
+                                                          {oldState:DOOR_STATE.OPENING, newState:DOOR_STATE.UNKNOWN, cause:STATE_CHANGE_CAUSE.WATCHDOG}]);
+    });
+  });
+
+  describe('sensor modules', () => {
+    let modulePath;
+
+    /* Configuration of a door whose sensors are of the class provided by the sensor module. */
+    const moduleDoorConfig = () => {
+      const doorConfig = _doorConfig('Module', 30);
+      doorConfig.detect_sensors.forEach((sensorConfig) => { sensorConfig.class = 'ModuleSensor'; });
+      return doorConfig;
+    };
+
+    beforeAll(async () => {
+      modulePath = _path.join(await _fs.promises.mkdtemp(_path.join(_os.tmpdir(), 'sensor-module-')), 'moduleSensor.js');
+      await _fs.promises.writeFile(modulePath, `
+        module.exports = (modSensorBase) => {
+          class ModuleSensor extends modSensorBase.default {
+            async Start() { this._initialized = true; return true; }
+            async Terminate() { this._initialized = false; }
+          }
+          modSensorBase.default.RegisterSensorClass('ModuleSensor',
+                                                    (configuration) => { return (typeof(configuration.detect_in) === 'number'); },
+                                                    (identifier, configuration, gpio) => { return new ModuleSensor(identifier, gpio); });
+        };`);
+    });
+
+    afterAll(async () => {
+      await _fs.promises.rm(_path.dirname(modulePath), {recursive:true, force:true});
+    });
+
+    test('a door without its sensor module is not started', async () => {
+      system = new _garageSystem(new _simulatedGpio());
+      expect(await system.Start({heartbeat:      4,
+                                 sensor_modules: [_path.join(_path.dirname(modulePath), 'missing.js')],
+                                 doors:          [moduleDoorConfig()]})).toBe(false);
+    });
+
+    test('a door uses the sensor classes of a sensor module', async () => {
+      system = new _garageSystem(new _simulatedGpio());
+      expect(await system.Start({heartbeat:      4,
+                                 sensor_modules: [modulePath],
+                                 doors:          [moduleDoorConfig()]})).toBe(true);
+      expect(system.DoorControllers).toEqual(['Module']);
+    });
+  });
+});
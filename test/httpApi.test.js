@@ -0,0 +1,236 @@
+/* ==========================================================================
+   File:        httpApi.test.js
+   Description: Unit tests for the HTTP API. The API is served on the loopback
+                interface, and the garage system is replaced by a fake garage
+                with a single door.
+   ========================================================================== */
+'use strict';
+
+// External dependencies and imports.
+const _http = require('http');
+import { EventEmitter } from 'events';
+
+// Internal dependencies
+import _httpApi from '../src/httpApi.js';
+import {DOOR_STATE, DOOR_FAULT, ACTIVATION_SOURCE} from '../src/doorCntrl.js';
+
+/* Name of the door of the fake garage */
+const _DOOR_NAME = 'Main Door';
+/* Token of the API under test */
+const _TOKEN     = 'secret-token';
+
+/* FakeGarage provides the subset of the GarageSystem used by the API. */
+class FakeGarage extends EventEmitter {
+  constructor() {
+    super();
+
+    this.locked = false;
+
+    this.ActivateDoor   = jest.fn(() => { return true; });
+    this.IdentifyDoor   = jest.fn(() => { return true; });
+    this.QueryJournal   = jest.fn(async (criteria) => { return [{id:1}]; });
+    this.SetDoorLocked  = jest.fn((doorName, locked) => { this.locked = locked; });
+  }
+
+  get DoorControllers() {
+    return [_DOOR_NAME];
+  }
+
+  GetDoorState(doorName) {
+    return DOOR_STATE.CLOSED;
+  }
+
+  GetTargetDoorState(doorName) {
+    return DOOR_STATE.CLOSED;
+  }
+
+  GetDoorLocked(doorName) {
+    return this.locked;
+  }
+
+  GetDoorObstructed(doorName) {
+    return false;
+  }
+
+  GetDoorFault(doorName) {
+    return DOOR_FAULT.NONE;
+  }
+
+  GetDoorAutoCloseStatus(doorName) {
+    return 'DISABLED';
+  }
+
+  GetDoorLastStateChangeTime(doorName) {
+    return 1000;
+  }
+
+  GetDoorSensorFault(doorName) {
+    return false;
+  }
+
+  GetDoorVehiclePresence(doorName) {
+    return true;
+  }
+
+  GetDoorPosition(doorName) {
+    return 0;
+  }
+
+  GetDoorSensorReadings(doorName) {
+    return [{id:'door-prox', result:'DETECTED'}];
+  }
+}
+
+describe('HttpApi', () => {
+  let garage;
+  let api;
+
+  /* Issue a request to the API and resolve with the status and the parsed body. */
+  const request = (method, path, token) => {
+    return new Promise((resolve, reject) => {
+      const headers = ((token != undefined) ? {'Authorization': `Bearer ${token}`} : {});
+      const req = _http.request({host:'127.0.0.1', port:api.Port, method:method, path:path, headers:headers}, (res) => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => { data += chunk; });
+        res.on('end', () => { resolve({status:res.statusCode, body:JSON.parse(data)}); });
+      });
+      req.on('error', reject);
+      req.end();
+    });
+  };
+
+  beforeEach(async () => {
+    garage = new FakeGarage();
+    api    = new _httpApi(garage, {token:_TOKEN, port:0, host:'127.0.0.1'});
+    expect(await api.Start()).toBe(true);
+  });
+
+  afterEach(async () => {
+    await api.Stop();
+  });
+
+  describe('authorization', () => {
+    const authorized = (header, query) => api._authorized({headers:((header != undefined) ? {authorization:header} : {})}, ((query != undefined) ? query : {}));
+
+    test('requires the bearer token', () => {
+      expect(authorized(`Bearer ${_TOKEN}`)).toBe(true);
+      expect(authorized(undefined)).toBe(false);
+      expect(authorized(_TOKEN)).toBe(false);
+      expect(authorized(`Basic ${_TOKEN}`)).toBe(false);
+      expect(authorized('Bearer secret-tokem')).toBe(false);
+      expect(authorized('Bearer secret')).toBe(false);
+      expect(authorized(`Bearer ${_TOKEN}-and-more`)).toBe(false);
+    });
+
+    test('accepts the token as a query parameter', () => {
+      expect(authorized(undefined, {access_token:_TOKEN})).toBe(true);
+      expect(authorized(undefined, {access_token:'wrong'})).toBe(false);
+    });
+
+    test('rejects requests without the token', async () => {
+      expect(await request('GET', '/api/doors')).toEqual({status:401, body:{error:'Unauthorized'}});
+      expect(await request('POST', `/api/doors/${encodeURIComponent(_DOOR_NAME)}/activate`, 'wrong')).toEqual({status:401, body:{error:'Unauthorized'}});
+      expect(garage.ActivateDoor).not.toHaveBeenCalled();
+    });
+
+    test('the configuration requires a token', () => {
+      expect(_httpApi.ValidateConfiguration({token:_TOKEN})).toBe(true);
+      expect(_httpApi.ValidateConfiguration({})).toBe(false);
+      expect(_httpApi.ValidateConfiguration({token:''})).toBe(false);
+      expect(_httpApi.ValidateConfiguration({token:_TOKEN, port:70000})).toBe(false);
+    });
+  });
+
+  describe('routing', () => {
+    const doorPath = `/api/doors/${encodeURIComponent(_DOOR_NAME)}`;
+
+    test('lists the doors', async () => {
+      const {status, body} = await request('GET', '/api/doors', _TOKEN);
+      expect(status).toBe(200);
+      expect(body.doors.map((door) => door.name)).toEqual([_DOOR_NAME]);
+      expect(body.doors[0].state).toBe(DOOR_STATE.CLOSED);
+      expect(body.doors[0].vehicle).toBe(true);
+      expect(body.doors[0].sensor_fault).toBe(false);
+      expect(body.doors[0].position).toBe(0);
+    });
+
+    test('gets a door with its sensor readings', async () => {
+      const {status, body} = await request('GET', doorPath, _TOKEN);
+      expect(status).toBe(200);
+      expect(body.name).toBe(_DOOR_NAME);
+      expect(body.sensors).toEqual([{id:'door-prox', result:'DETECTED'}]);
+    });
+
+    test('activates a door', async () => {
+      expect(await request('POST', `${doorPath}/activate`, _TOKEN)).toEqual({status:200, body:{name:_DOOR_NAME, activated:true}});
+      expect(garage.ActivateDoor).toHaveBeenCalledWith(_DOOR_NAME, ACTIVATION_SOURCE.API);
+    });
+
+    test('reports a door that could not be activated', async () => {
+      garage.ActivateDoor.mockReturnValueOnce(false);
+      expect(await request('POST', `${doorPath}/activate`, _TOKEN)).toEqual({status:503, body:{error:`Door not activated: ${_DOOR_NAME}`}});
+    });
+
+    test('does not activate a locked door', async () => {
+      garage.locked = true;
+      expect((await request('POST', `${doorPath}/activate`, _TOKEN)).status).toBe(409);
+      expect(garage.ActivateDoor).not.toHaveBeenCalled();
+    });
+
+    test('locks, unlocks and identifies a door', async () => {
+      expect(await request('POST', `${doorPath}/lock`, _TOKEN)).toEqual({status:200, body:{name:_DOOR_NAME, locked:true}});
+      expect(await request('POST', `${doorPath}/unlock`, _TOKEN)).toEqual({status:200, body:{name:_DOOR_NAME, locked:false}});
+      expect((await request('POST', `${doorPath}/identify`, _TOKEN)).status).toBe(200);
+      expect(garage.IdentifyDoor).toHaveBeenCalledWith(_DOOR_NAME);
+    });
+
+    test('queries the journal', async () => {
+      expect(await request('GET', '/api/journal?door=Main%20Door&type=activation,fault&after=3&limit=10', _TOKEN)).toEqual({status:200, body:{entries:[{id:1}]}});
+      expect(garage.QueryJournal).toHaveBeenCalledWith({door:_DOOR_NAME, types:['ACTIVATION', 'FAULT'], after:3, limit:10});
+      expect((await request('GET', '/api/journal?from=yesterday', _TOKEN)).status).toBe(400);
+    });
+
+    test('streams the garage events, replaying the events missed', async () => {
+      garage.emit('door_state_change', DOOR_STATE.CLOSED, DOOR_STATE.OPENING, _DOOR_NAME);
+      garage.emit('door_state_change', DOOR_STATE.OPENING, DOOR_STATE.OPEN, _DOOR_NAME);
+
+      const data = await new Promise((resolve, reject) => {
+        const req = _http.request({host:'127.0.0.1', port:api.Port, path:'/api/events', headers:{'Authorization': `Bearer ${_TOKEN}`, 'Last-Event-ID': '1'}}, (res) => {
+          let received = '';
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => {
+            received += chunk;
+            if (received.includes('id: 2')) {
+              req.destroy();
+              resolve(received);
+            }
+          });
+        });
+        req.on('error', reject);
+        req.end();
+      });
+      expect(data).not.toMatch(/^id: 1$/m);
+      expect(data).toMatch(/^event: door_state_change\ndata: {"door":"Main Door","oldState":"OPENING","newState":"OPEN"/m);
+    });
+
+    test.each([
+      /* method  path                          status */
+      ['GET',    '/doors',                     404],
+      ['GET',    '/api/unknown',               404],
+      ['GET',    '/api/doors/Unknown',         404],
+      ['GET',    '/api/doors/Main%20Door/a/b', 404],
+      ['POST',   '/api/doors/Main%20Door/open',404],
+      ['POST',   '/api/doors',                 405],
+      ['DELETE', '/api/doors/Main%20Door',     405],
+      ['GET',    '/api/doors/Main%20Door/lock',405],
+      ['POST',   '/api/journal',               405],
+      ['POST',   '/api/events',                405],
+      ['GET',    '/api/doors/Main%ZZDoor',     400],
+      ['POST',   '/api/doors/%E0%A4%A/activate',400],
+    ])('%s %s is %d', async (method, path, status) => {
+      expect((await request(method, path, _TOKEN)).status).toBe(status);
+      expect(garage.SetDoorLocked).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,278 @@
+/* ==========================================================================
+   File:        mqttBridge.test.js
+   Description: Unit tests for the MQTT Bridge. The bridge is connected to the
+                simulated broker, and the garage system is replaced by a fake
+                garage with a single door.
+   ========================================================================== */
+'use strict';
+
+// External dependencies and imports.
+import { EventEmitter } from 'events';
+
+// Internal dependencies
+import _mqttBridge, {MQTT_COMMAND} from '../src/mqttBridge.js';
+import _simulatedMqttBroker from '../src/simMqtt.js';
+import {DOOR_STATE, ACTIVATION_SOURCE} from '../src/doorCntrl.js';
+import {SENSOR_RESULT, SENSOR_HEALTH} from '../src/sensorBase.js';
+
+/* Name of the door of the fake garage */
+const _DOOR_NAME  = 'Main Door';
+/* Base topic of the bridge under test */
+const _BASE_TOPIC = 'test/garage';
+
+/* FakeGarage provides the subset of the GarageSystem used by the bridge. */
+class FakeGarage extends EventEmitter {
+  constructor() {
+    super();
+
+    this.state    = DOOR_STATE.CLOSED;
+    this.locked   = false;
+    this.position = 0;
+    this.readings = [{id:'door-sonar', result:SENSOR_RESULT.DETECTED,   health:SENSOR_HEALTH.OK, distance:0.4567},
+                     {id:'door-prox',  result:SENSOR_RESULT.UNDETECTED, health:SENSOR_HEALTH.OK}];
+
+    this.ActivateDoor     = jest.fn();
+    this.MoveDoorToState  = jest.fn(async () => { return true; });
+    this.IdentifyDoor     = jest.fn();
+    this.SetDoorLocked    = jest.fn((doorName, locked) => {
+      this.locked = locked;
+      this.emit('door_lock_change', locked, doorName);
+    });
+  }
+
+  get DoorControllers() {
+    return [_DOOR_NAME];
+  }
+
+  GetDoorState(doorName) {
+    return this.state;
+  }
+
+  GetDoorLocked(doorName) {
+    return this.locked;
+  }
+
+  GetDoorPosition(doorName) {
+    return this.position;
+  }
+
+  GetDoorSensorReadings(doorName) {
+    return this.readings;
+  }
+}
+
+describe('MqttBridge', () => {
+  let broker;
+  let garage;
+  let bridge;
+  /* Client publishing the commands, as a user of the broker */
+  let user;
+
+  /* Deliver the pending messages of the simulated broker. */
+  const deliver = async () => {
+    await jest.advanceTimersByTimeAsync(10);
+  };
+
+  const sendCommand = async (command) => {
+    user.publish(`${_BASE_TOPIC}/${_DOOR_NAME}/command`, command);
+    await deliver();
+  };
+
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    broker = new _simulatedMqttBroker();
+    garage = new FakeGarage();
+    bridge = new _mqttBridge(garage, {url:'mqtt://simulated', base_topic:_BASE_TOPIC}, broker.Connect('bridge'));
+    bridge.Start();
+    user   = broker.Connect('user');
+    await deliver();
+  });
+
+  afterEach(async () => {
+    const stopped = bridge.Stop();
+    await deliver();
+    await stopped;
+    jest.useRealTimers();
+  });
+
+  describe('retained topics', () => {
+    test('publish the status of the door once connected', () => {
+      expect(bridge.Connected).toBe(true);
+      expect(broker.GetRetained(`${_BASE_TOPIC}/status`)).toBe('online');
+      expect(broker.GetRetained(`${_BASE_TOPIC}/${_DOOR_NAME}/state`)).toBe(DOOR_STATE.CLOSED);
+      expect(broker.GetRetained(`${_BASE_TOPIC}/${_DOOR_NAME}/lock`)).toBe('UNLOCKED');
+      expect(broker.GetRetained(`${_BASE_TOPIC}/${_DOOR_NAME}/position`)).toBe('0');
+    });
+
+    test('publish the sensor readings', () => {
+      expect(broker.GetRetained(`${_BASE_TOPIC}/${_DOOR_NAME}/sensor/door-sonar/result`)).toBe(SENSOR_RESULT.DETECTED);
+      expect(broker.GetRetained(`${_BASE_TOPIC}/${_DOOR_NAME}/sensor/door-sonar/health`)).toBe(SENSOR_HEALTH.OK);
+      expect(broker.GetRetained(`${_BASE_TOPIC}/${_DOOR_NAME}/sensor/door-sonar/distance`)).toBe('0.457');
+      expect(broker.GetRetained(`${_BASE_TOPIC}/${_DOOR_NAME}/sensor/door-prox/result`)).toBe(SENSOR_RESULT.UNDETECTED);
+      expect(broker.GetRetained(`${_BASE_TOPIC}/${_DOOR_NAME}/sensor/door-prox/distance`)).toBeUndefined();
+    });
+
+    test('follow the changes of the door', async () => {
+      garage.emit('door_state_change', DOOR_STATE.CLOSED, DOOR_STATE.OPENING, _DOOR_NAME);
+      garage.emit('door_lock_change', true, _DOOR_NAME);
+      garage.emit('door_position_change', 35, _DOOR_NAME);
+      garage.emit('door_sensor_distance_change', 'door-sonar', 0.4567, 1.5, _DOOR_NAME);
+      garage.emit('door_sensor_result_change', 'door-sonar', SENSOR_RESULT.DETECTED, SENSOR_RESULT.UNDETECTED, _DOOR_NAME);
+      garage.emit('door_sensor_health_change', 'door-prox', SENSOR_HEALTH.OK, SENSOR_HEALTH.STALE, _DOOR_NAME);
+      await deliver();
+
+      expect(broker.GetRetained(`${_BASE_TOPIC}/${_DOOR_NAME}/state`)).toBe(DOOR_STATE.OPENING);
+      expect(broker.GetRetained(`${_BASE_TOPIC}/${_DOOR_NAME}/lock`)).toBe('LOCKED');
+      expect(broker.GetRetained(`${_BASE_TOPIC}/${_DOOR_NAME}/position`)).toBe('35');
+      expect(broker.GetRetained(`${_BASE_TOPIC}/${_DOOR_NAME}/sensor/door-sonar/distance`)).toBe('1.500');
+      expect(broker.GetRetained(`${_BASE_TOPIC}/${_DOOR_NAME}/sensor/door-sonar/result`)).toBe(SENSOR_RESULT.UNDETECTED);
+      expect(broker.GetRetained(`${_BASE_TOPIC}/${_DOOR_NAME}/sensor/door-prox/health`)).toBe(SENSOR_HEALTH.STALE);
+    });
+
+    test('an unknown position clears the position', async () => {
+      garage.emit('door_position_change', undefined, _DOOR_NAME);
+      await deliver();
+
+      expect(broker.GetRetained(`${_BASE_TOPIC}/${_DOOR_NAME}/position`)).toBeUndefined();
+    });
+
+    test('are delivered to later subscribers', async () => {
+      const messages = new Map();
+      user.on('message', (topic, payload) => { messages.set(topic, payload.toString()); });
+      user.subscribe(`${_BASE_TOPIC}/#`);
+      await deliver();
+
+      expect(messages.get(`${_BASE_TOPIC}/${_DOOR_NAME}/state`)).toBe(DOOR_STATE.CLOSED);
+      expect(messages.get(`${_BASE_TOPIC}/${_DOOR_NAME}/lock`)).toBe('UNLOCKED');
+    });
+
+    test('report the bridge offline once stopped', async () => {
+      const stopped = bridge.Stop();
+      await deliver();
+      await stopped;
+
+      expect(bridge.Connected).toBe(false);
+      expect(broker.GetRetained(`${_BASE_TOPIC}/status`)).toBe('offline');
+    });
+  });
+
+  describe('commands', () => {
+    test('activate the door', async () => {
+      await sendCommand(MQTT_COMMAND.ACTIVATE);
+      expect(garage.ActivateDoor).toHaveBeenCalledWith(_DOOR_NAME, ACTIVATION_SOURCE.MQTT);
+    });
+
+    test('open & close the door', async () => {
+      await sendCommand(MQTT_COMMAND.OPEN);
+      expect(garage.MoveDoorToState).toHaveBeenLastCalledWith(_DOOR_NAME, DOOR_STATE.OPEN, ACTIVATION_SOURCE.MQTT);
+
+      // Commands are not case sensitive.
+      await sendCommand(' close ');
+      expect(garage.MoveDoorToState).toHaveBeenLastCalledWith(_DOOR_NAME, DOOR_STATE.CLOSED, ACTIVATION_SOURCE.MQTT);
+      expect(garage.MoveDoorToState).toHaveBeenCalledTimes(2);
+    });
+
+    test('a request that fails is not an unhandled rejection', async () => {
+      garage.MoveDoorToState.mockRejectedValueOnce(new Error('door failed'));
+
+      await sendCommand(MQTT_COMMAND.OPEN);
+      expect(garage.MoveDoorToState).toHaveBeenCalledTimes(1);
+    });
+
+    test('do not open or close a locked door', async () => {
+      garage.locked = true;
+
+      await sendCommand(MQTT_COMMAND.OPEN);
+      await sendCommand(MQTT_COMMAND.CLOSE);
+      expect(garage.MoveDoorToState).not.toHaveBeenCalled();
+    });
+
+    test('lock & unlock the door', async () => {
+      await sendCommand(MQTT_COMMAND.LOCK);
+      expect(garage.SetDoorLocked).toHaveBeenLastCalledWith(_DOOR_NAME, true);
+      expect(broker.GetRetained(`${_BASE_TOPIC}/${_DOOR_NAME}/lock`)).toBe('LOCKED');
+
+      await sendCommand(MQTT_COMMAND.UNLOCK);
+      expect(garage.SetDoorLocked).toHaveBeenLastCalledWith(_DOOR_NAME, false);
+      expect(broker.GetRetained(`${_BASE_TOPIC}/${_DOOR_NAME}/lock`)).toBe('UNLOCKED');
+    });
+
+    test('identify the door', async () => {
+      await sendCommand(MQTT_COMMAND.IDENTIFY);
+      expect(garage.IdentifyDoor).toHaveBeenCalledWith(_DOOR_NAME);
+    });
+
+    test('unknown commands & topics are ignored', async () => {
+      await sendCommand('EXPLODE');
+      user.publish(`${_BASE_TOPIC}/Other Door/command`, MQTT_COMMAND.ACTIVATE);
+      await deliver();
+
+      expect(garage.ActivateDoor).not.toHaveBeenCalled();
+      expect(garage.MoveDoorToState).not.toHaveBeenCalled();
+      expect(garage.SetDoorLocked).not.toHaveBeenCalled();
+      expect(garage.IdentifyDoor).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Home Assistant discovery', () => {
+    /* Get the discovery configuration of an entity. */
+    const discovery = (component, objectId) => {
+      const config = broker.GetRetained(`homeassistant/${component}/${objectId}/config`);
+      return ((config != undefined) ? JSON.parse(config) : undefined);
+    };
+
+    test('presents the door as a garage cover', () => {
+      const cover = discovery('cover', 'grumptech_garage_Main_Door_door');
+
+      expect(cover).toMatchObject({name:           _DOOR_NAME,
+                                   unique_id:      'grumptech_garage_Main_Door_door',
+                                   device_class:   'garage',
+                                   command_topic:  `${_BASE_TOPIC}/${_DOOR_NAME}/command`,
+                                   state_topic:    `${_BASE_TOPIC}/${_DOOR_NAME}/state`,
+                                   payload_open:   MQTT_COMMAND.OPEN,
+                                   payload_close:  MQTT_COMMAND.CLOSE,
+                                   state_open:     DOOR_STATE.OPEN,
+                                   state_closed:   DOOR_STATE.CLOSED,
+                                   position_topic: `${_BASE_TOPIC}/${_DOOR_NAME}/position`,
+                                   availability_topic: `${_BASE_TOPIC}/status`});
+      expect(cover.device.identifiers).toEqual(['grumptech_garage_Main_Door']);
+    });
+
+    test('presents the lock and identify button', () => {
+      expect(discovery('lock', 'grumptech_garage_Main_Door_lock')).toMatchObject({
+        command_topic:  `${_BASE_TOPIC}/${_DOOR_NAME}/command`,
+        state_topic:    `${_BASE_TOPIC}/${_DOOR_NAME}/lock`,
+        payload_lock:   MQTT_COMMAND.LOCK,
+        payload_unlock: MQTT_COMMAND.UNLOCK,
+        state_locked:   'LOCKED',
+        state_unlocked: 'UNLOCKED'});
+      expect(discovery('button', 'grumptech_garage_Main_Door_identify')).toMatchObject({
+        command_topic:  `${_BASE_TOPIC}/${_DOOR_NAME}/command`,
+        payload_press:  MQTT_COMMAND.IDENTIFY});
+    });
+
+    test('presents the sensors, with a distance only for the sensors measuring it', () => {
+      expect(discovery('binary_sensor', 'grumptech_garage_Main_Door_door-sonar_result')).toMatchObject({
+        state_topic:  `${_BASE_TOPIC}/${_DOOR_NAME}/sensor/door-sonar/result`,
+        payload_on:   SENSOR_RESULT.DETECTED,
+        payload_off:  SENSOR_RESULT.UNDETECTED});
+      expect(discovery('sensor', 'grumptech_garage_Main_Door_door-sonar_health')).toMatchObject({entity_category:'diagnostic'});
+      expect(discovery('sensor', 'grumptech_garage_Main_Door_door-sonar_distance')).toMatchObject({unit_of_measurement:'m'});
+      expect(discovery('sensor', 'grumptech_garage_Main_Door_door-prox_distance')).toBeUndefined();
+    });
+
+    test('is not published when disabled', async () => {
+      const otherBroker = new _simulatedMqttBroker();
+      const otherBridge = new _mqttBridge(garage, {url:'mqtt://simulated', discovery:false}, otherBroker.Connect());
+      otherBridge.Start();
+      await deliver();
+
+      expect(otherBroker.GetRetained('grumptech/garage/status')).toBe('online');
+      expect(otherBroker.GetRetained('homeassistant/cover/grumptech_garage_Main_Door_door/config')).toBeUndefined();
+
+      const stopped = otherBridge.Stop();
+      await deliver();
+      await stopped;
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/* ==========================================================================
+   File:        sensorBase.test.js
+   Description: Unit tests for the registry of the detection sensor classes.
+   ========================================================================== */
+'use strict';
+
+// Internal dependencies
+import _sensorBase from '../src/sensorBase.js';
+import _proxSensor from '../src/proxSensor.js';
+import _sonarSensor from '../src/sonarSensor.js';
+import _tiltSensor from '../src/tiltSensor.js';
+import _simulatedGpio from '../src/simGpio.js';
+
+/* Name of the sensor class registered by the tests */
+const _TEST_CLASS = 'TestSensor';
+
+/* TestSensor is a detection sensor registered by the tests. */
+class TestSensor extends _sensorBase {
+  constructor(identifier, configuration, gpio) {
+    super(identifier, gpio);
+
+    this.configuration = configuration;
+  }
+}
+
+describe('SensorBase registry', () => {
+  const validate = (configuration) => { return (configuration.valid === true); };
+  const factory  = (identifier, configuration, gpio) => { return new TestSensor(identifier, configuration, gpio); };
+
+  afterEach(() => {
+    _sensorBase.UnregisterSensorClass(_TEST_CLASS);
+  });
+
+  test('the built-in sensor classes are registered', () => {
+    expect(_sensorBase.RegisteredSensorClasses()).toEqual(expect.arrayContaining(['ProximitySwitchSensor', 'SonarSensor', 'TiltSensor']));
+  });
+
+  test('creates the built-in sensor classes', () => {
+    const gpio = new _simulatedGpio();
+    expect(_sensorBase.CreateSensor('ProximitySwitchSensor', 'prox', {detect_in:2}, gpio)).toBeInstanceOf(_proxSensor);
+    expect(_sensorBase.CreateSensor('SonarSensor', 'sonar', {trigger_out:20, echo_in:21, detect_threshold_min:0.1, detect_threshold_max:1.0}, gpio)).toBeInstanceOf(_sonarSensor);
+    expect(_sensorBase.CreateSensor('TiltSensor', 'tilt', {detect_threshold_min:80.0, detect_threshold_max:100.0}, gpio)).toBeInstanceOf(_tiltSensor);
+  });
+
+  test('a registered class is validated and created', () => {
+    const gpio = new _simulatedGpio();
+    expect(_sensorBase.RegisterSensorClass(_TEST_CLASS, validate, factory)).toBe(true);
+    expect(_sensorBase.RegisteredSensorClasses()).toContain(_TEST_CLASS);
+
+    expect(_sensorBase.ValidateSensorConfiguration(_TEST_CLASS, {valid:true})).toBe(true);
+    expect(_sensorBase.ValidateSensorConfiguration(_TEST_CLASS, {valid:false})).toBe(false);
+
+    const sensor = _sensorBase.CreateSensor(_TEST_CLASS, 'test', {valid:true}, gpio);
+    expect(sensor).toBeInstanceOf(TestSensor);
+    expect(sensor.Identifier).toBe('test');
+    expect(sensor.configuration).toEqual({valid:true});
+  });
+
+  test('a class name may only be registered once', () => {
+    expect(_sensorBase.RegisterSensorClass(_TEST_CLASS, validate, factory)).toBe(true);
+    expect(_sensorBase.RegisterSensorClass(_TEST_CLASS, validate, factory)).toBe(false);
+    expect(_sensorBase.RegisterSensorClass('SonarSensor', validate, factory)).toBe(false);
+  });
+
+  test('a class is registered with a name, a validator and a factory', () => {
+    expect(_sensorBase.RegisterSensorClass('', validate, factory)).toBe(false);
+    expect(_sensorBase.RegisterSensorClass(_TEST_CLASS, undefined, factory)).toBe(false);
+    expect(_sensorBase.RegisterSensorClass(_TEST_CLASS, validate, {})).toBe(false);
+    expect(_sensorBase.RegisteredSensorClasses()).not.toContain(_TEST_CLASS);
+  });
+
+  test('an unregistered class is neither validated nor created', () => {
+    expect(_sensorBase.RegisterSensorClass(_TEST_CLASS, validate, factory)).toBe(true);
+    expect(_sensorBase.UnregisterSensorClass(_TEST_CLASS)).toBe(true);
+    expect(_sensorBase.UnregisterSensorClass(_TEST_CLASS)).toBe(false);
+
+    expect(_sensorBase.ValidateSensorConfiguration(_TEST_CLASS, {valid:true})).toBe(false);
+    expect(_sensorBase.CreateSensor(_TEST_CLASS, 'test', {valid:true}, undefined)).toBeUndefined();
+  });
+
+  test('a validator that throws does not validate', () => {
+    _sensorBase.RegisterSensorClass(_TEST_CLASS, (configuration) => { throw new Error('invalid'); }, factory);
+    expect(_sensorBase.ValidateSensorConfiguration(_TEST_CLASS, {valid:true})).toBe(false);
+  });
+
+  test('a factory must create a detection sensor', () => {
+    _sensorBase.RegisterSensorClass(_TEST_CLASS, validate, (identifier, configuration, gpio) => { return {}; });
+    expect(_sensorBase.CreateSensor(_TEST_CLASS, 'test', {valid:true}, undefined)).toBeUndefined();
+  });
+});
@@ -0,0 +1,168 @@
+/* ==========================================================================
+   File:        sensorGroup.test.js
+   Description: Unit tests for the Sensor Group. The member sensors are fake
+                sensors whose results are set directly by the tests.
+   ========================================================================== */
+'use strict';
+
+// Internal dependencies
+import _sensorGroup, {SENSOR_POLICY} from '../src/sensorGroup.js';
+import _sensorBase, {SENSOR_RESULT} from '../src/sensorBase.js';
+
+/* Time (ms) to allow the asynchronous sensor notifications to be delivered */
+const _SETTLE_TIME = 10/*ms*/;
+
+/* FakeSensor is a detection sensor whose result is set directly. */
+class FakeSensor extends _sensorBase {
+  async Start() {
+    this._initialized = true;
+    return true;
+  }
+
+  async Terminate() {
+    this._initialized = false;
+  }
+
+  SetResult(result) {
+    this._setResult(result);
+  }
+}
+
+describe('SensorGroup', () => {
+  const {UNKNOWN, UNDETECTED, DETECTED} = SENSOR_RESULT;
+  let sensors;
+  let group;
+
+  /* Create and start a group of fake sensors initially reporting the results specified. */
+  const startGroup = async (results, policy, failoverTime) => {
+    sensors = results.map((result, index) => {
+      const sensor = new FakeSensor(`sensor-${index}`, undefined);
+      sensor.SetResult(result);
+      return sensor;
+    });
+    group = new _sensorGroup('OPEN', sensors, policy, failoverTime);
+    const started = await group.Start();
+    await jest.advanceTimersByTimeAsync(_SETTLE_TIME);
+    return started;
+  };
+
+  /* Set the results of the sensors and deliver the notifications. */
+  const setSensors = async (results) => {
+    results.forEach((result, index) => { sensors[index].SetResult(result); });
+    await jest.advanceTimersByTimeAsync(_SETTLE_TIME);
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    group = undefined;
+  });
+
+  afterEach(async () => {
+    if (group != undefined) {
+      await group.Terminate();
+    }
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  test('requires at least one sensor', () => {
+    expect(() => new _sensorGroup('OPEN', [])).toThrow();
+    expect(() => new _sensorGroup('OPEN', [{}])).toThrow();
+  });
+
+  test('an invalid policy falls back to the primary sensor', async () => {
+    await startGroup([DETECTED, UNDETECTED], 'SOME');
+    expect(group.Policy).toBe(SENSOR_POLICY.PRIMARY);
+    expect(_sensorGroup.ValidatePolicy('majority')).toBe(true);
+    expect(_sensorGroup.ValidatePolicy('SOME')).toBe(false);
+  });
+
+  describe('combination policies', () => {
+    test.each([
+      /* policy                 results                                  combined */
+      [SENSOR_POLICY.ANY,       [UNDETECTED, DETECTED,   UNDETECTED],    DETECTED],
+      [SENSOR_POLICY.ANY,       [UNDETECTED, UNDETECTED, UNKNOWN],       UNDETECTED],
+      [SENSOR_POLICY.ALL,       [DETECTED,   DETECTED,   UNDETECTED],    UNDETECTED],
+      [SENSOR_POLICY.ALL,       [DETECTED,   DETECTED,   UNKNOWN],       DETECTED],
+      [SENSOR_POLICY.MAJORITY,  [DETECTED,   UNDETECTED, UNDETECTED],    UNDETECTED],
+      [SENSOR_POLICY.MAJORITY,  [UNDETECTED, DETECTED,   DETECTED],      DETECTED],
+      [SENSOR_POLICY.MAJORITY,  [DETECTED,   UNDETECTED, UNKNOWN],       DETECTED],
+      [SENSOR_POLICY.MAJORITY,  [UNKNOWN,    UNDETECTED, DETECTED],      UNDETECTED],
+      [SENSOR_POLICY.PRIMARY,   [UNDETECTED, DETECTED,   DETECTED],      UNDETECTED],
+      [SENSOR_POLICY.PRIMARY,   [UNKNOWN,    DETECTED,   UNDETECTED],    DETECTED],
+      [SENSOR_POLICY.ANY,       [UNKNOWN,    UNKNOWN,    UNKNOWN],       UNKNOWN],
+      [SENSOR_POLICY.PRIMARY,   [UNKNOWN,    UNKNOWN,    UNKNOWN],       UNKNOWN],
+    ])('%s of %j is %s', async (policy, results, combined) => {
+      await startGroup(results, policy);
+      expect(group.Result).toBe(combined);
+    });
+  });
+
+  describe('failover', () => {
+    test('a sensor becoming unknown fails over immediately without a failover time', async () => {
+      await startGroup([UNDETECTED, DETECTED], SENSOR_POLICY.PRIMARY);
+      expect(group.Result).toBe(UNDETECTED);
+
+      await setSensors([UNKNOWN, DETECTED]);
+      expect(group.Result).toBe(DETECTED);
+    });
+
+    test('a sensor holds its last known result for the failover time', async () => {
+      const changes = [];
+      await startGroup([UNDETECTED, DETECTED], SENSOR_POLICY.PRIMARY, 5.0);
+      group.on('result_changed', (oldResult, newResult) => { changes.push(newResult); });
+
+      await setSensors([UNKNOWN, DETECTED]);
+      await jest.advanceTimersByTimeAsync(4900);
+      expect(group.Result).toBe(UNDETECTED);
+      await jest.advanceTimersByTimeAsync(100);
+      expect(group.Result).toBe(DETECTED);
+      expect(changes).toEqual([DETECTED]);
+    });
+
+    test('a sensor restored within the failover time is not failed over', async () => {
+      await startGroup([UNDETECTED, DETECTED], SENSOR_POLICY.PRIMARY, 5.0);
+
+      await setSensors([UNKNOWN, DETECTED]);
+      await jest.advanceTimersByTimeAsync(1000);
+      await setSensors([UNDETECTED, DETECTED]);
+      await jest.advanceTimersByTimeAsync(10000);
+      expect(group.Result).toBe(UNDETECTED);
+    });
+
+    test('a failed sensor contributes again once restored', async () => {
+      await startGroup([UNDETECTED, DETECTED], SENSOR_POLICY.PRIMARY, 5.0);
+
+      await setSensors([UNKNOWN, DETECTED]);
+      await jest.advanceTimersByTimeAsync(5000);
+      expect(group.Result).toBe(DETECTED);
+      await setSensors([UNDETECTED, DETECTED]);
+      expect(group.Result).toBe(UNDETECTED);
+    });
+
+    test('a sensor never known does not contribute', async () => {
+      await startGroup([UNKNOWN, DETECTED], SENSOR_POLICY.PRIMARY, 5.0);
+      expect(group.Result).toBe(DETECTED);
+    });
+
+    test('the group is unknown once all of its sensors have failed over', async () => {
+      await startGroup([DETECTED, DETECTED], SENSOR_POLICY.ALL, 5.0);
+
+      await setSensors([UNKNOWN, UNKNOWN]);
+      expect(group.Result).toBe(DETECTED);
+      await jest.advanceTimersByTimeAsync(5000);
+      expect(group.Result).toBe(UNKNOWN);
+    });
+  });
+
+  test('terminating the group terminates its sensors and stops the failover', async () => {
+    await startGroup([DETECTED, UNDETECTED], SENSOR_POLICY.PRIMARY, 5.0);
+    await setSensors([UNKNOWN, UNDETECTED]);
+
+    await group.Terminate();
+    expect(sensors.map((sensor) => sensor.Initialized)).toEqual([false, false]);
+    expect(group.Initialized).toBe(false);
+    expect(jest.getTimerCount()).toBe(0);
+    group = undefined;
+  });
+});
@@ -0,0 +1,114 @@
+/* ==========================================================================
+   File:        sonarSensor.test.js
+   Description: Unit tests for the Sonar Sensor. The echo of each reading is
+                produced through the simulated GPIO provider.
+   ========================================================================== */
+'use strict';
+
+// Internal dependencies
+import _sonarSensor from '../src/sonarSensor.js';
+import {SENSOR_RESULT, SENSOR_HEALTH} from '../src/sensorBase.js';
+import _simulatedGpio from '../src/simGpio.js';
+
+/* GPIO channel assignments of the sonar under test */
+const _CHAN_TRIGGER = 20;
+const _CHAN_ECHO    = 21;
+/* Speed of sound at the default air temperature of 20 degC */
+const _SPEED_OF_SOUND = 343.2/*meters per sec*/;
+/* Polling interval of the sonar under test */
+const _POLLING_INTERVAL = 1000/*ms*/;
+
+describe('SonarSensor', () => {
+  let gpio;
+  let sonar;
+  /* Distances echoed for the readings, in turn. The last distance is repeated. */
+  let distances;
+
+  /* Echo a distance once the trigger is released. */
+  const echo = (channel, value) => {
+    if ((channel === _CHAN_TRIGGER) && (!value)) {
+      const distance  = ((distances.length > 1) ? distances.shift() : distances[0]);
+      const echoTime  = ((2.0 * distance) / _SPEED_OF_SOUND) * 1000000000.0/* ns / sec */;
+      const echoStart = BigInt(Date.now()) * BigInt(1000000);
+      setTimeout(() => {
+        gpio.SetInput(_CHAN_ECHO, true,  echoStart);
+        gpio.SetInput(_CHAN_ECHO, false, echoStart + BigInt(Math.round(echoTime)));
+      }, 0);
+    }
+  };
+
+  const startSonar = async (configuration) => {
+    sonar = new _sonarSensor('sonar', Object.assign({polling_interval:     (_POLLING_INTERVAL / 1000.0),
+                                                     trigger_out:          _CHAN_TRIGGER,
+                                                     echo_in:              _CHAN_ECHO,
+                                                     detect_threshold_min: 0.1,
+                                                     detect_threshold_max: 1.0}, configuration), gpio);
+    return sonar.Start();
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    gpio = new _simulatedGpio();
+    gpio.on('write', echo);
+    sonar = undefined;
+  });
+
+  afterEach(async () => {
+    if (sonar != undefined) {
+      await sonar.Terminate();
+    }
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  test('detects a distance within the thresholds', async () => {
+    distances = [0.5];
+    expect(await startSonar({})).toBe(true);
+
+    await jest.advanceTimersByTimeAsync(_POLLING_INTERVAL + 100);
+    expect(sonar.Result).toBe(SENSOR_RESULT.DETECTED);
+    expect(sonar.Health).toBe(SENSOR_HEALTH.OK);
+    expect(sonar.Distance).toBeCloseTo(0.5, 2);
+  });
+
+  test('does not detect a distance beyond the thresholds', async () => {
+    distances = [2.0];
+    await startSonar({});
+
+    await jest.advanceTimersByTimeAsync(_POLLING_INTERVAL + 100);
+    expect(sonar.Result).toBe(SENSOR_RESULT.UNDETECTED);
+  });
+
+  test('a sonar that does not echo becomes stale', async () => {
+    gpio.off('write', echo);
+    await startSonar({});
+
+    await jest.advanceTimersByTimeAsync(5 * _POLLING_INTERVAL);
+    expect(sonar.Health).toBe(SENSOR_HEALTH.STALE);
+    expect(sonar.Result).toBe(SENSOR_RESULT.UNKNOWN);
+  });
+
+  test('readings rejected by the filter do not make the sonar stale', async () => {
+    // The distance jumps faster than the maximum rate of change, so the readings are rejected until the jump is accepted.
+    const results = [];
+    const healths = [];
+    distances = [0.5, 2.0, 2.0, 2.0, 2.0];
+    await startSonar({filter:{max_rate:0.5}});
+    sonar.on('result_changed', (oldResult, newResult) => { results.push(newResult); });
+    sonar.on('health_changed', (oldHealth, newHealth) => { healths.push(newHealth); });
+
+    await jest.advanceTimersByTimeAsync(5 * _POLLING_INTERVAL + 100);
+    expect(results).toEqual([SENSOR_RESULT.DETECTED, SENSOR_RESULT.UNDETECTED]);
+    expect(healths).toEqual([SENSOR_HEALTH.OK]);
+  });
+
+  test('a trigger that cannot be released is not an unhandled rejection', async () => {
+    // The channels are released once the sonar is triggered, as when the garage system is terminated.
+    gpio.off('write', echo);
+    gpio.on('write', (channel, value) => { if ((channel === _CHAN_TRIGGER) && value) { gpio.Reset(); } });
+    await startSonar({});
+
+    await jest.advanceTimersByTimeAsync(_POLLING_INTERVAL + 100);
+    expect(sonar.Result).toBe(SENSOR_RESULT.UNKNOWN);
+  });
+});
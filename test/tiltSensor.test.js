@@ -0,0 +1,178 @@
+/* ==========================================================================
+   File:        tiltSensor.test.js
+   Description: Unit tests for the Tilt Sensor. The accelerometer is a fake
+                I2C device attached to the simulated GPIO provider.
+   ========================================================================== */
+'use strict';
+
+// Internal dependencies
+import _tiltSensor from '../src/tiltSensor.js';
+import {SENSOR_RESULT, SENSOR_HEALTH} from '../src/sensorBase.js';
+import _simulatedGpio from '../src/simGpio.js';
+
+/* I2C bus & address of the accelerometer under test */
+const _I2C_BUS     = 1;
+const _I2C_ADDRESS = 0x68;
+/* Acceleration of gravity reported by the accelerometer at +/-2g full scale */
+const _GRAVITY     = 16384;
+/* Polling interval of the tilt sensor under test */
+const _POLLING_INTERVAL = 1000/*ms*/;
+
+/* FakeAccelerometer models the accelerometer data registers of a MPU-6050. */
+class FakeAccelerometer {
+  constructor() {
+    this.accel  = [0, 0, 0];
+    this.writes = [];
+  }
+
+  /* Orient gravity at the angle specified from the axis specified (0:X, 1:Y, 2:Z), within the plane of the next axis. */
+  SetAngle(angle, axis = 0) {
+    const radians = angle * (Math.PI / 180.0);
+    this.accel = [0, 0, 0];
+    this.accel[axis]           = Math.round(_GRAVITY * Math.cos(radians));
+    this.accel[(axis + 1) % 3] = Math.round(_GRAVITY * Math.sin(radians));
+  }
+
+  Read(register, length) {
+    const data = Buffer.alloc(length);
+    this.accel.forEach((value, index) => { data.writeInt16BE(value, (index * 2)); });
+    return data;
+  }
+
+  Write(register, value) {
+    this.writes.push([register, value]);
+  }
+}
+
+describe('TiltSensor', () => {
+  let gpio;
+  let accelerometer;
+  let tilt;
+
+  const startTilt = async (configuration) => {
+    tilt = new _tiltSensor('tilt', Object.assign({polling_interval:     (_POLLING_INTERVAL / 1000.0),
+                                                  detect_threshold_min: 80.0,
+                                                  detect_threshold_max: 100.0}, configuration), gpio);
+    const started = await tilt.Start();
+    await jest.advanceTimersByTimeAsync(10);
+    return started;
+  };
+
+  /* Move the door panel to the angle specified and take a reading. */
+  const tiltTo = async (angle, axis) => {
+    accelerometer.SetAngle(angle, axis);
+    await jest.advanceTimersByTimeAsync(_POLLING_INTERVAL);
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    gpio = new _simulatedGpio();
+    accelerometer = new FakeAccelerometer();
+    gpio.AttachI2cDevice(_I2C_BUS, _I2C_ADDRESS, accelerometer);
+    tilt = undefined;
+  });
+
+  afterEach(async () => {
+    if (tilt != undefined) {
+      await tilt.Terminate();
+    }
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  test('wakes the accelerometer', async () => {
+    accelerometer.SetAngle(0.0);
+    expect(await startTilt({})).toBe(true);
+    expect(accelerometer.writes).toEqual([[0x6B, 0]]);
+  });
+
+  describe('angle', () => {
+    test.each([0.0, 30.0, 45.0, 90.0, 135.0, 180.0])('measures %d degrees', async (angle) => {
+      accelerometer.SetAngle(angle);
+      await startTilt({});
+      expect(tilt.Angle).toBeCloseTo(angle, 1);
+    });
+
+    test('is measured from the configured axis', async () => {
+      accelerometer.SetAngle(60.0, 2);
+      await startTilt({axis:'z'});
+      expect(tilt.Angle).toBeCloseTo(60.0, 1);
+    });
+
+    test('does not depend upon the sensitivity of the accelerometer', async () => {
+      accelerometer.accel = [1000, 1000, 0];
+      await startTilt({});
+      expect(tilt.Angle).toBeCloseTo(45.0, 1);
+    });
+
+    test('notifies changes exceeding the threshold', async () => {
+      const changes = [];
+      accelerometer.SetAngle(0.0);
+      await startTilt({angle_threshold_change_notification:5.0});
+      tilt.on('angle_changed', (oldAngle, newAngle) => { changes.push(Math.round(newAngle)); });
+
+      await tiltTo(3.0);
+      await tiltTo(6.0);
+      await tiltTo(10.0);
+      expect(changes).toEqual([6]);
+    });
+  });
+
+  describe('percent open', () => {
+    test.each([
+      /* angle  closed  open   percent */
+      [0.0,     0.0,    90.0,  0],
+      [45.0,    0.0,    90.0,  50],
+      [90.0,    0.0,    90.0,  100],
+      [100.0,   0.0,    90.0,  100],
+      [30.0,    10.0,   90.0,  25],
+      [30.0,    90.0,   10.0,  75],
+    ])('%d degrees between %d & %d degrees is %d%%', async (angle, closedAngle, openAngle, percent) => {
+      accelerometer.SetAngle(angle);
+      await startTilt({closed_angle:closedAngle, open_angle:openAngle});
+      expect(tilt.PercentOpen).toBe(percent);
+    });
+
+    test('is unknown until measured', () => {
+      tilt = new _tiltSensor('tilt', {detect_threshold_min:80.0, detect_threshold_max:100.0}, gpio);
+      expect(tilt.PercentOpen).toBeUndefined();
+      tilt = undefined;
+    });
+  });
+
+  describe('result', () => {
+    test('detects an angle within the thresholds', async () => {
+      accelerometer.SetAngle(0.0);
+      await startTilt({});
+      expect(tilt.Result).toBe(SENSOR_RESULT.UNDETECTED);
+
+      await tiltTo(85.0);
+      expect(tilt.Result).toBe(SENSOR_RESULT.DETECTED);
+    });
+
+    test('an accelerometer measuring no gravity is faulted', async () => {
+      await startTilt({});
+      await jest.advanceTimersByTimeAsync(5 * _POLLING_INTERVAL);
+      expect(tilt.Angle).toBeUndefined();
+      expect(tilt.Health).toBe(SENSOR_HEALTH.FAULT);
+      expect(tilt.Result).toBe(SENSOR_RESULT.UNKNOWN);
+    });
+
+    test('an accelerometer that does not respond is not started', async () => {
+      tilt = new _tiltSensor('tilt', {address:0x69, detect_threshold_min:80.0, detect_threshold_max:100.0}, gpio);
+      expect(await tilt.Start()).toBe(false);
+      expect(tilt.Result).toBe(SENSOR_RESULT.UNKNOWN);
+    });
+  });
+
+  test.each([
+    {detect_threshold_min:80.0},
+    {detect_threshold_min:100.0, detect_threshold_max:80.0},
+    {detect_threshold_min:80.0,  detect_threshold_max:200.0},
+    {detect_threshold_min:80.0,  detect_threshold_max:100.0, axis:'W'},
+    {detect_threshold_min:80.0,  detect_threshold_max:100.0, address:0x80},
+    {detect_threshold_min:80.0,  detect_threshold_max:100.0, closed_angle:90.0},
+  ])('the configuration %j is invalid', (configuration) => {
+    expect(_tiltSensor.ValidateConfiguration(configuration)).toBe(false);
+  });
+});